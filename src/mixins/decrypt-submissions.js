@@ -0,0 +1,130 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+/*
+This mixin decrypts encrypted submissions in the browser using the private keys
+that the user has loaded (see store/modules/decryption.js), so that a table can
+show the decrypted data. For each submission, we request the envelope and the
+encrypted submission XML, then convert the decrypted XML to OData (see
+util/decryption.js).
+
+The component using this mixin must have projectId and xmlFormId props. Call
+decryptSubmissions() with the OData of the submissions that need to be
+decrypted. The results will be stored in the decryptedSubmissions data
+property, which maps the instance ID of each submission to:
+
+  - null while the submission is being decrypted.
+  - false if the submission could not be decrypted.
+  - Otherwise, the OData of the decrypted submission.
+
+Submissions are decrypted one at a time. Like the repeatCounts mixin, if
+decryptSubmissions() is called again before all the submissions have been
+decrypted, only the new submissions will be decrypted. The results are
+discarded after the private keys change.
+
+The mixin factory does not take any options.
+*/
+
+import request from './request';
+import { apiPaths, logAxiosError } from '../util/request';
+import { createDecryptor, decryptedOData, parseEnvelope } from '../util/decryption';
+
+// @vue/component
+const mixin = {
+  mixins: [request()],
+  data() {
+    return {
+      decryptedSubmissions: {}
+    };
+  },
+  computed: {
+    privateKeys() {
+      return this.$store.state.decryption.privateKeys;
+    }
+  },
+  watch: {
+    privateKeys() {
+      this.decryptedSubmissions = {};
+      this.decryptionQueue = [];
+    }
+  },
+  created() {
+    // Submissions that have not been decrypted yet
+    this.decryptionQueue = [];
+    this.awaitingDecryption = false;
+  },
+  beforeDestroy() {
+    this.decryptionQueue = [];
+  },
+  methods: {
+    decryptSubmissions(submissions) {
+      if (this.privateKeys.length === 0) return;
+      this.decryptionQueue = submissions.filter(submission =>
+        this.decryptedSubmissions[submission.__id] === undefined);
+      if (!this.awaitingDecryption) this.decryptNextSubmission();
+    },
+    decryptNextSubmission() {
+      const submission = this.decryptionQueue.shift();
+      if (submission == null) return;
+      const { privateKeys } = this;
+      const instanceId = submission.__id;
+      this.$set(this.decryptedSubmissions, instanceId, null);
+      this.awaitingDecryption = true;
+      const { currentRoute } = this.$store.state.router;
+      // A submission that cannot be decrypted is marked in the table, so a
+      // failed request does not show an alert.
+      const get = (url, responseType = undefined) => this
+        .request({ method: 'GET', url, responseType, alert: false })
+        .then(({ data }) => data);
+      get(apiPaths.submissionXml(this.projectId, this.xmlFormId, instanceId))
+        .then(envelopeXml => {
+          const envelope = parseEnvelope(envelopeXml);
+          if (envelope == null) throw new Error('not an envelope');
+          const url = apiPaths.submissionAttachment(
+            this.projectId,
+            this.xmlFormId,
+            false,
+            instanceId,
+            envelope.xmlFile
+          );
+          return Promise.all([
+            createDecryptor(privateKeys, envelope),
+            get(url, 'arraybuffer')
+          ]).then(([decryptor, data]) =>
+            decryptor.decryptFile(envelope.xmlFile, data));
+        })
+        .then(bytes => {
+          // The keys may have changed while the submission was being
+          // decrypted.
+          if (this.privateKeys !== privateKeys) return;
+          const odata = decryptedOData(
+            new TextDecoder().decode(bytes),
+            this.$store.getters.selectableFields,
+            submission
+          );
+          this.decryptedSubmissions[instanceId] = odata != null ? odata : false;
+        })
+        .catch(error => {
+          logAxiosError(error);
+          if (this.privateKeys === privateKeys)
+            this.decryptedSubmissions[instanceId] = false;
+        })
+        .finally(() => {
+          this.awaitingDecryption = false;
+          if (this.$store.state.router.currentRoute === currentRoute)
+            this.decryptNextSubmission();
+        });
+    }
+  }
+};
+
+export default () => mixin;
@@ -0,0 +1,56 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+/*
+A component that shows submission data with the labels of the form definition
+may use this mixin, which tracks the language that the user has selected for the
+labels. The selection is read from local storage when the component is created
+(see util/label-language.js).
+
+The component using this mixin must have projectId and xmlFormId props. It
+should send a request for `xform`.
+
+The mixin adds a computed property named labelLanguage, which is the language in
+which to show labels, or `null` if names should be shown. Names are shown until
+`xform` is received. Pass labelLanguage to the child components that show
+labels, and call selectLabelLanguage() after the user selects a language.
+
+The mixin factory does not take any options.
+*/
+
+import { labelLanguage } from '../util/xform';
+import { readLabelLanguage, writeLabelLanguage } from '../util/label-language';
+
+// @vue/component
+const mixin = {
+  data() {
+    return {
+      selectedLabelLanguage: readLabelLanguage(this.projectId, this.xmlFormId)
+    };
+  },
+  computed: {
+    labelLanguage() {
+      return labelLanguage(
+        this.$store.state.request.data.xform,
+        this.selectedLabelLanguage
+      );
+    }
+  },
+  methods: {
+    selectLabelLanguage(language) {
+      this.selectedLabelLanguage = language;
+      writeLabelLanguage(this.projectId, this.xmlFormId, language);
+    }
+  }
+};
+
+export default () => mixin;
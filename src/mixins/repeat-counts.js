@@ -0,0 +1,131 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+/*
+This mixin fetches the number of instances of repeat groups, so that a table
+can show the count in a repeat group's column. The OData for a submission does
+not include the data of a repeat group, just a navigation link to a subtable of
+the repeat instances (see util/odata.js). Rather than requesting each subtable,
+we request the repeat group's entity set once for a batch of parents, filtering
+on the property that links each instance to its parent. We then count the
+instances of each parent.
+
+The component using this mixin must have projectId, xmlFormId, and draft props.
+Call fetchRepeatCounts() with the repeat groups whose counts are needed. Each
+element of the array is an object with the following properties:
+
+  - link. The navigation link to the repeat instances.
+  - entitySet. The entity set of the repeat group (see entitySet() in
+    util/odata.js).
+  - parentKey. The property that links a repeat instance to its parent (see
+    parentKey() in util/odata.js).
+  - parentId. The __id of the submission or repeat instance that contains the
+    repeat group.
+
+The counts will be stored in the repeatCounts data property, which maps each
+navigation link to its count. Requests are sent one at a time. If
+fetchRepeatCounts() is called again before all the counts have been received,
+only the counts for the new repeat groups will be requested: that way, if the
+user scrolls past a row, the counts for that row will not be requested.
+
+The mixin factory does not take any options.
+*/
+
+import request from './request';
+import { apiPaths, logAxiosError } from '../util/request';
+import { odataString } from '../util/odata';
+
+// The maximum number of parents whose counts are requested together. The
+// filter for a batch is part of the URL, so the batch must not be too large.
+const batchSize = 25;
+
+// @vue/component
+const mixin = {
+  mixins: [request()],
+  data() {
+    return {
+      repeatCounts: {}
+    };
+  },
+  created() {
+    // Repeat groups whose counts have not been requested yet
+    this.repeatCountQueue = [];
+    this.awaitingRepeatCount = false;
+  },
+  beforeDestroy() {
+    this.repeatCountQueue = [];
+  },
+  methods: {
+    fetchRepeatCounts(repeats) {
+      this.repeatCountQueue = repeats.filter(({ link }) =>
+        this.repeatCounts[link] === undefined);
+      if (!this.awaitingRepeatCount) this.fetchNextRepeatCounts();
+    },
+    // Requests the counts for the next batch of repeat groups in the queue. The
+    // repeat groups of a batch share an entity set.
+    fetchNextRepeatCounts() {
+      if (this.repeatCountQueue.length === 0) return;
+      const [first] = this.repeatCountQueue;
+      const batch = [];
+      const rest = [];
+      for (const repeat of this.repeatCountQueue) {
+        if (batch.length < batchSize && repeat.entitySet === first.entitySet &&
+          repeat.parentKey === first.parentKey)
+          batch.push(repeat);
+        else
+          rest.push(repeat);
+      }
+      this.repeatCountQueue = rest;
+
+      // A count is `null` while it is being requested.
+      for (const { link } of batch) this.$set(this.repeatCounts, link, null);
+      this.awaitingRepeatCount = true;
+      const { entitySet, parentKey } = first;
+      const url = apiPaths.odataSubtable(
+        this.projectId,
+        this.xmlFormId,
+        this.draft,
+        entitySet,
+        {
+          $filter: batch
+            .map(({ parentId }) => `${parentKey} eq ${odataString(parentId)}`)
+            .join(' or '),
+          $select: parentKey
+        }
+      );
+      const { currentRoute } = this.$store.state.router;
+      // A failed request is not shown to the user: the counts are optional.
+      this.request({ method: 'GET', url, alert: false })
+        .then(({ data }) => {
+          const counts = new Map();
+          for (const instance of data.value) {
+            const parentId = instance[parentKey];
+            counts.set(parentId, (counts.get(parentId) || 0) + 1);
+          }
+          for (const { link, parentId } of batch)
+            this.repeatCounts[link] = counts.get(parentId) || 0;
+        })
+        .catch(error => {
+          logAxiosError(error);
+          // The counts will be requested again if they are needed again.
+          for (const { link } of batch) this.$delete(this.repeatCounts, link);
+        })
+        .finally(() => {
+          this.awaitingRepeatCount = false;
+          if (this.$store.state.router.currentRoute === currentRoute)
+            this.fetchNextRepeatCounts();
+        });
+    }
+  }
+};
+
+export default () => mixin;
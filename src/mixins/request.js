@@ -12,7 +12,8 @@ except according to the terms contained in the LICENSE file.
 
 /*
 This mixin is used to send POST, PUT, PATCH, and DELETE requests. For GET
-requests, use $store.dispatch('get').
+requests, use $store.dispatch('get'), unless the response data is not stored,
+for example, if a component sends many requests in the background.
 
 The request mixin assumes that no single component sends concurrent requests. It
 is the component's responsibility to ensure that the user is not able to send
@@ -82,6 +83,10 @@ following options:
        }
        </i18n>
 
+  - alert (default: true). Specify `false` to not show an alert if the request
+    results in an error response, for example, for a request that is sent in
+    the background. The error is not logged either.
+
 Return Value
 ------------
 
@@ -99,6 +104,7 @@ watchers and updating the DOM.
 function request({
   fulfillProblem = undefined,
   problemToAlert = undefined,
+  alert = true,
   ...axiosConfig
 }) {
   const { data } = axiosConfig;
@@ -125,11 +131,13 @@ function request({
 
       if (this.awaitingResponse != null) this.awaitingResponse = false;
 
-      logAxiosError(error);
-      this.$alert().danger(requestAlertMessage(error, {
-        problemToAlert,
-        component: this
-      }));
+      if (alert) {
+        logAxiosError(error);
+        this.$alert().danger(requestAlertMessage(error, {
+          problemToAlert,
+          component: this
+        }));
+      }
       throw error;
     })
     .then(response => {
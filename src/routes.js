@@ -446,6 +446,29 @@ const routes = [
           }
         }
       }),
+      asyncRoute({
+        path: 'summary',
+        component: 'FormSummary',
+        props: true,
+        loading: 'tab',
+        meta: {
+          validateData: {
+            project: (project) => project.permits([
+              'form.read',
+              'submission.list',
+              'submission.read'
+            ]),
+            form: (form) => form.publishedAt != null
+          },
+          title: {
+            key: 'form',
+            parts: ({ form }) => [
+              i18n.t('formHead.tab.summary'),
+              form != null ? form.nameOrId() : null
+            ]
+          }
+        }
+      }),
       asyncRoute({
         path: 'public-links',
         component: 'PublicLinkList',
@@ -572,6 +595,45 @@ const routes = [
       }
     }
   }),
+  asyncRoute({
+    path: '/projects/:projectId([1-9]\\d*)/forms/:xmlFormId/submissions/:instanceId/print',
+    component: 'SubmissionPrint',
+    props: true,
+    loading: 'page',
+    meta: {
+      validateData: {
+        project: (project) => project.permits('submission.read')
+      },
+      title: {
+        key: 'form',
+        parts: ({ form }) => [
+          i18n.t('title.print'),
+          form != null ? form.nameOrId() : null
+        ]
+      }
+    }
+  }),
+  // Prints the submissions specified by the query. See SubmissionPrint.
+  asyncRoute({
+    path: '/projects/:projectId([1-9]\\d*)/forms/:xmlFormId/print',
+    name: 'SubmissionBatchPrint',
+    component: 'SubmissionPrint',
+    props: true,
+    loading: 'page',
+    meta: {
+      validateData: {
+        project: (project) =>
+          project.permits(['submission.list', 'submission.read'])
+      },
+      title: {
+        key: 'form',
+        parts: ({ form }) => [
+          i18n.t('title.print'),
+          form != null ? form.nameOrId() : null
+        ]
+      }
+    }
+  }),
 
   asyncRoute({
     path: '/users',
@@ -809,6 +871,7 @@ preserveDataForKey({
     'FormOverview',
     'FormVersionList',
     'FormSubmissions',
+    'FormSummary',
     'PublicLinkList',
     'FormSettings',
     'FormDraftStatus',
@@ -831,6 +894,7 @@ preserveDataForKey({
     'FormOverview',
     'FormVersionList',
     'FormSubmissions',
+    'FormSummary',
     'PublicLinkList',
     'FormSettings',
     'FormDraftStatus',
@@ -841,3 +905,12 @@ preserveDataForKey({
   ],
   params: ['projectId']
 });
+
+// Stepping from one submission to the next
+for (const key of ['fields', 'odataFields', 'xform', 'submissionNeighbors']) {
+  preserveDataForKey({
+    key,
+    to: ['SubmissionShow'],
+    params: ['projectId', 'xmlFormId']
+  });
+}
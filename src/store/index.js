@@ -13,9 +13,11 @@ import Vuex from 'vuex';
 
 import alert from './modules/alert';
 import config from './modules/config';
+import decryption from './modules/decryption';
+import print from './modules/print';
 import request from './modules/request';
 import router from './modules/router';
 
 export default new Vuex.Store({
-  modules: { alert, config, request, router }
+  modules: { alert, config, decryption, print, request, router }
 });
@@ -18,7 +18,21 @@ const config = {
   // `true` to allow navigation to /system/backups and `false` not to.
   showsBackups: true,
   // `true` to allow navigation to /system/analytics and `false` not to.
-  showsAnalytics: true
+  showsAnalytics: true,
+  /*
+  The raster tiles of the basemap of the submission map, or `null` to only use
+  the plain basemap, which is bundled with Frontend and does not require
+  network access. Tiles are not configured by default, because most tile
+  servers require an agreement or a key. To configure tiles, specify an object
+  like the following, where `url` is a Leaflet URL template:
+
+    {
+      url: 'https://tiles.example.com/{z}/{x}/{y}.png',
+      attribution: '&copy; Example contributors',
+      maxZoom: 19
+    }
+  */
+  mapTiles: null
 };
 
 export default {
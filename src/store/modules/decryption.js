@@ -0,0 +1,33 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+// This module stores the private keys that the user has loaded in order to
+// decrypt submissions in the browser (see util/decryption.js). The keys are
+// kept in memory only: they are forgotten after the page is reloaded or the
+// user logs out.
+
+export default {
+  state: {
+    // An array of CryptoKeys
+    privateKeys: []
+  },
+  mutations: {
+    /* eslint-disable no-param-reassign */
+    addPrivateKey(state, privateKey) {
+      state.privateKeys = [...state.privateKeys, privateKey];
+    },
+    clearPrivateKeys(state) {
+      state.privateKeys = [];
+    }
+    /* eslint-enable no-param-reassign */
+  }
+};
@@ -0,0 +1,34 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+// This module stores the submissions that the user has selected to print (see
+// SubmissionPrint). The selection may include many submissions, so it is
+// passed from SubmissionList to SubmissionPrint in memory rather than in the
+// route query. It is forgotten after the page is reloaded.
+
+export default {
+  state: {
+    // An object with `projectId`, `xmlFormId`, and `instanceIds` properties, or
+    // `null` if no submissions have been selected to print.
+    printSelection: null
+  },
+  mutations: {
+    /* eslint-disable no-param-reassign */
+    setPrintSelection(state, selection) {
+      state.printSelection = selection;
+    },
+    clearPrintSelection(state) {
+      state.printSelection = null;
+    }
+    /* eslint-enable no-param-reassign */
+  }
+};
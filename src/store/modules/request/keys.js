@@ -17,6 +17,9 @@ import FormAttachment from '../../../presenters/form-attachment';
 import Option from '../../../util/option';
 import Project from '../../../presenters/project';
 import User from '../../../presenters/user';
+import { parseAuditLog } from '../../../util/audit-log';
+import { parseXForm } from '../../../util/xform';
+import { tableFields } from '../../../util/odata';
 
 // Each type of response data that the `request` module manages is associated
 // with a key. Each key tends to correspond to a single Backend endpoint.
@@ -43,21 +46,50 @@ export const keys = [
   // The fields for a particular form version, whether the primary version or
   // otherwise
   'fields',
+  // The same fields, with paths that match the OData rather than the XML
+  'odataFields',
   'formVersions',
   'formVersionXml',
+  // The parsed XML definition of the form, whether the primary version or the
+  // draft (see util/xform.js)
+  'xform',
   'formDraft',
   // Form draft attachments
   'attachments',
   // A single chunk of submissions OData for a particular form version
   'odataChunk',
+  // The count of submissions OData for a particular form version, without any
+  // submissions
+  'odataCount',
+  // A single chunk of submissions OData, added to the summary shown by
+  // FormSummary
+  'summaryChunk',
+  // A single chunk of the OData for the instances of a repeat group
+  'repeatChunk',
   // Encryption keys for a particular form version
   'keys',
   'submitters',
   'submission',
+  // The submissions OData around a submission in the table that the user
+  // navigated from (see SubmissionShow)
+  'submissionNeighbors',
   'audits',
   'comments',
   'diffs',
   'submissionVersion',
+  // The versions of an edited submission
+  'submissionVersions',
+  // The XML of a version of a submission, shown by SubmissionVersionSnapshot
+  'versionXml',
+  // The XML of two versions of a submission, compared by
+  // SubmissionVersionCompare
+  'oldVersionXml',
+  'newVersionXml',
+  // The XML of a submission (see util/submission-data.js)
+  'submissionXml',
+  // The audit log that ODK Collect attached to a submission (see
+  // util/audit-log.js)
+  'auditLog',
   'publicLinks',
   'fieldKeys',
 
@@ -93,7 +125,9 @@ export const transforms = {
   deletedForms: formPresenters,
   form: formPresenter,
   fields: ({ data }) => data.map(field => new Field(field)),
+  odataFields: ({ data }) => data.map(field => new Field(field)),
   formVersions: formPresenters,
+  xform: ({ data }) => parseXForm(data),
   formDraft: option(formPresenter),
   attachments: option(({ data }) =>
     data.map(attachment => new FormAttachment(attachment))),
@@ -102,7 +136,14 @@ export const transforms = {
     filtered: config.url.includes('%24filter=')
   }),
   submission: ({ data }) => data.value[0],
+  // Recording the $skip query parameter so that the position of each
+  // submission can be determined
+  submissionNeighbors: ({ data, config }) => ({
+    ...data,
+    skip: Number(new URL(config.url, window.location.origin).searchParams.get('$skip'))
+  }),
   audits: ({ data }) => data.map(audit => new Audit(audit)),
+  auditLog: ({ data }) => parseAuditLog(data),
   fieldKeys: ({ data }) => data.map(fieldKey => new FieldKey(fieldKey)),
 
   backupsConfig: option(),
@@ -134,29 +175,10 @@ const dataGetters = {
     ];
   },
 
-  selectableFields: ({ data: { fields } }) => {
-    if (fields == null) return null;
-    const selectable = [];
-    // The path of the top-level repeat group currently being traversed
-    let repeat = null;
-    for (const field of fields) {
-      const { path } = field;
-      if (repeat == null || !path.startsWith(repeat)) {
-        repeat = null;
-        // Note that `type` may be `undefined`, though I have seen this only in
-        // the Widgets sample form (<branch>):
-        // https://github.com/getodk/sample-forms/blob/e9fe5838e106b04bf69f43a8a791327093571443/Widgets.xml
-        const { type } = field;
-        if (type === 'repeat') {
-          repeat = `${path}/`;
-        } else if (type !== 'structure' && path !== '/meta/instanceID' &&
-          path !== '/instanceID') {
-          selectable.push(field);
-        }
-      }
-    }
-    return selectable;
-  },
+  // The fields that can be shown as columns of the table of submissions. A
+  // repeat group is shown as a single column.
+  selectableFields: ({ data: { fields } }) =>
+    (fields != null ? tableFields(fields) : null),
   binaryFieldPaths: ({ data: { fields } }) => {
     if (fields == null) return null;
     return fields.reduce(
@@ -91,6 +91,10 @@ const loaders = new Map()
     /* webpackChunkName: "component-form-submissions" */
     '../components/form/submissions.vue'
   )))
+  .set('FormSummary', loader(() => import(
+    /* webpackChunkName: "component-form-summary" */
+    '../components/form/summary.vue'
+  )))
   .set('FormVersionList', loader(() => import(
     /* webpackChunkName: "component-form-version-list" */
     '../components/form-version/list.vue'
@@ -135,6 +139,18 @@ const loaders = new Map()
     /* webpackChunkName: "component-submission-show" */
     '../components/submission/show.vue'
   )))
+  .set('SubmissionDataMap', loader(() => import(
+    /* webpackChunkName: "component-submission-data-map" */
+    '../components/submission/data/map.vue'
+  )))
+  .set('SubmissionMap', loader(() => import(
+    /* webpackChunkName: "component-submission-map" */
+    '../components/submission/map.vue'
+  )))
+  .set('SubmissionPrint', loader(() => import(
+    /* webpackChunkName: "component-submission-print" */
+    '../components/submission/print.vue'
+  )))
   .set('SystemHome', loader(() => import(
     /* webpackChunkName: "component-system-home" */
     '../components/system/home.vue'
@@ -0,0 +1,248 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+/*
+This module parses and analyzes the audit log that ODK Collect attaches to a
+submission if the form has an `audit` metadata question. The audit log is a CSV
+file (usually named audit.csv) with one row per event. It always has the
+columns event, node, start, and end, where start and end are Unix timestamps in
+milliseconds. Depending on the options of the audit question, it may also have
+the columns latitude, longitude, and accuracy (location tracking), old-value
+and new-value (change tracking), user, and change-reason.
+*/
+
+import { numberStatistics } from './submission-summary';
+
+// Returns an array of rows, each of which is an array of strings.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"') {
+        if (text[i + 1] === '"') {
+          value += '"';
+          i += 1;
+        } else {
+          quoted = false;
+        }
+      } else {
+        value += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(value);
+      value = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += c;
+    }
+  }
+  if (value !== '' || row.length !== 0) {
+    row.push(value);
+    rows.push(row);
+  }
+  return rows;
+};
+
+const parseNumber = (value) => {
+  if (value == null || value.trim() === '') return null;
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+const parseText = (value) => (value != null && value !== '' ? value : null);
+
+// Events for which Collect records the time spent in the event
+const questionEvents = ['question', 'group questions'];
+// Events that start or end a session of filling out the form
+export const sessionEvents = [
+  'form start',
+  'form resume',
+  'form save',
+  'form exit',
+  'form finalize'
+];
+
+/*
+parseAuditLog() parses the text of an audit log, returning an object with the
+following properties:
+
+  - events. An array of events in the order that they were logged. Each event
+    is an object with the following properties:
+    - event. The type of event, for example, 'question' or 'form exit'.
+    - node. The path of the question or group in the submission XML, including
+      the name of the root element, or `null` if the event is not associated
+      with a node.
+    - start, end. Timestamps in milliseconds, or `null`.
+    - duration. The number of milliseconds between start and end, or `null`.
+    - latitude, longitude, accuracy. Numbers, or `null`.
+    - oldValue, newValue. Strings, or `null`.
+    - user, changeReason. Strings, or `null`.
+    - back. `true` if the user navigated back to a question that they had
+      already passed.
+  - hasLocation. `true` if any event has a location.
+  - hasChanges. `true` if the audit log has change tracking columns.
+
+parseAuditLog() returns `null` if the text does not look like an audit log.
+*/
+export const parseAuditLog = (text) => {
+  if (typeof text !== 'string') return null;
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (header == null) return null;
+  const columns = new Map(header.map((name, index) => [name.trim(), index]));
+  if (!columns.has('event') || !columns.has('node') ||
+    !columns.has('start') || !columns.has('end'))
+    return null;
+  const column = (row, name) =>
+    (columns.has(name) ? row[columns.get(name)] : null);
+
+  // The position of each question in the order in which it was first visited,
+  // used to detect back navigation
+  const positions = new Map();
+  let lastPosition = -1;
+  const events = [];
+  for (const row of rows) {
+    const event = parseText(column(row, 'event'));
+    if (event != null) {
+      const start = parseNumber(column(row, 'start'));
+      const end = parseNumber(column(row, 'end'));
+      const node = parseText(column(row, 'node'));
+      let back = false;
+      if (questionEvents.includes(event) && node != null) {
+        if (!positions.has(node)) positions.set(node, positions.size);
+        const position = positions.get(node);
+        back = position < lastPosition;
+        lastPosition = position;
+      } else if (event === 'form resume' || event === 'jump') {
+        // The user may resume the form or jump to any question.
+        lastPosition = -1;
+      }
+      events.push({
+        event,
+        node,
+        start,
+        end,
+        duration: start != null && end != null ? end - start : null,
+        latitude: parseNumber(column(row, 'latitude')),
+        longitude: parseNumber(column(row, 'longitude')),
+        accuracy: parseNumber(column(row, 'accuracy')),
+        oldValue: parseText(column(row, 'old-value')),
+        newValue: parseText(column(row, 'new-value')),
+        user: parseText(column(row, 'user')),
+        changeReason: parseText(column(row, 'change-reason')),
+        back
+      });
+    }
+  }
+  return {
+    events,
+    hasLocation: events.some(({ latitude, longitude }) =>
+      latitude != null && longitude != null),
+    hasChanges: columns.has('old-value') && columns.has('new-value')
+  };
+};
+
+// Returns `true` if the event changed an answer that had already been given.
+export const isChange = ({ oldValue, newValue }) =>
+  oldValue != null && oldValue !== newValue;
+
+// Returns the path of a node relative to the root element, without the
+// positions of repeat instances, so that it can be compared to the path of a
+// field. For example, '/data/r[2]/q' becomes '/r/q'.
+export const fieldPath = (node) =>
+  node.replace(/^\/[^/]+/, '').replace(/\[\d+\]/g, '');
+
+/*
+questionTimes() returns the total time spent on each question or group of
+questions shown on the same screen, as an array of objects with properties
+`node` and `duration`, in the order in which the nodes were first visited.
+Time spent on different instances of a repeat group is combined if
+`combineRepeats` is `true`.
+*/
+export const questionTimes = ({ events }, combineRepeats = false) => {
+  const times = new Map();
+  for (const { event, node, duration } of events) {
+    if (questionEvents.includes(event) && node != null && duration != null) {
+      const key = combineRepeats ? fieldPath(node) : node;
+      times.set(key, (times.has(key) ? times.get(key) : 0) + duration);
+    }
+  }
+  return [...times].map(([node, duration]) => ({ node, duration }));
+};
+
+/*
+auditLogStatistics() returns an object with the following properties:
+
+  - duration. The number of milliseconds between the first and last event.
+  - questionDuration. The number of milliseconds spent on questions.
+  - sessions. The number of times that the form was started or resumed.
+  - backNavigations. The number of times that the user navigated back.
+  - changes. The number of answers that were changed.
+*/
+export const auditLogStatistics = (auditLog) => {
+  const { events } = auditLog;
+  let first = null;
+  let last = null;
+  for (const { start, end } of events) {
+    for (const timestamp of [start, end]) {
+      if (timestamp != null) {
+        if (first == null || timestamp < first) first = timestamp;
+        if (last == null || timestamp > last) last = timestamp;
+      }
+    }
+  }
+  return {
+    duration: first != null ? last - first : 0,
+    questionDuration: questionTimes(auditLog)
+      .reduce((sum, { duration }) => sum + duration, 0),
+    sessions: events.filter(({ event }) =>
+      event === 'form start' || event === 'form resume').length,
+    backNavigations: events.filter(({ back }) => back).length,
+    changes: events.filter(isChange).length
+  };
+};
+
+/*
+medianQuestionTimes() aggregates the audit logs of many submissions. It returns
+an array of objects with the following properties, in the order in which the
+questions were first visited:
+
+  - node. The path of the question relative to the root element, without the
+    positions of repeat instances (see fieldPath()).
+  - median. The median number of milliseconds spent on the question by a
+    submission that visited it.
+  - count. The number of submissions that visited the question.
+*/
+export const medianQuestionTimes = (auditLogs) => {
+  const durations = new Map();
+  for (const auditLog of auditLogs) {
+    for (const { node, duration } of questionTimes(auditLog, true)) {
+      if (!durations.has(node)) durations.set(node, []);
+      durations.get(node).push(duration);
+    }
+  }
+  return [...durations].map(([node, values]) => ({
+    node,
+    median: numberStatistics(values).median,
+    count: values.length
+  }));
+};
@@ -58,3 +58,26 @@ export const formatDateTime = (dateTime, relative = false) => {
   const time = formatTime(dateTime, !relative);
   return `${date} ${time}`;
 };
+
+// Formats a number of milliseconds as a duration, for example, "2 min 5 s".
+export const formatDuration = (milliseconds) => {
+  const totalSeconds = Math.round(milliseconds / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours !== 0) {
+    return i18n.t('util.dateTime.duration.hours', {
+      hours: i18n.n(hours, 'default'),
+      minutes: i18n.n(minutes, 'default')
+    });
+  }
+  if (minutes !== 0) {
+    return i18n.t('util.dateTime.duration.minutes', {
+      minutes: i18n.n(minutes, 'default'),
+      seconds: i18n.n(seconds, 'default')
+    });
+  }
+  return i18n.t('util.dateTime.duration.seconds', {
+    seconds: i18n.n(seconds, 'default')
+  });
+};
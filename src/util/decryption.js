@@ -0,0 +1,524 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+/*
+This module decrypts encrypted submissions in the browser using WebCrypto, so
+that the private key and any passphrase never leave the client.
+
+ODK Collect encrypts a submission as follows:
+
+  - It generates a random 256-bit AES key for the submission. The key is
+    encrypted with the form's RSA public key (RSA-OAEP with SHA-256), then
+    included in the submission envelope as base64EncryptedKey.
+  - It encrypts each media file, then the submission XML, using AES-CFB with
+    PKCS #5 padding. The IV of each file is derived from the MD5 hash of the
+    instance ID and the AES key, with one byte incremented per file.
+
+The submission XML that Backend returns for an encrypted submission is the
+envelope. The encrypted files are attachments of the submission.
+*/
+
+// Cryptography is bitwise.
+/* eslint-disable no-bitwise */
+
+import { isGeoField, parseOdkGeometry } from './geo';
+
+////////////////////////////////////////////////////////////////////////////////
+// MD5
+
+// WebCrypto does not support MD5, which is needed to derive the IVs.
+
+const md5Shifts = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const md5Constants = [];
+for (let i = 0; i < 64; i += 1)
+  md5Constants.push(Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0);
+
+// Returns the MD5 hash of a Uint8Array as a Uint8Array.
+export const md5 = (bytes) => {
+  const { length } = bytes;
+  const paddedLength = (((length + 8) >> 6) + 1) << 6;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(bytes);
+  padded[length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(paddedLength - 8, (length * 8) >>> 0, true);
+  view.setUint32(paddedLength - 4, Math.floor(length / 0x20000000), true);
+
+  const state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    let [a, b, c, d] = state;
+    for (let i = 0; i < 64; i += 1) {
+      let f;
+      let g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+      const shift = md5Shifts[(i >> 4) * 4 + (i % 4)];
+      const sum = (a + f + md5Constants[i] + view.getUint32(offset + g * 4, true)) | 0;
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+    }
+    state[0] = (state[0] + a) | 0;
+    state[1] = (state[1] + b) | 0;
+    state[2] = (state[2] + c) | 0;
+    state[3] = (state[3] + d) | 0;
+  }
+
+  const digest = new Uint8Array(16);
+  const digestView = new DataView(digest.buffer);
+  state.forEach((word, i) => { digestView.setUint32(i * 4, word, true); });
+  return digest;
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// PRIVATE KEY
+
+const base64ToBytes = (base64) =>
+  Uint8Array.from(atob(base64.replace(/\s+/g, '')), char => char.charCodeAt(0));
+
+const hex = (bytes) => [...bytes]
+  .map(byte => byte.toString(16).padStart(2, '0'))
+  .join('');
+
+// Reads the DER element at `offset`, returning its tag and the bounds of its
+// content.
+const readDer = (bytes, offset) => {
+  if (offset + 2 > bytes.length) throw new Error('invalid DER');
+  const tag = bytes[offset];
+  let length = bytes[offset + 1];
+  let start = offset + 2;
+  if ((length & 0x80) !== 0) {
+    const lengthBytes = length & 0x7f;
+    length = 0;
+    for (let i = 0; i < lengthBytes; i += 1)
+      length = length * 256 + bytes[start + i];
+    start += lengthBytes;
+  }
+  const end = start + length;
+  if (end > bytes.length) throw new Error('invalid DER');
+  return { tag, start, end, content: bytes.subarray(start, end) };
+};
+
+// Returns the elements within a DER sequence.
+const derChildren = (bytes, { start, end }) => {
+  const children = [];
+  for (let offset = start; offset < end;) {
+    const child = readDer(bytes, offset);
+    children.push(child);
+    offset = child.end;
+  }
+  return children;
+};
+
+const derLength = (length) => {
+  if (length < 0x80) return [length];
+  const bytes = [];
+  for (let remaining = length; remaining > 0; remaining = Math.floor(remaining / 256))
+    bytes.unshift(remaining & 0xff);
+  return [0x80 | bytes.length, ...bytes];
+};
+
+const derElement = (tag, content) => {
+  const length = derLength(content.length);
+  const element = new Uint8Array(1 + length.length + content.length);
+  element[0] = tag;
+  element.set(length, 1);
+  element.set(content, 1 + length.length);
+  return element;
+};
+
+const concatBytes = (arrays) => {
+  const result = new Uint8Array(arrays.reduce((sum, { length }) => sum + length, 0));
+  let offset = 0;
+  for (const array of arrays) {
+    result.set(array, offset);
+    offset += array.length;
+  }
+  return result;
+};
+
+// WebCrypto imports only PKCS #8, so a PKCS #1 key (BEGIN RSA PRIVATE KEY) is
+// wrapped in a PKCS #8 structure.
+const rsaEncryptionAlgorithm = Uint8Array.from([
+  0x30, 0x0d, 0x06, 0x09, 0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x01, 0x01, 0x01,
+  0x05, 0x00
+]);
+const pkcs1ToPkcs8 = (pkcs1) => derElement(0x30, concatBytes([
+  Uint8Array.from([0x02, 0x01, 0x00]),
+  rsaEncryptionAlgorithm,
+  derElement(0x04, pkcs1)
+]));
+
+// Object identifiers (the hex of their DER content) used by an encrypted PKCS
+// #8 key
+const oids = {
+  pbes2: '2a864886f70d01050d',
+  pbkdf2: '2a864886f70d01050c',
+  hmacWithSHA1: '2a864886f70d0207',
+  hmacWithSHA256: '2a864886f70d0209',
+  aes128Cbc: '608648016503040102',
+  aes256Cbc: '60864801650304012a'
+};
+
+// Decrypts an encrypted PKCS #8 key (BEGIN ENCRYPTED PRIVATE KEY), which must
+// use PBES2 with PBKDF2 and AES-CBC. OpenSSL uses those by default.
+const decryptPkcs8 = async (der, passphrase) => {
+  const [algorithm, encrypted] = derChildren(der, readDer(der, 0));
+  const [algorithmOid, pbes2Params] = derChildren(der, algorithm);
+  if (hex(algorithmOid.content) !== oids.pbes2)
+    throw new Error('unsupported key encryption');
+  const [kdf, scheme] = derChildren(der, pbes2Params);
+  const [kdfOid, kdfParams] = derChildren(der, kdf);
+  if (hex(kdfOid.content) !== oids.pbkdf2)
+    throw new Error('unsupported key derivation');
+  const [salt, iterations, ...optional] = derChildren(der, kdfParams);
+  const prf = optional.find(element => element.tag === 0x30);
+  const prfOid = prf != null ? hex(derChildren(der, prf)[0].content) : oids.hmacWithSHA1;
+  if (prfOid !== oids.hmacWithSHA1 && prfOid !== oids.hmacWithSHA256)
+    throw new Error('unsupported key derivation');
+  const [schemeOid, iv] = derChildren(der, scheme);
+  const schemeHex = hex(schemeOid.content);
+  if (schemeHex !== oids.aes128Cbc && schemeHex !== oids.aes256Cbc)
+    throw new Error('unsupported key encryption');
+
+  const { subtle } = window.crypto;
+  const passphraseKey = await subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  const aesKey = await subtle.deriveKey(
+    {
+      name: 'PBKDF2',
+      salt: salt.content,
+      iterations: iterations.content.reduce((sum, byte) => sum * 256 + byte, 0),
+      hash: prfOid === oids.hmacWithSHA256 ? 'SHA-256' : 'SHA-1'
+    },
+    passphraseKey,
+    { name: 'AES-CBC', length: schemeHex === oids.aes256Cbc ? 256 : 128 },
+    false,
+    ['decrypt']
+  );
+  const decrypted = await subtle.decrypt(
+    { name: 'AES-CBC', iv: iv.content },
+    aesKey,
+    encrypted.content
+  );
+  return new Uint8Array(decrypted);
+};
+
+/*
+importPrivateKey() imports a PEM private key, returning a promise that resolves
+to a CryptoKey. The key may be PKCS #1 (BEGIN RSA PRIVATE KEY), PKCS #8 (BEGIN
+PRIVATE KEY), or encrypted PKCS #8 (BEGIN ENCRYPTED PRIVATE KEY), in which case
+`passphrase` is used to decrypt it. The promise is rejected if the key cannot be
+imported, for example, because the passphrase is incorrect.
+*/
+export const importPrivateKey = async (pem, passphrase = '') => {
+  const match = pem.match(/-----BEGIN ([A-Z ]+)-----([^-]*)-----END \1-----/);
+  if (match == null) throw new Error('invalid PEM');
+  const [, label, body] = match;
+  // A legacy encrypted PKCS #1 key has headers, which are not supported.
+  if (body.includes(':')) throw new Error('unsupported key encryption');
+  let der = base64ToBytes(body);
+  if (label === 'RSA PRIVATE KEY')
+    der = pkcs1ToPkcs8(der);
+  else if (label === 'ENCRYPTED PRIVATE KEY')
+    der = await decryptPkcs8(der, passphrase);
+  else if (label !== 'PRIVATE KEY')
+    throw new Error('not a private key');
+  return window.crypto.subtle.importKey(
+    'pkcs8',
+    der,
+    { name: 'RSA-OAEP', hash: 'SHA-256' },
+    false,
+    ['decrypt']
+  );
+};
+
+// The number of PBKDF2 iterations that Backend uses to derive the key that
+// encrypts the private key of a managed key
+const managedKeyIterations = 128000;
+
+/*
+importManagedKey() imports the private key of a project that uses managed
+encryption. When managed encryption is enabled, Backend generates the key pair,
+then encrypts the private key (PEM) using AES-256-CBC with a key derived from
+the passphrase (PBKDF2 with SHA-256). `encrypted` is an object with the
+base64-encoded privkey, salt, and iv that Backend stores. importManagedKey()
+returns a promise that resolves to a CryptoKey. The promise is rejected if the
+passphrase is incorrect.
+*/
+export const importManagedKey = async ({ privkey, salt, iv }, passphrase) => {
+  const { subtle } = window.crypto;
+  const passphraseKey = await subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  const aesKey = await subtle.deriveKey(
+    {
+      name: 'PBKDF2',
+      salt: base64ToBytes(salt),
+      iterations: managedKeyIterations,
+      hash: 'SHA-256'
+    },
+    passphraseKey,
+    { name: 'AES-CBC', length: 256 },
+    false,
+    ['decrypt']
+  );
+  const pem = await subtle.decrypt(
+    { name: 'AES-CBC', iv: base64ToBytes(iv) },
+    aesKey,
+    base64ToBytes(privkey)
+  );
+  return importPrivateKey(new TextDecoder().decode(pem));
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// SUBMISSIONS
+
+const childText = (doc, localName) => {
+  const element = doc.getElementsByTagNameNS('*', localName)[0];
+  return element != null ? element.textContent.trim() : null;
+};
+
+/*
+parseEnvelope() parses the XML of an encrypted submission, returning an object
+with the following properties, or `null` if the XML is not an envelope:
+
+  - instanceId
+  - encryptedKey. The base64-encoded AES key, encrypted with the public key.
+  - xmlFile. The name of the attachment with the encrypted submission XML.
+  - media. The names of the attachments with the encrypted media files, in the
+    order in which they were encrypted.
+*/
+export const parseEnvelope = (xml) => {
+  const doc = new DOMParser().parseFromString(xml, 'text/xml');
+  const encryptedKey = childText(doc, 'base64EncryptedKey');
+  const xmlFile = childText(doc, 'encryptedXmlFile');
+  const instanceId = childText(doc, 'instanceID');
+  if (encryptedKey == null || xmlFile == null || instanceId == null)
+    return null;
+  const media = [...doc.getElementsByTagNameNS('*', 'file')]
+    .map(file => file.textContent.trim());
+  return { instanceId, encryptedKey, xmlFile, media };
+};
+
+// Returns the name of a decrypted file.
+export const decryptedFilename = (name) => name.replace(/\.enc$/, '');
+
+const blockSize = 16;
+// The number of blocks to encrypt concurrently
+const batchSize = 1024;
+
+/*
+WebCrypto does not support AES-CFB. However, decrypting AES-CFB only requires
+encrypting blocks of the ciphertext, and AES-CBC encryption of a single block
+with that block as the IV and a zero block as the plaintext does exactly that.
+That is one WebCrypto call per block, so the blocks are encrypted concurrently.
+*/
+const decryptCfb = async (cbcKey, iv, ciphertext) => {
+  if (ciphertext.length === 0 || ciphertext.length % blockSize !== 0)
+    throw new Error('invalid ciphertext');
+  const zeros = new Uint8Array(blockSize);
+  const blockCount = ciphertext.length / blockSize;
+  const plaintext = new Uint8Array(ciphertext.length);
+  for (let batchStart = 0; batchStart < blockCount; batchStart += batchSize) {
+    const promises = [];
+    const batchEnd = Math.min(batchStart + batchSize, blockCount);
+    for (let i = batchStart; i < batchEnd; i += 1) {
+      const previous = i === 0
+        ? iv
+        : ciphertext.subarray((i - 1) * blockSize, i * blockSize);
+      promises.push(window.crypto.subtle.encrypt(
+        { name: 'AES-CBC', iv: previous },
+        cbcKey,
+        zeros
+      ));
+    }
+    // eslint-disable-next-line no-await-in-loop
+    const keystream = await Promise.all(promises);
+    keystream.forEach((buffer, index) => {
+      const block = new Uint8Array(buffer, 0, blockSize);
+      const offset = (batchStart + index) * blockSize;
+      for (let j = 0; j < blockSize; j += 1)
+        plaintext[offset + j] = ciphertext[offset + j] ^ block[j];
+    });
+  }
+
+  // PKCS #5 padding
+  const padding = plaintext[plaintext.length - 1];
+  if (padding < 1 || padding > blockSize ||
+    plaintext.subarray(plaintext.length - padding).some(byte => byte !== padding))
+    throw new Error('invalid padding');
+  return plaintext.subarray(0, plaintext.length - padding);
+};
+
+/*
+createDecryptor() returns a promise that resolves to an object for decrypting
+the files of a submission. `privateKeys` is an array of CryptoKeys, which are
+tried in turn: the promise is rejected if none of them can decrypt the AES key
+of the submission. The object has a single method, decryptFile(name, data),
+which decrypts the attachment named `name` of the envelope. `data` is an
+ArrayBuffer with the content of the attachment. decryptFile() returns a promise
+that resolves to a Uint8Array.
+*/
+export const createDecryptor = async (privateKeys, envelope) => {
+  const { subtle } = window.crypto;
+  const encryptedKey = base64ToBytes(envelope.encryptedKey);
+  let aesKey = null;
+  for (const privateKey of privateKeys) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      aesKey = new Uint8Array(await subtle.decrypt(
+        { name: 'RSA-OAEP' },
+        privateKey,
+        encryptedKey
+      ));
+      break;
+    } catch (e) {
+      // Try the next key.
+    }
+  }
+  if (aesKey == null) throw new Error('no matching private key');
+  const cbcKey = await subtle.importKey('raw', aesKey, 'AES-CBC', false, ['encrypt']);
+
+  const encoder = new TextEncoder();
+  const ivSeed = md5(concatBytes([encoder.encode(envelope.instanceId), aesKey]));
+  // The files are encrypted in this order.
+  const files = [...envelope.media, envelope.xmlFile];
+  const iv = (index) => {
+    const result = Uint8Array.from(ivSeed);
+    for (let i = 0; i <= index; i += 1) result[i % blockSize] += 1;
+    return result;
+  };
+
+  return {
+    decryptFile: (name, data) => {
+      const index = files.indexOf(name);
+      if (index === -1) return Promise.reject(new Error('unknown file'));
+      return decryptCfb(cbcKey, iv(index), new Uint8Array(data));
+    }
+  };
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// ODATA
+
+// Backend replaces characters that are not allowed in an OData identifier.
+const odataName = (name) =>
+  name.replace(/^([^a-z_])/i, '_$1').replace(/([^a-z0-9_])/gi, '_');
+
+const wktPositions = (positions) => positions
+  .map(position => position.join(' '))
+  .join(', ');
+
+// Returns an ODK geo value as WKT, matching the OData with the $wkt query
+// parameter.
+const odkToWkt = (value, type) => {
+  const geometry = parseOdkGeometry(value, type);
+  if (geometry == null) return value;
+  const { coordinates } = geometry;
+  if (geometry.type === 'Point') {
+    // Backend includes the altitude of a point.
+    const altitude = value.trim().split(/\s+/)[2];
+    const position = altitude != null
+      ? [...coordinates, Number(altitude)]
+      : coordinates;
+    return `POINT (${position.join(' ')})`;
+  }
+  if (geometry.type === 'LineString')
+    return `LINESTRING (${wktPositions(coordinates)})`;
+  return `POLYGON ((${wktPositions(coordinates[0])}))`;
+};
+
+const odataValue = (text, field) => {
+  switch (field.type) {
+    case 'int': {
+      const value = Number.parseInt(text, 10);
+      return Number.isNaN(value) ? text : value;
+    }
+    case 'decimal': {
+      const value = Number.parseFloat(text);
+      return Number.isNaN(value) ? text : value;
+    }
+    default:
+      return isGeoField(field) ? odkToWkt(text, field.type) : text;
+  }
+};
+
+/*
+decryptedOData() returns the OData of a decrypted submission: it reads the
+values of `fields` from the decrypted submission XML. `fields` are the fields
+returned with the `odata` query parameter. The data of repeat groups is not
+included, because Backend cannot return the repeat instances of an encrypted
+submission. `odata` is the original OData of the submission, whose __id and
+__system properties are kept. `__system.decrypted` is set to `true`.
+
+decryptedOData() returns `null` if the XML cannot be parsed.
+*/
+export const decryptedOData = (xml, fields, odata) => {
+  const doc = new DOMParser().parseFromString(xml, 'text/xml');
+  if (doc.getElementsByTagName('parsererror').length !== 0) return null;
+  const result = {
+    __id: odata.__id,
+    __system: { ...odata.__system, decrypted: true }
+  };
+  const repeatPaths = [];
+  for (const field of fields) {
+    if (field.type === 'repeat') repeatPaths.push(`${field.path}/`);
+    if (field.type !== 'repeat' && field.type !== 'structure' &&
+      !repeatPaths.some(repeatPath => field.path.startsWith(repeatPath))) {
+      let element = doc.documentElement;
+      for (const name of field.splitPath()) {
+        element = element != null
+          ? [...element.children].find(child => odataName(child.localName) === name)
+          : null;
+      }
+      if (element != null && element.children.length === 0 &&
+        element.textContent !== '') {
+        const names = field.splitPath();
+        let parent = result;
+        for (const name of names.slice(0, -1)) {
+          if (parent[name] == null) parent[name] = {};
+          parent = parent[name];
+        }
+        parent[names[names.length - 1]] = odataValue(element.textContent, field);
+      }
+    }
+  }
+  return result;
+};
@@ -0,0 +1,161 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+// The types of fields whose values are geometries
+export const geoFieldTypes = ['geopoint', 'geotrace', 'geoshape'];
+
+export const isGeoField = (field) => geoFieldTypes.includes(field.type);
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// WKT
+
+/*
+If the $wkt query parameter is specified, OData returns the value of a geo field
+as Well-Known Text, for example:
+
+  - geopoint: POINT (-122.3 47.6 12.5)
+  - geotrace: LINESTRING (-122.3 47.6 0, -122.4 47.7 0)
+  - geoshape: POLYGON ((-122.3 47.6 0, -122.4 47.7 0, -122.3 47.7 0, -122.3 47.6 0))
+
+Each position is longitude, then latitude, optionally followed by altitude (and
+potentially accuracy). parseWkt() returns the geometry as a GeoJSON geometry
+object, keeping only the longitude and latitude of each position. It returns
+`null` if the text cannot be parsed.
+*/
+
+const parsePosition = (text) => {
+  const numbers = text.trim().split(/\s+/).map(Number);
+  if (numbers.length < 2 || numbers.some(Number.isNaN)) return null;
+  const [longitude, latitude] = numbers;
+  if (Math.abs(longitude) > 180 || Math.abs(latitude) > 90) return null;
+  return [longitude, latitude];
+};
+
+const parsePositions = (text) => {
+  const positions = text.split(',').map(parsePosition);
+  return positions.every(position => position != null) ? positions : null;
+};
+
+export const parseWkt = (wkt) => {
+  if (typeof wkt !== 'string') return null;
+  const match = /^\s*(POINT|LINESTRING|POLYGON)\s*\((.*)\)\s*$/i.exec(wkt);
+  if (match == null) return null;
+  const type = match[1].toUpperCase();
+  const body = match[2];
+  if (type === 'POINT') {
+    const position = parsePosition(body);
+    return position != null ? { type: 'Point', coordinates: position } : null;
+  }
+  if (type === 'LINESTRING') {
+    const positions = parsePositions(body);
+    return positions != null && positions.length >= 2
+      ? { type: 'LineString', coordinates: positions }
+      : null;
+  }
+  // POLYGON: one or more rings, each of which is enclosed in parentheses
+  const rings = [];
+  const ringPattern = /\(([^()]*)\)/g;
+  for (let ring = ringPattern.exec(body); ring != null; ring = ringPattern.exec(body)) {
+    const positions = parsePositions(ring[1]);
+    if (positions == null || positions.length < 4) return null;
+    rings.push(positions);
+  }
+  return rings.length !== 0 ? { type: 'Polygon', coordinates: rings } : null;
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// ODK GEOMETRIES
+
+/*
+In the XML of a submission, the value of a geo field uses the ODK format:
+
+  - geopoint: latitude, longitude, altitude, and accuracy, separated by spaces.
+    Altitude and accuracy are optional. For example: 47.6 -122.3 12.5 5
+  - geotrace: two or more geopoints, separated by semicolons
+  - geoshape: like a geotrace, but the first and last points are the same
+
+parseOdkGeometry() returns the value as a GeoJSON geometry object, keeping only
+the longitude and latitude of each position. `type` is the type of the field.
+It returns `null` if the value cannot be parsed.
+*/
+
+const parseOdkPosition = (text) => {
+  const numbers = text.trim().split(/\s+/).map(Number);
+  if (numbers.length < 2 || numbers.some(Number.isNaN)) return null;
+  const [latitude, longitude] = numbers;
+  if (Math.abs(longitude) > 180 || Math.abs(latitude) > 90) return null;
+  return [longitude, latitude];
+};
+
+export const parseOdkGeometry = (value, type) => {
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  if (type === 'geopoint') {
+    const position = parseOdkPosition(value);
+    return position != null ? { type: 'Point', coordinates: position } : null;
+  }
+  const positions = value.split(';')
+    .filter(text => text.trim() !== '')
+    .map(parseOdkPosition);
+  if (positions.some(position => position == null)) return null;
+  if (type === 'geotrace') {
+    return positions.length >= 2
+      ? { type: 'LineString', coordinates: positions }
+      : null;
+  }
+  if (type === 'geoshape') {
+    return positions.length >= 4
+      ? { type: 'Polygon', coordinates: [positions] }
+      : null;
+  }
+  return null;
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// CLUSTERS
+
+/*
+clusterPoints() groups points that are close to each other on the screen. Each
+point must have `x` and `y` properties, which are pixel coordinates at the
+current zoom level. Points are grouped by the square cell of a grid that they
+fall in, where each cell is `cellSize` pixels wide.
+
+clusterPoints() returns an array of clusters. Each cluster is an object with the
+following properties:
+
+  - points. The points in the cluster.
+  - x and y. The average of the pixel coordinates of the points.
+*/
+export const clusterPoints = (points, cellSize) => {
+  const clusters = new Map();
+  for (const point of points) {
+    const key = `${Math.floor(point.x / cellSize)},${Math.floor(point.y / cellSize)}`;
+    const cluster = clusters.get(key);
+    if (cluster == null)
+      clusters.set(key, { points: [point], x: point.x, y: point.y });
+    else
+      cluster.points.push(point);
+  }
+  for (const cluster of clusters.values()) {
+    const count = cluster.points.length;
+    if (count !== 1) {
+      cluster.x = cluster.points.reduce((sum, { x }) => sum + x, 0) / count;
+      cluster.y = cluster.points.reduce((sum, { y }) => sum + y, 0) / count;
+    }
+  }
+  return [...clusters.values()];
+};
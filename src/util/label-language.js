@@ -0,0 +1,40 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+// Submission data can be shown with the labels of the form definition or with
+// the names of fields and choices. The user's choice is stored in local storage
+// for each form, so that it is shared by the submission table and the
+// submission detail page. See labelLanguage() in util/xform.js.
+
+import { localStore } from './storage';
+
+const storageKey = (projectId, xmlFormId) =>
+  `submissionLabels:${projectId}:${xmlFormId}`;
+
+// Returns the language that the user has selected, `null` if the user has
+// chosen to show names, or `undefined` if nothing has been stored or if what is
+// stored cannot be read.
+export const readLabelLanguage = (projectId, xmlFormId) => {
+  const item = localStore.getItem(storageKey(projectId, xmlFormId));
+  if (item == null) return undefined;
+  let stored;
+  try {
+    stored = JSON.parse(item);
+  } catch (e) {
+    return undefined;
+  }
+  return typeof stored === 'string' || stored === null ? stored : undefined;
+};
+
+export const writeLabelLanguage = (projectId, xmlFormId, language) => {
+  localStore.setItem(storageKey(projectId, xmlFormId), JSON.stringify(language));
+};
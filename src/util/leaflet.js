@@ -0,0 +1,42 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+// This module imports Leaflet, so it should only be imported by a component
+// that is loaded asynchronously.
+
+import L from 'leaflet';
+
+// The land of the world at a small scale (1:110m) from Natural Earth, which is
+// in the public domain. The coordinates have been rounded to two decimal
+// places.
+import land from '../assets/geo/ne_110m_land.json';
+
+/*
+The plain basemap is an outline of the land along with a graticule. It is
+bundled with Frontend and does not require network access, so it is used if
+the user is offline or if no tiles are configured. The land has the class
+`${classPrefix}-land`, and each line of the graticule has the class
+`${classPrefix}-graticule`.
+*/
+// eslint-disable-next-line import/prefer-default-export
+export const plainBasemap = (classPrefix) => {
+  const layers = [L.geoJSON(land, {
+    style: { className: `${classPrefix}-land` },
+    interactive: false
+  })];
+  const options = { className: `${classPrefix}-graticule`, interactive: false };
+  for (let lng = -180; lng <= 180; lng += 30)
+    layers.push(L.polyline([[-85, lng], [85, lng]], options));
+  for (let lat = -60; lat <= 60; lat += 30)
+    layers.push(L.polyline([[lat, -180], [lat, 180]], options));
+  return L.layerGroup(layers);
+};
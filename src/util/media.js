@@ -0,0 +1,34 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+// The fields endpoint does not specify whether a binary field is an image, an
+// audio recording, or a video, so we look at the extension of the filename of
+// the attachment. These are the formats that Collect produces along with other
+// formats that browsers commonly support.
+const extensions = {
+  image: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'svg'],
+  audio: ['mp3', 'm4a', 'aac', 'amr', 'ogg', 'oga', 'opus', 'wav', 'weba'],
+  video: ['mp4', 'm4v', '3gp', '3gpp', 'webm', 'ogv', 'mov']
+};
+
+// Returns 'image', 'audio', or 'video' for the filename of an attachment, or
+// `null` if the file is of some other type.
+// eslint-disable-next-line import/prefer-default-export
+export const mediaType = (filename) => {
+  const match = /\.([^.]+)$/.exec(filename);
+  if (match == null) return null;
+  const extension = match[1].toLowerCase();
+  for (const [type, list] of Object.entries(extensions)) {
+    if (list.includes(extension)) return type;
+  }
+  return null;
+};
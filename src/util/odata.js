@@ -9,11 +9,453 @@ https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
 including this file, may be copied, modified, propagated, or distributed
 except according to the terms contained in the LICENSE file.
 */
+import { DateTime, Settings } from 'luxon';
+import { pathOr } from 'ramda';
+
+import i18n from '../i18n';
+import { choiceText } from './xform';
+import { formatDate, formatDateTime, formatTime } from './date-time';
 
-// eslint-disable-next-line import/prefer-default-export
 export const instanceNameOrId = (submission) => {
   const { meta } = submission;
   return meta != null && typeof meta.instanceName === 'string'
     ? meta.instanceName
     : submission.__id;
 };
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// FILTERS
+
+// Returns an OData literal for a string.
+export const odataString = (value) => `'${value.replace(/'/g, "''")}'`;
+
+// Returns the OData property path for a field.
+const propertyPath = (field) => field.splitPath().join('/');
+
+/*
+fieldFilterOperators() returns the operators that can be used to filter a field,
+or an empty array if the field cannot be filtered. `choices` is the array of
+choices for the field if it is a select_one or select_multiple field.
+
+  - between. The value is an array of two numbers, either of which may be `null`
+    for an open-ended range.
+  - dateBetween. The value is an array of two ISO dates, for example,
+    ['2021-01-01', '2021-01-31'].
+  - in. The value is an array of choice values. The field matches if it equals
+    one of the values.
+  - has. The value is an array of choice values. The field, a select_multiple
+    field, matches if it includes one of the values.
+  - contains. The value is a string.
+  - eq. The value is a string.
+*/
+export const fieldFilterOperators = (field, choices = undefined) => {
+  if (field.binary === true) return [];
+  switch (field.type) {
+    case 'int':
+    case 'decimal':
+      return ['between'];
+    case 'date':
+    case 'dateTime':
+      return ['dateBetween'];
+    case 'string':
+      if (choices != null && choices.length !== 0)
+        return field.selectMultiple === true ? ['has'] : ['in'];
+      // If the choices are unknown, a select_multiple field is filtered as a
+      // space-separated list of choice values.
+      return field.selectMultiple === true ? ['contains'] : ['contains', 'eq'];
+    default:
+      return [];
+  }
+};
+
+const dateBetweenCondition = (field, [start, end]) => {
+  const path = propertyPath(field);
+  if (field.type === 'date')
+    return `${path} ge ${start} and ${path} le ${end}`;
+  // Like the submission date filter, a range of dates is interpreted in the
+  // user's time zone.
+  const startDateTime = DateTime.fromISO(start).toISO();
+  const endDateTime = DateTime.fromISO(end).endOf('day').toISO();
+  return `${path} ge ${startDateTime} and ${path} le ${endDateTime}`;
+};
+
+/*
+fieldFilterCondition() returns an OData condition for filtering a field, or
+`null` if the condition would not filter anything. `condition` is an object with
+an `operator` property and a `value` property: see fieldFilterOperators().
+*/
+export const fieldFilterCondition = (field, { operator, value }) => {
+  const path = propertyPath(field);
+  switch (operator) {
+    case 'between': {
+      const conditions = [];
+      if (value[0] != null) conditions.push(`${path} ge ${value[0]}`);
+      if (value[1] != null) conditions.push(`${path} le ${value[1]}`);
+      return conditions.length !== 0 ? conditions.join(' and ') : null;
+    }
+    case 'dateBetween':
+      return dateBetweenCondition(field, value);
+    case 'in':
+    case 'has': {
+      if (value.length === 0) return null;
+      // The value of a select_multiple field is a space-separated list of
+      // choice values. OData does not provide a way to split such a list, so we
+      // use contains(). That means that a choice value that is a substring of
+      // another choice value may match the other choice value.
+      const conditions = value.map(choice => (operator === 'in'
+        ? `${path} eq ${odataString(choice)}`
+        : `contains(${path},${odataString(choice)})`));
+      return `(${conditions.join(' or ')})`;
+    }
+    case 'contains':
+      return value !== '' ? `contains(${path},${odataString(value)})` : null;
+    case 'eq':
+      return `${path} eq ${odataString(value)}`;
+    default:
+      return null;
+  }
+};
+
+/*
+filterConditions() returns the OData conditions for the filters of
+SubmissionList. `filters` has the same properties as the `filters` data property
+of SubmissionList. Each element of the returned array is an object with the
+following properties:
+
+  - filter. The name of the property of `filters` that the condition is for.
+  - fieldCondition. If `filter` is 'fieldConditions', the field condition.
+  - condition. The OData condition.
+
+A field condition is ignored if its field is not one of `fields`, which may be
+`null` if the fields have not been received.
+*/
+export const filterConditions = (filters, fields) => {
+  const conditions = [];
+  const add = (filter, condition) => { conditions.push({ filter, condition }); };
+  if (filters.submitterId !== '')
+    add('submitterId', `__system/submitterId eq ${filters.submitterId}`);
+  if (filters.submissionDate.length !== 0) {
+    const start = filters.submissionDate[0].toISO();
+    const end = filters.submissionDate[1].endOf('day').toISO();
+    add(
+      'submissionDate',
+      `__system/submissionDate ge ${start} and __system/submissionDate le ${end}`
+    );
+  }
+  if (filters.reviewState.length !== 0) {
+    const condition = filters.reviewState
+      .map(reviewState => `__system/reviewState eq ${reviewState}`)
+      .join(' or ');
+    add('reviewState', `(${condition})`);
+  }
+  if (filters.formVersion !== '')
+    add('formVersion', `__system/formVersion eq ${odataString(filters.formVersion)}`);
+  if (filters.edited != null)
+    add('edited', `__system/edits ${filters.edited ? 'gt' : 'eq'} 0`);
+  if (filters.deviceId !== '')
+    add('deviceId', `__system/deviceId eq ${odataString(filters.deviceId)}`);
+  if (filters.missingAttachments != null) {
+    const operator = filters.missingAttachments ? 'lt' : 'eq';
+    add(
+      'missingAttachments',
+      `__system/attachmentsPresent ${operator} __system/attachmentsExpected`
+    );
+  }
+  if (filters.fieldConditions.length !== 0 && fields != null) {
+    for (const fieldCondition of filters.fieldConditions) {
+      const field = fields.find(({ path }) => path === fieldCondition.path);
+      const condition = field != null
+        ? fieldFilterCondition(field, fieldCondition)
+        : null;
+      if (condition != null) {
+        conditions.push({
+          filter: 'fieldConditions',
+          fieldCondition,
+          condition: `(${condition})`
+        });
+      }
+    }
+  }
+  return conditions;
+};
+
+/*
+odataFilter() returns the value of the $filter query parameter for the filters
+of SubmissionList, or `null` if there are no filters. See filterConditions() for
+a description of the parameters.
+*/
+export const odataFilter = (filters, fields) => {
+  const conditions = filterConditions(filters, fields);
+  return conditions.length !== 0
+    ? conditions.map(({ condition }) => condition).join(' and ')
+    : null;
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// ORDER
+
+/*
+An order is an object with the following properties:
+
+  - column. Either a field path or one of systemOrderColumns.
+  - direction. Either 'asc' or 'desc'.
+*/
+
+export const systemOrderColumns = ['submitterName', 'submissionDate', 'reviewState'];
+
+// Backend returns submissions newest first by default.
+export const defaultOrder = { column: 'submissionDate', direction: 'desc' };
+export const isDefaultOrder = ({ column, direction }) =>
+  column === defaultOrder.column && direction === defaultOrder.direction;
+
+// Returns the value of the $orderby query parameter for an order. Many
+// submissions may have the same value for the column, so we also order by
+// instance ID: that way, the order is stable across the requests for different
+// chunks.
+export const odataOrderBy = ({ column, direction }) => {
+  const property = column.startsWith('/')
+    ? column.slice(1)
+    : `__system/${column}`;
+  return `${property} ${direction},__id ${direction}`;
+};
+
+const orderValue = (submission, column) => {
+  const value = column.startsWith('/')
+    ? pathOr(null, column.slice(1).split('/'), submission)
+    : submission.__system[column];
+  return value !== '' ? value : null;
+};
+
+// Sorts submissions in the browser, returning a new array. Like Backend, it
+// sorts missing values last in ascending order and first in descending order.
+export const sortSubmissions = (submissions, { column, direction }) => {
+  const sign = direction === 'asc' ? 1 : -1;
+  const compare = (value1, value2) => {
+    if (value1 == null) return value2 == null ? 0 : 1;
+    if (value2 == null) return -1;
+    if (typeof value1 === 'number' && typeof value2 === 'number')
+      return value1 - value2;
+    return value1.toString().localeCompare(value2.toString());
+  };
+  return [...submissions].sort((submission1, submission2) => sign * (
+    compare(orderValue(submission1, column), orderValue(submission2, column)) ||
+    submission1.__id.localeCompare(submission2.__id)));
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// REPEAT GROUPS
+
+/*
+tableFields() returns the fields that are shown as columns of a table of
+submissions or of a table of repeat instances. If `repeat` is specified, it is
+the repeat group whose instances are shown. A repeat group nested within the
+table's data is returned as a single column: the fields within it are returned
+only for the repeat group's own table. Groups themselves are not returned, just
+the fields within them.
+*/
+export const tableFields = (fields, repeat = undefined) => {
+  const prefix = repeat != null ? `${repeat.path}/` : '/';
+  const result = [];
+  // The path of the nested repeat group currently being traversed
+  let nestedRepeat = null;
+  for (const field of fields) {
+    const { path } = field;
+    if (path.startsWith(prefix) &&
+      (nestedRepeat == null || !path.startsWith(nestedRepeat))) {
+      nestedRepeat = null;
+      // Note that `type` may be `undefined`, though I have seen this only in
+      // the Widgets sample form (<branch>):
+      // https://github.com/getodk/sample-forms/blob/e9fe5838e106b04bf69f43a8a791327093571443/Widgets.xml
+      const { type } = field;
+      if (type === 'repeat') {
+        nestedRepeat = `${path}/`;
+        result.push(field);
+      } else if (type !== 'structure' && path !== '/meta/instanceID' &&
+        path !== '/instanceID') {
+        result.push(field);
+      }
+    }
+  }
+  return result;
+};
+
+// The OData for a submission or a repeat instance does not include the data of
+// a repeat group within it. Instead, it includes a navigation link to the
+// subtable of the repeat group's instances. navigationLink() returns that link,
+// or `null` if there is none. `field` is the repeat group, and its path must be
+// relative to `data`.
+export const navigationLink = (data, field) => {
+  const splitPath = field.splitPath();
+  let parent = data;
+  for (let i = 0; i < splitPath.length - 1 && parent != null; i += 1)
+    parent = parent[splitPath[i]];
+  if (parent == null) return null;
+  const link = parent[`${splitPath[splitPath.length - 1]}@odata.navigationLink`];
+  return link != null ? link : null;
+};
+
+// Returns the name of the OData entity set of the instances of a repeat group,
+// or of the submissions if `repeat` is `null`. The path of `repeat` must not be
+// relative to a parent repeat group.
+export const entitySet = (repeat) => (repeat == null
+  ? 'Submissions'
+  : `Submissions${repeat.path.replace(/\//g, '.')}`);
+
+// Returns the property that links a repeat instance to its parent submission or
+// repeat instance. `parentSet` is the entity set of the parent.
+export const parentKey = (parentSet) => `__${parentSet.replace(/\./g, '-')}-id`;
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// VALUES
+
+/*
+formatValue() formats the value of a field as it is shown in the table of
+submissions. `rawValue` is the value in the OData, and it may not be `null`. The
+function does not format a binary field, for which the table shows a link.
+
+If `labelLanguage` is specified, the label of a choice is returned instead of
+its value: see labelLanguage() in util/xform.js. In that case, `xform` must also
+be specified, as well as the full path of the field if it differs from
+field.path (for example, if the field is within a repeat group).
+*/
+export const formatValue = (field, rawValue, xform = undefined, labelLanguage = null, path = field.path) => {
+  switch (field.type) {
+    case 'int':
+      return i18n.n(rawValue, 'default');
+    // The ODK XForms specification seems to allow decimal values that cannot
+    // be precisely stored as a Number. However, Collect limits decimal input to
+    // 15 characters, resulting in only values that can be precisely stored as
+    // a Number.
+    case 'decimal': {
+      if (Number.isInteger(rawValue)) return i18n.n(rawValue, 'default');
+      // Non-integers outside this range are more than 15 characters (including
+      // the sign and decimal point).
+      if (rawValue >= 10000000000000 || rawValue <= -1000000000000)
+        return i18n.n(rawValue, 'maximumFractionDigits1');
+      const integerDigits = Math.floor(Math.abs(rawValue)).toString().length;
+      const signCharacters = rawValue < 0 ? 1 : 0;
+      // 14, not 15, because the decimal point consumes a character.
+      const fractionDigits = 14 - integerDigits - signCharacters;
+      return i18n.n(rawValue, `maximumFractionDigits${fractionDigits}`);
+    }
+
+    // There may be differences between ISO 8601 and the the ODK XForms
+    // specification for date or time values, but the values that Collect sends
+    // seem to be ISO 8601. Here, we attempt to parse a date or time value as
+    // ISO 8601, but if the resulting DateTime is invalid, we indicate that to
+    // the user.
+    case 'date':
+      return formatDate(DateTime.fromISO(rawValue));
+    case 'time': {
+      /* Collect does not allow the user to select a time value's associated
+      time zone. However, Collect may add a time zone designator to the value
+      nonetheless. In that case, we will remove the time zone designator before
+      displaying the value. By default, DateTime.fromISO() returns a local
+      DateTime. However, if the system date is the date of a DST shift,
+      rawValue may imply an invalid or ambiguous time: since rawValue includes
+      a time but not a date, DateTime will use the system date. To avoid that,
+      we temporarily set the default time zone to UTC. */
+      const originalZoneName = Settings.defaultZoneName;
+      Settings.defaultZoneName = 'utc';
+      const time = DateTime.fromISO(rawValue, { setZone: true });
+      Settings.defaultZoneName = originalZoneName;
+      return formatTime(time);
+    }
+    // rawValue is an Edm.DateTimeOffset. Again, there may be differences
+    // between ISO 8601 and the Edm.DateTimeOffset specification. However, ISO
+    // 8601 is the only likely format for rawValue. As with a date or time
+    // value, we attempt to parse a dateTime value as ISO 8601, indicating any
+    // failure to the user.
+    case 'dateTime':
+      return formatDateTime(DateTime.fromISO(rawValue));
+
+    default: {
+      if (labelLanguage == null) return rawValue;
+      const text = choiceText(xform, field, rawValue, labelLanguage, path);
+      return text != null ? text : rawValue;
+    }
+  }
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// SEARCH
+
+/*
+A search is a string to match against the submissions, ignoring case. A
+submission matches if the search is found in its instance name, its instance
+ID, or the value of one of the fields shown in the table.
+
+odataSearchFilter() returns a condition that can be used to run the search on
+the server. `fields` are the fields shown in the table, and `hasInstanceName`
+indicates whether the form has a meta/instanceName field. Only string fields
+are searched on the server, and a choice is matched by its value. If the server
+is unable to run the search, the submissions can be searched in the browser
+using matchesSearch(), which matches the same text shown in the table,
+including choice labels.
+*/
+export const odataSearchFilter = (search, fields, hasInstanceName) => {
+  const value = odataString(search.toLowerCase());
+  const properties = ['__id'];
+  if (hasInstanceName) properties.push('meta/instanceName');
+  for (const field of fields) {
+    if (field.type === 'string' && field.binary !== true &&
+      field.path !== '/meta/instanceName')
+      properties.push(propertyPath(field));
+  }
+  const condition = properties
+    .map(property => `contains(tolower(${property}),${value})`)
+    .join(' or ');
+  return `(${condition})`;
+};
+
+export const matchesSearch = (submission, fields, search, xform = undefined, labelLanguage = null) => {
+  const lowerSearch = search.toLowerCase();
+  const includesSearch = (text) => text.toLowerCase().includes(lowerSearch);
+  if (includesSearch(instanceNameOrId(submission)) ||
+    includesSearch(submission.__id))
+    return true;
+  // The data of an encrypted submission is not available.
+  const { __system } = submission;
+  if (__system != null && __system.status != null && __system.decrypted !== true)
+    return false;
+  return fields.some(field => {
+    if (field.type === 'repeat' || field.binary === true) return false;
+    const rawValue = pathOr(null, field.splitPath(), submission);
+    if (rawValue == null) return false;
+    const value = formatValue(field, rawValue, xform, labelLanguage);
+    return includesSearch(typeof value === 'string' ? value : String(value));
+  });
+};
+
+// Splits `text` into segments that do or do not match the search, so that the
+// matches can be highlighted. Returns an array of objects with `text` and
+// `match` properties.
+export const searchSegments = (text, search) => {
+  if (search === '') return [{ text, match: false }];
+  const lowerText = text.toLowerCase();
+  const lowerSearch = search.toLowerCase();
+  const segments = [];
+  let start = 0;
+  let index = lowerText.indexOf(lowerSearch);
+  while (index !== -1) {
+    if (index > start)
+      segments.push({ text: text.slice(start, index), match: false });
+    const end = index + lowerSearch.length;
+    segments.push({ text: text.slice(index, end), match: true });
+    start = end;
+    index = lowerText.indexOf(lowerSearch, start);
+  }
+  if (start < text.length)
+    segments.push({ text: text.slice(start), match: false });
+  return segments;
+};
@@ -0,0 +1,315 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+import { path } from 'ramda';
+
+import i18n from '../i18n';
+import { localStore } from './storage';
+
+/*
+A data-quality rule is a check of the values of submissions. Rules are evaluated
+in the browser against the submissions that have been loaded. They are stored
+in local storage, separately for each form, and they can be exported to and
+imported from a JSON file.
+
+A rule is an object with a `type` property. The other properties depend on the
+type:
+
+  - range. The value of a number field must be within a range.
+    - field. The path of an int or decimal field.
+    - min and max. Numbers, either of which may be `null`, but not both.
+  - pattern. The value of a field must match a regular expression.
+    - field. A field path.
+    - pattern. The source of a regular expression.
+  - requiredIf. A field must have a value if another field has a certain
+    value. If the other field is a select_multiple field, the choice must be
+    selected.
+    - field. The path of the field that is required.
+    - otherField. The path of the other field.
+    - value. The value of the other field, as a string.
+  - duplicate. Submissions must not have the same values for a set of key
+    fields. A submission without a value for any key field is not checked.
+    - fields. An array of field paths.
+  - outlier. The value of a number field must not be more than a number of
+    standard deviations from the mean.
+    - field. The path of an int or decimal field.
+    - threshold. The number of standard deviations.
+*/
+
+export const ruleTypes = ['range', 'pattern', 'requiredIf', 'duplicate', 'outlier'];
+
+// The fields that a rule can check. `fields` must not include groups.
+export const ruleFields = (fields) => fields.filter(field =>
+  field.type !== 'repeat' && field.binary !== true);
+
+// The fields that a range rule or an outlier rule can check
+export const numberFields = (fields) => fields.filter(({ type }) =>
+  type === 'int' || type === 'decimal');
+
+const isNumberOrNull = (value) =>
+  value === null || (typeof value === 'number' && Number.isFinite(value));
+const isPath = (value) => typeof value === 'string' && value.startsWith('/');
+
+export const isValidPattern = (pattern) => {
+  try {
+    RegExp(pattern);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+// Returns `true` if a rule has the expected shape. This function does not
+// check that the fields exist: see ruleFieldPaths().
+export const isQualityRule = (rule) => {
+  if (rule == null || typeof rule !== 'object') return false;
+  switch (rule.type) {
+    case 'range':
+      return isPath(rule.field) && isNumberOrNull(rule.min) &&
+        isNumberOrNull(rule.max) && (rule.min != null || rule.max != null);
+    case 'pattern':
+      return isPath(rule.field) && typeof rule.pattern === 'string' &&
+        rule.pattern !== '' && isValidPattern(rule.pattern);
+    case 'requiredIf':
+      return isPath(rule.field) && isPath(rule.otherField) &&
+        typeof rule.value === 'string' && rule.value !== '';
+    case 'duplicate':
+      return Array.isArray(rule.fields) && rule.fields.length !== 0 &&
+        rule.fields.every(isPath);
+    case 'outlier':
+      return isPath(rule.field) && typeof rule.threshold === 'number' &&
+        rule.threshold > 0;
+    default:
+      return false;
+  }
+};
+
+// Returns a copy of a rule with only the properties of its type.
+const pickRule = (rule) => {
+  switch (rule.type) {
+    case 'range':
+      return { type: 'range', field: rule.field, min: rule.min, max: rule.max };
+    case 'pattern':
+      return { type: 'pattern', field: rule.field, pattern: rule.pattern };
+    case 'requiredIf': {
+      const { field, otherField, value } = rule;
+      return { type: 'requiredIf', field, otherField, value };
+    }
+    case 'duplicate':
+      return { type: 'duplicate', fields: [...rule.fields] };
+    default:
+      return { type: 'outlier', field: rule.field, threshold: rule.threshold };
+  }
+};
+
+// Returns the paths of the fields that a rule checks.
+export const ruleFieldPaths = (rule) => {
+  if (rule.type === 'duplicate') return rule.fields;
+  if (rule.type === 'requiredIf') return [rule.field, rule.otherField];
+  return [rule.field];
+};
+
+// Parses rules from JSON, returning an array of rules, or `null` if the JSON
+// is not an array. Any element of the array that is not a rule is dropped.
+export const parseQualityRules = (json) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (e) {
+    return null;
+  }
+  if (!Array.isArray(parsed)) return null;
+  return parsed.filter(isQualityRule).map(pickRule);
+};
+
+export const qualityRulesJson = (rules) => JSON.stringify(rules, null, 2);
+
+const storageKey = (projectId, xmlFormId) =>
+  `qualityRules:${projectId}:${xmlFormId}`;
+
+// Returns the rules of a form. If nothing has been stored, or if what is
+// stored cannot be read, there are no rules.
+export const readQualityRules = (projectId, xmlFormId) => {
+  const item = localStore.getItem(storageKey(projectId, xmlFormId));
+  if (item == null) return [];
+  const rules = parseQualityRules(item);
+  return rules != null ? rules : [];
+};
+
+export const writeQualityRules = (projectId, xmlFormId, rules) => {
+  const key = storageKey(projectId, xmlFormId);
+  if (rules.length === 0)
+    localStore.removeItem(key);
+  else
+    localStore.setItem(key, qualityRulesJson(rules));
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// EVALUATION
+
+// Returns the value of a field, or `null` if the value is missing.
+const fieldValue = (submission, field) => {
+  const value = path(field.splitPath(), submission);
+  return value != null && value !== '' ? value : null;
+};
+
+// Returns the issues for each submission that violates a single rule. Each
+// issue is added to `addIssue`. `fieldsByPath` is a Map of field paths to
+// fields.
+const checkRule = (rule, submissions, fieldsByPath, addIssue) => {
+  const fields = ruleFieldPaths(rule).map(fieldPath => fieldsByPath.get(fieldPath));
+  // A rule that refers to a field that no longer exists is not checked.
+  if (fields.some(field => field == null)) return;
+  const [field] = fields;
+  switch (rule.type) {
+    case 'range': {
+      const { min, max } = rule;
+      for (const submission of submissions) {
+        const value = fieldValue(submission, field);
+        if (typeof value === 'number' &&
+          ((min != null && value < min) || (max != null && value > max)))
+          addIssue(submission, rule, field.path);
+      }
+      break;
+    }
+    case 'pattern': {
+      const regex = RegExp(rule.pattern);
+      for (const submission of submissions) {
+        const value = fieldValue(submission, field);
+        if (value != null && !regex.test(value.toString()))
+          addIssue(submission, rule, field.path);
+      }
+      break;
+    }
+    case 'requiredIf': {
+      const otherField = fields[1];
+      for (const submission of submissions) {
+        const otherValue = fieldValue(submission, otherField);
+        if (otherValue == null) continue; // eslint-disable-line no-continue
+        const matches = otherField.selectMultiple === true
+          ? otherValue.split(' ').includes(rule.value)
+          : otherValue.toString() === rule.value;
+        if (matches && fieldValue(submission, field) == null)
+          addIssue(submission, rule, field.path);
+      }
+      break;
+    }
+    case 'duplicate': {
+      const groups = new Map();
+      for (const submission of submissions) {
+        const values = fields.map(keyField => fieldValue(submission, keyField));
+        if (values.every(value => value != null)) {
+          const key = JSON.stringify(values);
+          if (groups.has(key))
+            groups.get(key).push(submission);
+          else
+            groups.set(key, [submission]);
+        }
+      }
+      for (const group of groups.values()) {
+        if (group.length > 1) {
+          for (const submission of group) {
+            for (const keyField of fields)
+              addIssue(submission, rule, keyField.path);
+          }
+        }
+      }
+      break;
+    }
+    default: {
+      const values = [];
+      for (const submission of submissions) {
+        const value = fieldValue(submission, field);
+        if (typeof value === 'number') values.push({ submission, value });
+      }
+      if (values.length < 3) break;
+      const mean = values.reduce((sum, { value }) => sum + value, 0) /
+        values.length;
+      const variance = values.reduce((sum, { value }) => sum + (value - mean) ** 2, 0) /
+        values.length;
+      const deviation = Math.sqrt(variance);
+      if (deviation === 0) break;
+      for (const { submission, value } of values) {
+        if (Math.abs(value - mean) / deviation > rule.threshold)
+          addIssue(submission, rule, field.path);
+      }
+    }
+  }
+};
+
+/*
+evaluateQualityRules() checks an array of submissions (their OData) against an
+array of rules. Duplicates and outliers are detected among the submissions
+passed to the function. The values of an encrypted submission are not
+available, so it is not checked.
+
+The function returns a Map of the instance ID of each submission with an issue
+to an array of its issues. Each issue is an object with a `rule` property and a
+`path` property, which is the path of the field whose value violates the rule.
+*/
+export const evaluateQualityRules = (rules, submissions, fields) => {
+  const issues = new Map();
+  if (rules.length === 0) return issues;
+  const fieldsByPath = new Map(fields.map(field => [field.path, field]));
+  const checked = submissions.filter(({ __system }) =>
+    __system.status == null || __system.decrypted === true);
+  const addIssue = (submission, rule, fieldPath) => {
+    const issue = { rule, path: fieldPath };
+    if (issues.has(submission.__id))
+      issues.get(submission.__id).push(issue);
+    else
+      issues.set(submission.__id, [issue]);
+  };
+  for (const rule of rules)
+    checkRule(rule, checked, fieldsByPath, addIssue);
+  return issues;
+};
+
+// Returns text that describes a rule, which is also the reason shown for an
+// issue. `fields` is used to find the header of each field.
+export const ruleText = (rule, fields) => {
+  const header = (fieldPath) => {
+    const field = fields.find(f => f.path === fieldPath);
+    return field != null ? field.header() : fieldPath;
+  };
+  switch (rule.type) {
+    case 'range': {
+      const field = header(rule.field);
+      const min = rule.min != null ? i18n.n(rule.min, 'default') : null;
+      const max = rule.max != null ? i18n.n(rule.max, 'default') : null;
+      if (min == null) return i18n.t('util.qualityRules.range.max', { field, max });
+      if (max == null) return i18n.t('util.qualityRules.range.min', { field, min });
+      return i18n.t('util.qualityRules.range.full', { field, min, max });
+    }
+    case 'pattern':
+      return i18n.t('util.qualityRules.pattern', {
+        field: header(rule.field),
+        pattern: rule.pattern
+      });
+    case 'requiredIf':
+      return i18n.t('util.qualityRules.requiredIf', {
+        field: header(rule.field),
+        otherField: header(rule.otherField),
+        value: rule.value
+      });
+    case 'duplicate':
+      return i18n.t('util.qualityRules.duplicate', {
+        fields: rule.fields.map(header).join(', ')
+      });
+    default:
+      return i18n.t('util.qualityRules.outlier', {
+        field: header(rule.field),
+        threshold: i18n.n(rule.threshold, 'default')
+      });
+  }
+};
@@ -45,6 +45,13 @@ const submissionPath = (suffix) =>
     const qs = queryString(query);
     return `/v1/projects/${projectId}/forms/${encodedFormId}/submissions/${encodedInstanceId}${suffix}${qs}`;
   };
+const submissionVersionPath = (suffix) =>
+  (projectId, xmlFormId, rootId, instanceId) => {
+    const encodedFormId = encodeURIComponent(xmlFormId);
+    const encodedRootId = encodeURIComponent(rootId);
+    const encodedInstanceId = encodeURIComponent(instanceId);
+    return `/v1/projects/${projectId}/forms/${encodedFormId}/submissions/${encodedRootId}/versions/${encodedInstanceId}${suffix}`;
+  };
 export const apiPaths = {
   // Backend generates session tokens that are URL-safe.
   session: (token) => `/v1/sessions/${token}`,
@@ -70,6 +77,7 @@ export const apiPaths = {
     return `/v1/projects/${projectId}/forms/${encodedFormId}/assignments/${role}`;
   },
   fields: formOrDraftPath('/fields'),
+  formXml: formOrDraftPath('.xml'),
   formVersions: formPath('/versions'),
   formVersionDef: (projectId, xmlFormId, version, extension) => {
     const encodedFormId = encodeURIComponent(xmlFormId);
@@ -99,9 +107,18 @@ export const apiPaths = {
     return `/v1/projects/${projectId}/forms/${encodedFormId}${draftPath}/submissions${extension}${qs}`;
   },
   odataSubmissions: formOrDraftPath('.svc/Submissions'),
+  // `navigationLink` is a navigation link to a subtable of repeat instances.
+  // See util/odata.js.
+  odataSubtable: (projectId, xmlFormId, draft, navigationLink, query = undefined) => {
+    const encodedFormId = encodeURIComponent(xmlFormId);
+    const draftPath = draft ? '/draft' : '';
+    const qs = queryString(query);
+    return `/v1/projects/${projectId}/forms/${encodedFormId}${draftPath}.svc/${navigationLink}${qs}`;
+  },
   submissionKeys: formOrDraftPath('/submissions/keys'),
   submitters: formOrDraftPath('/submissions/submitters'),
   submission: submissionPath(''),
+  submissionXml: submissionPath('.xml'),
   odataSubmission: (projectId, xmlFormId, instanceId) => {
     const encodedFormId = encodeURIComponent(xmlFormId);
     const encodedInstanceId = encodeURIComponent(instanceId.replaceAll("'", "''"));
@@ -125,12 +142,9 @@ export const apiPaths = {
   submissionAudits: submissionPath('/audits'),
   submissionComments: submissionPath('/comments'),
   submissionDiffs: submissionPath('/diffs'),
-  submissionVersion: (projectId, xmlFormId, rootId, instanceId) => {
-    const encodedFormId = encodeURIComponent(xmlFormId);
-    const encodedRootId = encodeURIComponent(rootId);
-    const encodedInstanceId = encodeURIComponent(instanceId);
-    return `/v1/projects/${projectId}/forms/${encodedFormId}/submissions/${encodedRootId}/versions/${encodedInstanceId}`;
-  },
+  submissionVersions: submissionPath('/versions'),
+  submissionVersion: submissionVersionPath(''),
+  submissionVersionXml: submissionVersionPath('.xml'),
   publicLinks: formPath('/public-links'),
   fieldKeys: projectPath('/app-users'),
   serverUrlForFieldKey: (token, projectId) =>
@@ -125,6 +125,10 @@ export const logOut = (router, store, setNext) => {
   // We clear all data and cancel any requests. However, that isn't ideal for
   // centralVersion, and we may need to revisit this logic in the future.
   store.commit('clearData');
+  // The private keys for decrypting submissions and the submissions selected to
+  // print must not outlive the session.
+  store.commit('clearPrivateKeys');
+  store.commit('clearPrintSelection');
   // Below, we navigate to /login. That alone would cancel many requests.
   // However, we also need to cancel requests for data that does not change with
   // navigation. There are also some cases in which we don't navigate to /login.
@@ -0,0 +1,294 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+import { DateTime } from 'luxon';
+
+// This module reads the data of a single submission from the submission XML.
+// Unlike the OData, the XML includes the data of repeat groups, and its element
+// names match the field paths returned by the fields endpoint without the
+// `odata` query parameter. The module can also change a value in the XML in
+// order to create a new version of the submission.
+
+const childElements = (element, localName) =>
+  Array.prototype.filter.call(
+    element.children,
+    (child) => child.localName === localName
+  );
+
+// Arranges the fields as a tree. The fields endpoint returns a group or repeat
+// group before the fields within it.
+const fieldTree = (fields) => {
+  const root = { children: [] };
+  const nodesByPath = new Map();
+  for (const field of fields) {
+    const { path } = field;
+    const parentPath = path.slice(0, path.lastIndexOf('/'));
+    const parent = parentPath === '' ? root : nodesByPath.get(parentPath);
+    if (parent != null) {
+      const node = { field, children: [] };
+      parent.children.push(node);
+      nodesByPath.set(path, node);
+    }
+  }
+  return root.children;
+};
+
+// `element` is the element for the parent group, or `null` if there is no such
+// element. `location` is the location of that element: see
+// parseSubmissionData().
+const dataNodes = (fieldNodes, element, location) => fieldNodes.map(({ field, children }) => {
+  const elements = element != null ? childElements(element, field.name) : [];
+  if (field.type === 'repeat') {
+    return {
+      field,
+      instances: elements.map((instance, index) =>
+        dataNodes(children, instance, [...location, [field.name, index]]))
+    };
+  }
+  if (field.type === 'structure') {
+    return {
+      field,
+      children: dataNodes(
+        children,
+        elements.length !== 0 ? elements[0] : null,
+        [...location, [field.name, 0]]
+      )
+    };
+  }
+  return {
+    field,
+    value: elements.length !== 0 ? elements[0].textContent : null,
+    location: [...location, [field.name, 0]]
+  };
+});
+
+/*
+parseSubmissionData() parses the XML of a submission. It returns an array with
+a node for each field that is not within a group. Each node is an object with a
+`field` property, along with one of the following properties:
+
+  - value. For a field that is not a group, the text of its element, or `null`
+    if the submission does not have an element for the field. (The submission
+    may be of a different form version than `fields`.) A node with a `value`
+    property also has a `location` property, which can be passed to
+    editSubmissionXml(). It is an array of pairs, each of which is the name of
+    an element and its index among the siblings with that name.
+  - children. For a group, an array with a node for each field in the group.
+  - instances. For a repeat group, an array with an element for each repeat
+    instance. Each element is an array of nodes.
+
+If the XML cannot be parsed, parseSubmissionData() returns `null`.
+*/
+export const parseSubmissionData = (xml, fields) => {
+  const doc = new DOMParser().parseFromString(xml, 'text/xml');
+  if (doc.getElementsByTagName('parsererror').length !== 0) return null;
+  return dataNodes(fieldTree(fields), doc.documentElement, []);
+};
+
+// Returns `true` if a node does not have a value. A question that was not
+// relevant does not have a value, nor does a question that was skipped.
+export const isEmptyNode = (node) => {
+  if (node.instances != null)
+    return node.instances.every(instance => instance.every(isEmptyNode));
+  if (node.children != null) return node.children.every(isEmptyNode);
+  return node.value == null || node.value.trim() === '';
+};
+
+const valueText = (value) => (value != null ? value : '');
+
+// `oldNodes` and `newNodes` are arrays of nodes for the same fields. Either may
+// be `null` if a repeat instance exists in only one of the versions. Returns
+// `true` if any row was changed.
+const compareNodes = (oldNodes, newNodes, depth, rows) => {
+  let changed = false;
+  const nodes = oldNodes != null ? oldNodes : newNodes;
+  nodes.forEach((node, i) => {
+    const oldNode = oldNodes != null ? oldNodes[i] : null;
+    const newNode = newNodes != null ? newNodes[i] : null;
+    const { field } = node;
+    if (node.instances != null) {
+      const oldInstances = oldNode != null ? oldNode.instances : [];
+      const newInstances = newNode != null ? newNode.instances : [];
+      const count = Math.max(oldInstances.length, newInstances.length);
+      for (let j = 0; j < count; j += 1) {
+        const row = {
+          field,
+          depth,
+          instance: j,
+          old: j < oldInstances.length,
+          new: j < newInstances.length
+        };
+        rows.push(row);
+        const childrenChanged = compareNodes(
+          j < oldInstances.length ? oldInstances[j] : null,
+          j < newInstances.length ? newInstances[j] : null,
+          depth + 1,
+          rows
+        );
+        row.changed = childrenChanged || !row.old || !row.new;
+        if (row.changed) changed = true;
+      }
+    } else if (node.children != null) {
+      const row = { field, depth };
+      rows.push(row);
+      row.changed = compareNodes(
+        oldNode != null ? oldNode.children : null,
+        newNode != null ? newNode.children : null,
+        depth + 1,
+        rows
+      );
+      if (row.changed) changed = true;
+    } else {
+      const oldValue = oldNode != null ? oldNode.value : null;
+      const newValue = newNode != null ? newNode.value : null;
+      const row = {
+        field,
+        depth,
+        old: oldValue,
+        new: newValue,
+        changed: valueText(oldValue) !== valueText(newValue)
+      };
+      rows.push(row);
+      if (row.changed) changed = true;
+    }
+  });
+  return changed;
+};
+
+/*
+compareSubmissionData() compares the data of two versions of a submission,
+returning an array of rows to show side by side. `oldNodes` and `newNodes` are
+returned by parseSubmissionData() for the same fields. There is a row for each
+field, as well as for each group and each repeat instance. Each row is an object
+with the following properties:
+
+  - field
+  - depth. The number of groups and repeat instances that contain the row.
+  - changed. `true` if the row differs between the versions. A group or a
+    repeat instance is changed if any row within it is changed. A repeat
+    instance that exists in only one of the versions is also changed.
+  - old and new. For a field that is not a group, the value in each version,
+    or `null` if there is no value. For a repeat instance, `true` if the
+    instance exists in the version and `false` if not. For a group, these
+    properties are not specified.
+  - instance. For a repeat instance, the index of the instance. For any other
+    row, this property is not specified.
+*/
+export const compareSubmissionData = (oldNodes, newNodes) => {
+  const rows = [];
+  compareNodes(oldNodes, newNodes, 0, rows);
+  return rows;
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// EDITING
+
+// Backend does not accept a change to a binary field without the file, and the
+// value of a geo field is best changed in a form that shows a map.
+export const isEditableField = (field) => field.binary !== true &&
+  ['string', 'int', 'decimal', 'date', 'time', 'dateTime'].includes(field.type);
+
+const isoDate = /^\d{4}-\d{2}-\d{2}$/;
+const isoTime = /^\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?$/;
+
+/*
+valueError() checks a new value for a field against the form definition. It
+returns `null` if the value is valid and otherwise one of the following strings:
+'int', 'decimal', 'date', 'time', 'dateTime', or 'choice'. `choices` is the
+array of choices for a select_one or select_multiple field (see parseXForm() in
+util/xform.js), or `null` if the field does not have choices. An empty value is
+always valid, because the question may not be required.
+*/
+export const valueError = (field, value, choices = null) => {
+  if (value === '') return null;
+  switch (field.type) {
+    case 'int':
+      return /^[-+]?\d+$/.test(value) ? null : 'int';
+    case 'decimal':
+      return /^[-+]?(\d+(\.\d*)?|\.\d+)$/.test(value) ? null : 'decimal';
+    case 'date':
+      return isoDate.test(value) && DateTime.fromISO(value).isValid
+        ? null
+        : 'date';
+    case 'time':
+      return isoTime.test(value) ? null : 'time';
+    case 'dateTime': {
+      const [date, time] = value.split('T');
+      return time != null && isoDate.test(date) && isoTime.test(time) &&
+        DateTime.fromISO(value, { setZone: true }).isValid
+        ? null
+        : 'dateTime';
+    }
+    default: {
+      if (choices == null) return null;
+      const names = field.selectMultiple === true
+        ? value.split(' ').filter(name => name !== '')
+        : [value];
+      return names.every(name => choices.some(choice => choice.value === name))
+        ? null
+        : 'choice';
+    }
+  }
+};
+
+// Returns a new instance ID in the format that ODK Collect uses: a random
+// (version 4) UUID with a `uuid:` prefix.
+export const newInstanceId = () => {
+  const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = 0x40 + (bytes[6] % 16);
+  bytes[8] = 0x80 + (bytes[8] % 64);
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+  return `uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+/*
+editSubmissionXml() changes the value of a single field in the XML of a
+submission, returning the XML of a new version of the submission. `location` is
+the location of the field's element (see parseSubmissionData()). The current
+instance ID becomes meta/deprecatedID, and `instanceId` becomes the new
+meta/instanceID: that is how Backend identifies an edit.
+
+If the XML cannot be parsed, or if the field's element or meta/instanceID does
+not exist, editSubmissionXml() returns `null`.
+*/
+export const editSubmissionXml = (xml, location, value, instanceId) => {
+  const doc = new DOMParser().parseFromString(xml, 'text/xml');
+  if (doc.getElementsByTagName('parsererror').length !== 0) return null;
+  const root = doc.documentElement;
+  const element = location.reduce(
+    (parent, [name, index]) => (parent != null
+      ? childElements(parent, name)[index]
+      : null),
+    root
+  );
+  const meta = childElements(root, 'meta')[0];
+  const instanceIdElement = meta != null
+    ? childElements(meta, 'instanceID')[0]
+    : null;
+  if (element == null || instanceIdElement == null) return null;
+  element.textContent = value;
+
+  let deprecatedId = childElements(meta, 'deprecatedID')[0];
+  if (deprecatedId == null) {
+    const { namespaceURI, prefix } = instanceIdElement;
+    deprecatedId = doc.createElementNS(
+      namespaceURI,
+      prefix != null ? `${prefix}:deprecatedID` : 'deprecatedID'
+    );
+    meta.insertBefore(deprecatedId, instanceIdElement.nextSibling);
+  }
+  deprecatedId.textContent = instanceIdElement.textContent;
+  instanceIdElement.textContent = instanceId;
+  return new XMLSerializer().serializeToString(doc);
+};
@@ -0,0 +1,394 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+import { DateTime } from 'luxon';
+import { last, path } from 'ramda';
+
+import i18n from '../i18n';
+import { apiPaths } from './request';
+import { createZip } from './zip';
+import { fieldLabel } from './xform';
+import { formatDateTime } from './date-time';
+import { formatValue } from './odata';
+import { parseWkt } from './geo';
+
+/*
+The functions in this file export submissions to a file in the browser. The
+columns of the file match the columns of the table of submissions: see
+SubmissionTable.
+
+Options are passed to most of the functions as an object with the following
+properties:
+
+  - projectId
+  - xmlFormId
+  - draft. `true` if the submissions are test submissions to a form draft.
+  - raw. `true` to export raw values rather than the values shown in the table.
+    If `raw` is `true`, field names are exported rather than labels.
+  - xform. The parsed form definition: see parseXForm() in util/xform.js. May be
+    `null`.
+  - labelLanguage. See labelLanguage() in util/xform.js.
+  - columns. The metadata columns shown in the table in addition to the default
+    columns. See metadataColumns in util/submission-query.js.
+*/
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// COLUMNS
+
+// Repeat groups are not exported: their data is not part of a submission's
+// OData.
+const exportedFields = (fields) =>
+  fields.filter(field => field.type !== 'repeat');
+
+export const exportHeaders = (fields, options) => {
+  const { draft, raw, xform, labelLanguage, columns = [] } = options;
+  const headers = [];
+  if (!draft) headers.push(i18n.t('header.submitterName'));
+  headers.push(i18n.t('header.submissionDate'));
+  for (const column of columns)
+    headers.push(i18n.t(`submission.metadata.${column}`));
+  if (!draft) headers.push(i18n.t('field.reviewState'));
+  for (const field of exportedFields(fields)) {
+    const label = !raw && xform != null
+      ? fieldLabel(xform, field.path, labelLanguage)
+      : null;
+    headers.push(label != null ? label : field.header());
+  }
+  headers.push(i18n.t('header.instanceId'));
+  return headers;
+};
+
+const reviewStateText = ({ __system }) => {
+  if (__system.reviewState == null &&
+    __system.attachmentsPresent !== __system.attachmentsExpected)
+    return i18n.t('submission.missingMedia');
+  return i18n.t(`reviewState.${__system.reviewState}`);
+};
+
+const metadataValue = ({ __system }, column, { raw }) => {
+  switch (column) {
+    case 'edits':
+      return raw ? __system.edits : i18n.n(__system.edits, 'default');
+    case 'attachments': {
+      const { attachmentsPresent: present, attachmentsExpected: expected } =
+        __system;
+      return raw
+        ? `${present}/${expected}`
+        : i18n.t('submission.attachmentCount', {
+          present: i18n.n(present, 'default'),
+          expected: i18n.n(expected, 'default')
+        });
+    }
+    default:
+      return __system[column];
+  }
+};
+
+const fieldValue = (submission, field, options) => {
+  const rawValue = path(field.splitPath(), submission);
+  if (rawValue == null) return null;
+  if (field.binary === true) {
+    if (options.raw) return rawValue;
+    const url = apiPaths.submissionAttachment(
+      options.projectId,
+      options.xmlFormId,
+      options.draft,
+      submission.__id,
+      rawValue
+    );
+    // Unlike a link in the table, the URL must be absolute.
+    return new URL(url, window.location.origin).href;
+  }
+  if (options.raw) return rawValue;
+  return formatValue(field, rawValue, options.xform, options.labelLanguage);
+};
+
+// Returns the values of a row. A value is a string, a number, or `null`.
+export const exportRow = (submission, fields, options) => {
+  const { __system } = submission;
+  const values = [];
+  if (!options.draft) values.push(__system.submitterName);
+  values.push(options.raw
+    ? __system.submissionDate
+    : formatDateTime(DateTime.fromISO(__system.submissionDate)));
+  const { columns = [] } = options;
+  for (const column of columns)
+    values.push(metadataValue(submission, column, options));
+  if (!options.draft) {
+    values.push(options.raw
+      ? __system.reviewState
+      : reviewStateText(submission));
+  }
+  // The values of an encrypted submission are not available.
+  const encrypted = __system.status != null;
+  for (const field of exportedFields(fields))
+    values.push(!encrypted ? fieldValue(submission, field, options) : null);
+  values.push(submission.__id);
+  return values;
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// WRITERS
+
+/*
+A writer writes rows to a file as they are received, so that a large export
+does not need to be held in memory more than once. A writer has the following
+methods:
+
+  - writeRows(rows). Writes an array of rows, each of which is an array of
+    values. See exportRow().
+  - blob(). Ends the file, returning it as a Blob.
+
+A writer also has an `extension` property.
+*/
+
+const csvValue = (value) => {
+  if (value == null) return '';
+  const text = value.toString();
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const createCsvWriter = () => {
+  // Starting with a byte order mark so that Excel reads the file as UTF-8
+  const parts = ['\uFEFF'];
+  return {
+    extension: 'csv',
+    writeRows: (rows) => {
+      parts.push(rows.map(row => `${row.map(csvValue).join(',')}\r\n`).join(''));
+    },
+    blob: () => new Blob(parts, { type: 'text/csv' })
+  };
+};
+
+// Characters that are not allowed in XML 1.0
+// eslint-disable-next-line no-control-regex
+const invalidXmlCharacters = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+const escapeXml = (text) => text
+  .replace(invalidXmlCharacters, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const xlsxCell = (value) => {
+  if (value == null) return '<c/>';
+  if (typeof value === 'number' && Number.isFinite(value))
+    return `<c><v>${value}</v></c>`;
+  const text = escapeXml(value.toString());
+  return `<c t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+};
+
+const xmlDeclaration = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const mainNamespace = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const relationshipNamespace = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const packageNamespace = 'http://schemas.openxmlformats.org/package/2006';
+const xlsxFiles = {
+  '[Content_Types].xml': `${xmlDeclaration}<Types xmlns="${packageNamespace}/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`,
+  '_rels/.rels': `${xmlDeclaration}<Relationships xmlns="${packageNamespace}/relationships"><Relationship Id="rId1" Type="${relationshipNamespace}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+  'xl/workbook.xml': `${xmlDeclaration}<workbook xmlns="${mainNamespace}" xmlns:r="${relationshipNamespace}"><sheets><sheet name="Submissions" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+  'xl/_rels/workbook.xml.rels': `${xmlDeclaration}<Relationships xmlns="${packageNamespace}/relationships"><Relationship Id="rId1" Type="${relationshipNamespace}/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`
+};
+
+const createXlsxWriter = () => {
+  const zip = createZip();
+  for (const [name, content] of Object.entries(xlsxFiles)) {
+    zip.startFile(name);
+    zip.write(content);
+    zip.endFile();
+  }
+  zip.startFile('xl/worksheets/sheet1.xml');
+  zip.write(`${xmlDeclaration}<worksheet xmlns="${mainNamespace}"><sheetData>`);
+  return {
+    extension: 'xlsx',
+    writeRows: (rows) => {
+      zip.write(rows.map(row => `<row>${row.map(xlsxCell).join('')}</row>`).join(''));
+    },
+    blob: () => {
+      zip.write('</sheetData></worksheet>');
+      zip.endFile();
+      const blob = zip.blob();
+      return new Blob([blob], {
+        type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      });
+    }
+  };
+};
+
+// `format` is either 'csv' or 'xlsx'.
+export const createExportWriter = (format) => {
+  if (format === 'csv') return createCsvWriter();
+  if (format === 'xlsx') return createXlsxWriter();
+  throw new Error('unknown format');
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// GEOGRAPHIC EXPORT
+
+/*
+A geographic export has a feature for each submission with a value for the geo
+field. If the geo field is within a repeat group, there is a feature for each
+repeat instance instead.
+
+geoExportTables() returns the OData tables to request in order to export a geo
+field, starting with the table of submissions and ending with the table that
+contains the geo field. Each table is an object with the following properties:
+
+  - repeat. The repeat group whose instances are in the table, or `null` for the
+    table of submissions.
+  - entitySet. The name of the OData entity set.
+  - parentKey. For a table of repeat instances, the property that links each
+    instance to its parent submission or repeat instance. `null` for the table
+    of submissions.
+*/
+export const geoExportTables = (fields, geoField) => {
+  const tables = [{ repeat: null, entitySet: 'Submissions', parentKey: null }];
+  // The fields endpoint returns a repeat group before the fields within it, so
+  // the repeat groups are in order from outermost to innermost.
+  for (const field of fields) {
+    if (field.type === 'repeat' && geoField.path.startsWith(`${field.path}/`)) {
+      const parent = last(tables);
+      tables.push({
+        repeat: field,
+        entitySet: `Submissions${field.path.replace(/\//g, '.')}`,
+        parentKey: `__${parent.entitySet.replace(/\./g, '-')}-id`
+      });
+    }
+  }
+  return tables;
+};
+
+// Returns the name of a property of a feature. The name is the header of the
+// field relative to the repeat group that contains it.
+export const geoPropertyName = (field, repeat = null) => {
+  if (repeat == null) return field.header();
+  return field.splitPath().slice(repeat.splitPath().length).join('-');
+};
+
+const geoPropertyValue = (data, field, repeat) => {
+  const splitPath = field.splitPath();
+  const relativePath = repeat != null
+    ? splitPath.slice(repeat.splitPath().length)
+    : splitPath;
+  const value = path(relativePath, data);
+  if (value == null) return null;
+  // Each choice of a select multiple field is a separate element of an array.
+  if (field.selectMultiple === true)
+    return value.split(' ').filter(name => name !== '');
+  return value;
+};
+
+/*
+exportFeature() returns the GeoJSON feature for a submission or a repeat
+instance. `data` is its OData, which must include Well-Known Text for geo
+fields. `table` is returned by geoExportTables(). `properties` is an array of
+the fields to export as properties. The feature's geometry is `null` if the geo
+field does not have a value or if the value cannot be parsed.
+*/
+export const exportFeature = (data, geoField, table, properties) => {
+  const { repeat, parentKey } = table;
+  const featureProperties = { __id: data.__id };
+  if (parentKey != null) featureProperties[parentKey] = data[parentKey];
+  // The values of an encrypted submission are not available.
+  const encrypted = data.__system != null && data.__system.status != null;
+  for (const field of properties) {
+    featureProperties[geoPropertyName(field, repeat)] = !encrypted
+      ? geoPropertyValue(data, field, repeat)
+      : null;
+  }
+  return {
+    type: 'Feature',
+    id: data.__id,
+    geometry: !encrypted ? parseWkt(geoPropertyValue(data, geoField, repeat)) : null,
+    properties: featureProperties
+  };
+};
+
+/*
+Like a writer above, a geographic writer writes to a file as data is received.
+A geographic writer has the following methods:
+
+  - writeFeatures(features). Writes an array of features, each of which is
+    returned by exportFeature().
+  - blob(). Ends the file, returning it as a Blob.
+
+A geographic writer also has an `extension` property.
+*/
+
+const createGeoJsonWriter = () => {
+  const parts = ['{"type":"FeatureCollection","features":['];
+  let written = false;
+  return {
+    extension: 'geojson',
+    writeFeatures: (features) => {
+      if (features.length === 0) return;
+      const json = features.map(feature => JSON.stringify(feature)).join(',');
+      parts.push(written ? `,${json}` : json);
+      written = true;
+    },
+    blob: () => new Blob([...parts, ']}'], { type: 'application/geo+json' })
+  };
+};
+
+const kmlCoordinates = (positions) =>
+  `<coordinates>${positions.map(position => position.join(',')).join(' ')}</coordinates>`;
+const kmlRing = (positions) => `<LinearRing>${kmlCoordinates(positions)}</LinearRing>`;
+const kmlGeometry = (geometry) => {
+  if (geometry == null) return '';
+  if (geometry.type === 'Point')
+    return `<Point>${kmlCoordinates([geometry.coordinates])}</Point>`;
+  if (geometry.type === 'LineString')
+    return `<LineString>${kmlCoordinates(geometry.coordinates)}</LineString>`;
+  const [outer, ...inner] = geometry.coordinates;
+  const innerBoundaries = inner
+    .map(ring => `<innerBoundaryIs>${kmlRing(ring)}</innerBoundaryIs>`)
+    .join('');
+  return `<Polygon><outerBoundaryIs>${kmlRing(outer)}</outerBoundaryIs>${innerBoundaries}</Polygon>`;
+};
+
+const kmlPlacemark = ({ id, geometry, properties }) => {
+  const data = Object.entries(properties)
+    .filter(([, value]) => value != null)
+    .map(([name, value]) => {
+      // KML does not have arrays, so the choices of a select multiple field are
+      // separated by spaces as in the submission.
+      const text = Array.isArray(value) ? value.join(' ') : value.toString();
+      return `<Data name="${escapeXml(name)}"><value>${escapeXml(text)}</value></Data>`;
+    })
+    .join('');
+  return `<Placemark><name>${escapeXml(id)}</name><ExtendedData>${data}</ExtendedData>${kmlGeometry(geometry)}</Placemark>`;
+};
+
+const createKmlWriter = (name) => {
+  const parts = [`${xmlDeclaration}<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>${escapeXml(name)}</name>`];
+  return {
+    extension: 'kml',
+    writeFeatures: (features) => {
+      parts.push(features.map(kmlPlacemark).join(''));
+    },
+    blob: () => new Blob([...parts, '</Document></kml>'], {
+      type: 'application/vnd.google-earth.kml+xml'
+    })
+  };
+};
+
+// `format` is either 'geojson' or 'kml'. `name` is the name of the KML
+// document.
+export const createGeoExportWriter = (format, name) => {
+  if (format === 'geojson') return createGeoJsonWriter();
+  if (format === 'kml') return createKmlWriter(name);
+  throw new Error('unknown format');
+};
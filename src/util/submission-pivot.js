@@ -0,0 +1,159 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+import { path } from 'ramda';
+
+/*
+The functions in this file compute a pivot table (a crosstab) of submissions in
+the browser. The rows of the table group the submissions by one dimension, and
+the columns group them by another. Each cell aggregates the submissions in both
+groups.
+
+A dimension is an object with one of the following properties:
+
+  - field. A field whose values group the submissions. See pivotFields().
+  - metadata. One of pivotMetadata below.
+
+An aggregate is an object with a `type` property, which is 'count', 'sum', or
+'mean'. For 'sum' and 'mean', it also has a `field` property, which is an int or
+decimal field.
+*/
+
+// The metadata that submissions can be grouped by, each of which is a property
+// of `__system`
+export const pivotMetadata = ['reviewState', 'submitterId', 'formVersion', 'deviceId'];
+
+// The fields that submissions can be grouped by. The values of a geo field or
+// a binary field are rarely the same across submissions, so they are not
+// offered. `fields` must not include groups.
+export const pivotFields = (fields) => fields.filter(field =>
+  field.type !== 'repeat' && field.binary !== true &&
+  !['geopoint', 'geotrace', 'geoshape'].includes(field.type));
+
+// The fields that can be summed or averaged
+export const aggregateFields = (fields) => fields.filter(({ type }) =>
+  type === 'int' || type === 'decimal');
+
+/*
+dimensionKeys() returns the keys of the groups that a submission belongs to for
+a dimension. A key is a string, a number, or `null` for a missing value. A
+submission usually belongs to a single group, but a submission belongs to a
+group for each choice selected for a select_multiple field.
+*/
+export const dimensionKeys = (submission, dimension) => {
+  if (dimension.metadata != null) {
+    const value = submission.__system[dimension.metadata];
+    return [value != null && value !== '' ? value : null];
+  }
+  // The values of an encrypted submission are not available, so they are
+  // treated as missing.
+  const { field } = dimension;
+  const value = submission.__system.status == null
+    ? path(field.splitPath(), submission)
+    : null;
+  if (value == null || value === '') return [null];
+  if (field.selectMultiple === true) {
+    const names = [...new Set(value.split(' ').filter(name => name !== ''))];
+    return names.length !== 0 ? names : [null];
+  }
+  // A dateTime value is grouped by its date in its own time zone.
+  if (field.type === 'dateTime') return [value.slice(0, 10)];
+  return [value];
+};
+
+// Sorts keys: numbers numerically, other keys alphabetically, and missing
+// values last.
+const compareKeys = (key1, key2) => {
+  if (key1 == null) return key2 == null ? 0 : 1;
+  if (key2 == null) return -1;
+  if (typeof key1 === 'number' && typeof key2 === 'number') return key1 - key2;
+  return key1.toString().localeCompare(key2.toString());
+};
+
+const createCell = () => ({ submissions: [], sum: 0, numbers: 0 });
+
+const addToCell = (cell, submission, aggregate) => {
+  cell.submissions.push(submission);
+  if (aggregate.type === 'count') return;
+  const value = submission.__system.status == null
+    ? path(aggregate.field.splitPath(), submission)
+    : null;
+  if (typeof value === 'number') {
+    cell.sum += value; // eslint-disable-line no-param-reassign
+    cell.numbers += 1; // eslint-disable-line no-param-reassign
+  }
+};
+
+/*
+pivotTable() groups an array of submissions (their OData) by a row dimension
+and a column dimension. It returns an object with the following properties:
+
+  - rows and columns. Arrays of the keys of the row groups and the column
+    groups, sorted.
+  - cells. A Map of each row key to a Map of each column key to a cell. A cell
+    is created only for a combination of keys with at least one submission.
+  - rowTotals and columnTotals. A Map of each row key or column key to a cell
+    for the entire row or column.
+  - total. A cell for all the submissions.
+
+A cell is an object with the following properties:
+
+  - submissions. The submissions in the cell. A submission is included in a
+    cell at most once, even if it belongs to multiple groups of a dimension.
+  - sum. The sum of the values of the aggregate field.
+  - numbers. The number of submissions with a value for the aggregate field.
+
+Use cellValue() to aggregate a cell.
+*/
+export const pivotTable = (submissions, rowDimension, columnDimension, aggregate) => {
+  const cells = new Map();
+  const rowTotals = new Map();
+  const columnTotals = new Map();
+  const total = createCell();
+  for (const submission of submissions) {
+    const rowKeys = dimensionKeys(submission, rowDimension);
+    const columnKeys = dimensionKeys(submission, columnDimension);
+    for (const rowKey of rowKeys) {
+      if (!cells.has(rowKey)) {
+        cells.set(rowKey, new Map());
+        rowTotals.set(rowKey, createCell());
+      }
+      const row = cells.get(rowKey);
+      for (const columnKey of columnKeys) {
+        if (!row.has(columnKey)) row.set(columnKey, createCell());
+        addToCell(row.get(columnKey), submission, aggregate);
+      }
+      addToCell(rowTotals.get(rowKey), submission, aggregate);
+    }
+    for (const columnKey of columnKeys) {
+      if (!columnTotals.has(columnKey)) columnTotals.set(columnKey, createCell());
+      addToCell(columnTotals.get(columnKey), submission, aggregate);
+    }
+    addToCell(total, submission, aggregate);
+  }
+  return {
+    rows: [...rowTotals.keys()].sort(compareKeys),
+    columns: [...columnTotals.keys()].sort(compareKeys),
+    cells,
+    rowTotals,
+    columnTotals,
+    total
+  };
+};
+
+// Returns the value of a cell for an aggregate, or `null` if the cell does not
+// exist or if no submission in the cell has a value to average.
+export const cellValue = (cell, aggregate) => {
+  if (cell == null) return aggregate.type === 'mean' ? null : 0;
+  if (aggregate.type === 'count') return cell.submissions.length;
+  if (aggregate.type === 'sum') return cell.sum;
+  return cell.numbers !== 0 ? cell.sum / cell.numbers : null;
+};
@@ -0,0 +1,251 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+// This module converts between the state of SubmissionList (its filters, its
+// selected fields, and its order) and a route query. That way, the state can
+// be restored after a reload, and a filtered view can be shared as a link.
+
+import { DateTime } from 'luxon';
+import { equals, map } from 'ramda';
+
+import { defaultOrder, fieldFilterOperators, isDefaultOrder, systemOrderColumns } from './odata';
+
+/*
+A query may have the following parameters. A parameter is omitted if it has its
+default value.
+
+  - submitterId. The ID of an actor.
+  - start and end. The submission date range, as ISO dates (yyyy-MM-dd).
+  - reviewState. One or more review states. The null review state is specified
+    as `null`.
+  - condition. One or more field conditions, each of which is formatted as
+    JSON. See util/odata.js for a description of a field condition.
+  - formVersion. The version of the form that submissions were submitted
+    against.
+  - edited. `true` to show only submissions that have been edited, `false` to
+    show only submissions that have not.
+  - deviceId. The device ID of submissions.
+  - missingAttachments. `true` to show only submissions that are missing
+    attachments, `false` to show only submissions that are not.
+  - fields. One or more paths of selected fields. If no field is selected,
+    `fields` is the empty string. If `fields` is omitted, the default fields are
+    selected.
+  - sort. The column and direction of the order, separated by a space, for
+    example, `submitterName asc`.
+  - columns. One or more metadata columns to show in addition to the default
+    columns. See metadataColumns below.
+*/
+
+const reviewStates = ['null', 'approved', 'hasIssues', 'edited', 'rejected'];
+
+// The metadata columns that can be shown in the table of submissions, in the
+// order in which they are shown. Each is a property of `__system`, except for
+// `attachments`, which combines attachmentsPresent and attachmentsExpected.
+export const metadataColumns = ['formVersion', 'edits', 'deviceId', 'attachments'];
+
+// Vue Router parses a parameter that is specified once as a string and a
+// parameter that is specified more than once as an array.
+const queryArray = (value) => {
+  if (value == null) return [];
+  return (Array.isArray(value) ? value : [value]).filter(s => s != null);
+};
+const queryString = (value) => {
+  const array = queryArray(value);
+  return array.length !== 0 ? array[0] : null;
+};
+
+const queryBoolean = (value) => {
+  const string = queryString(value);
+  if (string === 'true') return true;
+  if (string === 'false') return false;
+  return null;
+};
+
+const isDateRange = (value) => Array.isArray(value) && value.length === 2 &&
+  value.every(date => typeof date === 'string' &&
+    DateTime.fromISO(date).isValid);
+
+// Returns `true` if a field condition has the expected shape. This function
+// does not check that the field exists: see allowsFieldCondition().
+const isFieldCondition = (condition) => {
+  if (condition == null || typeof condition !== 'object') return false;
+  const { path, operator, value } = condition;
+  if (typeof path !== 'string' || !path.startsWith('/')) return false;
+  switch (operator) {
+    case 'between':
+      return Array.isArray(value) && value.length === 2 &&
+        value.every(bound => bound === null || Number.isFinite(bound)) &&
+        value.some(bound => bound !== null);
+    case 'dateBetween':
+      return isDateRange(value);
+    case 'in':
+    case 'has':
+      return Array.isArray(value) && value.length !== 0 &&
+        value.every(choice => typeof choice === 'string');
+    case 'contains':
+    case 'eq':
+      return typeof value === 'string' && value !== '';
+    default:
+      return false;
+  }
+};
+
+const parseFieldCondition = (json) => {
+  try {
+    const condition = JSON.parse(json);
+    if (!isFieldCondition(condition)) return null;
+    const { path, operator, value } = condition;
+    return { path, operator, value };
+  } catch (e) {
+    return null;
+  }
+};
+
+const parseOrder = (sort) => {
+  if (sort == null) return { ...defaultOrder };
+  const [column, direction, ...rest] = sort.split(' ');
+  if (rest.length !== 0 || (direction !== 'asc' && direction !== 'desc') ||
+    !(column.startsWith('/') || systemOrderColumns.includes(column)))
+    return { ...defaultOrder };
+  return { column, direction };
+};
+
+/*
+parseSubmissionQuery() returns the state specified by a query. Any parameter
+that is invalid is ignored. The state is an object with the following
+properties:
+
+  - filters. An object with the same properties as the `filters` data property
+    of SubmissionList.
+  - fields. An array of field paths, or `null` if the default fields should be
+    selected.
+  - order. An order as described in util/odata.js.
+  - columns. An array of metadata columns.
+
+parseSubmissionQuery() does not know which fields the form has, so it does not
+check the field paths. See dropStaleFields().
+*/
+export const parseSubmissionQuery = (query) => {
+  const submitterId = queryString(query.submitterId);
+  const submissionDate = [queryString(query.start), queryString(query.end)];
+  const fields = query.fields != null
+    ? queryArray(query.fields).filter(path => path.startsWith('/'))
+    : null;
+  const formVersion = queryString(query.formVersion);
+  const deviceId = queryString(query.deviceId);
+  const columns = queryArray(query.columns);
+  return {
+    filters: {
+      submitterId: submitterId != null && /^[1-9]\d*$/.test(submitterId)
+        ? submitterId
+        : '',
+      submissionDate: isDateRange(submissionDate) &&
+        submissionDate[0] <= submissionDate[1]
+        ? submissionDate.map(date => DateTime.fromISO(date))
+        : [],
+      reviewState: queryArray(query.reviewState)
+        .filter(reviewState => reviewStates.includes(reviewState))
+        .map(reviewState =>
+          (reviewState === 'null' ? reviewState : `'${reviewState}'`)),
+      fieldConditions: queryArray(query.condition)
+        .map(parseFieldCondition)
+        .filter(condition => condition != null),
+      formVersion: formVersion != null ? formVersion : '',
+      edited: queryBoolean(query.edited),
+      deviceId: deviceId != null ? deviceId : '',
+      missingAttachments: queryBoolean(query.missingAttachments)
+    },
+    fields,
+    order: parseOrder(queryString(query.sort)),
+    columns: metadataColumns.filter(column => columns.includes(column))
+  };
+};
+
+// Returns the query for a state. Use queriesAreEqual() to compare the result
+// with a query from Vue Router.
+export const submissionQuery = ({ filters, fields, order, columns = [] }) => {
+  const query = {};
+  if (filters.submitterId !== '') query.submitterId = filters.submitterId;
+  if (filters.submissionDate.length !== 0) {
+    [query.start, query.end] = filters.submissionDate
+      .map(dateTime => dateTime.toISODate());
+  }
+  if (filters.reviewState.length !== 0) {
+    query.reviewState = filters.reviewState
+      .map(reviewState => reviewState.replace(/'/g, ''));
+  }
+  if (filters.fieldConditions.length !== 0) {
+    query.condition = filters.fieldConditions
+      .map(({ path, operator, value }) =>
+        JSON.stringify({ path, operator, value }));
+  }
+  if (filters.formVersion !== '') query.formVersion = filters.formVersion;
+  if (filters.edited != null) query.edited = filters.edited.toString();
+  if (filters.deviceId !== '') query.deviceId = filters.deviceId;
+  if (filters.missingAttachments != null)
+    query.missingAttachments = filters.missingAttachments.toString();
+  if (fields != null) query.fields = fields.length !== 0 ? fields : '';
+  if (!isDefaultOrder(order))
+    query.sort = `${order.column} ${order.direction}`;
+  if (columns.length !== 0) query.columns = columns;
+  return query;
+};
+
+// The choices of a field are not known until the form XML is received, so we
+// allow an operator that is allowed either with or without choices.
+const allowsFieldCondition = (field, { operator }) =>
+  fieldFilterOperators(field).includes(operator) ||
+  fieldFilterOperators(field, [{}]).includes(operator);
+
+/*
+dropStaleFields() removes any field path from a state that is not the path of
+one of `selectableFields`, for example, because the field was removed from the
+form. It also removes any field condition that is no longer allowed for its
+field, as well as an order by a repeat group. It returns a new state.
+*/
+export const dropStaleFields = ({ filters, fields, order, columns }, selectableFields) => {
+  const fieldsByPath = new Map();
+  for (const field of selectableFields) fieldsByPath.set(field.path, field);
+  const fieldConditions = filters.fieldConditions.filter(condition => {
+    const field = fieldsByPath.get(condition.path);
+    return field != null && allowsFieldCondition(field, condition);
+  });
+  let paths = fields;
+  if (paths != null) {
+    paths = paths.filter(path => fieldsByPath.has(path));
+    // If none of the fields exist, we select the default fields.
+    if (paths.length === 0 && fields.length !== 0) paths = null;
+  }
+  return {
+    filters: filters.fieldConditions.length === fieldConditions.length
+      ? filters
+      : { ...filters, fieldConditions },
+    fields: paths,
+    // Submissions cannot be sorted by a repeat group.
+    order: order.column.startsWith('/') && (!fieldsByPath.has(order.column) ||
+      fieldsByPath.get(order.column).type === 'repeat')
+      ? { ...defaultOrder }
+      : order,
+    columns
+  };
+};
+
+// Returns `true` if two queries have the same parameters. Vue Router may
+// represent a parameter that is specified once as either a string or an array
+// with a single element: queriesAreEqual() treats the two the same way.
+export const queriesAreEqual = (query1, query2) => {
+  const normalize = (query) => map(
+    (value) => (Array.isArray(value) && value.length === 1 ? value[0] : value),
+    query
+  );
+  return equals(normalize(query1), normalize(query2));
+};
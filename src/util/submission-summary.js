@@ -0,0 +1,234 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+import { DateTime } from 'luxon';
+import { path } from 'ramda';
+
+/*
+The functions in this file summarize the values of each field across many
+submissions. Because there may be many submissions, they are requested one page
+at a time, and each page is added to the summary as it is received. Only the
+values needed for the summary are kept, not the submissions themselves.
+
+How a field is summarized depends on its kind:
+
+  - choice. A select_one or select_multiple field. The number of submissions
+    that selected each choice is counted.
+  - number. An int or decimal field. The values are kept so that statistics and
+    a histogram can be calculated.
+  - date. A date or dateTime field. The number of submissions on each date is
+    counted.
+  - other. Any other field. Only missing values are counted.
+
+Missing values are counted for every field.
+*/
+
+// A select_one field is a string field with choices in the form definition.
+// `xform` may be `null`, in which case select_one fields are summarized as
+// other fields.
+export const summaryKind = (field, xform) => {
+  if (field.selectMultiple === true) return 'choice';
+  const { type } = field;
+  if (type === 'int' || type === 'decimal') return 'number';
+  if (type === 'date' || type === 'dateTime') return 'date';
+  if (type === 'string' && xform != null && xform.choices.has(field.path))
+    return 'choice';
+  return 'other';
+};
+
+/*
+createSummary() returns an empty summary of `fields`, which must not include
+repeat groups or groups. A summary is an object with the following properties:
+
+  - count. The number of submissions added to the summary.
+  - fields. An array with an element for each field. Each element is an object
+    with the following properties:
+    - field
+    - kind. See summaryKind().
+    - missing. The number of submissions without a value for the field.
+    - values. For a number field, an array of the values.
+    - counts. For a choice field, a Map of each choice name to the number of
+      submissions that selected it. For a date field, a Map of each ISO date to
+      the number of submissions with a value on that date.
+*/
+export const createSummary = (fields, xform) => ({
+  count: 0,
+  fields: fields.map(field => {
+    const kind = summaryKind(field, xform);
+    const summary = { field, kind, missing: 0 };
+    if (kind === 'number') summary.values = [];
+    if (kind === 'choice' || kind === 'date') summary.counts = new Map();
+    return summary;
+  })
+});
+
+const increment = (counts, key) => {
+  counts.set(key, (counts.has(key) ? counts.get(key) : 0) + 1);
+};
+
+// Adds an array of submissions (their OData) to a summary, mutating it.
+export const addToSummary = (summary, submissions) => {
+  for (const submission of submissions) {
+    summary.count += 1; // eslint-disable-line no-param-reassign
+    // The values of an encrypted submission are not available, so they are
+    // counted as missing.
+    const encrypted = submission.__system.status != null;
+    for (const fieldSummary of summary.fields) {
+      const value = !encrypted
+        ? path(fieldSummary.field.splitPath(), submission)
+        : null;
+      if (value == null || value === '') {
+        fieldSummary.missing += 1;
+      } else if (fieldSummary.kind === 'number') {
+        fieldSummary.values.push(value);
+      } else if (fieldSummary.kind === 'choice') {
+        const names = fieldSummary.field.selectMultiple === true
+          ? new Set(value.split(' ').filter(name => name !== ''))
+          : [value];
+        for (const name of names) increment(fieldSummary.counts, name);
+      } else if (fieldSummary.kind === 'date') {
+        // The date of a dateTime value is the date in its own time zone.
+        increment(fieldSummary.counts, value.slice(0, 10));
+      }
+    }
+  }
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// RESULTS
+
+// Returns an array of the counts of a choice field, from most to least common.
+// Each element is an object with `name` and `count` properties.
+export const choiceFrequencies = ({ counts }) => [...counts]
+  .map(([name, count]) => ({ name, count }))
+  .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+// Returns the minimum, maximum, mean, and median of an array of numbers, or
+// `null` if the array is empty.
+export const numberStatistics = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return {
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+    median: sorted.length % 2 === 1
+      ? sorted[middle]
+      : (sorted[middle - 1] + sorted[middle]) / 2
+  };
+};
+
+// The maximum number of bars of a histogram
+const maxBins = 20;
+
+/*
+histogram() groups an array of numbers into bins of equal width. It returns an
+array of bins, each of which is an object with the following properties:
+
+  - start and end. Each bin includes its start, but not its end, except for the
+    last bin, which includes both.
+  - count. The number of values in the bin.
+
+If `integer` is `true` and there are few enough distinct integers, each bin
+contains a single integer, and its end is one more than its start.
+*/
+export const histogram = (values, integer = false) => {
+  if (values.length === 0) return [];
+  const { min, max } = numberStatistics(values);
+  let binCount;
+  let width;
+  if (integer && max - min < maxBins) {
+    binCount = max - min + 1;
+    width = 1;
+  } else if (min === max) {
+    return [{ start: min, end: max, count: values.length }];
+  } else {
+    // Sturges' rule
+    binCount = Math.min(Math.ceil(Math.log2(values.length)) + 1, maxBins);
+    width = (max - min) / binCount;
+  }
+  const bins = [];
+  for (let i = 0; i < binCount; i += 1)
+    bins.push({ start: min + i * width, end: min + (i + 1) * width, count: 0 });
+  for (const value of values) {
+    const index = Math.min(Math.floor((value - min) / width), binCount - 1);
+    bins[index].count += 1;
+  }
+  return bins;
+};
+
+/*
+timeline() returns the counts of a date field by period, from the earliest date
+to the latest, including any period without a value. The period is a day, a
+month, or a year, depending on how far apart the dates are. It returns an object
+with the following properties:
+
+  - unit. The period: 'day', 'month', or 'year'.
+  - periods. An array of objects, each with a `start` property (a DateTime) and
+    a `count` property.
+
+Dates that cannot be parsed are ignored.
+*/
+export const timeline = ({ counts }) => {
+  const dates = [];
+  for (const [iso, count] of counts) {
+    const date = DateTime.fromISO(iso, { zone: 'utc' });
+    if (date.isValid) dates.push({ date, count });
+  }
+  if (dates.length === 0) return { unit: 'day', periods: [] };
+  dates.sort((a, b) => a.date - b.date);
+  const first = dates[0].date;
+  const last = dates[dates.length - 1].date;
+  const { days } = last.diff(first, 'days');
+  let unit = 'year';
+  if (days <= 62)
+    unit = 'day';
+  else if (days <= 1830)
+    unit = 'month';
+  const periods = [];
+  const end = last.startOf(unit);
+  for (let start = first.startOf(unit); start <= end; start = start.plus({ [unit]: 1 }))
+    periods.push({ start, count: 0 });
+  for (const { date, count } of dates) {
+    const index = Math.round(date.startOf(unit).diff(periods[0].start, unit)[`${unit}s`]);
+    periods[index].count += count;
+  }
+  return { unit, periods };
+};
+
+/*
+summaryResults() returns the results of a summary to show, with an element for
+each field. Each element is an object with the following properties:
+
+  - field
+  - kind
+  - missing. The number of submissions without a value for the field.
+  - frequencies. For a choice field, see choiceFrequencies().
+  - statistics and histogram. For a number field, see numberStatistics() and
+    histogram().
+  - timeline. For a date field, see timeline().
+*/
+export const summaryResults = (summary) => summary.fields.map(fieldSummary => {
+  const { field, kind, missing } = fieldSummary;
+  const result = { field, kind, missing };
+  if (kind === 'choice') {
+    result.frequencies = choiceFrequencies(fieldSummary);
+  } else if (kind === 'number') {
+    result.statistics = numberStatistics(fieldSummary.values);
+    result.histogram = histogram(fieldSummary.values, field.type === 'int');
+  } else if (kind === 'date') {
+    result.timeline = timeline(fieldSummary);
+  }
+  return result;
+});
@@ -0,0 +1,69 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+// A saved view of the submission table is a named query as returned by
+// submissionQuery() (see util/submission-query.js). Views are stored in local
+// storage, separately for each user and each form.
+
+import { localStore } from './storage';
+
+const storageKey = (userId, projectId, xmlFormId) =>
+  `submissionViews:${userId}:${projectId}:${xmlFormId}`;
+
+const isView = (view) => view != null && typeof view === 'object' &&
+  typeof view.name === 'string' && view.name !== '' &&
+  view.query != null && typeof view.query === 'object' &&
+  !Array.isArray(view.query);
+
+/*
+readSubmissionViews() returns an object with the following properties:
+
+  - views. An array of views. Each view is an object with a `name` property and
+    a `query` property.
+  - defaultView. The name of the view to show if the user navigates to the
+    submission table without a query, or `null` if there is no default view.
+
+If nothing has been stored, or if what is stored cannot be read, there are no
+views.
+*/
+export const readSubmissionViews = (userId, projectId, xmlFormId) => {
+  const result = { views: [], defaultView: null };
+  const item = localStore.getItem(storageKey(userId, projectId, xmlFormId));
+  if (item == null) return result;
+  let stored;
+  try {
+    stored = JSON.parse(item);
+  } catch (e) {
+    return result;
+  }
+  if (stored == null || !Array.isArray(stored.views)) return result;
+  result.views = stored.views.filter(isView)
+    .map(({ name, query }) => ({ name, query }));
+  if (result.views.some(({ name }) => name === stored.defaultView))
+    result.defaultView = stored.defaultView;
+  return result;
+};
+
+export const writeSubmissionViews = (userId, projectId, xmlFormId, { views, defaultView }) => {
+  const key = storageKey(userId, projectId, xmlFormId);
+  if (views.length === 0)
+    localStore.removeItem(key);
+  else
+    localStore.setItem(key, JSON.stringify({ views, defaultView }));
+};
+
+// Returns the query of the default view, or `null` if there is no default view.
+export const defaultViewQuery = (userId, projectId, xmlFormId) => {
+  const { views, defaultView } = readSubmissionViews(userId, projectId, xmlFormId);
+  if (defaultView == null) return null;
+  return views.find(({ name }) => name === defaultView).query;
+};
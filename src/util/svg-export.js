@@ -0,0 +1,59 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+// This module exports an <svg> element as an image file. The element should be
+// styled using presentation attributes rather than CSS, because styles from
+// the page are not included in the file.
+
+// Returns the <svg> element as a standalone SVG file.
+export const svgBlob = (svg) => {
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  const xml = new XMLSerializer().serializeToString(clone);
+  return new Blob(
+    ['<?xml version="1.0" encoding="UTF-8"?>\n', xml],
+    { type: 'image/svg+xml' }
+  );
+};
+
+// Draws the <svg> element to a canvas, returning a promise that resolves to a
+// PNG file. The element must have `width` and `height` attributes. `scale`
+// multiplies the size of the image so that it is sharp on a high-density
+// display.
+export const pngBlob = (svg, scale = 2) => new Promise((resolve, reject) => {
+  const width = Number(svg.getAttribute('width'));
+  const height = Number(svg.getAttribute('height'));
+  const url = URL.createObjectURL(svgBlob(svg));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const context = canvas.getContext('2d');
+    // PNG files are transparent by default.
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => {
+      if (blob != null)
+        resolve(blob);
+      else
+        reject(new Error('cannot create PNG'));
+    }, 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('cannot load SVG'));
+  };
+  image.src = url;
+});
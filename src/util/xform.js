@@ -0,0 +1,322 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+// This module parses the XML of a form definition (an XForm). We only extract
+// what Frontend needs: Backend remains the authority on the structure of the
+// form, for example, on the form fields.
+
+const childElements = (element, localName) =>
+  Array.prototype.filter.call(
+    element.children,
+    (child) => child.localName === localName
+  );
+const childElement = (element, localName) => {
+  for (const child of element.children)
+    if (child.localName === localName) return child;
+  return null;
+};
+const firstDescendant = (element, localName) =>
+  element.getElementsByTagNameNS('*', localName)[0];
+
+/*
+A label is an object that maps each language of the form to the text of the
+label in that language. A label that is not translated (that does not use itext)
+has text for a single language, the empty string. If the form has translations,
+the text of an itext label is provided for every language: if a translation does
+not have text for the label, the text of the default translation is used.
+*/
+
+// Parses the itext translations of the form. Returns an object with the
+// following properties:
+//
+//   - languages. An array of the languages of the translations.
+//   - defaultLanguage. The language of the translation with a `default`
+//     attribute, or if there is no such translation, the first translation. If
+//     the form does not have translations, this is the empty string.
+//   - texts. A Map of itext IDs to labels.
+const parseItext = (model) => {
+  const result = { languages: [], defaultLanguage: '', texts: new Map() };
+  const itext = childElement(model, 'itext');
+  if (itext == null) return result;
+  const translations = childElements(itext, 'translation');
+  if (translations.length === 0) return result;
+  result.languages = translations.map(t => t.getAttribute('lang') || '');
+  const defaultTranslation = translations.find(t => t.hasAttribute('default')) ||
+    translations[0];
+  result.defaultLanguage = defaultTranslation.getAttribute('lang') || '';
+
+  const textsByLanguage = new Map();
+  for (const translation of translations) {
+    const texts = new Map();
+    for (const text of childElements(translation, 'text')) {
+      // A <value> element with a `form` attribute specifies media, not text.
+      const value = childElements(text, 'value')
+        .find(element => !element.hasAttribute('form'));
+      if (value != null)
+        texts.set(text.getAttribute('id'), value.textContent.trim());
+    }
+    textsByLanguage.set(translation.getAttribute('lang') || '', texts);
+  }
+  const defaultTexts = textsByLanguage.get(result.defaultLanguage);
+  for (const [language, texts] of textsByLanguage) {
+    for (const [id, text] of texts) {
+      if (!result.texts.has(id)) result.texts.set(id, {});
+      result.texts.get(id)[language] = text;
+    }
+  }
+  for (const [id, label] of result.texts) {
+    for (const language of result.languages) {
+      if (label[language] == null && defaultTexts.has(id))
+        label[language] = defaultTexts.get(id);
+    }
+  }
+  return result;
+};
+
+const itextRef = /^jr:itext\((.+)\)$/;
+const parseLabel = (label, texts) => {
+  if (label == null) return null;
+  const ref = label.getAttribute('ref');
+  if (ref != null) {
+    const match = ref.match(itextRef);
+    if (match == null) return null;
+    // The argument to jr:itext() is a string literal.
+    const id = match[1].replace(/^['"]|['"]$/g, '');
+    return texts.has(id) ? texts.get(id) : null;
+  }
+  const text = label.textContent.trim();
+  return text !== '' ? { '': text } : null;
+};
+
+// Converts the ref of a body control to a field path, which does not include
+// the name of the primary instance's root element. A ref may be relative to the
+// ref of an ancestor group or repeat.
+const fieldPath = (control, ref, rootPath) => {
+  let path = ref;
+  let ancestor = control.parentElement;
+  while (!path.startsWith('/') && ancestor != null) {
+    const { localName } = ancestor;
+    if (localName === 'group' || localName === 'repeat') {
+      const ancestorRef = ancestor.getAttribute(localName === 'group' ? 'ref' : 'nodeset');
+      if (ancestorRef != null) path = `${ancestorRef}/${path}`;
+    }
+    ancestor = ancestor.parentElement;
+  }
+  if (!path.startsWith(`${rootPath}/`)) return null;
+  return path.slice(rootPath.length);
+};
+
+const inlineChoices = (control, texts) => childElements(control, 'item')
+  .map(item => {
+    const value = childElement(item, 'value');
+    return {
+      value: value != null ? value.textContent.trim() : '',
+      label: parseLabel(childElement(item, 'label'), texts)
+    };
+  });
+
+// We only support itemsets that select from the items of a secondary instance,
+// which is what pyxform generates. We ignore any predicate on the nodeset: for
+// example, for a cascading select, we return the choices across all items.
+const itemsetNodeset = /^instance\(\s*['"]([^'"]+)['"]\s*\)\/root\/item\b/;
+const itemsetChoices = (itemset, model, texts) => {
+  const match = (itemset.getAttribute('nodeset') || '').match(itemsetNodeset);
+  if (match == null) return [];
+  const instance = childElements(model, 'instance')
+    .find(element => element.getAttribute('id') === match[1]);
+  if (instance == null) return [];
+  const root = childElement(instance, 'root');
+  if (root == null) return [];
+
+  const value = childElement(itemset, 'value');
+  const valueRef = value != null ? value.getAttribute('ref') : 'name';
+  const label = childElement(itemset, 'label');
+  const labelRef = label != null ? label.getAttribute('ref') : 'label';
+  const labelItextMatch = labelRef != null ? labelRef.match(itextRef) : null;
+  return childElements(root, 'item').map(item => {
+    const valueElement = childElement(item, valueRef);
+    let itemLabel = null;
+    if (labelItextMatch != null) {
+      const idElement = childElement(item, labelItextMatch[1]);
+      if (idElement != null) {
+        const id = idElement.textContent.trim();
+        if (texts.has(id)) itemLabel = texts.get(id);
+      }
+    } else if (labelRef != null) {
+      const labelElement = childElement(item, labelRef);
+      if (labelElement != null) {
+        const text = labelElement.textContent.trim();
+        if (text !== '') itemLabel = { '': text };
+      }
+    }
+    return {
+      value: valueElement != null ? valueElement.textContent.trim() : '',
+      label: itemLabel
+    };
+  });
+};
+
+const uniqueChoices = (choices) => {
+  const values = new Set();
+  return choices.filter(({ value }) => {
+    if (value === '' || values.has(value)) return false;
+    values.add(value);
+    return true;
+  });
+};
+
+// Fields requested with ?odata=true have names that are sanitized for OData in
+// the same way as Backend sanitizes them.
+const odataPath = (path) => path.replace(/[^/]+/g, (name) =>
+  name.replace(/^([^a-z_])/i, '_$1').replace(/([^a-z0-9_]+)/gi, '_'));
+
+// Sets a value for both the path and the OData path of a field, without
+// replacing a value that has already been set.
+const setForPath = (map, path, value) => {
+  if (!map.has(path)) map.set(path, value);
+  const sanitized = odataPath(path);
+  if (!map.has(sanitized)) map.set(sanitized, value);
+};
+
+// Body controls whose labels are question or group labels. The label of a
+// repeat group is usually on the <group> element that contains the <repeat>.
+const labeledControls = [
+  'group',
+  'repeat',
+  'input',
+  'select1',
+  'select',
+  'upload',
+  'range',
+  'rank',
+  'trigger'
+];
+
+/*
+parseXForm() parses the XML of a form definition. It returns an object with the
+following properties:
+
+  - languages. An array of the languages of the form's translations. The array
+    is empty if the form does not have translations.
+  - defaultLanguage. The language that the form is shown in by default, or the
+    empty string if the form does not have translations.
+  - labels. A Map of field paths to the labels of the fields' questions and
+    groups. See above for the format of a label.
+  - choices. A Map of field paths to the choices of the select_one or
+    select_multiple question for the field. Each choice is an object with a
+    `value` property and a `label` property. `label` is `null` if the choice
+    does not have a text label.
+
+The Maps have entries for both the path of a field and the path of the field as
+returned for OData, which may differ if a name contains a character that is not
+allowed in OData.
+
+If the XML cannot be parsed, parseXForm() returns the same object, but without
+any languages, labels, or choices.
+*/
+export const parseXForm = (xml) => {
+  const result = {
+    languages: [],
+    defaultLanguage: '',
+    labels: new Map(),
+    choices: new Map()
+  };
+  const doc = new DOMParser().parseFromString(xml, 'text/xml');
+  if (doc.getElementsByTagName('parsererror').length !== 0) return result;
+  const model = firstDescendant(doc, 'model');
+  const body = firstDescendant(doc, 'body');
+  if (model == null || body == null) return result;
+  const primaryInstance = childElement(model, 'instance');
+  if (primaryInstance == null || primaryInstance.firstElementChild == null)
+    return result;
+  const rootPath = `/${primaryInstance.firstElementChild.localName}`;
+
+  const { languages, defaultLanguage, texts } = parseItext(model);
+  result.languages = languages;
+  result.defaultLanguage = defaultLanguage;
+  for (const localName of labeledControls) {
+    for (const control of body.getElementsByTagNameNS('*', localName)) {
+      const ref = control.getAttribute(localName === 'repeat' ? 'nodeset' : 'ref');
+      const path = ref != null ? fieldPath(control, ref, rootPath) : null;
+      const label = parseLabel(childElement(control, 'label'), texts);
+      if (path != null && label != null) setForPath(result.labels, path, label);
+    }
+  }
+  for (const localName of ['select1', 'select']) {
+    for (const control of body.getElementsByTagNameNS('*', localName)) {
+      const ref = control.getAttribute('ref');
+      const path = ref != null ? fieldPath(control, ref, rootPath) : null;
+      if (path != null) {
+        const itemset = childElement(control, 'itemset');
+        const choices = itemset != null
+          ? itemsetChoices(itemset, model, texts)
+          : inlineChoices(control, texts);
+        setForPath(result.choices, path, uniqueChoices(choices));
+      }
+    }
+  }
+  return result;
+};
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// LABELS
+
+// Returns the text of a label in the specified language. If the label is not
+// translated, the text of the label is returned regardless of the language.
+export const labelText = (label, language) => {
+  if (label == null) return null;
+  if (label[language] != null) return label[language];
+  return label[''] != null ? label[''] : null;
+};
+
+/*
+Returns the language in which to show labels, given the language that the user
+has selected. `selected` is `null` if the user has chosen to show field and
+choice names instead of labels, in which case labelLanguage() also returns
+`null`. `selected` is `undefined` if the user has not made a choice or if the
+choice is no longer available, in which case the default language is used.
+*/
+export const labelLanguage = (xform, selected) => {
+  if (xform == null || selected === null) return null;
+  return selected !== undefined && xform.languages.includes(selected)
+    ? selected
+    : xform.defaultLanguage;
+};
+
+// Returns the label of a field in the specified language, or `null` if the
+// field does not have a label or if `language` is `null`.
+export const fieldLabel = (xform, path, language) => {
+  if (xform == null || language == null) return null;
+  return labelText(xform.labels.get(path), language);
+};
+
+// Returns the text to show for the value of a select_one or select_multiple
+// field, replacing each choice name with its label in the specified language.
+// Returns `null` if the field does not have choices or if `language` is `null`.
+// Specify `path` if the path of `field` is relative to a repeat group.
+export const choiceText = (xform, field, value, language, path = field.path) => {
+  if (xform == null || language == null || value == null) return null;
+  const choices = xform.choices.get(path);
+  if (choices == null) return null;
+  const names = field.selectMultiple === true
+    ? value.split(' ').filter(name => name !== '')
+    : [value];
+  return names
+    .map(name => {
+      const choice = choices.find(c => c.value === name);
+      const text = choice != null ? labelText(choice.label, language) : null;
+      return text != null ? text : name;
+    })
+    .join(', ');
+};
@@ -0,0 +1,156 @@
+/*
+Copyright 2021 ODK Central Developers
+See the NOTICE file at the top-level directory of this distribution and at
+https://github.com/getodk/central-frontend/blob/master/NOTICE.
+
+This file is part of ODK Central. It is subject to the license terms in
+the LICENSE file found in the top-level directory of this distribution and at
+https://www.apache.org/licenses/LICENSE-2.0. No part of ODK Central,
+including this file, may be copied, modified, propagated, or distributed
+except according to the terms contained in the LICENSE file.
+*/
+
+// ZIP is a binary format.
+/* eslint-disable no-bitwise */
+
+import crc32 from 'pako/lib/zlib/crc32';
+import { Deflate } from 'pako/lib/deflate';
+
+/*
+createZip() returns an object for writing a ZIP file one entry at a time. The
+content of an entry is compressed as it is written, so the uncompressed content
+never needs to be held in memory all at once. The object has the following
+methods:
+
+  - startFile(name). Starts a new entry. Any previous entry must have been
+    ended.
+  - write(text). Appends a string to the current entry.
+  - endFile(). Ends the current entry.
+  - blob(). Ends the ZIP file, returning it as a Blob.
+
+Because the size and CRC-32 of an entry are not known until the entry has been
+written, they are written in a data descriptor after the compressed content
+rather than in the local file header.
+*/
+
+// Bit 3: the sizes and CRC-32 are in a data descriptor. Bit 11: the file name
+// is UTF-8.
+const flags = 0x0808;
+// Deflate
+const method = 8;
+
+const header = (size) => {
+  const bytes = new Uint8Array(size);
+  return { bytes, view: new DataView(bytes.buffer) };
+};
+
+// Returns the time and date of `date` in MS-DOS format.
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) |
+    (date.getSeconds() >> 1),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) |
+    date.getDate()
+});
+
+// eslint-disable-next-line import/prefer-default-export
+export const createZip = (date = new Date()) => {
+  const encoder = new TextEncoder();
+  const { time, date: dosDate } = dosDateTime(date);
+  // The parts of the ZIP file, each of which is a Uint8Array
+  const parts = [];
+  let offset = 0;
+  const push = (bytes) => {
+    parts.push(bytes);
+    offset += bytes.length;
+  };
+  const entries = [];
+  let entry = null;
+
+  const startFile = (name) => {
+    if (entry != null) throw new Error('the previous file has not been ended');
+    const encodedName = encoder.encode(name);
+    entry = {
+      name: encodedName,
+      offset,
+      crc: 0,
+      compressedSize: 0,
+      size: 0,
+      deflate: new Deflate({ raw: true })
+    };
+    entry.deflate.onData = (chunk) => {
+      push(chunk);
+      entry.compressedSize += chunk.length;
+    };
+
+    const { bytes, view } = header(30 + encodedName.length);
+    view.setUint32(0, 0x04034b50, true);
+    view.setUint16(4, 20, true);
+    view.setUint16(6, flags, true);
+    view.setUint16(8, method, true);
+    view.setUint16(10, time, true);
+    view.setUint16(12, dosDate, true);
+    // The CRC-32 and sizes (bytes 14-25) are left as 0.
+    view.setUint16(26, encodedName.length, true);
+    bytes.set(encodedName, 30);
+    push(bytes);
+  };
+
+  const write = (text) => {
+    if (text === '') return;
+    const data = encoder.encode(text);
+    entry.crc = crc32(entry.crc, data, data.length, 0);
+    entry.size += data.length;
+    entry.deflate.push(data, false);
+  };
+
+  const endFile = () => {
+    entry.deflate.push(new Uint8Array(0), true);
+    if (entry.deflate.err !== 0) throw new Error(entry.deflate.msg);
+    // Once the deflate has ended, it is no longer needed.
+    delete entry.deflate;
+
+    const { bytes, view } = header(16);
+    view.setUint32(0, 0x08074b50, true);
+    view.setUint32(4, entry.crc >>> 0, true);
+    view.setUint32(8, entry.compressedSize, true);
+    view.setUint32(12, entry.size, true);
+    push(bytes);
+    entries.push(entry);
+    entry = null;
+  };
+
+  const blob = () => {
+    if (entry != null) throw new Error('the last file has not been ended');
+    const centralDirectoryOffset = offset;
+    for (const { name, crc, compressedSize, size, offset: localOffset } of entries) {
+      const { bytes, view } = header(46 + name.length);
+      view.setUint32(0, 0x02014b50, true);
+      view.setUint16(4, 20, true);
+      view.setUint16(6, 20, true);
+      view.setUint16(8, flags, true);
+      view.setUint16(10, method, true);
+      view.setUint16(12, time, true);
+      view.setUint16(14, dosDate, true);
+      view.setUint32(16, crc >>> 0, true);
+      view.setUint32(20, compressedSize, true);
+      view.setUint32(24, size, true);
+      view.setUint16(28, name.length, true);
+      // The extra field length, comment length, disk number, and attributes
+      // (bytes 30-41) are left as 0.
+      view.setUint32(42, localOffset, true);
+      bytes.set(name, 46);
+      push(bytes);
+    }
+
+    const { bytes, view } = header(22);
+    view.setUint32(0, 0x06054b50, true);
+    view.setUint16(8, entries.length, true);
+    view.setUint16(10, entries.length, true);
+    view.setUint32(12, offset - centralDirectoryOffset, true);
+    view.setUint32(16, centralDirectoryOffset, true);
+    push(bytes);
+    return new Blob(parts, { type: 'application/zip' });
+  };
+
+  return { startFile, write, endFile, blob };
+};
@@ -70,6 +70,7 @@ describe('FormHead', () => {
           'Overview',
           'Versions',
           'Submissions',
+          'Summary',
           'Public Access',
           'Settings',
           'Status',
@@ -87,7 +88,7 @@ describe('FormHead', () => {
       return load('/projects/1/forms/f/draft/testing').then(app => {
         const tabs = app.findAll('#form-head-form-nav .nav-tabs a');
         const text = tabs.wrappers.map(tab => tab.text());
-        text.should.eql(['Versions', 'Submissions', 'Testing']);
+        text.should.eql(['Versions', 'Submissions', 'Summary', 'Testing']);
       });
     });
 
@@ -96,7 +97,7 @@ describe('FormHead', () => {
       testData.extendedForms.createPast(1, { draft: true });
       return load('/projects/1/forms/f/draft').then(app => {
         const tabs = app.findAll('#form-head-form-tabs li');
-        tabs.length.should.equal(5);
+        tabs.length.should.equal(6);
         for (const tab of tabs.wrappers) {
           tab.classes('disabled').should.be.true();
           tab.attributes().title.should.equal('These functions will become available once you publish your Draft Form');
@@ -110,7 +111,7 @@ describe('FormHead', () => {
       testData.extendedFormVersions.createPast(1, { draft: true });
       return load('/projects/1/forms/f/draft').then(app => {
         const tabs = app.findAll('#form-head-form-tabs li');
-        tabs.length.should.equal(5);
+        tabs.length.should.equal(6);
         for (const tab of tabs.wrappers) {
           tab.classes('disabled').should.be.false();
           should.not.exist(tab.attributes().title);
@@ -1,5 +1,6 @@
 import EnketoFill from '../../../src/components/enketo/fill.vue';
 import SubmissionDownloadButton from '../../../src/components/submission/download-dropdown.vue';
+import SubmissionFilters from '../../../src/components/submission/filters.vue';
 
 import testData from '../../data';
 import { load } from '../../util/http';
@@ -67,4 +68,58 @@ describe('FormSubmissions', () => {
         });
     });
   });
+
+  describe('query', () => {
+    beforeEach(mockLogin);
+
+    const filterByReviewState = (app) => {
+      app.getComponent(SubmissionFilters).vm
+        .$emit('update:reviewState', ["'approved'"]);
+    };
+
+    it('adds the filters to the query', () => {
+      testData.extendedSubmissions.createPast(1);
+      return load('/projects/1/forms/f/submissions')
+        .complete()
+        .request(filterByReviewState)
+        .respondWithData(testData.submissionOData)
+        .afterResponse(app => {
+          app.vm.$route.query.should.eql({ reviewState: ['approved'] });
+        });
+    });
+
+    it('reads the filters from the query', () => {
+      testData.extendedSubmissions.createPast(1);
+      return load('/projects/1/forms/f/submissions?reviewState=approved')
+        .beforeEachResponse((_, { url }) => {
+          if (url.includes('.svc/Submissions'))
+            url.should.match(/&%24filter=%28__system%2FreviewState\+eq\+%27approved%27%29(&|$)/);
+        })
+        .afterResponses(app => {
+          const { reviewState } = app.getComponent(SubmissionFilters).props();
+          [...reviewState].should.eql(["'approved'"]);
+        });
+    });
+
+    it('restores the filters after the user navigates back', () => {
+      testData.extendedSubmissions.createPast(1);
+      return load('/projects/1/forms/f/submissions')
+        .complete()
+        .request(filterByReviewState)
+        .respondWithData(testData.submissionOData)
+        .complete()
+        .request(app => {
+          app.vm.$router.back();
+        })
+        .beforeEachResponse((_, { url }) => {
+          url.should.not.match(/%24filter/);
+        })
+        .respondWithData(testData.submissionOData)
+        .afterResponse(app => {
+          app.vm.$route.query.should.eql({});
+          const { reviewState } = app.getComponent(SubmissionFilters).props();
+          reviewState.length.should.equal(0);
+        });
+    });
+  });
 });
@@ -0,0 +1,134 @@
+import FormSummaryChart from '../../../src/components/form/summary/chart.vue';
+import FormSummaryField from '../../../src/components/form/summary/field.vue';
+import FormSummaryPivot from '../../../src/components/form/summary/pivot.vue';
+import SubmissionFilters from '../../../src/components/submission/filters.vue';
+
+import testData from '../../data';
+import { load } from '../../util/http';
+import { mockLogin } from '../../util/session';
+
+const { int, selectMultiple, string, dateTime } = testData.fields;
+
+describe('FormSummary', () => {
+  beforeEach(mockLogin);
+
+  it('shows a summary of each field', async () => {
+    testData.extendedForms.createPast(1, {
+      fields: [int('/i'), selectMultiple('/sm'), string('/s')]
+    });
+    testData.extendedSubmissions
+      .createPast(1, { i: 1, sm: 'a b', s: null })
+      .createPast(1, { i: 3, sm: 'a', s: null });
+    const app = await load('/projects/1/forms/f/summary');
+    const fields = app.findAllComponents(FormSummaryField);
+    fields.length.should.equal(3);
+    fields.wrappers.map(field => field.get('.panel-title').text())
+      .should.eql(['i', 'sm', 's']);
+    const dd = fields.at(0).findAll('dd');
+    dd.wrappers.map(wrapper => wrapper.text()).should.eql(['1', '3', '2', '2']);
+    const { bars } = fields.at(1).getComponent(FormSummaryChart).props();
+    bars.should.eql([{ label: 'a', count: 2 }, { label: 'b', count: 1 }]);
+    fields.at(2).get('.form-summary-field-missing').text()
+      .should.equal('Missing: 100% (2 of 2)');
+    fields.at(2).findComponent(FormSummaryChart).exists().should.be.false();
+  });
+
+  it('shows choice labels from the form definition', async () => {
+    testData.extendedForms.createPast(1, { fields: [string('/s')] });
+    testData.extendedSubmissions.createPast(1, { s: 'y' });
+    const app = await load('/projects/1/forms/f/summary', {}, {
+      xform: () => testData.formXml({
+        labels: { '/s': 'Question' },
+        choices: { '/s': { y: 'Yes', n: 'No' } }
+      })
+    });
+    const field = app.getComponent(FormSummaryField);
+    field.get('.panel-title').text().should.equal('Question s');
+    const { bars, percentOf } = field.getComponent(FormSummaryChart).props();
+    bars.should.eql([{ label: 'Yes', count: 1 }]);
+    percentOf.should.equal(1);
+  });
+
+  it('shows a timeline for a dateTime field', async () => {
+    testData.extendedForms.createPast(1, { fields: [dateTime('/dt')] });
+    testData.extendedSubmissions
+      .createPast(1, { dt: '2021-01-01T12:00:00.000Z' })
+      .createPast(1, { dt: '2021-01-03T12:00:00.000Z' });
+    const app = await load('/projects/1/forms/f/summary');
+    const { bars } = app.getComponent(FormSummaryChart).props();
+    bars.map(({ count }) => count).should.eql([1, 0, 1]);
+  });
+
+  it('shows a pivot table of the submissions', async () => {
+    testData.extendedForms.createPast(1, { fields: [int('/i'), string('/s')] });
+    testData.extendedSubmissions.createPast(2);
+    const app = await load('/projects/1/forms/f/summary');
+    const pivot = app.getComponent(FormSummaryPivot);
+    pivot.props().submissions.length.should.equal(2);
+    pivot.props().fields.map(field => field.path).should.eql(['/i', '/s']);
+  });
+
+  it('does not show a pivot table if there are no submissions', async () => {
+    testData.extendedForms.createPast(1, { fields: [int('/i')] });
+    const app = await load('/projects/1/forms/f/summary');
+    app.findComponent(FormSummaryPivot).exists().should.be.false();
+  });
+
+  it('shows a message if there are no submissions', async () => {
+    testData.extendedForms.createPast(1, { fields: [int('/i')] });
+    const app = await load('/projects/1/forms/f/summary');
+    app.get('#form-summary .empty-table-message').text()
+      .should.equal('There are no Submissions yet.');
+    app.findComponent(FormSummaryField).exists().should.be.false();
+  });
+
+  it('shows the number of submissions that were summarized', async () => {
+    testData.extendedForms.createPast(1, { fields: [int('/i')] });
+    testData.extendedSubmissions.createPast(2);
+    const app = await load('/projects/1/forms/f/summary');
+    app.get('#form-summary-message-text').text()
+      .should.equal('Summary of 2 Submissions');
+  });
+
+  describe('filters', () => {
+    beforeEach(() => {
+      testData.extendedForms.createPast(1, { fields: [int('/i')] });
+    });
+
+    it('requests the submissions matching the filters in the query', () =>
+      load('/projects/1/forms/f/summary?reviewState=approved')
+        .beforeEachResponse((_, { url }) => {
+          if (url.includes('.svc/Submissions'))
+            url.should.match(/&%24filter=%28__system%2FreviewState\+eq\+%27approved%27%29(&|$)/);
+        })
+        .afterResponses(app => {
+          const { reviewState } = app.getComponent(SubmissionFilters).props();
+          reviewState.should.eql(["'approved'"]);
+        }));
+
+    it('updates the query after a filter changes, keeping other parameters', () =>
+      load('/projects/1/forms/f/summary?fields=%2Fi&sort=%2Fi+asc')
+        .complete()
+        .request(app => {
+          app.getComponent(SubmissionFilters).vm
+            .$emit('update:reviewState', ["'approved'"]);
+        })
+        .beforeEachResponse((_, { url }) => {
+          url.should.match(/%24filter=/);
+        })
+        .respondWithData(testData.submissionOData)
+        .afterResponse(app => {
+          app.vm.$route.query.should.eql({
+            fields: '/i',
+            sort: '/i asc',
+            reviewState: ['approved']
+          });
+        }));
+
+    it('links to the submissions with the same query', async () => {
+      const app = await load('/projects/1/forms/f/summary?reviewState=approved');
+      const { href } = app.get('#form-summary-submissions-link').attributes();
+      href.should.equal('/projects/1/forms/f/submissions?reviewState=approved');
+    });
+  });
+});
@@ -0,0 +1,78 @@
+import FormSummaryAudit from '../../../../src/components/form/summary/audit.vue';
+
+import { mockHttp } from '../../../util/http';
+import { mockLogin } from '../../../util/session';
+import { mount } from '../../../util/lifecycle';
+
+const auditLog = (durations) => ['event,node,start,end']
+  .concat(durations.map((duration, i) => `question,/data/q${i + 1},0,${duration}`))
+  .join('\n');
+
+const mountOptions = (auditLogs) => ({
+  propsData: {
+    projectId: '1',
+    xmlFormId: 'f',
+    auditLogs
+  }
+});
+
+describe('FormSummaryAudit', () => {
+  beforeEach(mockLogin);
+
+  it('shows a message if no submission has an audit log', () => {
+    const component = mount(FormSummaryAudit, mountOptions([]));
+    component.get('.form-summary-audit-message').text()
+      .should.equal('No Submission has an audit log.');
+    component.find('#form-summary-audit-button').exists().should.be.false();
+  });
+
+  it('does not request the audit logs until the button is clicked', () => {
+    const component = mount(FormSummaryAudit, mountOptions([
+      { instanceId: 's1', filename: 'audit.csv' }
+    ]));
+    component.get('.form-summary-audit-message').text()
+      .should.equal('The audit log of the 1 most recent Submission will be downloaded and analyzed.');
+  });
+
+  it('shows the median time per question', () =>
+    mockHttp()
+      .mount(FormSummaryAudit, mountOptions([
+        { instanceId: 's1', filename: 'audit.csv' },
+        { instanceId: 's2', filename: 'log.csv' },
+        { instanceId: 's3', filename: 'audit.csv' }
+      ]))
+      .request(component =>
+        component.get('#form-summary-audit-button').trigger('click'))
+      .respondWithData(() => auditLog([1000, 2000]))
+      .respondWithData(() => auditLog([3000, 4000]))
+      .respondWithData(() => auditLog([5000]))
+      .testRequests([
+        { url: '/v1/projects/1/forms/f/submissions/s1/attachments/audit.csv', responseType: 'text' },
+        { url: '/v1/projects/1/forms/f/submissions/s2/attachments/log.csv', responseType: 'text' },
+        { url: '/v1/projects/1/forms/f/submissions/s3/attachments/audit.csv', responseType: 'text' }
+      ])
+      .afterResponses(component => {
+        component.get('#form-summary-audit-progress').text()
+          .should.equal('Analyzed 3 audit logs.');
+        const rows = component.findAll('#form-summary-audit-table tbody tr');
+        rows.wrappers.map(row => row.findAll('td').wrappers.map(td => td.text()))
+          .should.eql([['/q1', '3 s', '3'], ['/q2', '3 s', '2']]);
+      }));
+
+  it('counts the audit logs that could not be retrieved or read', () =>
+    mockHttp()
+      .mount(FormSummaryAudit, mountOptions([
+        { instanceId: 's1', filename: 'audit.csv' },
+        { instanceId: 's2', filename: 'audit.csv' },
+        { instanceId: 's3', filename: 'audit.csv' }
+      ]))
+      .request(component =>
+        component.get('#form-summary-audit-button').trigger('click'))
+      .respondWithData(() => auditLog([1000]))
+      .respondWithProblem()
+      .respondWithData(() => 'foo')
+      .afterResponses(component => {
+        component.get('#form-summary-audit-progress').text()
+          .should.equal('Analyzed 1 audit log. 2 audit logs could not be retrieved or read.');
+      }));
+});
@@ -0,0 +1,54 @@
+import sinon from 'sinon';
+
+import FormSummaryChart from '../../../../src/components/form/summary/chart.vue';
+
+import { mount } from '../../../util/lifecycle';
+
+const mountComponent = (propsData = undefined) => mount(FormSummaryChart, {
+  propsData: {
+    bars: [{ label: 'a', count: 3 }, { label: 'b', count: 1 }],
+    filename: 'f-s',
+    ...propsData
+  }
+});
+
+describe('FormSummaryChart', () => {
+  it('renders a bar for each count', () => {
+    const component = mountComponent();
+    const rects = component.findAll('rect');
+    rects.length.should.equal(2);
+    rects.at(0).attributes().height.should.equal('170');
+    rects.at(1).attributes().height.should.equal(`${170 / 3}`);
+  });
+
+  it('renders horizontal bars with labels', () => {
+    const component = mountComponent({ horizontal: true, percentOf: 4 });
+    const rects = component.findAll('rect');
+    rects.at(0).attributes().width.should.equal('280');
+    const text = component.findAll('text').wrappers.map(wrapper => wrapper.text());
+    text.should.eql(['a', '3 (75%)', 'b', '1 (25%)']);
+  });
+
+  it('truncates a long label', () => {
+    const label = 'x'.repeat(40);
+    const component = mountComponent({
+      bars: [{ label, count: 1 }],
+      horizontal: true
+    });
+    const text = component.get('text');
+    text.text().should.equal(`${'x'.repeat(27)}…`);
+    component.get('title').text().should.equal(`${label}: 1`);
+  });
+
+  it('exports the chart as an SVG file', async () => {
+    const component = mountComponent();
+    sinon.replace(component.vm, 'save', sinon.fake());
+    await component.get('.form-summary-chart-svg').trigger('click');
+    const [blob, filename] = component.vm.save.firstCall.args;
+    filename.should.equal('f-s.svg');
+    blob.type.should.equal('image/svg+xml');
+    const svg = await blob.text();
+    svg.should.containEql('xmlns="http://www.w3.org/2000/svg"');
+    svg.should.containEql('fill="#009ecc"');
+  });
+});
@@ -0,0 +1,113 @@
+import sinon from 'sinon';
+import { RouterLinkStub } from '@vue/test-utils';
+
+import Field from '../../../../src/presenters/field';
+import FormSummaryPivot from '../../../../src/components/form/summary/pivot.vue';
+import SubmissionTable from '../../../../src/components/submission/table.vue';
+
+import testData from '../../../data';
+import { mockLogin } from '../../../util/session';
+import { mount } from '../../../util/lifecycle';
+
+const { int, string } = testData.fields;
+
+const mountComponent = (options = {}) => mount(FormSummaryPivot, {
+  propsData: {
+    projectId: '1',
+    xmlFormId: 'f',
+    fields: testData.extendedForms.last()._fields.map(field => new Field(field)),
+    submissions: testData.submissionOData().value,
+    labelLanguage: null
+  },
+  requestData: options.xform != null ? { xform: options.xform } : {},
+  stubs: { RouterLink: RouterLinkStub },
+  mocks: { $route: '/projects/1/forms/f/summary' },
+  attachTo: document.body
+});
+
+// Returns the text of each cell of the table, including headers.
+const tableText = (component) => component.findAll('#form-summary-pivot-table tr')
+  .wrappers
+  .map(tr => tr.findAll('th, td').wrappers.map(cell => cell.text()));
+
+describe('FormSummaryPivot', () => {
+  beforeEach(() => {
+    mockLogin();
+    testData.extendedForms.createPast(1, {
+      fields: [string('/district'), int('/age')]
+    });
+    testData.extendedSubmissions
+      .createPast(1, { district: 'north', age: 30, reviewState: 'approved' })
+      .createPast(1, { district: 'south', age: 20 })
+      .createPast(1, { district: 'north', age: 40 });
+  });
+
+  it('counts the submissions for each row and column', () => {
+    tableText(mountComponent()).should.eql([
+      ['district / Review State', 'Approved', 'Received', 'Total'],
+      ['north', '1', '1', '2'],
+      ['south', '0', '1', '1'],
+      ['Total', '1', '2', '3']
+    ]);
+  });
+
+  it('groups by a choice field by default', () => {
+    testData.extendedForms.createPast(1, {
+      fields: [string('/s1'), string('/s2')]
+    });
+    const xform = testData.formXml({ choices: { '/s2': { y: 'Yes' } } });
+    const component = mountComponent({ xform });
+    component.vm.rowOption.should.equal('/s2');
+  });
+
+  it('shows the mean of a number field', async () => {
+    const component = mountComponent();
+    const select = component.findAll('#form-summary-pivot-options select').at(2);
+    await select.setValue('mean /age');
+    tableText(component).should.eql([
+      ['district / Review State', 'Approved', 'Received', 'Total'],
+      ['north', '30', '40', '35'],
+      ['south', '—', '20', '20'],
+      ['Total', '30', '30', '30']
+    ]);
+  });
+
+  it('shows the submissions of a cell after it is clicked', async () => {
+    const component = mountComponent();
+    component.findComponent(SubmissionTable).exists().should.be.false();
+    // The north row, the Approved column
+    await component.findAll('#form-summary-pivot-table tbody tr').at(0)
+      .get('td button').trigger('click');
+    component.get('#form-summary-pivot-drill-down p span').text().should.equal('Showing 1 Submission where district is north and Review State is Approved.');
+    const table = component.getComponent(SubmissionTable);
+    table.props().submissions.map(submission => submission.age)
+      .should.eql([30]);
+    table.props().fields.map(field => field.path).should.eql(['/district']);
+    table.props().readonly.should.be.true();
+  });
+
+  it('shows all submissions after the grand total is clicked', async () => {
+    const component = mountComponent();
+    const buttons = component.findAll('#form-summary-pivot-table tbody tr:last-child button');
+    await buttons.at(buttons.length - 1).trigger('click');
+    component.get('#form-summary-pivot-drill-down p span').text().should.equal('Showing all 3 Submissions.');
+  });
+
+  it('hides the submissions after the rows are changed', async () => {
+    const component = mountComponent();
+    await component.get('#form-summary-pivot-table td button').trigger('click');
+    const select = component.findAll('#form-summary-pivot-options select').at(0);
+    await select.setValue('deviceId');
+    component.find('#form-summary-pivot-drill-down').exists().should.be.false();
+  });
+
+  it('exports the table as CSV', async () => {
+    const component = mountComponent();
+    sinon.replace(component.vm, 'save', sinon.fake());
+    await component.get('#form-summary-pivot-export-button').trigger('click');
+    const [blob, filename] = component.vm.save.firstCall.args;
+    filename.should.equal('f-pivot.csv');
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    new TextDecoder('utf-8', { ignoreBOM: true }).decode(bytes).should.equal('\uFEFFdistrict / Review State,Approved,Received,Total\r\nnorth,1,1,2\r\nsouth,0,1,1\r\nTotal,1,2,3\r\n');
+  });
+});
@@ -41,6 +41,9 @@ describe('SubmissionActivity', () => {
       { url: "/v1/projects/1/forms/a%20b.svc/Submissions('''c%20d''')" },
       { url: "/v1/projects/1/forms/a%20b/submissions/'c%20d'/versions/'c%20d'" },
       { url: '/v1/projects/1/forms/a%20b/fields' },
+      { url: "/v1/projects/1/forms/a%20b/submissions/'c%20d'.xml" },
+      { url: '/v1/projects/1/forms/a%20b.xml' },
+      { url: "/v1/projects/1/forms/a%20b/submissions/'c%20d'/versions", extended: true },
       { url: "/v1/projects/1/forms/a%20b/submissions/'c%20d'/audits", extended: true },
       { url: "/v1/projects/1/forms/a%20b/submissions/'c%20d'/comments", extended: true },
       { url: "/v1/projects/1/forms/a%20b/submissions/'c%20d'/diffs" }
@@ -0,0 +1,129 @@
+import SubmissionAuditLog from '../../../src/components/submission/audit-log.vue';
+import SubmissionDataMap from '../../../src/components/submission/data/map.vue';
+
+import { loadAsync } from '../../../src/util/async-components';
+
+import testData from '../../data';
+import { mockHttp } from '../../util/http';
+import { mockLogin } from '../../util/session';
+
+const auditLog = (rows) => ['event,node,start,end,latitude,longitude,accuracy,old-value,new-value']
+  .concat(rows.map(row => row.join(',')))
+  .join('\n');
+const defaultAuditLog = auditLog([
+  ['form start', '', '0', '', '', '', '', '', ''],
+  ['question', '/data/q1', '0', '2000', '1', '2', '5', '', 'a'],
+  ['question', '/data/q2', '2000', '6000', '', '', '', '', 'b'],
+  ['question', '/data/q1', '6000', '7000', '3', '4', '5', 'a', 'c'],
+  ['form exit', '', '7000', '', '', '', '', '', '']
+]);
+
+const mountComponent = (options = {}) => mockHttp()
+  .mount(SubmissionAuditLog, {
+    propsData: {
+      projectId: '1',
+      xmlFormId: 'f',
+      instanceId: 's',
+      filename: 'audit.csv'
+    },
+    ...options
+  });
+
+describe('SubmissionAuditLog', () => {
+  beforeEach(mockLogin);
+
+  it('requests the audit log', () =>
+    mountComponent()
+      .respondWithData(() => defaultAuditLog)
+      .testRequests([{
+        url: '/v1/projects/1/forms/f/submissions/s/attachments/audit.csv'
+      }]));
+
+  it('shows statistics', () =>
+    mountComponent()
+      .respondWithData(() => defaultAuditLog)
+      .afterResponse(component => {
+        const dd = component.findAll('#submission-audit-log-statistics dd');
+        dd.wrappers.map(wrapper => wrapper.text()).should.eql([
+          '7 s',
+          '7 s',
+          '1',
+          '1',
+          '1'
+        ]);
+      }));
+
+  it('shows the time spent on each question', () =>
+    mountComponent()
+      .respondWithData(() => defaultAuditLog)
+      .afterResponse(component => {
+        const rows = component.findAll('#submission-audit-log-question-times tr');
+        rows.wrappers.map(row => [
+          row.get('.submission-audit-log-node').text(),
+          row.get('.submission-audit-log-duration').text()
+        ]).should.eql([['/data/q1', '3 s'], ['/data/q2', '4 s']]);
+        const bar = rows.at(1).get('.submission-audit-log-bar');
+        bar.attributes().style.should.equal('width: 100%;');
+      }));
+
+  it('shows the labels of questions', () =>
+    mountComponent({
+      requestData: { xform: testData.formXml({ labels: { '/q1': 'Question 1' } }) }
+    })
+      .respondWithData(() => defaultAuditLog)
+      .afterResponse(component => {
+        const node = component.get('#submission-audit-log-question-times .submission-audit-log-node');
+        node.text().should.equal('Question 1');
+        node.attributes().title.should.equal('/data/q1');
+      }));
+
+  it('shows the locations on a map', async () => {
+    await loadAsync('SubmissionDataMap')();
+    return mountComponent()
+      .respondWithData(() => defaultAuditLog)
+      .afterResponse(async (component) => {
+        await component.vm.$nextTick();
+        const map = component.getComponent(SubmissionDataMap);
+        map.props().geometry.should.eql({
+          type: 'LineString',
+          coordinates: [[2, 1], [4, 3]]
+        });
+      });
+  });
+
+  it('shows the events after the toggle is clicked', () =>
+    mountComponent()
+      .respondWithData(() => defaultAuditLog)
+      .afterResponse(async (component) => {
+        const toggle = component.get('#submission-audit-log-toggle');
+        toggle.text().should.equal('5 events');
+        component.find('#submission-audit-log-events').exists().should.be.false();
+        await toggle.trigger('click');
+        const rows = component.findAll('#submission-audit-log-events tbody tr');
+        rows.length.should.equal(5);
+        const cells = rows.at(3).findAll('td');
+        cells.at(0).text().should.equal('6 s');
+        cells.at(1).text().should.equal('Question');
+        cells.at(3).text().should.equal('1 s');
+        cells.at(4).text().should.containEql('Went back');
+        cells.at(4).text().should.containEql('Changed from “a” to “c”');
+        rows.at(4).classes().should.containEql('submission-audit-log-session-event');
+        rows.at(4).findAll('td').at(1).text().should.equal('Form exited');
+      }));
+
+  it('shows a message if the audit log cannot be read', () =>
+    mountComponent()
+      .respondWithData(() => 'not,an,audit,log')
+      .afterResponse(component => {
+        component.get('.submission-audit-log-message').text()
+          .should.equal('The audit log of this Submission could not be retrieved or read.');
+      }));
+
+  it('shows a message if the audit log cannot be retrieved', () =>
+    mountComponent()
+      .respondWithProblem()
+      .afterResponse(component => {
+        component.find('.submission-audit-log-message').exists()
+          .should.be.true();
+      }));
+});
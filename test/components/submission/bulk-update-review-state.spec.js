@@ -0,0 +1,136 @@
+import SubmissionBulkUpdateReviewState from '../../../src/components/submission/bulk-update-review-state.vue';
+
+import testData from '../../data';
+import { mockHttp } from '../../util/http';
+import { mockLogin } from '../../util/session';
+import { mount } from '../../util/lifecycle';
+
+const mountOptions = (options = undefined) => {
+  const submissions = testData.submissionOData().value;
+  return {
+    propsData: {
+      state: false,
+      projectId: '1',
+      xmlFormId: testData.extendedForms.last().xmlFormId,
+      submissions,
+      count: submissions.length
+    },
+    ...options
+  };
+};
+const mountComponent = (options = undefined) =>
+  mount(SubmissionBulkUpdateReviewState, mountOptions(options));
+const mockHttpForComponent = (options = undefined) =>
+  mockHttp().mount(SubmissionBulkUpdateReviewState, mountOptions(options));
+
+describe('SubmissionBulkUpdateReviewState', () => {
+  beforeEach(mockLogin);
+
+  it('shows the number of selected submissions', async () => {
+    testData.extendedSubmissions.createPast(2);
+    const modal = mountComponent();
+    await modal.setProps({ state: true });
+    modal.get('.modal-introduction').text().should.equal('The Review State of 2 selected Submissions will be updated.');
+  });
+
+  it('disables the submit button while submissions are loading', async () => {
+    testData.extendedSubmissions.createPast(1);
+    const modal = mountComponent();
+    await modal.setProps({ state: true, loading: true });
+    modal.get('.loading-message').should.be.visible();
+    modal.get('.btn-primary').attributes().disabled.should.equal('disabled');
+  });
+
+  it('sends a request for each submission', () => {
+    testData.extendedForms.createPast(1, { xmlFormId: 'a b', submissions: 2 });
+    testData.extendedSubmissions.createPast(1, { instanceId: 'c d' });
+    testData.extendedSubmissions.createPast(1, { instanceId: 'e f' });
+    return mockHttpForComponent()
+      .request(async (modal) => {
+        await modal.setProps({ state: true });
+        await modal.get('input[value="hasIssues"]').setChecked();
+        await modal.setData({ notes: 'Some\nnotes' });
+        return modal.get('form').trigger('submit');
+      })
+      .beforeEachResponse((_, { method, url, data, headers }, i) => {
+        method.should.equal('PATCH');
+        url.should.equal(i === 0
+          ? '/v1/projects/1/forms/a%20b/submissions/e%20f'
+          : '/v1/projects/1/forms/a%20b/submissions/c%20d');
+        data.should.eql({ reviewState: 'hasIssues' });
+        headers['X-Action-Notes'].should.equal('Some%0Anotes');
+      })
+      .respondWithSuccess()
+      .respondWithSuccess()
+      .afterResponses(modal => {
+        modal.emitted().update.map(([submission, reviewState]) =>
+          [submission.__id, reviewState]).should.eql([
+          ['e f', 'hasIssues'],
+          ['c d', 'hasIssues']
+        ]);
+        modal.emitted().success.should.eql([[2]]);
+      });
+  });
+
+  it('shows the progress', () => {
+    testData.extendedSubmissions.createPast(2);
+    return mockHttpForComponent()
+      .request(async (modal) => {
+        await modal.setProps({ state: true });
+        return modal.get('form').trigger('submit');
+      })
+      .beforeEachResponse((modal, _, i) => {
+        modal.get('.progress-message').text().should.startWith(`${i} of 2 Submissions processed`);
+        const { __id } = testData.submissionOData().value[i];
+        modal.get('.current-instance-id').text().should.equal(__id);
+        modal.get('.btn-primary').attributes().disabled.should.equal('disabled');
+      })
+      .respondWithSuccess()
+      .respondWithSuccess()
+      .afterResponses(modal => {
+        modal.get('.progress-message').text().should.equal('2 of 2 Submissions processed');
+        modal.get('.progress-bar').attributes().style.should.equal('width: 100%;');
+      });
+  });
+
+  it('continues after a submission cannot be updated', () => {
+    testData.extendedSubmissions.createPast(1, { instanceId: 'a' });
+    testData.extendedSubmissions.createPast(1, { instanceId: 'b' });
+    testData.extendedSubmissions.createPast(1, { instanceId: 'c' });
+    return mockHttpForComponent()
+      .request(async (modal) => {
+        await modal.setProps({ state: true });
+        return modal.get('form').trigger('submit');
+      })
+      .respondWithSuccess()
+      .respondWithProblem({ code: 409.1, message: 'Conflict!' })
+      .respondWithSuccess()
+      .afterResponses(modal => {
+        modal.emitted().update.map(([submission]) => submission.__id)
+          .should.eql(['c', 'a']);
+        should.not.exist(modal.emitted().success);
+        modal.get('.failures-message').text().should.equal('1 Submission could not be updated:');
+        const td = modal.findAll('tbody td');
+        td.at(0).text().should.equal('b');
+        td.at(1).text().should.equal('Conflict!');
+        modal.get('.btn-primary').attributes().should.not.have.property('disabled');
+      });
+  });
+
+  it('resets the modal after it is hidden', () => {
+    testData.extendedSubmissions.createPast(1);
+    return mockHttpForComponent()
+      .request(async (modal) => {
+        await modal.setProps({ state: true });
+        await modal.get('input[value="rejected"]').setChecked();
+        return modal.get('form').trigger('submit');
+      })
+      .respondWithProblem()
+      .afterResponses(async (modal) => {
+        await modal.setProps({ state: false });
+        await modal.setProps({ state: true });
+        modal.find('.progress').exists().should.be.false();
+        modal.get('input[value="approved"]').element.checked.should.be.true();
+      });
+  });
+});
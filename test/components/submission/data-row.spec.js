@@ -8,16 +8,18 @@ import testData from '../../data';
 import { mount } from '../../util/lifecycle';
 import { setLuxon } from '../../util/date-time';
 
-const mountComponent = (propsData = undefined) => mount(SubmissionDataRow, {
-  propsData: {
-    projectId: '1',
-    xmlFormId: 'f',
-    draft: false,
-    submission: testData.submissionOData().value[0],
-    fields: testData.extendedForms.last()._fields.map(field => new Field(field)),
-    ...propsData
-  }
-});
+const mountComponent = (propsData = undefined, requestData = undefined) =>
+  mount(SubmissionDataRow, {
+    propsData: {
+      projectId: '1',
+      xmlFormId: 'f',
+      draft: false,
+      submission: testData.submissionOData().value[0],
+      fields: testData.extendedForms.last()._fields.map(field => new Field(field)),
+      ...propsData
+    },
+    requestData
+  });
 
 describe('SubmissionDataRow', () => {
   it('shows an empty string if the value of a field does not exist', () => {
@@ -299,6 +301,115 @@ describe('SubmissionDataRow', () => {
     });
   });
 
+  describe('choice labels', () => {
+    const xform = () => testData.formXml({
+      choices: { '/s': { y: 'Yes', n: 'No' } }
+    });
+
+    it('shows the label of a choice', () => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.string('/s')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1, { s: 'y' });
+      const td = mountComponent({ labelLanguage: '' }, { xform: xform() })
+        .get('td');
+      td.text().should.equal('Yes');
+      td.attributes().title.should.equal('Yes');
+    });
+
+    it('shows the labels of the choices of a select_multiple field', () => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.selectMultiple('/s')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1, { s: 'y n' });
+      const td = mountComponent({ labelLanguage: '' }, { xform: xform() })
+        .get('td');
+      td.text().should.equal('Yes, No');
+    });
+
+    it('shows the name of a choice if labelLanguage is null', () => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.string('/s')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1, { s: 'y' });
+      mountComponent({}, { xform: xform() }).get('td').text().should.equal('y');
+    });
+
+    it('uses the repeatPath prop for a field of a repeat group', () => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.string('/s')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1, { s: 'y' });
+      const td = mountComponent(
+        { labelLanguage: '', repeatPath: '/r' },
+        { xform: testData.formXml({ choices: { '/r/s': { y: 'Yes' } } }) }
+      ).get('td');
+      td.text().should.equal('Yes');
+    });
+  });
+
+  describe('repeat group', () => {
+    beforeEach(() => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.repeat('/r'), testData.fields.int('/r/i')],
+        submissions: 1
+      });
+    });
+
+    it('renders a link that shows the number of repeat instances', () => {
+      testData.extendedSubmissions.createPast(1, {
+        'r@odata.navigationLink': "Submissions('s')/r"
+      });
+      const td = mountComponent({
+        fields: [new Field(testData.fields.repeat('/r'))],
+        repeatCounts: { "Submissions('s')/r": 1000 }
+      }).get('td');
+      td.classes('repeat-field').should.be.true();
+      const a = td.get('.repeat-link');
+      a.text().should.equal('1,000');
+      a.attributes()['data-path'].should.equal('/r');
+    });
+
+    it('shows an ellipsis while the count is unknown', () => {
+      testData.extendedSubmissions.createPast(1, {
+        'r@odata.navigationLink': "Submissions('s')/r"
+      });
+      const td = mountComponent({
+        fields: [new Field(testData.fields.repeat('/r'))],
+        repeatCounts: { "Submissions('s')/r": null }
+      }).get('td');
+      td.get('.repeat-link').text().should.equal('…');
+    });
+
+    it('does not render a link if there is no navigation link', () => {
+      testData.extendedSubmissions.createPast(1);
+      const td = mountComponent({
+        fields: [new Field(testData.fields.repeat('/r'))]
+      }).get('td');
+      td.find('a').exists().should.be.false();
+    });
+  });
+
+  it('uses the instanceId prop for an attachment of a repeat instance', () => {
+    testData.extendedForms.createPast(1, {
+      fields: [testData.fields.repeat('/r'), testData.fields.binary('/r/b')],
+      submissions: 1
+    });
+    testData.extendedSubmissions.createPast(1);
+    const row = mountComponent({
+      submission: { __id: 'r1', b: 'c.jpg' },
+      fields: [new Field(testData.fields.binary('/b'))],
+      instanceId: 'a b'
+    });
+    const { href } = row.get('.binary-link').attributes();
+    href.should.equal('/v1/projects/1/forms/f/submissions/a%20b/attachments/c.jpg');
+    row.findAll('td').at(1).text().should.equal('r1');
+  });
+
   it('shows the instance ID', () => {
     testData.extendedForms.createPast(1, {
       fields: [testData.fields.int('/i')],
@@ -356,4 +467,54 @@ describe('SubmissionDataRow', () => {
       should.not.exist(td.at(0).attributes().colspan);
     });
   });
+
+  describe('search', () => {
+    beforeEach(() => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.string('/s')],
+        submissions: 1
+      });
+    });
+
+    it('highlights the text that matches the search', () => {
+      testData.extendedSubmissions.createPast(1, { s: 'Foo bar' });
+      const td = mountComponent({ search: 'foo' }).get('td');
+      td.text().should.equal('Foo bar');
+      const marks = td.findAll('mark');
+      marks.length.should.equal(1);
+      marks.at(0).text().should.equal('Foo');
+    });
+
+    it('highlights a match in the instance ID', () => {
+      testData.extendedSubmissions.createPast(1, { instanceId: 'abc', s: 'x' });
+      const td = mountComponent({ search: 'B' }).findAll('td');
+      td.at(0).find('mark').exists().should.be.false();
+      td.at(1).get('mark').text().should.equal('b');
+    });
+
+    it('does not highlight anything if there is no search', () => {
+      testData.extendedSubmissions.createPast(1, { s: 'foo' });
+      mountComponent().find('mark').exists().should.be.false();
+    });
+  });
+
+  describe('quality issues', () => {
+    beforeEach(() => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.int('/i'), testData.fields.string('/s')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1, { i: 20, s: 'foo' });
+    });
+
+    it('highlights a cell with an issue', () => {
+      const td = mountComponent({
+        issues: { '/i': ['i must be at most 10.', 'i is an outlier.'] }
+      }).findAll('td');
+      td.at(0).classes().should.eql(['int-field', 'quality-issue']);
+      td.at(0).attributes().title.should.equal('i must be at most 10.\ni is an outlier.');
+      td.at(1).classes().length.should.equal(0);
+      td.at(1).attributes().title.should.equal('foo');
+    });
+  });
 });
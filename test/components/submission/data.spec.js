@@ -0,0 +1,349 @@
+import SubmissionData from '../../../src/components/submission/data.vue';
+import SubmissionDataMap from '../../../src/components/submission/data/map.vue';
+
+import store from '../../../src/store';
+import { importPrivateKey } from '../../../src/util/decryption';
+import { loadAsync } from '../../../src/util/async-components';
+
+import testData from '../../data';
+import { encryptSubmission, testKeys } from '../../util/encryption';
+import { mockHttp } from '../../util/http';
+import { mockLogin } from '../../util/session';
+import { mount } from '../../util/lifecycle';
+import { waitUntil } from '../../util/util';
+
+const { group, repeat, int, string, binary, geopoint } = testData.fields;
+
+const mountOptions = (xml = undefined, xform = undefined) => ({
+  propsData: {
+    projectId: '1',
+    xmlFormId: 'f',
+    instanceId: 's'
+  },
+  requestData: {
+    submission: testData.submissionOData(),
+    fields: testData.extendedForms.last()._fields,
+    submissionXml: xml != null ? xml : testData.submissionXml(),
+    ...(xform != null ? { xform } : {})
+  }
+});
+const mountComponent = (xml = undefined, xform = undefined) =>
+  mount(SubmissionData, mountOptions(xml, xform));
+
+// Returns the text of each name and value shown in the panel.
+const fieldText = (component) => component.findAll('.submission-data-field')
+  .wrappers
+  .map(field => [
+    field.get('.submission-data-name').text(),
+    field.get('.submission-data-value').text()
+  ]);
+
+describe('SubmissionData', () => {
+  it('shows the value of each field', () => {
+    testData.extendedForms.createPast(1, {
+      fields: [string('/s'), int('/i')],
+      submissions: 1
+    });
+    testData.extendedSubmissions.createPast(1, { s: 'foo', i: 1000 });
+    fieldText(mountComponent()).should.eql([['s', 'foo'], ['i', '1,000']]);
+  });
+
+  it('does not show the metadata of the submission', () => {
+    testData.extendedForms.createPast(1, {
+      fields: [group('/meta'), string('/meta/instanceID'), string('/s')],
+      submissions: 1
+    });
+    testData.extendedSubmissions.createPast(1, {
+      meta: { instanceID: 'uuid:s' },
+      s: 'foo'
+    });
+    fieldText(mountComponent()).should.eql([['s', 'foo']]);
+  });
+
+  it('shows a message for an encrypted submission', () => {
+    testData.extendedForms.createPast(1, { submissions: 1 });
+    testData.extendedSubmissions.createPast(1, {
+      status: 'notDecrypted'
+    });
+    const component = mountComponent('<data id="f"/>');
+    component.get('.submission-data-message').text().should.equal('Data preview is not available due to encryption.');
+    component.find('.submission-data-field').exists().should.be.false();
+  });
+
+  describe('editing', () => {
+    const mountWithProject = () => mount(SubmissionData, {
+      ...mountOptions(),
+      requestData: {
+        ...mountOptions().requestData,
+        project: testData.extendedProjects.last()
+      }
+    });
+
+    it('shows an edit button for each editable field', () => {
+      mockLogin();
+      testData.extendedForms.createPast(1, {
+        fields: [string('/s'), binary('/b')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1, { s: 'foo', b: 'a.jpg' });
+      const fields = mountWithProject().findAll('.submission-data-field');
+      fields.at(0).find('.submission-data-edit-button').exists().should.be.true();
+      fields.at(1).find('.submission-data-edit-button').exists().should.be.false();
+    });
+
+    it('does not show an edit button to a project viewer', () => {
+      mockLogin({ role: 'none' });
+      testData.extendedProjects.createPast(1, { role: 'viewer', forms: 1 });
+      testData.extendedForms.createPast(1, {
+        fields: [string('/s')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1, { s: 'foo' });
+      const component = mountWithProject();
+      component.find('.submission-data-edit-button').exists().should.be.false();
+    });
+
+    it('shows the editor after the edit button is clicked', async () => {
+      mockLogin();
+      testData.extendedForms.createPast(1, {
+        fields: [string('/s')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1, { s: 'foo' });
+      const component = mountWithProject();
+      await component.get('.submission-data-edit-button').trigger('click');
+      component.get('.submission-data-editor input').element.value
+        .should.equal('foo');
+      component.find('.submission-data-edit-button').exists().should.be.false();
+    });
+  });
+
+  describe('decryption in the browser', () => {
+    beforeEach(() => {
+      mockLogin();
+      testData.extendedForms.createPast(1, {
+        fields: [string('/s'), binary('/b')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1, { status: 'notDecrypted' });
+    });
+
+    const encrypt = () => encryptSubmission({
+      instanceId: 's',
+      xml: '<data id="f"><s>foo</s><b>a.jpg</b></data>',
+      media: { 'a.jpg': 'image' }
+    });
+
+    it('shows a button to load a private key', async () => {
+      const { envelope } = await encrypt();
+      const component = mountComponent(envelope);
+      component.find('#submission-data-decrypt-button').exists().should.be.true();
+    });
+
+    it('decrypts the submission and its media files', async () => {
+      const { envelope, files } = await encrypt();
+      store.commit('addPrivateKey', await importPrivateKey(testKeys.pkcs8));
+      return mockHttp()
+        .mount(SubmissionData, mountOptions(envelope))
+        .beforeEachResponse((_, { url, responseType }, i) => {
+          url.should.equal(i === 0
+            ? '/v1/projects/1/forms/f/submissions/s/attachments/submission.xml.enc'
+            : '/v1/projects/1/forms/f/submissions/s/attachments/a.jpg.enc');
+          responseType.should.equal('arraybuffer');
+        })
+        .respondWithData(() => files['submission.xml.enc'])
+        .respondWithData(() => files['a.jpg.enc'])
+        .afterResponses({
+          pollWork: (component) => !component.vm.decrypting,
+          callback: (component) => {
+            fieldText(component).should.eql([['s', 'foo'], ['b', 'a.jpg']]);
+            const { src } = component.get('.submission-data-value img').attributes();
+            src.should.startWith('blob:');
+            component.find('#submission-data-decrypt-button').exists().should.be.false();
+          }
+        });
+    });
+
+    it('shows a message if no key can decrypt the submission', async () => {
+      const { envelope } = await encrypt();
+      const { privateKey } = await window.crypto.subtle.generateKey(
+        {
+          name: 'RSA-OAEP',
+          modulusLength: 1024,
+          publicExponent: new Uint8Array([1, 0, 1]),
+          hash: 'SHA-256'
+        },
+        false,
+        ['encrypt', 'decrypt']
+      );
+      store.commit('addPrivateKey', privateKey);
+      const component = mountComponent(envelope);
+      await waitUntil(() => !component.vm.decrypting);
+      await component.vm.$nextTick();
+      component.get('.submission-data-message').text().should.equal('This Submission could not be decrypted with the private keys that have been loaded.');
+    });
+  });
+
+  it('shows a message if the XML cannot be parsed', () => {
+    testData.extendedForms.createPast(1, { submissions: 1 });
+    testData.extendedSubmissions.createPast(1);
+    const component = mountComponent('<data');
+    component.get('.submission-data-message').text().should.equal('The data of this Submission could not be read.');
+  });
+
+  describe('empty values', () => {
+    beforeEach(() => {
+      testData.extendedForms.createPast(1, {
+        fields: [string('/s1'), string('/s2'), group('/g'), string('/g/s3')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1, {
+        s1: 'foo',
+        s2: null,
+        g: { s3: null }
+      });
+    });
+
+    it('hides empty values', () => {
+      const component = mountComponent();
+      fieldText(component).should.eql([['s1', 'foo']]);
+      component.find('.submission-data-group').exists().should.be.false();
+    });
+
+    it('shows empty values after the checkbox is checked', async () => {
+      const component = mountComponent();
+      await component.get('#submission-data-show-empty input').setChecked();
+      fieldText(component).should.eql([
+        ['s1', 'foo'],
+        ['s2', '(empty)'],
+        ['s3', '(empty)']
+      ]);
+    });
+  });
+
+  describe('groups', () => {
+    beforeEach(() => {
+      testData.extendedForms.createPast(1, {
+        fields: [group('/g'), string('/g/s')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1, { g: { s: 'foo' } });
+    });
+
+    it('shows the fields of a group', () => {
+      const component = mountComponent();
+      const section = component.get('.submission-data-group');
+      section.get('.submission-data-toggle').text().should.equal('g');
+      section.get('.submission-data-children').should.be.visible();
+      fieldText(component).should.eql([['s', 'foo']]);
+    });
+
+    it('collapses the group after the toggle is clicked', async () => {
+      const component = mountComponent();
+      const toggle = component.get('.submission-data-toggle');
+      await toggle.trigger('click');
+      toggle.attributes()['aria-expanded'].should.equal('false');
+      component.get('.submission-data-children').should.be.hidden();
+      await toggle.trigger('click');
+      component.get('.submission-data-children').should.be.visible();
+    });
+  });
+
+  it('numbers the instances of a repeat group', () => {
+    testData.extendedForms.createPast(1, {
+      fields: [repeat('/r'), int('/r/i')],
+      submissions: 1
+    });
+    testData.extendedSubmissions.createPast(1);
+    const component = mountComponent('<data id="f"><r><i>1</i></r><r><i>2</i></r></data>');
+    const repeatGroup = component.get('.submission-data-repeat');
+    repeatGroup.get('.submission-data-name').text().should.equal('r (2)');
+    const toggles = repeatGroup.findAll('.submission-data-toggle');
+    toggles.wrappers.map(toggle => toggle.text()).should.eql(['r 1', 'r 2']);
+    fieldText(component).should.eql([['i', '1'], ['i', '2']]);
+  });
+
+  describe('binary fields', () => {
+    it('shows an image', () => {
+      testData.extendedForms.createPast(1, {
+        fields: [binary('/b')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1, { b: 'c d.jpg' });
+      const component = mountComponent();
+      const { src } = component.get('.submission-data-value img').attributes();
+      src.should.equal('/v1/projects/1/forms/f/submissions/s/attachments/c%20d.jpg');
+      const { href } = component.get('.binary-link').attributes();
+      href.should.equal(src);
+    });
+
+    it('shows an audio player', () => {
+      testData.extendedForms.createPast(1, {
+        fields: [binary('/b')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1, { b: 'a.m4a' });
+      const component = mountComponent();
+      component.find('audio').exists().should.be.true();
+      component.find('.submission-data-value img').exists().should.be.false();
+    });
+  });
+
+  it('shows a map for a geo field', async () => {
+    testData.extendedForms.createPast(1, {
+      fields: [geopoint('/p')],
+      submissions: 1
+    });
+    testData.extendedSubmissions.createPast(1);
+    await loadAsync('SubmissionDataMap')();
+    const component = mountComponent('<data id="f"><p>47.6 -122.3 0 5</p></data>');
+    // Vue renders the async component once its promise is settled.
+    await waitUntil(() => component.findComponent(SubmissionDataMap).exists());
+    const map = component.getComponent(SubmissionDataMap);
+    map.props().geometry.should.eql({
+      type: 'Point',
+      coordinates: [-122.3, 47.6]
+    });
+  });
+
+  describe('labels', () => {
+    beforeEach(() => {
+      testData.extendedForms.createPast(1, {
+        fields: [group('/g'), string('/g/s1'), string('/s2')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1, { g: { s1: 'y' }, s2: 'foo' });
+    });
+
+    const xform = () => testData.formXml({
+      labels: { '/g': 'Group', '/g/s1': 'Question' },
+      choices: { '/g/s1': { y: 'Yes' } }
+    });
+
+    it('shows the labels of fields and choices', () => {
+      const component = mountComponent(undefined, xform());
+      component.get('.submission-data-toggle').text().should.equal('Group');
+      fieldText(component).should.eql([['Question', 'Yes'], ['s2', 'foo']]);
+      const { title } = component.get('.submission-data-name').attributes();
+      title.should.equal('Question (/g/s1)');
+    });
+
+    it('shows names after names are selected', async () => {
+      const component = mountComponent(undefined, xform());
+      await component.get('#submission-data-label-select select').setValue('1');
+      fieldText(component).should.eql([['s1', 'y'], ['s2', 'foo']]);
+      localStorage.getItem('submissionLabels:1:f').should.equal('null');
+    });
+
+    it('shows names if names were selected before', () => {
+      localStorage.setItem('submissionLabels:1:f', 'null');
+      const component = mountComponent(undefined, xform());
+      fieldText(component).should.eql([['s1', 'y'], ['s2', 'foo']]);
+    });
+
+    it('does not show the select if the form does not have labels', () => {
+      const component = mountComponent(undefined, testData.formXml());
+      component.find('#submission-data-label-select').exists().should.be.false();
+    });
+  });
+});
@@ -0,0 +1,122 @@
+import Field from '../../../../src/presenters/field';
+import SubmissionDataEditor from '../../../../src/components/submission/data/editor.vue';
+
+import testData from '../../../data';
+import { mockHttp } from '../../../util/http';
+import { mockLogin } from '../../../util/session';
+import { mount } from '../../../util/lifecycle';
+
+const { int, decimal, string, selectMultiple, date, time } = testData.fields;
+
+const submissionXml = '<data id="f"><meta><instanceID>uuid:s</instanceID></meta><s>foo</s></data>';
+const mountOptions = (field = string('/s'), value = 'foo', xform = undefined) => ({
+  propsData: {
+    projectId: '1',
+    xmlFormId: 'f',
+    instanceId: 'uuid:s',
+    node: { field: new Field(field), value, location: [['s', 0]] },
+    labelLanguage: null
+  },
+  requestData: {
+    submissionXml,
+    ...(xform != null ? { xform } : {})
+  }
+});
+const mountComponent = (field = undefined, value = undefined, xform = undefined) =>
+  mount(SubmissionDataEditor, mountOptions(field, value, xform));
+
+describe('SubmissionDataEditor', () => {
+  beforeEach(mockLogin);
+
+  it('shows an input whose type depends on the type of the field', () => {
+    const cases = [
+      [string('/s'), 'text'],
+      [int('/s'), 'number'],
+      [decimal('/s'), 'number'],
+      [date('/s'), 'date'],
+      [time('/s'), 'text']
+    ];
+    for (const [field, type] of cases) {
+      const input = mountComponent(field, '').get('input');
+      input.attributes().type.should.equal(type);
+    }
+  });
+
+  it('shows a select for a field with choices', () => {
+    const xform = testData.formXml({ choices: { '/s': { y: 'Yes', n: 'No' } } });
+    const component = mountComponent(string('/s'), 'y', xform);
+    const select = component.get('select');
+    select.element.value.should.equal('y');
+    component.findAll('option').wrappers.map(option => option.attributes().value)
+      .should.eql(['', 'y', 'n']);
+  });
+
+  it('shows checkboxes for a select_multiple field', async () => {
+    const xform = testData.formXml({ choices: { '/s': { y: 'Yes', n: 'No' } } });
+    const component = mountComponent(selectMultiple('/s'), 'y', xform);
+    const checkboxes = component.findAll('input[type="checkbox"]');
+    checkboxes.wrappers.map(checkbox => checkbox.element.checked)
+      .should.eql([true, false]);
+    await checkboxes.at(1).setChecked();
+    component.vm.value.should.equal('y n');
+  });
+
+  it('disables the button if the value has not changed', () => {
+    const button = mountComponent().get('button[type="submit"]');
+    button.attributes().disabled.should.equal('disabled');
+  });
+
+  it('shows an error and disables the button if the value is invalid', async () => {
+    const component = mountComponent(int('/s'), '1');
+    await component.setData({ value: '1.5' });
+    const error = component.get('.submission-data-editor-error');
+    error.text().should.equal('Please enter a whole number.');
+    const button = component.get('button[type="submit"]');
+    button.attributes().disabled.should.equal('disabled');
+  });
+
+  it('emits a cancel event', async () => {
+    const component = mountComponent();
+    await component.get('.btn-link').trigger('click');
+    component.emitted().cancel.should.eql([[]]);
+  });
+
+  it('sends the correct request', () =>
+    mockHttp()
+      .mount(SubmissionDataEditor, mountOptions())
+      .request(async (component) => {
+        await component.get('input').setValue('bar');
+        return component.get('form').trigger('submit');
+      })
+      .beforeEachResponse((_, { method, url, data, headers }) => {
+        method.should.equal('PUT');
+        url.should.equal('/v1/projects/1/forms/f/submissions/uuid%3As');
+        headers['Content-Type'].should.equal('application/xml');
+        data.should.containEql('<s>bar</s>');
+        data.should.containEql('<deprecatedID>uuid:s</deprecatedID>');
+        data.should.match(/<instanceID>uuid:[0-9a-f-]{36}<\/instanceID>/);
+      })
+      .respondWithSuccess());
+
+  it('emits a success event after a successful response', () =>
+    mockHttp()
+      .mount(SubmissionDataEditor, mountOptions())
+      .request(async (component) => {
+        await component.get('input').setValue('bar');
+        return component.get('form').trigger('submit');
+      })
+      .respondWithSuccess()
+      .afterResponse(component => {
+        component.emitted().success.should.eql([[]]);
+      }));
+
+  it('shows a danger alert if the XML cannot be changed', async () => {
+    const component = mount(SubmissionDataEditor, {
+      ...mountOptions(),
+      requestData: { submissionXml: '<data id="f"><s>foo</s></data>' }
+    });
+    await component.get('input').setValue('bar');
+    await component.get('form').trigger('submit');
+    component.should.alert('danger', 'The data of this Submission could not be changed.');
+  });
+});
@@ -233,6 +233,40 @@ describe('SubmissionDownload', () => {
       url.searchParams.get('$filter').should.equal('__system/submitterId eq 1');
   });
 
+  describe('geographic export buttons', () => {
+    it('emits a geo-export event', async () => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.geopoint('/p')]
+      });
+      const modal = mountComponent();
+      const buttons = modal.findAll('#submission-download-geo .btn');
+      buttons.wrappers.map(button => button.text()).should.eql(['.geojson', '.kml']);
+      await buttons.at(1).trigger('click');
+      modal.emitted()['geo-export'].should.eql([['kml']]);
+    });
+
+    it('disables the buttons if the form does not have a geo field', () => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.int('/i')]
+      });
+      const action = mountComponent().get('#submission-download-geo');
+      action.classes('disabled').should.be.true();
+      const button = action.get('.btn');
+      button.element.disabled.should.be.true();
+      button.attributes().title.should.equal('This Form does not have any location fields.');
+    });
+
+    it('disables the buttons if the form is encrypted', () => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.geopoint('/p')],
+        key: testData.standardKeys.createPast(1, { managed: false }).last()
+      });
+      const button = mountComponent().get('#submission-download-geo .btn');
+      button.element.disabled.should.be.true();
+      button.attributes().title.should.equal('Encrypted Forms cannot be processed in this way.');
+    });
+  });
+
   describe('download link for all data tables', () => {
     it('enables the link if the form has a repeat group', () => {
       testData.extendedForms.createPast(1, {
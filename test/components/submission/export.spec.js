@@ -0,0 +1,199 @@
+import sinon from 'sinon';
+
+import SubmissionExport from '../../../src/components/submission/export.vue';
+
+import Field from '../../../src/presenters/field';
+import { defaultOrder } from '../../../src/util/odata';
+
+import testData from '../../data';
+import { mockHttp } from '../../util/http';
+import { mount } from '../../util/lifecycle';
+import { mockLogin } from '../../util/session';
+
+const mountOptions = (propsData = undefined) => ({
+  propsData: {
+    state: false,
+    projectId: '1',
+    xmlFormId: 'a b',
+    fields: testData.extendedForms.last()._fields
+      .map(field => new Field(field)),
+    order: defaultOrder,
+    ...propsData
+  }
+});
+const mountComponent = (propsData = undefined) =>
+  mount(SubmissionExport, mountOptions(propsData));
+const mockHttpForComponent = (propsData = undefined) =>
+  mockHttp().mount(SubmissionExport, mountOptions(propsData));
+
+// Starts the export, replacing the method that downloads the file.
+const submit = async (modal) => {
+  sinon.replace(modal.vm, 'save', sinon.fake());
+  await modal.setProps({ state: true });
+  return modal.get('form').trigger('submit');
+};
+
+// Returns the text of the file passed to save().
+const savedText = (modal) => modal.vm.save.firstCall.args[0].text();
+
+describe('SubmissionExport', () => {
+  beforeEach(() => {
+    mockLogin();
+    testData.extendedForms.createPast(1, {
+      xmlFormId: 'a b',
+      fields: [testData.fields.int('/i')]
+    });
+  });
+
+  it('requests the submissions matching the filters', () => {
+    testData.extendedSubmissions.createPast(1);
+    return mockHttpForComponent({
+      odataFilter: '__system/submitterId eq 1',
+      order: { column: '/i', direction: 'asc' }
+    })
+      .request(submit)
+      .beforeEachResponse((_, { method, url }) => {
+        method.should.equal('GET');
+        const { pathname, searchParams } = new URL(url, window.location.origin);
+        pathname.should.equal('/v1/projects/1/forms/a%20b.svc/Submissions');
+        searchParams.get('$top').should.equal('1000');
+        searchParams.get('$skip').should.equal('0');
+        searchParams.get('$count').should.equal('true');
+        searchParams.get('$wkt').should.equal('true');
+        searchParams.get('$filter').should.equal('__system/submitterId eq 1');
+        searchParams.get('$orderby').should.equal('i asc,__id asc');
+      })
+      .respondWithData(() => testData.submissionOData());
+  });
+
+  it('requests the next page until every submission has been received', () => {
+    testData.extendedSubmissions.createPast(1001, { i: 1 });
+    return mockHttpForComponent()
+      .request(submit)
+      .beforeEachResponse((modal, { url }, i) => {
+        const { searchParams } = new URL(url, window.location.origin);
+        searchParams.get('$skip').should.equal((i * 1000).toString());
+        if (i === 1) {
+          modal.get('.progress-message').text().should.equal('1,000 of 1,001 Submissions processed');
+        }
+      })
+      .respondWithData(() => testData.submissionOData(1000, 0))
+      .respondWithData(() => testData.submissionOData(1000, 1000))
+      .afterResponses(async (modal) => {
+        modal.vm.save.calledOnce.should.be.true();
+        modal.vm.save.firstCall.args[1].should.equal('a b.csv');
+        const lines = (await savedText(modal)).split('\r\n');
+        // A header row, a row for each submission, and an empty line
+        lines.length.should.equal(1003);
+        // Blob.text() removes the byte order mark.
+        lines[0].should.equal('Submitted by,Submitted at,Review State,i,Instance ID');
+        modal.emitted().hide.length.should.equal(1);
+      });
+  });
+
+  it('exports raw values', () => {
+    testData.extendedSubmissions.createPast(1, { i: 1000 });
+    return mockHttpForComponent()
+      .request(async (modal) => {
+        sinon.replace(modal.vm, 'save', sinon.fake());
+        await modal.setProps({ state: true });
+        await modal.get('input[type="checkbox"]').setChecked();
+        return modal.get('form').trigger('submit');
+      })
+      .respondWithData(() => testData.submissionOData())
+      .afterResponses(async (modal) => {
+        const row = (await savedText(modal)).split('\r\n')[1].split(',');
+        row[3].should.equal('1000');
+      });
+  });
+
+  it('exports an XLSX file', () => {
+    testData.extendedSubmissions.createPast(1);
+    return mockHttpForComponent()
+      .request(async (modal) => {
+        sinon.replace(modal.vm, 'save', sinon.fake());
+        await modal.setProps({ state: true });
+        await modal.get('input[value="xlsx"]').setChecked();
+        return modal.get('form').trigger('submit');
+      })
+      .respondWithData(() => testData.submissionOData())
+      .afterResponses(modal => {
+        modal.vm.save.firstCall.args[1].should.equal('a b.xlsx');
+      });
+  });
+
+  it('exports the metadata columns that are shown', () => {
+    testData.extendedSubmissions.createPast(1, {
+      deviceId: 'd',
+      i: 1
+    });
+    return mockHttpForComponent({ columns: ['deviceId', 'edits'] })
+      .request(submit)
+      .respondWithData(() => testData.submissionOData())
+      .afterResponses(async (modal) => {
+        const lines = (await savedText(modal)).split('\r\n');
+        lines[0].should.equal('Submitted by,Submitted at,Device ID,Edits,Review State,i,Instance ID');
+        lines[1].split(',').slice(2, 4).should.eql(['d', '0']);
+      });
+  });
+
+  it('only exports the submissions that match the search', () => {
+    testData.extendedSubmissions.createPast(1, { instanceId: 'foo' });
+    testData.extendedSubmissions.createPast(1, { instanceId: 'bar' });
+    return mockHttpForComponent({ search: 'FO' })
+      .request(submit)
+      .respondWithData(() => testData.submissionOData())
+      .afterResponses(async (modal) => {
+        const lines = (await savedText(modal)).split('\r\n');
+        lines.length.should.equal(3);
+        lines[1].should.endWith(',foo');
+      });
+  });
+
+  it('only exports the submissions with quality issues', () => {
+    testData.extendedSubmissions.createPast(1, { instanceId: 'foo' });
+    testData.extendedSubmissions.createPast(1, { instanceId: 'bar' });
+    return mockHttpForComponent({ qualityIssueIds: ['bar'] })
+      .request(submit)
+      .respondWithData(() => testData.submissionOData())
+      .afterResponses(async (modal) => {
+        const lines = (await savedText(modal)).split('\r\n');
+        lines.length.should.equal(3);
+        lines[1].should.endWith(',bar');
+      });
+  });
+
+  it('says that only the submissions with quality issues are exported', async () => {
+    const modal = mountComponent({ qualityIssueIds: ['foo'] });
+    await modal.setProps({ state: true });
+    modal.get('#submission-export-quality-filter').text().should.equal('Only the Submissions with quality issues that are shown in the table will be exported.');
+    await modal.setProps({ qualityIssueIds: null });
+    modal.find('#submission-export-quality-filter').exists().should.be.false();
+  });
+
+  it('stops after the export is canceled', () => {
+    testData.extendedSubmissions.createPast(1001);
+    return mockHttpForComponent()
+      .request(submit)
+      .beforeEachResponse(async (modal) => {
+        await modal.get('.btn-primary').trigger('click');
+        modal.emitted().hide.length.should.equal(1);
+      })
+      .respondWithData(() => testData.submissionOData(1000, 0))
+      .afterResponse(modal => {
+        modal.vm.save.called.should.be.false();
+      });
+  });
+
+  it('shows the form again after a request fails', () => {
+    testData.extendedSubmissions.createPast(1);
+    return mockHttpForComponent()
+      .request(submit)
+      .respondWithProblem()
+      .afterResponse(modal => {
+        modal.should.alert('danger');
+        modal.find('form').exists().should.be.true();
+        modal.vm.save.called.should.be.false();
+      });
+  });
+});
@@ -7,6 +7,7 @@ import store from '../../../src/store';
 
 import testData from '../../data';
 import { loadSubmissionList } from '../../util/submission';
+import { mockLogin } from '../../util/session';
 import { mount } from '../../util/lifecycle';
 
 const { repeat, group, string } = testData.fields;
@@ -27,15 +28,18 @@ const commitFields = (fields) => {
 };
 
 describe('SubmissionFieldDropdown', () => {
+  beforeEach(mockLogin);
+
   it('renders a checkbox for each selectable field', () => {
     commitFields([repeat('/r'), string('/r/s1'), string('/s2'), string('/s3')]);
     const dropdown = mount(SubmissionFieldDropdown, {
       propsData: { value: [] }
     });
     const labels = dropdown.findAll('.checkbox span');
-    labels.length.should.equal(2);
-    labels.at(0).text().should.equal('s2');
-    labels.at(1).text().should.equal('s3');
+    labels.length.should.equal(3);
+    labels.at(0).text().should.equal('r');
+    labels.at(1).text().should.equal('s2');
+    labels.at(2).text().should.equal('s3');
   });
 
   it('adds a title attribute for checkbox that includes group name', () => {
@@ -48,6 +52,18 @@ describe('SubmissionFieldDropdown', () => {
     span.attributes().title.should.equal('g-s1');
   });
 
+  it('shows the label of a field', () => {
+    commitFields([string('/s1'), string('/s2')]);
+    const dropdown = mount(SubmissionFieldDropdown, {
+      propsData: { value: [], labelLanguage: '' },
+      requestData: { xform: testData.formXml({ labels: { '/s1': 'Name' } }) }
+    });
+    const spans = dropdown.findAll('.checkbox span');
+    spans.at(0).text().should.equal('Name');
+    spans.at(0).attributes().title.should.equal('s1');
+    spans.at(1).text().should.equal('s2');
+  });
+
   describe('checked boxes', () => {
     it('checks boxes based on the value prop', () => {
       const fields = strings(1, 2).map(present);
@@ -126,7 +142,7 @@ describe('SubmissionFieldDropdown', () => {
       const dropdown = mount(SubmissionFieldDropdown, {
         propsData: { value: [] }
       });
-      dropdown.get('option').text().should.endWith(' of 1');
+      dropdown.get('option').text().should.endWith(' of 2');
     });
 
     it('shows the number of selected fields', () => {
@@ -182,6 +198,18 @@ describe('SubmissionFieldDropdown', () => {
       matches.at(0).get('span').text().should.equal('s1');
     });
 
+    it('searches the label of a field', async () => {
+      commitFields([string('/s1'), string('/s2')]);
+      const dropdown = mount(SubmissionFieldDropdown, {
+        propsData: { value: [], labelLanguage: '' },
+        requestData: { xform: testData.formXml({ labels: { '/s2': 'Name' } }) }
+      });
+      await dropdown.get('.search input').setValue('name');
+      const matches = dropdown.findAll('.search-match');
+      matches.length.should.equal(1);
+      matches.at(0).get('span').text().should.equal('Name');
+    });
+
     it('completes a case-insensitive search', async () => {
       commitFields([string('/s'), string('/S'), string('/x')]);
       const dropdown = mount(SubmissionFieldDropdown, {
@@ -356,7 +384,7 @@ describe('SubmissionFieldDropdown', () => {
 
   it('is not rendered if there are 11 selectable fields', async () => {
     testData.extendedForms.createPast(1, {
-      fields: [...strings(1, 11), repeat('/r'), string('/r/s12')],
+      fields: [...strings(1, 10), repeat('/r'), string('/r/s11')],
       submissions: 1
     });
     testData.extendedSubmissions.createPast(1);
@@ -367,15 +395,15 @@ describe('SubmissionFieldDropdown', () => {
 
   it('initially selects first 10 if there are 12 selectable fields', async () => {
     testData.extendedForms.createPast(1, {
-      fields: [repeat('/r'), string('/r/s1'), ...strings(2, 13)],
+      fields: [repeat('/r'), string('/r/s1'), ...strings(2, 12)],
       submissions: 1
     });
     testData.extendedSubmissions.createPast(1);
     const component = await loadSubmissionList();
     const selected = component.getComponent(SubmissionFieldDropdown).props().value;
     selected.map(field => field.path).should.eql([
-      '/s2', '/s3', '/s4', '/s5', '/s6',
-      '/s7', '/s8', '/s9', '/s10', '/s11'
+      '/r', '/s2', '/s3', '/s4', '/s5',
+      '/s6', '/s7', '/s8', '/s9', '/s10'
     ]);
     component.getComponent(SubmissionTable).props().fields.should.equal(selected);
   });
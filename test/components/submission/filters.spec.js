@@ -3,6 +3,7 @@ import { DateTime, Settings } from 'luxon';
 import sinon from 'sinon';
 
 import DateRangePicker from '../../../src/components/date-range-picker.vue';
+import SubmissionFiltersField from '../../../src/components/submission/filters/field.vue';
 import SubmissionMetadataRow from '../../../src/components/submission/metadata-row.vue';
 
 import testData from '../../data';
@@ -50,7 +51,7 @@ describe('SubmissionFilters', () => {
     })
       .complete()
       .request(component => {
-        sinon.replace(component.vm, 'scrolledToBottom', () => true);
+        sinon.replace(component.vm, 'shownRows', () => ({ start: 0, end: 4 }));
         document.dispatchEvent(new Event('scroll'));
       })
       .respondWithData(() => testData.submissionOData(2, 2))
@@ -70,6 +71,33 @@ describe('SubmissionFilters', () => {
       });
   });
 
+  it('sends a request after the edits filter is changed', () => {
+    testData.extendedForms.createPast(1);
+    return loadSubmissionList()
+      .complete()
+      .request(component =>
+        component.get('#submission-filters-metadata-edited').setValue('true'))
+      .beforeEachResponse((_, { url }) => {
+        url.should.match(/&%24filter=__system%2Fedits\+gt\+0(&|$)/);
+      })
+      .respondWithData(testData.submissionOData);
+  });
+
+  it('sends a request after the device ID filter is changed', () => {
+    testData.extendedForms.createPast(1);
+    return loadSubmissionList()
+      .complete()
+      .request(component => {
+        const input = component.get('#submission-filters-metadata-device-id');
+        input.element.value = 'd';
+        return input.trigger('change');
+      })
+      .beforeEachResponse((_, { url }) => {
+        url.should.match(/&%24filter=__system%2FdeviceId\+eq\+%27d%27(&|$)/);
+      })
+      .respondWithData(testData.submissionOData);
+  });
+
   it('sends a request after the submission date filter is changed', () => {
     testData.extendedForms.createPast(1);
     return loadSubmissionList()
@@ -109,6 +137,23 @@ describe('SubmissionFilters', () => {
       .respondWithData(testData.submissionOData);
   });
 
+  it('sends a request after a field condition is added', () => {
+    testData.extendedForms.createPast(1, {
+      fields: [testData.fields.int('/i')]
+    });
+    return loadSubmissionList()
+      .complete()
+      .request(component => {
+        component.getComponent(SubmissionFiltersField).vm.$emit('input', [
+          { path: '/i', operator: 'between', value: [1, null] }
+        ]);
+      })
+      .beforeEachResponse((_, { url }) => {
+        url.should.match(/&%24filter=%28i\+ge\+1%29(&|$)/);
+      })
+      .respondWithData(testData.submissionOData);
+  });
+
   it.skip('allows multiple review states to be selected', () => {
     testData.extendedForms.createPast(1);
     return loadSubmissionList()
@@ -190,7 +235,8 @@ describe('SubmissionFilters', () => {
     testData.extendedSubmissions.createPast(1, {
       submitter: testData.extendedFieldKeys.createPast(1).last()
     });
-    return load('/projects/1/forms/f/submissions', { root: false })
+    // The router is injected, because the query changes after the filter.
+    return load('/projects/1/forms/f/submissions')
       .afterResponses(component => {
         component.vm.$store.state.request.data.form.submissions.should.equal(2);
       })
@@ -244,7 +290,7 @@ describe('SubmissionFilters', () => {
         .respondWithData(() => testData.submissionOData(2, 0))
         .complete()
         .request(component => {
-          sinon.replace(component.vm, 'scrolledToBottom', () => true);
+          sinon.replace(component.vm, 'shownRows', () => ({ start: 0, end: 4 }));
           document.dispatchEvent(new Event('scroll'));
         })
         .beforeEachResponse(component => {
@@ -271,7 +317,7 @@ describe('SubmissionFilters', () => {
           .respondWithData(() => testData.submissionOData(2, 0))
           .complete()
           .request(component => {
-            sinon.replace(component.vm, 'scrolledToBottom', () => true);
+            sinon.replace(component.vm, 'shownRows', () => ({ start: 0, end: 4 }));
             document.dispatchEvent(new Event('scroll'));
           })
           .beforeEachResponse(component => {
@@ -297,7 +343,7 @@ describe('SubmissionFilters', () => {
           .respondWithData(() => testData.submissionOData(2, 0))
           .complete()
           .request(component => {
-            sinon.replace(component.vm, 'scrolledToBottom', () => true);
+            sinon.replace(component.vm, 'shownRows', () => ({ start: 0, end: 4 }));
             document.dispatchEvent(new Event('scroll'));
           })
           .beforeEachResponse(component => {
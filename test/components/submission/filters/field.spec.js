@@ -0,0 +1,154 @@
+import DateRangePicker from '../../../../src/components/date-range-picker.vue';
+import SubmissionFiltersField from '../../../../src/components/submission/filters/field.vue';
+
+import testData from '../../../data';
+import { mockHttp } from '../../../util/http';
+import { mount } from '../../../util/lifecycle';
+
+const xml = `<h:html xmlns="http://www.w3.org/2002/xforms" xmlns:h="http://www.w3.org/1999/xhtml">
+  <h:head>
+    <model>
+      <instance><data id="f"><i/><s/><sel/><d/></data></instance>
+    </model>
+  </h:head>
+  <h:body>
+    <select1 ref="/data/sel">
+      <item><label>Yes</label><value>y</value></item>
+      <item><label>No</label><value>n</value></item>
+    </select1>
+  </h:body>
+</h:html>`;
+
+const fields = () => [
+  testData.fields.int('/i'),
+  testData.fields.string('/s'),
+  testData.fields.string('/sel'),
+  testData.fields.date('/d'),
+  testData.fields.binary('/b')
+];
+
+const mountOptions = ({ value = [], xform = undefined } = {}) => ({
+  propsData: { value },
+  requestData: xform != null
+    ? { form: testData.extendedForms.last(), fields: fields(), xform }
+    : { form: testData.extendedForms.last(), fields: fields() }
+});
+const mountComponent = (options = undefined) =>
+  mount(SubmissionFiltersField, mountOptions(options));
+
+const selectField = async (component, path) => {
+  await component.get('#submission-filters-field-add-button').trigger('click');
+  return component.get('#submission-filters-field-editor select').setValue(path);
+};
+
+describe('SubmissionFiltersField', () => {
+  beforeEach(() => {
+    testData.extendedForms.createPast(1);
+  });
+
+  it('sends a request for the form XML after the add button is clicked', () =>
+    mockHttp()
+      .mount(SubmissionFiltersField, mountOptions())
+      .request(component =>
+        component.get('#submission-filters-field-add-button').trigger('click'))
+      .beforeEachResponse((_, { url }) => {
+        url.should.equal('/v1/projects/1/forms/f.xml');
+      })
+      .respondWithData(() => xml)
+      .afterResponse(component => {
+        const options = component.findAll('#submission-filters-field-editor option');
+        options.length.should.equal(5);
+        options.at(1).attributes().value.should.equal('/i');
+      }));
+
+  it('does not show a field that cannot be filtered', async () => {
+    const component = mountComponent({ xform: xml });
+    await component.get('#submission-filters-field-add-button').trigger('click');
+    const values = component.findAll('#submission-filters-field-editor option')
+      .wrappers.map(option => option.attributes().value);
+    values.should.not.containEql('/b');
+  });
+
+  it('emits a condition for a number field', async () => {
+    const component = mountComponent({ xform: xml });
+    await selectField(component, '/i');
+    const inputs = component.findAll('input[type="number"]');
+    await inputs.at(0).setValue('5');
+    await component.get('.btn-primary').trigger('click');
+    component.emitted().input.should.eql([[
+      [{ path: '/i', operator: 'between', value: [5, null] }]
+    ]]);
+  });
+
+  it('emits a condition for a select_one field', async () => {
+    const component = mountComponent({ xform: xml });
+    await selectField(component, '/sel');
+    const checkboxes = component.findAll('.submission-filters-field-choices input');
+    checkboxes.length.should.equal(2);
+    await checkboxes.at(1).setChecked();
+    await component.get('.btn-primary').trigger('click');
+    component.emitted().input.should.eql([[
+      [{ path: '/sel', operator: 'in', value: ['n'] }]
+    ]]);
+  });
+
+  it('emits a condition for a string field', async () => {
+    const component = mountComponent({ xform: xml });
+    await selectField(component, '/s');
+    const selects = component.findAll('#submission-filters-field-editor select');
+    await selects.at(1).setValue('eq');
+    await component.get('#submission-filters-field-editor input').setValue('x');
+    await component.get('.btn-primary').trigger('click');
+    component.emitted().input.should.eql([[
+      [{ path: '/s', operator: 'eq', value: 'x' }]
+    ]]);
+  });
+
+  it('emits a condition for a date field', async () => {
+    const component = mountComponent({ xform: xml });
+    await selectField(component, '/d');
+    component.getComponent(DateRangePicker).vm.close([
+      new Date(2021, 0, 1),
+      new Date(2021, 0, 31)
+    ]);
+    await component.vm.$nextTick();
+    await component.get('.btn-primary').trigger('click');
+    component.emitted().input.should.eql([[
+      [{ path: '/d', operator: 'dateBetween', value: ['2021-01-01', '2021-01-31'] }]
+    ]]);
+  });
+
+  it('disables the add button until the condition is complete', async () => {
+    const component = mountComponent({ xform: xml });
+    await selectField(component, '/s');
+    component.get('.btn-primary').attributes().disabled.should.equal('disabled');
+  });
+
+  it('shows the conditions', () => {
+    const component = mountComponent({
+      value: [
+        { path: '/i', operator: 'between', value: [1, 2] },
+        { path: '/sel', operator: 'in', value: ['y'] },
+        { path: '/s', operator: 'contains', value: 'x' }
+      ],
+      xform: xml
+    });
+    const text = component.findAll('.condition-text').wrappers
+      .map(span => span.text());
+    text.should.eql(['i: 1 – 2', 'sel: Yes', 's contains “x”']);
+  });
+
+  it('removes a condition', async () => {
+    const component = mountComponent({
+      value: [
+        { path: '/i', operator: 'between', value: [1, 2] },
+        { path: '/s', operator: 'contains', value: 'x' }
+      ]
+    });
+    await component.findAll('.submission-filters-field-condition .close').at(0)
+      .trigger('click');
+    component.emitted().input.should.eql([[
+      [{ path: '/s', operator: 'contains', value: 'x' }]
+    ]]);
+  });
+});
@@ -0,0 +1,60 @@
+import SubmissionFiltersMetadata from '../../../../src/components/submission/filters/metadata.vue';
+
+import { mount } from '../../../util/lifecycle';
+
+const mountComponent = (propsData = {}) =>
+  mount(SubmissionFiltersMetadata, {
+    propsData: { formVersion: '', deviceId: '', ...propsData }
+  });
+
+describe('SubmissionFiltersMetadata', () => {
+  it('sets the values of the inputs to the props', () => {
+    const component = mountComponent({
+      formVersion: 'v1',
+      edited: true,
+      deviceId: 'd',
+      missingAttachments: false
+    });
+    component.get('#submission-filters-metadata-form-version').element.value
+      .should.equal('v1');
+    component.get('#submission-filters-metadata-edited').element.value
+      .should.equal('true');
+    component.get('#submission-filters-metadata-device-id').element.value
+      .should.equal('d');
+    component.get('#submission-filters-metadata-missing-attachments')
+      .element.value.should.equal('false');
+  });
+
+  it('selects the empty option for a null prop', () => {
+    const component = mountComponent();
+    component.get('#submission-filters-metadata-edited').element.value
+      .should.equal('');
+  });
+
+  it('emits a trimmed form version once the input is changed', async () => {
+    const component = mountComponent();
+    const input = component.get('#submission-filters-metadata-form-version');
+    input.element.value = ' v2 ';
+    await input.trigger('change');
+    component.emitted('update:formVersion').should.eql([['v2']]);
+  });
+
+  it('emits a device ID once the input is changed', async () => {
+    const component = mountComponent();
+    const input = component.get('#submission-filters-metadata-device-id');
+    input.element.value = 'd';
+    await input.trigger('change');
+    component.emitted('update:deviceId').should.eql([['d']]);
+  });
+
+  it('emits a boolean after a select changes', async () => {
+    const component = mountComponent({ edited: true });
+    await component.get('#submission-filters-metadata-edited')
+      .setValue('false');
+    await component.get('#submission-filters-metadata-missing-attachments')
+      .setValue('true');
+    await component.get('#submission-filters-metadata-edited').setValue('');
+    component.emitted('update:edited').should.eql([[false], [null]]);
+    component.emitted('update:missingAttachments').should.eql([[true]]);
+  });
+});
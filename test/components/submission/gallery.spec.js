@@ -0,0 +1,102 @@
+import { RouterLinkStub } from '@vue/test-utils';
+
+import SubmissionGallery from '../../../src/components/submission/gallery.vue';
+import SubmissionGalleryLightbox from '../../../src/components/submission/gallery/lightbox.vue';
+
+import Field from '../../../src/presenters/field';
+
+import testData from '../../data';
+import { mount } from '../../util/lifecycle';
+
+const mountComponent = () => mount(SubmissionGallery, {
+  propsData: {
+    projectId: '1',
+    xmlFormId: 'f',
+    submissions: testData.submissionOData().value,
+    fields: testData.extendedForms.last()._fields
+      .map(field => new Field(field))
+      .filter(field => field.binary === true)
+  },
+  stubs: { RouterLink: RouterLinkStub }
+});
+
+describe('SubmissionGallery', () => {
+  beforeEach(() => {
+    testData.extendedForms.createPast(1, {
+      fields: [testData.fields.binary('/b1'), testData.fields.binary('/b2')]
+    });
+  });
+
+  it('shows an item for each attachment', () => {
+    testData.extendedSubmissions
+      .createPast(1, { instanceId: 'e1', b1: 'a.jpg', b2: 'b.m4a' })
+      .createPast(1, { instanceId: 'e2', b1: 'c.mp4', b2: null });
+    const component = mountComponent();
+    const items = component.findAll('.submission-gallery-item');
+    items.length.should.equal(3);
+    items.at(0).classes('submission-gallery-video').should.be.true();
+    items.at(0).get('video').attributes().src.should.equal('/v1/projects/1/forms/f/submissions/e2/attachments/c.mp4');
+    items.at(1).get('img').attributes().src.should.equal('/v1/projects/1/forms/f/submissions/e1/attachments/a.jpg');
+    items.at(2).find('audio').exists().should.be.true();
+    component.get('#submission-gallery-count').text().should.equal('3 files from 2 loaded Submissions');
+  });
+
+  it('shows a link for a file that is not media', () => {
+    testData.extendedSubmissions.createPast(1, { b1: 'data.csv', b2: null });
+    const link = mountComponent().get('.submission-gallery-item .file-link');
+    link.text().should.equal('data.csv');
+  });
+
+  it('does not show attachments of an encrypted submission', () => {
+    testData.extendedSubmissions.createPast(1, {
+      status: 'notDecrypted',
+      b1: 'a.jpg'
+    });
+    const component = mountComponent();
+    component.findAll('.submission-gallery-item').length.should.equal(0);
+    component.get('.empty-table-message').should.be.visible();
+  });
+
+  it('shows only the selected field', async () => {
+    testData.extendedSubmissions.createPast(1, { b1: 'a.jpg', b2: 'b.jpg' });
+    const component = mountComponent();
+    const select = component.get('#submission-gallery-field select');
+    select.findAll('option').wrappers.map(option => option.text())
+      .should.eql(['All media fields', 'b1', 'b2']);
+    await select.setValue('/b2');
+    const items = component.findAll('.submission-gallery-item');
+    items.length.should.equal(1);
+    items.at(0).get('.field-header').text().should.equal('b2');
+  });
+
+  it('shows a caption that links to the submission', () => {
+    testData.extendedSubmissions.createPast(1, { instanceId: 'e1', b1: 'a.jpg', b2: null });
+    const component = mountComponent();
+    const caption = component.get('.submission-gallery-caption');
+    caption.get('.field-header').text().should.equal('b1');
+    // RouterLinkStub doesn't use the scoped slot, so we don't check the text of
+    // the link.
+    const { to } = component.getComponent(RouterLinkStub).props();
+    to.should.equal('/projects/1/forms/f/submissions/e1');
+  });
+
+  it('shows a message in place of an image that cannot be loaded', async () => {
+    testData.extendedSubmissions.createPast(1, { b1: 'a.jpg', b2: null });
+    const component = mountComponent();
+    await component.get('img').trigger('error');
+    component.find('img').exists().should.be.false();
+    component.get('.unavailable').text().should.equal('File not available');
+  });
+
+  it('opens the lightbox at the image that is clicked', async () => {
+    testData.extendedSubmissions
+      .createPast(1, { b1: 'a.jpg', b2: 'b.m4a' })
+      .createPast(1, { b1: 'c.jpg', b2: 'd.png' });
+    const component = mountComponent();
+    const links = component.findAll('.submission-gallery-image .submission-gallery-media a');
+    await links.at(1).trigger('click');
+    const lightbox = component.getComponent(SubmissionGalleryLightbox);
+    lightbox.props().items.map(item => item.name).should.eql(['c.jpg', 'd.png', 'a.jpg']);
+    lightbox.props().index.should.equal(1);
+  });
+});
@@ -0,0 +1,75 @@
+import { RouterLinkStub } from '@vue/test-utils';
+
+import SubmissionGalleryLightbox from '../../../../src/components/submission/gallery/lightbox.vue';
+
+import Field from '../../../../src/presenters/field';
+
+import testData from '../../../data';
+import { mount } from '../../../util/lifecycle';
+
+const items = () => {
+  const field = new Field(testData.fields.binary('/b'));
+  return ['a.jpg', 'b.jpg', 'c.jpg'].map(name => ({
+    key: name,
+    submission: testData.extendedSubmissions.last()._odata,
+    field,
+    name,
+    type: 'image',
+    url: `/v1/${name}`
+  }));
+};
+
+const mountComponent = (index) => mount(SubmissionGalleryLightbox, {
+  propsData: { projectId: '1', xmlFormId: 'f', items: items(), index },
+  stubs: { RouterLink: RouterLinkStub },
+  attachTo: document.body
+});
+
+describe('SubmissionGalleryLightbox', () => {
+  beforeEach(() => {
+    testData.extendedSubmissions.createPast(1);
+  });
+
+  it('is hidden if the index is null', () => {
+    const component = mountComponent(null);
+    component.find('#submission-gallery-lightbox').exists().should.be.false();
+  });
+
+  it('shows the image at the index', () => {
+    const component = mountComponent(1);
+    component.get('img').attributes().src.should.equal('/v1/b.jpg');
+    component.get('.lightbox-position').text().should.equal('2 of 3');
+  });
+
+  it('emits the next or previous index after a button is clicked', async () => {
+    const component = mountComponent(1);
+    await component.get('.lightbox-next').trigger('click');
+    await component.get('.lightbox-previous').trigger('click');
+    component.emitted()['update:index'].should.eql([[2], [0]]);
+  });
+
+  it('disables the buttons at the first and last image', async () => {
+    const component = mountComponent(0);
+    component.get('.lightbox-previous').attributes().disabled.should.equal('disabled');
+    await component.setProps({ index: 2 });
+    component.get('.lightbox-next').attributes().disabled.should.equal('disabled');
+  });
+
+  it('responds to the arrow keys and the escape key', async () => {
+    const component = mountComponent(null);
+    await component.setProps({ index: 1 });
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight' }));
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowLeft' }));
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    component.emitted()['update:index'].should.eql([[2], [0], [null]]);
+    document.body.classList.contains('modal-open').should.be.true();
+    await component.setProps({ index: null });
+    document.body.classList.contains('modal-open').should.be.false();
+  });
+
+  it('emits null after the background is clicked', async () => {
+    const component = mountComponent(0);
+    await component.get('#submission-gallery-lightbox').trigger('click');
+    component.emitted()['update:index'].should.eql([[null]]);
+  });
+});
@@ -0,0 +1,140 @@
+import sinon from 'sinon';
+
+import SubmissionGeoExport from '../../../src/components/submission/geo-export.vue';
+
+import testData from '../../data';
+import { mockHttp } from '../../util/http';
+import { mockLogin } from '../../util/session';
+import { mount } from '../../util/lifecycle';
+
+const { geopoint, repeat, int, string } = testData.fields;
+
+const mountOptions = (propsData = undefined) => ({
+  propsData: {
+    state: false,
+    projectId: '1',
+    xmlFormId: 'a b',
+    ...propsData
+  },
+  requestData: { fields: testData.extendedForms.last()._fields }
+});
+const mockHttpForComponent = (propsData = undefined) =>
+  mockHttp().mount(SubmissionGeoExport, mountOptions(propsData));
+
+// Starts the export, replacing the method that downloads the file.
+const submit = (prepare = undefined) => async (modal) => {
+  sinon.replace(modal.vm, 'save', sinon.fake());
+  await modal.setProps({ state: true });
+  if (prepare != null) await prepare(modal);
+  return modal.get('form').trigger('submit');
+};
+
+// Returns the GeoJSON passed to save().
+const savedJson = async (modal) =>
+  JSON.parse(await modal.vm.save.firstCall.args[0].text());
+
+describe('SubmissionGeoExport', () => {
+  beforeEach(mockLogin);
+
+  it('lists the geo fields and the properties', async () => {
+    testData.extendedForms.createPast(1, {
+      fields: [string('/s'), geopoint('/p'), repeat('/r'), geopoint('/r/p')]
+    });
+    const modal = mount(SubmissionGeoExport, mountOptions());
+    await modal.setProps({ state: true });
+    const options = modal.findAll('#submission-geo-export-field option');
+    options.wrappers.map(option => option.text()).should.eql(['p', 'r-p']);
+    const properties = modal.findAll('#submission-geo-export-properties input');
+    properties.wrappers.map(input => input.element.value).should.eql(['/s', '/p']);
+    properties.wrappers.every(input => input.element.checked).should.be.true();
+  });
+
+  it('requests the submissions matching the filters', () => {
+    testData.extendedForms.createPast(1, { fields: [geopoint('/p')] });
+    testData.extendedSubmissions.createPast(1);
+    return mockHttpForComponent({ odataFilter: '__system/submitterId eq 1' })
+      .request(submit())
+      .beforeEachResponse((_, { method, url }) => {
+        method.should.equal('GET');
+        const { pathname, searchParams } = new URL(url, window.location.origin);
+        pathname.should.equal('/v1/projects/1/forms/a%20b.svc/Submissions');
+        searchParams.get('$wkt').should.equal('true');
+        searchParams.get('$filter').should.equal('__system/submitterId eq 1');
+      })
+      .respondWithData(() => testData.submissionOData());
+  });
+
+  it('exports a GeoJSON file', () => {
+    testData.extendedForms.createPast(1, {
+      fields: [geopoint('/p'), int('/i')]
+    });
+    testData.extendedSubmissions
+      .createPast(1, { instanceId: 's1', p: 'POINT (1 2)', i: 3 })
+      .createPast(1, { instanceId: 's2', p: null, i: 4 });
+    return mockHttpForComponent()
+      .request(submit())
+      .respondWithData(() => testData.submissionOData())
+      .afterResponse(async (modal) => {
+        modal.vm.save.firstCall.args[1].should.equal('a b.geojson');
+        const { features } = await savedJson(modal);
+        // The submission without a location is skipped.
+        features.should.eql([{
+          type: 'Feature',
+          id: 's1',
+          geometry: { type: 'Point', coordinates: [1, 2] },
+          properties: { __id: 's1', p: 'POINT (1 2)', i: 3 }
+        }]);
+        modal.emitted().hide.length.should.equal(1);
+      });
+  });
+
+  it('includes submissions without a location if the checkbox is checked', () => {
+    testData.extendedForms.createPast(1, { fields: [geopoint('/p')] });
+    testData.extendedSubmissions.createPast(1, { p: null });
+    return mockHttpForComponent()
+      .request(submit(modal =>
+        modal.get('#submission-geo-export-properties + .checkbox input')
+          .setChecked()))
+      .respondWithData(() => testData.submissionOData())
+      .afterResponse(async (modal) => {
+        const { features } = await savedJson(modal);
+        features.length.should.equal(1);
+        should.not.exist(features[0].geometry);
+      });
+  });
+
+  it('exports the instances of a repeat group within matching submissions', () => {
+    testData.extendedForms.createPast(1, {
+      fields: [repeat('/r'), geopoint('/r/p')]
+    });
+    return mockHttpForComponent({ initialFormat: 'kml' })
+      .request(submit())
+      .respondWithData(() => ({
+        '@odata.count': 1,
+        value: [{ __id: 's1', __system: { status: null } }]
+      }))
+      .respondWithData(() => ({
+        '@odata.count': 2,
+        value: [
+          { __id: 'r1', '__Submissions-id': 's1', p: 'POINT (1 2)' },
+          { __id: 'r2', '__Submissions-id': 's2', p: 'POINT (3 4)' }
+        ]
+      }))
+      .beforeEachResponse((_, { url }, i) => {
+        if (i === 1) {
+          const { pathname } = new URL(url, window.location.origin);
+          pathname.should.equal('/v1/projects/1/forms/a%20b.svc/Submissions.r');
+        }
+      })
+      .afterResponses(async (modal) => {
+        modal.vm.save.firstCall.args[1].should.equal('a b.kml');
+        const doc = new DOMParser().parseFromString(
+          await modal.vm.save.firstCall.args[0].text(),
+          'text/xml'
+        );
+        const names = [...doc.querySelectorAll('Placemark > name')]
+          .map(name => name.textContent);
+        names.should.eql(['r1']);
+      });
+  });
+});
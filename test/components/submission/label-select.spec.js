@@ -0,0 +1,61 @@
+import SubmissionLabelSelect from '../../../src/components/submission/label-select.vue';
+
+import testData from '../../data';
+import { mount } from '../../util/lifecycle';
+
+const translatedXml = `<h:html xmlns="http://www.w3.org/2002/xforms" xmlns:h="http://www.w3.org/1999/xhtml" xmlns:jr="http://openrosa.org/javarosa">
+  <h:head>
+    <model>
+      <itext>
+        <translation lang="English" default="true()">
+          <text id="s"><value>Name</value></text>
+        </translation>
+        <translation lang="French">
+          <text id="s"><value>Nom</value></text>
+        </translation>
+      </itext>
+      <instance><data id="f"><s/></data></instance>
+    </model>
+  </h:head>
+  <h:body>
+    <input ref="/data/s"><label ref="jr:itext('s')"/></input>
+  </h:body>
+</h:html>`;
+
+const mountComponent = (value, xform) => mount(SubmissionLabelSelect, {
+  propsData: { value },
+  requestData: { xform }
+});
+const optionText = (component) => component.findAll('option').wrappers
+  .map(option => option.text());
+
+describe('SubmissionLabelSelect', () => {
+  it('shows an option for each language', () => {
+    const component = mountComponent('English', translatedXml);
+    optionText(component).should.eql([
+      'Labels: English',
+      'Labels: French',
+      'Field and choice names'
+    ]);
+  });
+
+  it('shows a single option for labels if there are no translations', () => {
+    const xml = testData.formXml({ labels: { '/s': 'Name' } });
+    const component = mountComponent('', xml);
+    optionText(component).should.eql(['Labels', 'Field and choice names']);
+  });
+
+  it('selects the option for the value prop', () => {
+    mountComponent('French', translatedXml).get('select').element.value
+      .should.equal('1');
+    mountComponent(null, translatedXml).get('select').element.value
+      .should.equal('2');
+  });
+
+  it('emits an input event after an option is selected', async () => {
+    const component = mountComponent('English', translatedXml);
+    await component.get('select').setValue('1');
+    await component.get('select').setValue('2');
+    component.emitted().input.should.eql([['French'], [null]]);
+  });
+});
@@ -1,12 +1,25 @@
+import { RouterLinkStub } from '@vue/test-utils';
 import sinon from 'sinon';
 
 import Spinner from '../../../src/components/spinner.vue';
+import SubmissionBulkUpdateReviewState from '../../../src/components/submission/bulk-update-review-state.vue';
 import SubmissionDataRow from '../../../src/components/submission/data-row.vue';
+import SubmissionExport from '../../../src/components/submission/export.vue';
+import SubmissionFilters from '../../../src/components/submission/filters.vue';
+import SubmissionGallery from '../../../src/components/submission/gallery.vue';
 import SubmissionList from '../../../src/components/submission/list.vue';
+import SubmissionMap from '../../../src/components/submission/map.vue';
 import SubmissionMetadataRow from '../../../src/components/submission/metadata-row.vue';
+import SubmissionQualityRules from '../../../src/components/submission/quality-rules.vue';
+import SubmissionTable from '../../../src/components/submission/table.vue';
+
+import store from '../../../src/store';
+import { loadAsync } from '../../../src/util/async-components';
+import { writeQualityRules } from '../../../src/util/quality-rules';
+import { writeSubmissionViews } from '../../../src/util/submission-views';
 
 import testData from '../../data';
-import { load } from '../../util/http';
+import { load, mockHttp } from '../../util/http';
 import { loadSubmissionList } from '../../util/submission';
 import { mockLogin } from '../../util/session';
 import { mockResponse } from '../../util/axios';
@@ -31,11 +44,13 @@ describe('SubmissionList', () => {
             url.should.equal('/v1/projects/1/forms/a%20b/fields?odata=true');
           else if (i === 1)
             url.should.startWith('/v1/projects/1/forms/a%20b.svc/Submissions?');
-          else
+          else if (i === 2)
             url.should.equal('/v1/projects/1/forms/a%20b/submissions/submitters');
+          else
+            url.should.equal('/v1/projects/1/forms/a%20b.xml');
         })
         .afterResponses(() => {
-          count.should.equal(3);
+          count.should.equal(4);
         });
     });
 
@@ -47,11 +62,13 @@ describe('SubmissionList', () => {
           count += 1;
           if (i === 0)
             url.should.equal('/v1/projects/1/forms/a%20b/draft/fields?odata=true');
-          else
+          else if (i === 1)
             url.should.startWith('/v1/projects/1/forms/a%20b/draft.svc/Submissions?');
+          else
+            url.should.equal('/v1/projects/1/forms/a%20b/draft.xml');
         })
         .afterResponses(() => {
-          count.should.equal(2);
+          count.should.equal(3);
         });
     });
   });
@@ -96,6 +113,1060 @@ describe('SubmissionList', () => {
       });
     });
 
+    describe('auto-refresh', () => {
+      const searchParams = (url) =>
+        new URL(url, window.location.origin).searchParams;
+
+      it('does not check for new submissions by default', () => {
+        const clock = sinon.useFakeTimers(Date.now());
+        testData.extendedSubmissions.createPast(1);
+        return loadSubmissionList()
+          .complete()
+          .testNoRequest(() => {
+            clock.tick(60000);
+          });
+      });
+
+      it('shows the number of new submissions', () => {
+        const clock = sinon.useFakeTimers(Date.now());
+        testData.extendedSubmissions.createPast(1);
+        return loadSubmissionList()
+          .complete()
+          .request(async (component) => {
+            await component.get('#submission-list-auto-refresh input')
+              .setChecked();
+            clock.tick(30000);
+          })
+          .beforeEachResponse((_, { url }) => {
+            const params = searchParams(url);
+            params.get('$top').should.equal('0');
+            params.get('$count').should.equal('true');
+            const { createdAt } = testData.extendedSubmissions.last();
+            params.get('$filter').should.equal(`__system/submissionDate gt ${createdAt}`);
+          })
+          .respondWithData(() => {
+            testData.extendedSubmissions.createNew();
+            return { '@odata.count': 1, value: [] };
+          })
+          .afterResponse(component => {
+            const text = component.get('#submission-list-new-submissions span + span').text();
+            text.should.equal('1 new Submission');
+          });
+      });
+
+      it('adds the new submissions to the top of the table', () => {
+        const clock = sinon.useFakeTimers(Date.now());
+        testData.extendedSubmissions.createPast(2);
+        return loadSubmissionList()
+          .complete()
+          .request(async (component) => {
+            await component.get('#submission-list-auto-refresh input')
+              .setChecked();
+            clock.tick(30000);
+          })
+          .respondWithData(() => {
+            testData.extendedSubmissions.createNew({ instanceId: 'new' });
+            return { '@odata.count': 1, value: [] };
+          })
+          .complete()
+          .request(component =>
+            component.get('#submission-list-new-submissions .btn').trigger('click'))
+          .beforeEachResponse((_, { url }) => {
+            const params = searchParams(url);
+            params.get('$top').should.equal('250');
+            params.get('$count').should.equal('true');
+            const { createdAt } = testData.extendedSubmissions.get(1);
+            params.get('$filter').should.equal(`__system/submissionDate gt ${createdAt}`);
+          })
+          .respondWithData(() => ({
+            ...testData.submissionOData(1),
+            '@odata.count': 1
+          }))
+          .afterResponse(component => {
+            const rows = component.findAllComponents(SubmissionMetadataRow);
+            rows.length.should.equal(3);
+            rows.at(0).props().submission.__id.should.equal('new');
+            rows.at(0).props().rowNumber.should.equal(3);
+            component.find('#submission-list-new-submissions').exists()
+              .should.be.false();
+          });
+      });
+
+      it('fetches a chunk of new submissions at a time', () => {
+        const clock = sinon.useFakeTimers(Date.now());
+        testData.extendedSubmissions
+          .createPast(1, { instanceId: 'e1' })
+          .createPast(1, { instanceId: 'e2' });
+        return loadSubmissionList({
+          propsData: { top: () => 2 }
+        })
+          .complete()
+          .request(async (component) => {
+            await component.get('#submission-list-auto-refresh input')
+              .setChecked();
+            clock.tick(30000);
+          })
+          .respondWithData(() => {
+            testData.extendedSubmissions.createNew({ instanceId: 'new1' });
+            testData.extendedSubmissions.createNew({ instanceId: 'new2' });
+            testData.extendedSubmissions.createNew({ instanceId: 'new3' });
+            return { '@odata.count': 3, value: [] };
+          })
+          .complete()
+          .request(component =>
+            component.get('#submission-list-new-submissions .btn').trigger('click'))
+          .beforeEachResponse((_, { url }) => {
+            searchParams(url).get('$top').should.equal('2');
+          })
+          .respondWithData(() => ({
+            ...testData.submissionOData(2),
+            '@odata.count': 3
+          }))
+          .afterResponse(component => {
+            component.vm.originalCount.should.equal(5);
+            const rows = component.findAllComponents(SubmissionMetadataRow);
+            const ids = testData.extendedSubmissions.sorted()
+              .map(submission => submission.instanceId);
+            rows.wrappers.map(row => row.props().submission.__id)
+              .should.eql([ids[0], ids[1], 'e2', 'e1']);
+            component.findAll('#submission-table-metadata .submission-table-spacer')
+              .length.should.equal(1);
+          })
+          .request(component => {
+            sinon.replace(component.vm, 'shownRows', () => ({ start: 0, end: 5 }));
+            document.dispatchEvent(new Event('scroll'));
+          })
+          .beforeEachResponse((_, { url }) => {
+            const params = searchParams(url);
+            params.get('$top').should.equal('1');
+            params.get('$skip').should.equal('2');
+          })
+          .respondWithData(() => testData.submissionOData(1, 2))
+          .afterResponse(component => {
+            const rows = component.findAllComponents(SubmissionMetadataRow);
+            const ids = testData.extendedSubmissions.sorted()
+              .map(submission => submission.instanceId);
+            rows.wrappers.map(row => row.props().submission.__id)
+              .should.eql(ids);
+          });
+      });
+
+      it('counts all submissions if there were none', () => {
+        const clock = sinon.useFakeTimers(Date.now());
+        testData.extendedForms.createPast(1);
+        return loadSubmissionList()
+          .complete()
+          .request(async (component) => {
+            await component.get('#submission-list-auto-refresh input')
+              .setChecked();
+            clock.tick(30000);
+          })
+          .beforeEachResponse((_, { url }) => {
+            should.not.exist(searchParams(url).get('$filter'));
+          })
+          .respondWithData(() => {
+            testData.extendedSubmissions.createNew();
+            return { '@odata.count': 1, value: [] };
+          })
+          .afterResponse(component => {
+            const text = component.get('#submission-list-new-submissions span + span').text();
+            text.should.equal('1 new Submission');
+          });
+      });
+
+      it('requests the newest submission first in another order', () => {
+        const clock = sinon.useFakeTimers(Date.now());
+        testData.extendedSubmissions.createPast(2);
+        return loadSubmissionList()
+          .complete()
+          .request(component =>
+            component.get('#submission-table-metadata .sort-link').trigger('click'))
+          .respondWithData(testData.submissionOData)
+          .complete()
+          .request(async (component) => {
+            await component.get('#submission-list-auto-refresh input')
+              .setChecked();
+            clock.tick(30000);
+          })
+          .beforeEachResponse((_, { url }) => {
+            const params = searchParams(url);
+            params.get('$top').should.equal('1');
+            should.not.exist(params.get('$orderby'));
+            should.not.exist(params.get('$filter'));
+          })
+          .respondWithData(() => testData.submissionOData(1))
+          .afterResponse(component => {
+            component.find('#submission-list-new-submissions').exists()
+              .should.be.false();
+          })
+          .request(() => {
+            clock.tick(30000);
+          })
+          .beforeEachResponse((_, { url }) => {
+            const params = searchParams(url);
+            params.get('$top').should.equal('0');
+            const { createdAt } = testData.extendedSubmissions.last();
+            params.get('$filter').should.equal(`__system/submissionDate gt ${createdAt}`);
+          })
+          .respondWithData(() => ({ '@odata.count': 0, value: [] }));
+      });
+
+      it('stops checking after the checkbox is unchecked', () => {
+        const clock = sinon.useFakeTimers(Date.now());
+        testData.extendedSubmissions.createPast(1);
+        return loadSubmissionList()
+          .complete()
+          .testNoRequest(async (component) => {
+            const input = component.get('#submission-list-auto-refresh input');
+            await input.setChecked();
+            await input.setChecked(false);
+            clock.tick(60000);
+          });
+      });
+    });
+
+    describe('sorting', () => {
+      it('does not specify $orderby in the default order', () => {
+        testData.extendedSubmissions.createPast(1);
+        return loadSubmissionList()
+          .beforeEachResponse((_, { url }) => {
+            url.should.not.match(/%24orderby/);
+          });
+      });
+
+      it('sends a request after a column header is clicked', () => {
+        testData.extendedSubmissions.createPast(1);
+        return loadSubmissionList()
+          .complete()
+          .request(component =>
+            component.get('#submission-table-metadata .sort-link').trigger('click'))
+          .beforeEachResponse((_, { url }) => {
+            url.should.match(/&%24orderby=__system%2FsubmitterName\+asc%2C__id\+asc(&|$)/);
+          })
+          .respondWithData(testData.submissionOData)
+          .afterResponse(component => {
+            const th = component.findAll('#submission-table-metadata th').at(2);
+            th.attributes()['aria-sort'].should.equal('ascending');
+            component.getComponent(SubmissionMetadataRow).props().rowNumber
+              .should.equal(1);
+          });
+      });
+    });
+
+    describe('query', () => {
+      it('reads the filters and the order from the query', () => {
+        testData.extendedSubmissions.createPast(1);
+        return loadSubmissionList({
+          propsData: {
+            query: { reviewState: 'approved', sort: 'reviewState asc' }
+          }
+        })
+          .beforeEachResponse((_, { url }) => {
+            if (url.includes('.svc/Submissions')) {
+              url.should.match(/&%24filter=%28__system%2FreviewState\+eq\+%27approved%27%29(&|$)/);
+              url.should.match(/&%24orderby=__system%2FreviewState\+asc%2C__id\+asc(&|$)/);
+            }
+          })
+          .afterResponses(component => {
+            should.not.exist(component.emitted()['update:query']);
+          });
+      });
+
+      it('reads the metadata filters from the query', () => {
+        testData.extendedSubmissions.createPast(1);
+        return loadSubmissionList({
+          propsData: {
+            query: { deviceId: 'd', missingAttachments: 'true' }
+          }
+        })
+          .beforeEachResponse((_, { url }) => {
+            if (url.includes('.svc/Submissions')) {
+              url.should.match(/&%24filter=__system%2FdeviceId\+eq\+%27d%27\+and\+__system%2FattachmentsPresent\+lt\+__system%2FattachmentsExpected(&|$)/);
+            }
+          })
+          .afterResponses(component => {
+            should.not.exist(component.emitted()['update:query']);
+          });
+      });
+
+      it('waits for the fields if the query has a field condition', () => {
+        testData.extendedForms.createPast(1, {
+          fields: [testData.fields.int('/i')]
+        });
+        // loadSubmissionList() expects the submissions to be requested before
+        // the submitters, so we mount the component ourselves.
+        return mockHttp()
+          .mount(SubmissionList, {
+            propsData: {
+              projectId: '1',
+              xmlFormId: 'f',
+              query: {
+                condition: '{"path":"/i","operator":"between","value":[1,null]}'
+              }
+            },
+            requestData: {
+              project: testData.extendedProjects.last(),
+              form: testData.extendedForms.last(),
+              formDraft: mockResponse.problem(404.1),
+              keys: []
+            },
+            stubs: { RouterLink: RouterLinkStub },
+            mocks: { $route: '/projects/1/forms/f/submissions' }
+          })
+          .respondWithData(() => testData.extendedForms.last()._fields)
+          .respondWithData(() => [])
+          .respondWithData(() => testData.formXml())
+          .respondWithData(testData.submissionOData)
+          .beforeEachResponse((_, { url }, i) => {
+            if (i === 1)
+              url.should.equal('/v1/projects/1/forms/f/submissions/submitters');
+            else if (i === 3)
+              url.should.match(/&%24filter=%28i\+ge\+1%29(&|$)/);
+          });
+      });
+
+      it('removes a stale field from the query', () => {
+        testData.extendedForms.createPast(1, {
+          fields: [testData.fields.string('/s1'), testData.fields.string('/s2')]
+        });
+        return loadSubmissionList({
+          propsData: {
+            query: { fields: ['/s1', '/x'] }
+          }
+        })
+          .afterResponses(component => {
+            component.emitted()['update:query'].should.eql([
+              [{ fields: ['/s1'] }, true]
+            ]);
+          });
+      });
+
+      it("shows the user's default view if the query is empty", () => {
+        testData.extendedSubmissions.createPast(1);
+        writeSubmissionViews(testData.extendedUsers.first().id, '1', 'f', {
+          views: [{ name: 'Approved', query: { reviewState: ['approved'] } }],
+          defaultView: 'Approved'
+        });
+        return loadSubmissionList({ propsData: { query: {} } })
+          .beforeEachResponse((_, { url }) => {
+            if (url.includes('.svc/Submissions'))
+              url.should.match(/&%24filter=%28__system%2FreviewState\+eq\+%27approved%27%29(&|$)/);
+          })
+          .afterResponses(component => {
+            component.emitted()['update:query'].should.eql([
+              [{ reviewState: ['approved'] }, true]
+            ]);
+            const toggle = component.get('#submission-views-toggle');
+            toggle.text().should.equal('Approved');
+          });
+      });
+
+      it('does not show saved views if there is no current user', () => {
+        testData.extendedSubmissions.createPast(1);
+        writeSubmissionViews(testData.extendedUsers.first().id, '1', 'f', {
+          views: [{ name: 'Approved', query: { reviewState: ['approved'] } }],
+          defaultView: 'Approved'
+        });
+        store.commit('clearData', 'currentUser');
+        return loadSubmissionList({ propsData: { query: {} } })
+          .beforeEachResponse((_, { url }) => {
+            url.should.not.match(/%24filter/);
+          })
+          .afterResponses(component => {
+            should.not.exist(component.emitted()['update:query']);
+            component.find('#submission-views').exists().should.be.false();
+          });
+      });
+
+      it('emits an update:query event after a filter changes', () => {
+        testData.extendedSubmissions.createPast(1);
+        return loadSubmissionList({ propsData: { query: {} } })
+          .complete()
+          .request(component => {
+            component.getComponent(SubmissionFilters).vm
+              .$emit('update:reviewState', ["'hasIssues'"]);
+          })
+          .respondWithData(testData.submissionOData)
+          .afterResponse(component => {
+            component.emitted()['update:query'].should.eql([
+              [{ reviewState: ['hasIssues'] }, false]
+            ]);
+          });
+      });
+
+      it('applies the query after it changes', () => {
+        testData.extendedSubmissions.createPast(1);
+        return loadSubmissionList({ propsData: { query: {} } })
+          .complete()
+          .request(component =>
+            component.setProps({ query: { reviewState: 'rejected' } }))
+          .beforeEachResponse((component, { url }) => {
+            url.should.match(/&%24filter=%28__system%2FreviewState\+eq\+%27rejected%27%29(&|$)/);
+            const { reviewState } = component.getComponent(SubmissionFilters).props();
+            [...reviewState].should.eql(["'rejected'"]);
+          })
+          .respondWithData(testData.submissionOData)
+          .afterResponse(component => {
+            should.not.exist(component.emitted()['update:query']);
+          });
+      });
+    });
+
+    describe('filter that the server rejects', () => {
+      beforeEach(() => {
+        testData.extendedForms.createPast(1, {
+          fields: [testData.fields.int('/i'), testData.fields.string('/s')],
+          submissions: 1
+        });
+        testData.extendedSubmissions.createPast(1);
+      });
+
+      const intCondition = { path: '/i', operator: 'between', value: [1, null] };
+      const stringCondition = { path: '/s', operator: 'eq', value: 'x' };
+      const filterFields = (component) => {
+        component.getComponent(SubmissionFilters).vm
+          .$emit('update:fieldConditions', [intCondition, stringCondition]);
+      };
+
+      it('removes a field filter that the server rejects', () =>
+        loadSubmissionList({ propsData: { query: {} } })
+          .complete()
+          .request(filterFields)
+          .respondWithProblem(400.18)
+          .respondWithData(() => ({ '@odata.count': 1, value: [] }))
+          .respondWithProblem(400.18)
+          .respondWithData(testData.submissionOData)
+          .beforeEachResponse((_, { url }, i) => {
+            const { searchParams } = new URL(url, window.location.origin);
+            if (i === 1) {
+              searchParams.get('$top').should.equal('0');
+              searchParams.get('$filter').should.equal('(i ge 1)');
+            } else if (i === 2) {
+              searchParams.get('$filter').should.equal("(s eq 'x')");
+            } else if (i === 3) {
+              searchParams.get('$filter').should.equal('(i ge 1)');
+            }
+          })
+          .afterResponses(component => {
+            component.should.alert('danger', 'The server could not filter by s, so that filter was removed.');
+            const { fieldConditions } = component.getComponent(SubmissionFilters).props();
+            fieldConditions.map(({ path }) => path).should.eql(['/i']);
+            const emitted = component.emitted()['update:query'];
+            emitted[emitted.length - 1].should.eql([
+              { condition: [JSON.stringify(intCondition)] },
+              true
+            ]);
+          }));
+
+      it('removes a metadata filter that the server rejects', () =>
+        loadSubmissionList({ propsData: { query: {} } })
+          .complete()
+          .request(component => {
+            const filters = component.getComponent(SubmissionFilters).vm;
+            filters.$emit('update:reviewState', ["'approved'"]);
+            filters.$emit('update:deviceId', 'd');
+          })
+          .respondWithProblem(400.18)
+          .respondWithData(() => ({ '@odata.count': 1, value: [] }))
+          .respondWithProblem(501.1)
+          .respondWithData(testData.submissionOData)
+          .beforeEachResponse((_, { url }, i) => {
+            const { searchParams } = new URL(url, window.location.origin);
+            if (i === 1) {
+              searchParams.get('$filter').should.equal("(__system/reviewState eq 'approved')");
+            } else if (i === 2) {
+              searchParams.get('$filter').should.equal("__system/deviceId eq 'd'");
+            } else if (i === 3) {
+              searchParams.get('$filter').should.equal("(__system/reviewState eq 'approved')");
+            }
+          })
+          .afterResponses(component => {
+            component.should.alert('danger', 'The server could not filter by Device ID, so that filter was removed.');
+            component.getComponent(SubmissionFilters).props().deviceId
+              .should.equal('');
+            const emitted = component.emitted()['update:query'];
+            emitted[emitted.length - 1].should.eql([
+              { reviewState: ['approved'] },
+              true
+            ]);
+          }));
+
+      it('shows the error if no filter is rejected on its own', () =>
+        loadSubmissionList({ propsData: { query: {} } })
+          .complete()
+          .request(filterFields)
+          .respondWithProblem({ code: 400.18, message: 'Bad filter' })
+          .respondWithData(() => ({ '@odata.count': 1, value: [] }))
+          .respondWithData(() => ({ '@odata.count': 1, value: [] }))
+          .afterResponses(component => {
+            component.should.alert('danger', 'Bad filter');
+            const { fieldConditions } = component.getComponent(SubmissionFilters).props();
+            fieldConditions.length.should.equal(2);
+          }));
+
+      it('shows an alert for another error', () =>
+        loadSubmissionList({ propsData: { query: {} } })
+          .complete()
+          .request(filterFields)
+          .respondWithProblem(500.1)
+          .afterResponses(component => {
+            component.should.alert('danger', 'There was a problem.');
+          }));
+    });
+
+    describe('layout', () => {
+      it('shows the gallery if the form has a binary field', () => {
+        testData.extendedForms.createPast(1, {
+          fields: [testData.fields.binary('/b')],
+          submissions: 1
+        });
+        testData.extendedSubmissions.createPast(1, { b: 'a.jpg' });
+        return loadSubmissionList().then(async (component) => {
+          const buttons = component.findAll('#submission-list-layout-toggle .btn');
+          buttons.wrappers.map(button => button.text())
+            .should.eql(['Table', 'Gallery']);
+          await buttons.at(1).trigger('click');
+          const gallery = component.getComponent(SubmissionGallery);
+          gallery.props().fields.map(({ path }) => path).should.eql(['/b']);
+        });
+      });
+
+      it('does not show the toggle if the form does not have a geo field', () => {
+        testData.extendedSubmissions.createPast(1);
+        return loadSubmissionList().then(component => {
+          component.find('#submission-list-layout-toggle').exists().should.be.false();
+        });
+      });
+
+      it('shows the map after the Map button is clicked', () => {
+        testData.extendedForms.createPast(1, {
+          fields: [testData.fields.geopoint('/g')],
+          submissions: 1
+        });
+        testData.extendedSubmissions.createPast(1, { g: 'POINT (1 2 0 0)' });
+        return loadSubmissionList({ attachTo: document.body })
+          .then(async (component) => {
+            const buttons = component.findAll('#submission-list-layout-toggle .btn');
+            buttons.at(0).classes('active').should.be.true();
+            await buttons.at(1).trigger('click');
+            await loadAsync('SubmissionMap')();
+            await component.vm.$nextTick();
+            buttons.at(1).classes('active').should.be.true();
+            component.getComponent(SubmissionTable).should.be.hidden();
+            const map = component.getComponent(SubmissionMap);
+            map.props().submissions.should.equal(component.vm.submissions);
+            await buttons.at(0).trigger('click');
+            component.findComponent(SubmissionMap).exists().should.be.false();
+            component.get('#submission-table-metadata').should.be.visible();
+          });
+      });
+
+      it('loads more submissions after the button is clicked', () => {
+        testData.extendedForms.createPast(1, {
+          fields: [testData.fields.geopoint('/g')],
+          submissions: 3
+        });
+        testData.extendedSubmissions.createPast(3, { g: 'POINT (1 2 0 0)' });
+        return loadSubmissionList({
+          attachTo: document.body,
+          propsData: { top: () => 2 }
+        })
+          .afterResponses(async (component) => {
+            await component.findAll('#submission-list-layout-toggle .btn').at(1)
+              .trigger('click');
+            await loadAsync('SubmissionMap')();
+            await component.vm.$nextTick();
+          })
+          .request(component =>
+            component.get('#submission-list-load-more .btn').trigger('click'))
+          .beforeEachResponse((_, { url }) => {
+            url.should.match(/%24skip=2(&|$)/);
+          })
+          .respondWithData(() => testData.submissionOData(2, 2))
+          .afterResponse(component => {
+            component.getComponent(SubmissionMap).props().submissions.length
+              .should.equal(3);
+            component.find('#submission-list-load-more').exists().should.be.false();
+          });
+      });
+    });
+
+    describe('bulk review', () => {
+      it('shows the number of selected submissions', () => {
+        createSubmissions(2);
+        return loadSubmissionList().afterResponses(async (component) => {
+          component.find('#submission-list-selection').exists().should.be.false();
+          await component.get('.select-checkbox').setChecked();
+          const text = component.get('#submission-list-selection-count').text();
+          text.should.equal('1 Submission selected');
+          await component.get('#submission-table-select-all').setChecked();
+          component.get('#submission-list-selection-count').text()
+            .should.equal('2 Submissions selected');
+          component.find('#submission-list-select-all').exists().should.be.false();
+        });
+      });
+
+      it('passes the selected submissions to the print view', () => {
+        createSubmissions(2);
+        const { instanceId } = testData.extendedSubmissions.sorted()[0];
+        return load('/projects/1/forms/f/submissions')
+          .complete()
+          .request(async (app) => {
+            await app.get('.select-checkbox').setChecked();
+            return app.get('#submission-list-print-button').trigger('click');
+          })
+          .respondFor('/projects/1/forms/f/print?selection=true')
+          .respondWithData(() => ({
+            value: [testData.extendedSubmissions.sorted()[0]._odata]
+          }))
+          .respondWithData(() =>
+            testData.submissionXml(testData.extendedSubmissions.sorted()[0]))
+          .respondWithData(() => [])
+          .afterResponses(app => {
+            app.vm.$route.fullPath.should.equal('/projects/1/forms/f/print?selection=true');
+            const selection = store.state.print.printSelection;
+            selection.projectId.should.equal('1');
+            selection.xmlFormId.should.equal('f');
+            [...selection.instanceIds].should.eql([instanceId]);
+          });
+      });
+
+      it('prints all matching submissions using the filters', () => {
+        createSubmissions(3);
+        return load('/projects/1/forms/f/submissions?reviewState=approved', {}, {
+          odataChunk: () => testData.submissionOData(2)
+        })
+          .complete()
+          .request(async (app) => {
+            await app.get('#submission-table-select-all').setChecked();
+            await app.get('#submission-list-select-all').trigger('click');
+            return app.get('#submission-list-print-button').trigger('click');
+          })
+          .respondFor('/projects/1/forms/f/print')
+          .respondWithData(() => ({ '@odata.count': 0, value: [] }))
+          .afterResponses(app => {
+            app.vm.$route.query.should.eql({ reviewState: ['approved'] });
+            should.not.exist(store.state.print.printSelection);
+          });
+      });
+
+      it('clears the selection after the filters change', () => {
+        createSubmissions(2);
+        return loadSubmissionList()
+          .complete()
+          .request(async (component) => {
+            await component.get('#submission-table-select-all').setChecked();
+            component.getComponent(SubmissionFilters)
+              .vm.$emit('update:reviewState', ["'approved'"]);
+          })
+          .respondWithData(() => testData.submissionOData())
+          .afterResponse(component => {
+            component.find('#submission-list-selection').exists().should.be.false();
+          });
+      });
+
+      it('updates all matching submissions', () => {
+        createSubmissions(3, { reviewState: null });
+        return loadSubmissionList({
+          propsData: { top: () => 2 }
+        })
+          .afterResponses(async (component) => {
+            await component.get('#submission-table-select-all').setChecked();
+            await component.get('#submission-list-select-all').trigger('click');
+            component.get('#submission-list-selection-count').text()
+              .should.equal('3 Submissions selected');
+          })
+          .request(component =>
+            component.get('#submission-list-bulk-review-button').trigger('click'))
+          .beforeEachResponse(component => {
+            const modal = component.getComponent(SubmissionBulkUpdateReviewState);
+            modal.props().loading.should.be.true();
+          })
+          .respondWithData(() => testData.submissionOData(2, 2))
+          .afterResponse(component => {
+            const modal = component.getComponent(SubmissionBulkUpdateReviewState);
+            modal.props().loading.should.be.false();
+            modal.props().submissions.length.should.equal(3);
+          })
+          .request(async (component) => {
+            const modal = component.getComponent(SubmissionBulkUpdateReviewState);
+            await modal.get('input[value="rejected"]').setChecked();
+            return modal.get('form').trigger('submit');
+          })
+          .respondWithSuccess()
+          .respondWithSuccess()
+          .respondWithSuccess()
+          .afterResponses(component => {
+            const rows = component.findAllComponents(SubmissionMetadataRow);
+            rows.length.should.equal(3);
+            for (const row of rows.wrappers)
+              row.props().submission.__system.reviewState.should.equal('rejected');
+            const modal = component.getComponent(SubmissionBulkUpdateReviewState);
+            modal.props().state.should.be.false();
+            component.find('#submission-list-selection').exists().should.be.false();
+          });
+      });
+    });
+
+    describe('metadata columns', () => {
+      it('shows the metadata columns specified by the query', () => {
+        createSubmissions(1, { deviceId: 'd' });
+        return loadSubmissionList({
+          propsData: { query: { columns: 'deviceId' } }
+        })
+          .afterResponses(component => {
+            const table = component.getComponent(SubmissionTable);
+            [...table.props().columns].should.eql(['deviceId']);
+            component.get('.submission-metadata-row-deviceId').text()
+              .should.equal('d');
+          });
+      });
+
+      it('shows a metadata column after its checkbox is checked', () => {
+        createSubmissions(1);
+        return loadSubmissionList().afterResponses(async (component) => {
+          const checkboxes = component.findAll('#submission-metadata-dropdown input');
+          await checkboxes.at(1).setChecked();
+          const { columns } = component.getComponent(SubmissionTable).props();
+          [...columns].should.eql(['edits']);
+        });
+      });
+    });
+
+    describe('search', () => {
+      beforeEach(() => {
+        testData.extendedForms.createPast(1, {
+          fields: [testData.fields.string('/s')],
+          submissions: 5
+        });
+        testData.extendedSubmissions
+          .createPast(1, { instanceId: 'e1', s: 'apple' })
+          .createPast(1, { instanceId: 'e2', s: 'banana' })
+          .createPast(1, { instanceId: 'e3', s: 'cherry' })
+          .createPast(1, { instanceId: 'e4', s: 'pineapple' })
+          .createPast(1, { instanceId: 'e5', s: 'grape' });
+      });
+
+      const search = (text) => (component) => {
+        const input = component.get('#submission-search input');
+        input.element.value = text;
+        return input.trigger('change');
+      };
+
+      it('sends a request with the search', () =>
+        loadSubmissionList()
+          .complete()
+          .request(search('Apple'))
+          .beforeEachResponse((_, { url }) => {
+            url.should.match(/%24filter=%28contains%28tolower%28__id%29%2C%27apple%27%29\+or\+contains%28tolower%28s%29%2C%27apple%27%29%29(&|$)/);
+          })
+          .respondWithData(() => testData.submissionOData(2, 0))
+          .afterResponse(component => {
+            const table = component.getComponent(SubmissionTable);
+            table.props().search.should.equal('Apple');
+            component.find('#submission-list-search-progress').exists()
+              .should.be.false();
+          }));
+
+      it('does not pass the query of the table to the rows while searching', () =>
+        loadSubmissionList()
+          .afterResponses(component => {
+            const table = component.getComponent(SubmissionTable);
+            should.exist(table.props().listQuery);
+          })
+          .request(search('apple'))
+          .respondWithData(() => testData.submissionOData(2, 0))
+          .afterResponse(component => {
+            const table = component.getComponent(SubmissionTable);
+            should.not.exist(table.props().listQuery);
+          }));
+
+      it('searches in the browser if the server cannot run the search', () =>
+        loadSubmissionList({
+          propsData: { top: () => 2 }
+        })
+          .complete()
+          .request(search('apple'))
+          .respondWithProblem(501.1)
+          .respondWithData(() => testData.submissionOData(2, 0))
+          .respondWithData(() => testData.submissionOData(2, 2))
+          .respondWithData(() => testData.submissionOData(2, 4))
+          .beforeEachResponse((_, { url }, i) => {
+            if (i === 0) url.should.match(/tolower/);
+            if (i !== 0) url.should.not.match(/tolower/);
+            url.should.match(new RegExp(`%24skip=${Math.max(i - 1, 0) * 2}(&|$)`));
+          })
+          .afterResponses(component => {
+            component.should.not.alert();
+            const rows = component.findAllComponents(SubmissionDataRow);
+            rows.wrappers.map(row => row.props().submission.__id)
+              .should.eql(['e4', 'e1']);
+            component.get('#submission-list-search-message').text()
+              .should.equal('Searched all 5 Submissions. 2 matches found.');
+            component.find('#submission-list-search-stop').exists()
+              .should.be.false();
+            component.find('#submission-list-search-resume').exists()
+              .should.be.false();
+          }));
+
+      it('shows the progress of a search in the browser', () =>
+        loadSubmissionList({
+          propsData: { top: () => 2 }
+        })
+          .complete()
+          .request(search('apple'))
+          .respondWithProblem(501.1)
+          .respondWithData(() => testData.submissionOData(2, 0))
+          .respondWithData(() => testData.submissionOData(2, 2))
+          .respondWithData(() => testData.submissionOData(2, 4))
+          .beforeEachResponse((component, _, i) => {
+            if (i === 2) {
+              component.get('#submission-list-search-message').text()
+                .should.equal('Searching 2 of 5 Submissions… 1 match found.');
+              component.find('#submission-list-search-stop').exists()
+                .should.be.true();
+            }
+          }));
+
+      it('stops the search after the Stop button is clicked', () =>
+        loadSubmissionList({
+          propsData: { top: () => 2 }
+        })
+          .complete()
+          .request(search('apple'))
+          .respondWithProblem(501.1)
+          .respondWithData(() => testData.submissionOData(2, 0))
+          .respondWithData(() => testData.submissionOData(2, 2))
+          .beforeEachResponse((component, _, i) => {
+            if (i === 2)
+              return component.get('#submission-list-search-stop').trigger('click');
+            return null;
+          })
+          .afterResponses(component => {
+            component.findAllComponents(SubmissionDataRow).length
+              .should.equal(1);
+            component.get('#submission-list-search-message').text()
+              .should.equal('Searched 4 of 5 Submissions. 1 match found.');
+            component.find('#submission-list-search-resume').exists()
+              .should.be.true();
+          })
+          .request(component =>
+            component.get('#submission-list-search-resume').trigger('click'))
+          .beforeEachResponse((_, { url }) => {
+            url.should.match(/%24skip=4(&|$)/);
+          })
+          .respondWithData(() => testData.submissionOData(2, 4))
+          .afterResponse(component => {
+            component.findAllComponents(SubmissionDataRow).length
+              .should.equal(2);
+          }));
+
+      it('shows an alert if the search fails for another reason', () =>
+        loadSubmissionList()
+          .complete()
+          .request(search('apple'))
+          .respondWithProblem(500.1)
+          .afterResponse(component => {
+            component.should.alert('danger');
+            component.find('#submission-list-search-progress').exists()
+              .should.be.false();
+          }));
+    });
+
+    describe('quality rules', () => {
+      beforeEach(() => {
+        testData.extendedForms.createPast(1, {
+          fields: [testData.fields.int('/i')],
+          submissions: 3
+        });
+        testData.extendedSubmissions
+          .createPast(1, { instanceId: 'e1', i: 5, reviewState: null })
+          .createPast(1, { instanceId: 'e2', i: 50, reviewState: null })
+          .createPast(1, { instanceId: 'e3', i: -1, reviewState: null });
+        const project = testData.extendedProjects.last();
+        writeQualityRules(project.id.toString(), 'f', [
+          { type: 'range', field: '/i', min: 0, max: 10 }
+        ]);
+      });
+
+      it('highlights a value that violates a rule', () =>
+        loadSubmissionList().afterResponses(component => {
+          const cells = component.findAll('#submission-table-data .quality-issue');
+          cells.length.should.equal(2);
+          cells.at(0).text().should.equal('-1');
+          cells.at(0).attributes().title.should.equal('i must be between 0 and 10.');
+          const rows = component.findAllComponents(SubmissionMetadataRow);
+          rows.wrappers.map(row => row.props().hasQualityIssues)
+            .should.eql([true, true, false]);
+        }));
+
+      it('shows only submissions with issues after the checkbox is checked', () =>
+        loadSubmissionList().afterResponses(async (component) => {
+          const checkbox = component.get('#submission-list-quality-filter');
+          checkbox.text().should.equal('Has quality issues (2)');
+          await checkbox.get('input').setChecked();
+          const rows = component.findAllComponents(SubmissionDataRow);
+          rows.wrappers.map(row => row.props().submission.__id)
+            .should.eql(['e3', 'e2']);
+        }));
+
+      it('does not pass the query of the table to the rows while filtering', () =>
+        loadSubmissionList().afterResponses(async (component) => {
+          const table = component.getComponent(SubmissionTable);
+          should.exist(table.props().listQuery);
+          await component.get('#submission-list-quality-filter input')
+            .setChecked();
+          should.not.exist(table.props().listQuery);
+        }));
+
+      it('passes the submissions with issues to the export', () =>
+        loadSubmissionList().afterResponses(async (component) => {
+          const modal = component.getComponent(SubmissionExport);
+          should.not.exist(modal.props().qualityIssueIds);
+          await component.get('#submission-list-quality-filter input')
+            .setChecked();
+          modal.props().qualityIssueIds.should.eql(['e3', 'e2']);
+        }));
+
+      it('does not show the checkbox if there are no rules', () => {
+        localStorage.clear();
+        return loadSubmissionList().afterResponses(component => {
+          component.find('#submission-list-quality-filter').exists()
+            .should.be.false();
+          component.find('.quality-issue').exists().should.be.false();
+        });
+      });
+
+      it('marks a submission as having issues', () =>
+        loadSubmissionList()
+          .complete()
+          .request(component =>
+            component.get('.quality-issues-button').trigger('click'))
+          .beforeEachResponse((_, { method, url, data, headers }) => {
+            method.should.equal('PATCH');
+            url.should.equal('/v1/projects/1/forms/f/submissions/e3');
+            data.should.eql({ reviewState: 'hasIssues' });
+            decodeURIComponent(headers['X-Action-Notes']).should.equal('This Submission breaks the following data quality rules:\n\n- i must be between 0 and 10.');
+          })
+          .respondWithSuccess()
+          .afterResponse(component => {
+            component.should.alert('success');
+            const row = component.getComponent(SubmissionMetadataRow);
+            row.props().submission.__system.reviewState.should.equal('hasIssues');
+            row.find('.quality-issues-button').exists().should.be.false();
+          }));
+
+      it('saves the rules after they are changed', () =>
+        loadSubmissionList().afterResponses(async (component) => {
+          await component.get('#submission-list-quality-rules-button')
+            .trigger('click');
+          const modal = component.getComponent(SubmissionQualityRules);
+          modal.props().state.should.be.true();
+          await modal.get('.delete-button').trigger('click');
+          should.not.exist(localStorage.getItem('qualityRules:1:f'));
+          component.find('.quality-issue').exists().should.be.false();
+          component.find('#submission-list-quality-filter').exists()
+            .should.be.false();
+        }));
+    });
+
+    describe('labels', () => {
+      beforeEach(() => {
+        testData.extendedForms.createPast(1, {
+          fields: [testData.fields.string('/s')]
+        });
+        testData.extendedSubmissions.createPast(1, { s: 'y' });
+      });
+
+      const loadWithLabels = () =>
+        load('/projects/1/forms/f/submissions', { root: false }, {
+          xform: () => testData.formXml({
+            labels: { '/s': 'Question' },
+            choices: { '/s': { y: 'Yes' } }
+          })
+        });
+
+      it('shows labels after the form definition is received', () =>
+        loadWithLabels().afterResponses(component => {
+          component.get('#submission-table-data th').text().should.equal('Question');
+          component.get('#submission-table-data td').text().should.equal('Yes');
+        }));
+
+      it('shows names after names are selected', () =>
+        loadWithLabels().afterResponses(async (component) => {
+          const select = component.get('#submission-list-label-select select');
+          await select.setValue('1');
+          component.get('#submission-table-data th').text().should.equal('s');
+          component.get('#submission-table-data td').text().should.equal('y');
+        }));
+
+      it('does not show the select if the form does not have labels', () =>
+        load('/projects/1/forms/f/submissions', { root: false })
+          .afterResponses(component => {
+            component.find('#submission-list-label-select').exists()
+              .should.be.false();
+          }));
+
+      it('shows names if the form definition cannot be retrieved', () =>
+        load('/projects/1/forms/f/submissions', { root: false }, {
+          xform: () => mockResponse.problem(500.1)
+        })
+          .afterResponses(component => {
+            component.get('#submission-table-data th').text().should.equal('s');
+            component.should.not.alert();
+          }));
+    });
+
+    describe('repeat groups', () => {
+      beforeEach(() => {
+        testData.extendedForms.createPast(1, {
+          fields: [
+            testData.fields.string('/s'),
+            testData.fields.repeat('/r'),
+            testData.fields.int('/r/i')
+          ],
+          submissions: 1
+        });
+        testData.extendedSubmissions.createPast(1, {
+          instanceId: 'foo',
+          meta: { instanceName: 'My Submission' },
+          'r@odata.navigationLink': "Submissions('foo')/r"
+        });
+      });
+
+      const openRepeat = () => loadSubmissionList()
+        .respondWithData(() => ({ value: [{ '__Submissions-id': 'foo' }] }))
+        .afterResponses(component => {
+          component.get('.repeat-link').text().should.equal('1');
+        })
+        .request(component => component.get('.repeat-link').trigger('click'))
+        .beforeEachResponse((_, { url }) => {
+          url.should.equal("/v1/projects/1/forms/f.svc/Submissions('foo')/r?%24top=250&%24skip=0&%24count=true&%24wkt=true");
+        })
+        .respondWithData(() => ({
+          value: [{ __id: 'bar', i: 1 }],
+          '@odata.count': 1
+        }));
+
+      it('shows the repeat instances after a count is clicked', () =>
+        openRepeat().afterResponses(component => {
+          component.get('#submission-list-actions').element.parentNode
+            .should.be.hidden();
+          const table = component.get('#submission-repeat-table');
+          table.get('.breadcrumb .active').text().should.equal('r');
+          table.get('.breadcrumb-parent').text().should.equal('My Submission');
+          table.findAll('td').wrappers.map(td => td.text())
+            .should.eql(['1', 'bar']);
+        }));
+
+      it('returns to the submissions after a breadcrumb is clicked', () =>
+        openRepeat().afterResponses(async (component) => {
+          await component.get('.breadcrumb a').trigger('click');
+          component.find('#submission-repeat-table').exists().should.be.false();
+          component.get('#submission-list-actions').should.be.visible();
+        }));
+    });
+
     describe('load by chunk', () => {
       const checkTopSkip = ({ url }, top, skip) => {
         url.should.match(new RegExp(`[?&]%24top=${top}(&|$)`));
@@ -166,8 +1237,10 @@ describe('SubmissionList', () => {
           propsData: { top: () => 2 }
         })
           .complete()
-          .request(component =>
-            component.get('#submission-list-refresh-button').trigger('click'))
+          .request(component => {
+            sinon.replace(component.vm, 'shownRows', () => ({ start: 0, end: 2 }));
+            return component.get('#submission-list-refresh-button').trigger('click');
+          })
           .beforeEachResponse((_, config) => {
             checkTopSkip(config, 2, 0);
           })
@@ -180,6 +1253,8 @@ describe('SubmissionList', () => {
       describe('scrolling', () => {
         it('scrolling to the bottom loads the next chunk of submissions', () => {
           createSubmissions(12);
+          // The rows that the table shows
+          const rows = { start: 0, end: 4 };
           // Chunk 1
           return loadSubmissionList({
             propsData: { top: (skip) => (skip < 8 ? 2 : 3) }
@@ -193,7 +1268,7 @@ describe('SubmissionList', () => {
             })
             // Chunk 2
             .request(component => {
-              sinon.replace(component.vm, 'scrolledToBottom', () => true);
+              sinon.replace(component.vm, 'shownRows', () => rows);
               document.dispatchEvent(new Event('scroll'));
             })
             .beforeEachResponse((component, config) => {
@@ -207,6 +1282,7 @@ describe('SubmissionList', () => {
             })
             // Chunk 3
             .request(() => {
+              rows.end = 6;
               document.dispatchEvent(new Event('scroll'));
             })
             .beforeEachResponse((component, config) => {
@@ -220,6 +1296,7 @@ describe('SubmissionList', () => {
             })
             // Chunk 4 (last small chunk)
             .request(() => {
+              rows.end = 8;
               document.dispatchEvent(new Event('scroll'));
             })
             .beforeEachResponse((component, config) => {
@@ -233,6 +1310,7 @@ describe('SubmissionList', () => {
             })
             // Chunk 5
             .request(() => {
+              rows.end = 11;
               document.dispatchEvent(new Event('scroll'));
             })
             .beforeEachResponse((component, config) => {
@@ -246,6 +1324,7 @@ describe('SubmissionList', () => {
             })
             // Chunk 6
             .request(() => {
+              rows.end = 12;
               document.dispatchEvent(new Event('scroll'));
             })
             .beforeEachResponse((component, config) => {
@@ -259,6 +1338,107 @@ describe('SubmissionList', () => {
             });
         });
 
+        it('fetches the chunks for the rows that are shown', () => {
+          createSubmissions(12);
+          return loadSubmissionList({
+            propsData: { top: () => 2 }
+          })
+            .complete()
+            .request(component => {
+              sinon.replace(component.vm, 'shownRows', () => ({ start: 7, end: 9 }));
+              document.dispatchEvent(new Event('scroll'));
+            })
+            .beforeEachResponse((_, config, index) => {
+              checkTopSkip(config, 2, index === 0 ? 6 : 8);
+            })
+            .respondWithData(() => testData.submissionOData(2, 6))
+            .respondWithData(() => testData.submissionOData(2, 8))
+            .afterResponses(component => {
+              const rows = component.findAllComponents(SubmissionMetadataRow);
+              rows.wrappers.map(row => row.props().index)
+                .should.eql([0, 1, 6, 7, 8, 9]);
+              component.findAll('#submission-table-metadata .submission-table-spacer')
+                .length.should.equal(2);
+            });
+        });
+
+        it('shrinks the table if a chunk is missing submissions', () => {
+          createSubmissions(6);
+          return loadSubmissionList({
+            propsData: { top: () => 2 }
+          })
+            .complete()
+            .request(component => {
+              sinon.replace(component.vm, 'shownRows', () => ({ start: 0, end: 6 }));
+              document.dispatchEvent(new Event('scroll'));
+            })
+            // Returns 1 submission instead of 2, as if submissions had been
+            // deleted.
+            .respondWithData(() => {
+              const odata = testData.submissionOData(2, 2);
+              return { ...odata, value: odata.value.slice(0, 1) };
+            })
+            .afterResponse(component => {
+              component.vm.originalCount.should.equal(3);
+              checkIds(component, 3);
+              component.findAll('#submission-table-metadata .submission-table-spacer')
+                .length.should.equal(0);
+            })
+            .testNoRequest(() => {
+              document.dispatchEvent(new Event('scroll'));
+            });
+        });
+
+        it('drops the chunks far from the rows that are shown', () => {
+          createSubmissions(20);
+          const rows = { start: 0, end: 4 };
+          return loadSubmissionList({
+            propsData: { top: () => 2 }
+          })
+            .complete()
+            .request(component => {
+              sinon.replace(component.vm, 'shownRows', () => rows);
+              document.dispatchEvent(new Event('scroll'));
+            })
+            .respondWithData(() => testData.submissionOData(2, 2))
+            .complete()
+            .request(() => {
+              rows.start = 16;
+              rows.end = 18;
+              document.dispatchEvent(new Event('scroll'));
+            })
+            .respondWithData(() => testData.submissionOData(2, 16))
+            .afterResponse(component => {
+              component.vm.chunks.map(({ skip }) => skip).should.eql([0, 16]);
+              component.vm.submissions.length.should.equal(4);
+            });
+        });
+
+        it('keeps every chunk while submissions are selected', () => {
+          createSubmissions(20);
+          const rows = { start: 0, end: 4 };
+          return loadSubmissionList({
+            propsData: { top: () => 2 }
+          })
+            .complete()
+            .request(async (component) => {
+              await component.get('.select-checkbox').setChecked();
+              sinon.replace(component.vm, 'shownRows', () => rows);
+              document.dispatchEvent(new Event('scroll'));
+            })
+            .respondWithData(() => testData.submissionOData(2, 2))
+            .complete()
+            .request(() => {
+              rows.start = 16;
+              rows.end = 18;
+              document.dispatchEvent(new Event('scroll'));
+            })
+            .respondWithData(() => testData.submissionOData(2, 16))
+            .afterResponse(component => {
+              component.vm.chunks.map(({ skip }) => skip).should.eql([0, 2, 16]);
+            });
+        });
+
         it('does nothing upon scroll if keys request results in error', () => {
           createSubmissions(251);
           return load('/projects/1/forms/f/submissions', { root: false }, {
@@ -268,8 +1448,8 @@ describe('SubmissionList', () => {
             .testNoRequest(component => {
               sinon.replace(
                 component.getComponent(SubmissionList).vm,
-                'scrolledToBottom',
-                () => true
+                'shownRows',
+                () => ({ start: 240, end: 260 })
               );
               document.dispatchEvent(new Event('scroll'));
             });
@@ -284,8 +1464,8 @@ describe('SubmissionList', () => {
             .testNoRequest(component => {
               sinon.replace(
                 component.getComponent(SubmissionList).vm,
-                'scrolledToBottom',
-                () => true
+                'shownRows',
+                () => ({ start: 240, end: 260 })
               );
               document.dispatchEvent(new Event('scroll'));
             });
@@ -300,14 +1480,14 @@ describe('SubmissionList', () => {
             .testNoRequest(component => {
               sinon.replace(
                 component.getComponent(SubmissionList).vm,
-                'scrolledToBottom',
-                () => true
+                'shownRows',
+                () => ({ start: 240, end: 260 })
               );
               document.dispatchEvent(new Event('scroll'));
             });
         });
 
-        it('does nothing after user scrolls somewhere other than bottom of page', () => {
+        it('does nothing if the rows that are shown have been loaded', () => {
           createSubmissions(5);
           return loadSubmissionList({
             propsData: { top: () => 2 }
@@ -316,8 +1496,8 @@ describe('SubmissionList', () => {
             .testNoRequest(component => {
               sinon.replace(
                 component.getComponent(SubmissionList).vm,
-                'scrolledToBottom',
-                () => false
+                'shownRows',
+                () => ({ start: 0, end: 2 })
               );
               document.dispatchEvent(new Event('scroll'));
             });
@@ -330,27 +1510,23 @@ describe('SubmissionList', () => {
           })
             .complete()
             .request(component => {
-              sinon.replace(component.vm, 'scrolledToBottom', () => true);
+              sinon.replace(component.vm, 'shownRows', () => ({ start: 0, end: 4 }));
               document.dispatchEvent(new Event('scroll'));
             })
             .respondWithData(() => testData.submissionOData(2, 2))
             .complete()
             .request(component =>
               component.get('#submission-list-refresh-button').trigger('click'))
-            .beforeEachResponse((_, config) => {
-              checkTopSkip(config, 2, 0);
+            .beforeEachResponse((_, config, index) => {
+              checkTopSkip(config, 2, index === 0 ? 0 : 2);
             })
+            // The table still shows the first 4 rows, so once the first chunk
+            // is received, the second chunk is fetched again.
             .respondWithData(() => testData.submissionOData(2, 0))
-            .afterResponse(component => {
-              checkIds(component, 2);
-            })
-            .request(() => {
-              document.dispatchEvent(new Event('scroll'));
-            })
-            .beforeEachResponse((_, config) => {
-              checkTopSkip(config, 2, 2);
-            })
-            .respondWithData(() => testData.submissionOData(2, 2));
+            .respondWithData(() => testData.submissionOData(2, 2))
+            .afterResponses(component => {
+              checkIds(component, 4);
+            });
         });
 
         it('scrolling to the bottom has no effect if awaiting response', () => {
@@ -360,7 +1536,7 @@ describe('SubmissionList', () => {
           })
             .complete()
             .request(component => {
-              sinon.replace(component.vm, 'scrolledToBottom', () => true);
+              sinon.replace(component.vm, 'shownRows', () => ({ start: 0, end: 4 }));
               // Sends a request.
               document.dispatchEvent(new Event('scroll'));
             })
@@ -378,7 +1554,10 @@ describe('SubmissionList', () => {
               // Should not send a request.
               document.dispatchEvent(new Event('scroll'));
             })
-            .respondWithData(() => testData.submissionOData(2, 0));
+            .respondWithData(() => testData.submissionOData(2, 0))
+            // Once the first chunk is received, the second chunk is fetched
+            // again.
+            .respondWithData(() => testData.submissionOData(2, 2));
         });
 
         it('scrolling has no effect after all submissions have been loaded', () => {
@@ -387,8 +1566,8 @@ describe('SubmissionList', () => {
             propsData: { top: () => 2 }
           })
             .complete()
-            .request(component => {
-              sinon.replace(component.vm, 'scrolledToBottom', () => true);
+            .testNoRequest(component => {
+              sinon.replace(component.vm, 'shownRows', () => ({ start: 0, end: 4 }));
               document.dispatchEvent(new Event('scroll'));
             });
         });
@@ -411,7 +1590,7 @@ describe('SubmissionList', () => {
             // 4 submissions exist, but 4 more are about to be created. About to
             // request $top=2, $skip=2.
             .request(component => {
-              sinon.replace(component.vm, 'scrolledToBottom', () => true);
+              sinon.replace(component.vm, 'shownRows', () => ({ start: 0, end: 4 }));
               document.dispatchEvent(new Event('scroll'));
             })
             .beforeEachResponse((component, config) => {
@@ -473,8 +1652,8 @@ describe('SubmissionList', () => {
             .request(component => {
               sinon.replace(
                 component.getComponent(SubmissionList).vm,
-                'scrolledToBottom',
-                () => true
+                'shownRows',
+                () => ({ start: 240, end: 260 })
               );
               document.dispatchEvent(new Event('scroll'));
             })
@@ -0,0 +1,130 @@
+import { RouterLinkStub } from '@vue/test-utils';
+
+import SubmissionMap from '../../../src/components/submission/map.vue';
+
+import Field from '../../../src/presenters/field';
+import store from '../../../src/store';
+
+import testData from '../../data';
+import { mount } from '../../util/lifecycle';
+
+const mountComponent = (options = {}) => mount(SubmissionMap, {
+  propsData: {
+    projectId: '1',
+    xmlFormId: 'f',
+    submissions: testData.submissionOData().value,
+    fields: testData.extendedForms.last()._fields
+      .map(field => new Field(field)),
+    ...options.propsData
+  },
+  stubs: { RouterLink: RouterLinkStub },
+  attachTo: document.body
+});
+
+describe('SubmissionMap', () => {
+  describe('geopoint field', () => {
+    beforeEach(() => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.geopoint('/g')]
+      });
+    });
+
+    it('shows the number of submissions with a location', () => {
+      testData.extendedSubmissions
+        .createPast(2, { g: 'POINT (1 2 0 0)' })
+        .createPast(1, { g: null });
+      const text = mountComponent().get('#submission-map-count').text();
+      text.should.equal('2 of 3 loaded Submissions have a location.');
+    });
+
+    it('shows a marker for a point', () => {
+      testData.extendedSubmissions.createPast(1, { g: 'POINT (1 2 0 0)' });
+      const component = mountComponent();
+      component.findAll('#submission-map-container .submission-map-feature')
+        .length.should.equal(1);
+      component.findAll('.submission-map-cluster').length.should.equal(0);
+    });
+
+    it('shows a cluster for points that are close together', () => {
+      testData.extendedSubmissions
+        .createPast(2, { g: 'POINT (1 2 0 0)' })
+        .createPast(1, { g: 'POINT (1.000001 2 0 0)' });
+      const component = mountComponent();
+      const clusters = component.findAll('.submission-map-cluster');
+      clusters.length.should.equal(1);
+      clusters.at(0).text().should.equal('3');
+    });
+
+    it('does not show a dropdown if there is a single geo field', () => {
+      testData.extendedSubmissions.createPast(1, { g: 'POINT (1 2 0 0)' });
+      mountComponent().find('#submission-map-field').exists().should.be.false();
+    });
+
+    it('shows a popup after a marker is clicked', async () => {
+      testData.extendedSubmissions.createPast(1, {
+        instanceId: 'abc',
+        g: 'POINT (1 2 0 0)'
+      });
+      const component = mountComponent();
+      await component.get('#submission-map-container .submission-map-feature')
+        .trigger('click');
+      await component.vm.$nextTick();
+      const popup = component.get('.leaflet-popup-content .submission-map-popup');
+      const { displayName } = testData.extendedUsers.first();
+      popup.get('.submitter-name').text().should.equal(displayName);
+      popup.get('.instance-id').text().should.equal('abc');
+      const { to } = component.getComponent(RouterLinkStub).props();
+      to.should.equal('/projects/1/forms/f/submissions/abc');
+    });
+  });
+
+  it('shows the selected field', async () => {
+    testData.extendedForms.createPast(1, {
+      fields: [testData.fields.geopoint('/p'), testData.fields.geotrace('/t')]
+    });
+    testData.extendedSubmissions.createPast(1, {
+      p: 'POINT (1 2 0 0)',
+      t: 'LINESTRING (1 2 0, 3 4 0)'
+    });
+    const component = mountComponent();
+    const select = component.get('#submission-map-field select');
+    select.findAll('option').wrappers.map(option => option.text())
+      .should.eql(['p', 't']);
+    component.get('.submission-map-feature').element.tagName.should.equal('path');
+    await select.setValue('/t');
+    const features = component.findAll('.submission-map-feature');
+    features.length.should.equal(1);
+    // A line string does not have a fill.
+    features.at(0).attributes().fill.should.equal('none');
+  });
+
+  it('shows the plain basemap if no tiles are configured', () => {
+    testData.extendedForms.createPast(1, {
+      fields: [testData.fields.geopoint('/g')]
+    });
+    testData.extendedSubmissions.createPast(1, { g: 'POINT (1 2 0 0)' });
+    const component = mountComponent();
+    component.findAll('.submission-map-land').length.should.equal(1);
+    component.findAll('.submission-map-graticule').length.should.not.equal(0);
+    component.find('.leaflet-control-layers').exists().should.be.false();
+  });
+
+  it('shows a layer control if tiles are configured', () => {
+    store.commit('setConfig', {
+      key: 'mapTiles',
+      value: {
+        url: 'https://tiles.example.com/{z}/{x}/{y}.png',
+        attribution: 'Example',
+        maxZoom: 19
+      }
+    });
+    testData.extendedForms.createPast(1, {
+      fields: [testData.fields.geopoint('/g')]
+    });
+    testData.extendedSubmissions.createPast(1, { g: 'POINT (1 2 0 0)' });
+    const component = mountComponent();
+    const labels = component.findAll('.leaflet-control-layers-base label');
+    labels.wrappers.map(label => label.text())
+      .should.eql(['Street map', 'Plain (works offline)']);
+  });
+});
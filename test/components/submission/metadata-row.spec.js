@@ -33,6 +33,21 @@ describe('SubmissionMetadataRow', () => {
     td.text().should.equal('1000');
   });
 
+  describe('checkbox', () => {
+    it('shows a checkbox if the row is selectable', () => {
+      testData.extendedSubmissions.createPast(1);
+      const row = mountComponent({ selectable: true, selected: true });
+      const td = row.get('td');
+      td.classes('select').should.be.true();
+      td.get('input').element.checked.should.be.true();
+    });
+
+    it('does not show a checkbox if the row is not selectable', () => {
+      testData.extendedSubmissions.createPast(1);
+      mountComponent().find('.select-checkbox').exists().should.be.false();
+    });
+  });
+
   describe('submitter name', () => {
     it('shows the submitter name for a form', () => {
       mockLogin({ displayName: 'Alice' });
@@ -128,6 +143,35 @@ describe('SubmissionMetadataRow', () => {
     });
   });
 
+  describe('metadata columns', () => {
+    it('shows the metadata columns', () => {
+      testData.extendedSubmissions.createPast(1, {
+        deviceId: 'd',
+        edits: 2,
+        attachmentsExpected: 3,
+        attachmentsPresent: 1
+      });
+      const row = mountComponent({
+        columns: ['formVersion', 'edits', 'deviceId', 'attachments']
+      });
+      const { version } = testData.extendedForms.last();
+      row.get('.submission-metadata-row-formVersion').text()
+        .should.equal(version);
+      row.get('.submission-metadata-row-edits').text().should.equal('2');
+      row.get('.submission-metadata-row-deviceId').text().should.equal('d');
+      const attachments = row.get('.submission-metadata-row-attachments');
+      attachments.text().should.equal('1 of 3');
+      attachments.classes('missing').should.be.true();
+    });
+
+    it('does not show a metadata column that is not specified', () => {
+      testData.extendedSubmissions.createPast(1);
+      const row = mountComponent({ columns: ['deviceId'] });
+      row.find('.submission-metadata-row-edits').exists().should.be.false();
+      row.find('.submission-metadata-row-deviceId').exists().should.be.true();
+    });
+  });
+
   describe('review button', () => {
     beforeEach(mockLogin);
 
@@ -229,6 +273,19 @@ describe('SubmissionMetadataRow', () => {
     to.should.equal('/projects/1/forms/a%20b/submissions/c%20d');
   });
 
+  it('passes the query of the table to the More button', () => {
+    testData.extendedSubmissions.createPast(1, { instanceId: 's' });
+    const row = mountComponent({
+      index: 4,
+      listQuery: { reviewState: 'null' }
+    });
+    const { to } = row.getComponent(RouterLinkStub).props();
+    to.should.eql({
+      path: '/projects/1/forms/f/submissions/s',
+      query: { reviewState: 'null', index: '4' }
+    });
+  });
+
   it('renders only the More button if the canUpdate prop is false', () => {
     mockLogin({ role: 'none' });
     testData.extendedProjects.createPast(1, { forms: 1, role: 'viewer' });
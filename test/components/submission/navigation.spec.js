@@ -0,0 +1,48 @@
+import { RouterLinkStub } from '@vue/test-utils';
+
+import SubmissionNavigation from '../../../src/components/submission/navigation.vue';
+
+import { mount } from '../../util/lifecycle';
+
+const mountComponent = (propsData = undefined) =>
+  mount(SubmissionNavigation, {
+    propsData: {
+      position: 14,
+      count: 1230,
+      previous: { path: '/projects/1/forms/f/submissions/s1' },
+      next: { path: '/projects/1/forms/f/submissions/s3' },
+      ...propsData
+    },
+    stubs: { RouterLink: RouterLinkStub }
+  });
+
+describe('SubmissionNavigation', () => {
+  it('shows the position of the submission', () => {
+    const text = mountComponent().get('#submission-navigation-position').text();
+    text.should.equal('14 of 1,230');
+  });
+
+  it('shows the position among the filtered submissions', () => {
+    const component = mountComponent({ filtered: true });
+    const text = component.get('#submission-navigation-position').text();
+    text.should.equal('14 of 1,230 matching');
+  });
+
+  it('links to the previous and next submissions', () => {
+    const links = mountComponent().findAllComponents(RouterLinkStub);
+    links.length.should.equal(2);
+    links.at(0).props().to.should.eql({
+      path: '/projects/1/forms/f/submissions/s1'
+    });
+    links.at(1).props().to.should.eql({
+      path: '/projects/1/forms/f/submissions/s3'
+    });
+  });
+
+  it('disables the next button for the last submission', () => {
+    const component = mountComponent({ position: 1230, next: null });
+    const button = component.get('#submission-navigation-next');
+    button.element.tagName.should.equal('BUTTON');
+    button.attributes().disabled.should.equal('disabled');
+  });
+});
@@ -0,0 +1,216 @@
+import { RouterLinkStub } from '@vue/test-utils';
+
+import SubmissionPrintReport from '../../../src/components/submission/print/report.vue';
+
+import store from '../../../src/store';
+
+import testData from '../../data';
+import { load } from '../../util/http';
+import { mockLogin } from '../../util/session';
+
+const { string } = testData.fields;
+
+const odata = (instanceId) => ({
+  value: [testData.extendedSubmissions.sorted()
+    .find(submission => submission.instanceId === instanceId)
+    ._odata]
+});
+const xml = (instanceId) => testData.submissionXml(testData.extendedSubmissions
+  .sorted()
+  .find(submission => submission.instanceId === instanceId));
+
+describe('SubmissionPrint', () => {
+  beforeEach(() => {
+    mockLogin();
+    testData.extendedForms.createPast(1, { fields: [string('/s')] });
+  });
+
+  describe('single submission', () => {
+    beforeEach(() => {
+      testData.extendedSubmissions.createPast(1, { instanceId: 's', s: 'foo' });
+      testData.extendedComments.createPast(1, { body: 'Looks good' });
+    });
+
+    it('requests the submission', () =>
+      load('/projects/1/forms/f/submissions/s/print', { root: false })
+        .respondWithData(() => odata('s'))
+        .respondWithData(() => xml('s'))
+        .respondWithData(() => testData.extendedComments.sorted())
+        .testRequests([
+          null,
+          null,
+          null,
+          null,
+          { url: "/v1/projects/1/forms/f.svc/Submissions('s')" },
+          { url: '/v1/projects/1/forms/f/submissions/s.xml' },
+          { url: '/v1/projects/1/forms/f/submissions/s/comments', extended: true }
+        ]));
+
+    it('shows a report of the submission', () =>
+      load('/projects/1/forms/f/submissions/s/print', { root: false })
+        .respondWithData(() => odata('s'))
+        .respondWithData(() => xml('s'))
+        .respondWithData(() => testData.extendedComments.sorted())
+        .afterResponses(component => {
+          const reports = component.findAllComponents(SubmissionPrintReport);
+          reports.length.should.equal(1);
+          const { submission, comments } = reports.at(0).props();
+          submission.__id.should.equal('s');
+          comments.length.should.equal(1);
+          component.get('#submission-print-message-text').text()
+            .should.equal('1 Submission is ready to print.');
+          const button = component.get('#submission-print-button');
+          should.not.exist(button.attributes().disabled);
+        }));
+
+    it('disables the print button until the submission is received', () =>
+      load('/projects/1/forms/f/submissions/s/print', { root: false })
+        .respondWithData(() => odata('s'))
+        .respondWithData(() => xml('s'))
+        .respondWithData(() => testData.extendedComments.sorted())
+        .beforeEachResponse((component, _, i) => {
+          if (i === 4) {
+            const button = component.get('#submission-print-button');
+            button.attributes().disabled.should.equal('disabled');
+          }
+        }));
+
+    it('links back to the submission', async () => {
+      const component = await load('/projects/1/forms/f/submissions/s/print', {
+        root: false
+      })
+        .respondWithData(() => odata('s'))
+        .respondWithData(() => xml('s'))
+        .respondWithData(() => testData.extendedComments.sorted());
+      const { to } = component.getComponent(RouterLinkStub).props();
+      to.should.equal('/projects/1/forms/f/submissions/s');
+    });
+
+    it('shows a message if the submission cannot be retrieved', () =>
+      load('/projects/1/forms/f/submissions/s/print', { root: false })
+        .respondWithProblem()
+        .respondWithData(() => xml('s'))
+        .respondWithData(() => testData.extendedComments.sorted())
+        .afterResponses(component => {
+          component.findComponent(SubmissionPrintReport).exists()
+            .should.be.false();
+          component.get('#submission-print-message-text').text()
+            .should.equal('0 Submissions are ready to print. 1 Submission could not be retrieved.');
+        }));
+  });
+
+  describe('multiple submissions', () => {
+    beforeEach(() => {
+      testData.extendedSubmissions
+        .createPast(1, { instanceId: 's1', reviewState: 'approved' })
+        .createPast(1, { instanceId: 's2', reviewState: 'rejected' });
+    });
+
+    it('shows the selected submissions', () => {
+      store.commit('setPrintSelection', {
+        projectId: '1',
+        xmlFormId: 'f',
+        instanceIds: ['s1', 's2']
+      });
+      return load('/projects/1/forms/f/print?selection=true', { root: false })
+        .respondWithData(() => odata('s1'))
+        .respondWithData(() => xml('s1'))
+        .respondWithData(() => [])
+        .respondWithData(() => odata('s2'))
+        .respondWithData(() => xml('s2'))
+        .respondWithData(() => [])
+        .afterResponses(component => {
+          const reports = component.findAllComponents(SubmissionPrintReport);
+          reports.wrappers.map(report => report.props().submission.__id)
+            .should.eql(['s1', 's2']);
+          component.get('#submission-print-message-text').text()
+            .should.equal('2 Submissions are ready to print.');
+        });
+    });
+
+    it('shows a message if the selection is no longer available', () =>
+      load('/projects/1/forms/f/print?selection=true', { root: false })
+        .afterResponses(component => {
+          component.findAllComponents(SubmissionPrintReport).length.should.equal(0);
+          component.get('.empty-table-message').text()
+            .should.equal('The selected Submissions are no longer available. Please go back to the Submissions and select them again.');
+        }));
+
+    it('does not show a selection from another form', () => {
+      store.commit('setPrintSelection', {
+        projectId: '1',
+        xmlFormId: 'g',
+        instanceIds: ['s1']
+      });
+      return load('/projects/1/forms/f/print?selection=true', { root: false })
+        .afterResponses(component => {
+          component.findAllComponents(SubmissionPrintReport).length.should.equal(0);
+          component.get('.empty-table-message').text()
+            .should.startWith('The selected Submissions are no longer available.');
+        });
+    });
+
+    it('requests the submissions that match the filters', () =>
+      load('/projects/1/forms/f/print?reviewState=approved', { root: false })
+        .respondWithData(() => ({
+          '@odata.count': 1,
+          value: [odata('s1').value[0]]
+        }))
+        .respondWithData(() => xml('s1'))
+        .respondWithData(() => [])
+        .beforeEachResponse((_, { url }, i) => {
+          if (i === 4) {
+            url.should.startWith('/v1/projects/1/forms/f.svc/Submissions?');
+            url.should.match(/%24top=100(&|$)/);
+            url.should.match(/%24count=true(&|$)/);
+            url.should.match(/%24filter=%28__system%2FreviewState\+eq\+%27approved%27%29(&|$)/);
+          }
+        })
+        .afterResponses(component => {
+          const reports = component.findAllComponents(SubmissionPrintReport);
+          reports.length.should.equal(1);
+          reports.at(0).props().submission.__id.should.equal('s1');
+        }));
+
+    it('shows a message if more submissions match than can be printed', () =>
+      load('/projects/1/forms/f/print', { root: false })
+        .respondWithData(() => ({
+          '@odata.count': 150,
+          value: [odata('s1').value[0]]
+        }))
+        .respondWithData(() => xml('s1'))
+        .respondWithData(() => [])
+        .afterResponses(component => {
+          component.get('#submission-print-message-text').text()
+            .should.equal('1 Submission is ready to print. 150 Submissions match, but only the first 100 are included.');
+        }));
+
+    it('links back to the submissions with the same filters', async () => {
+      store.commit('setPrintSelection', {
+        projectId: '1',
+        xmlFormId: 'f',
+        instanceIds: ['s1']
+      });
+      const component = await load('/projects/1/forms/f/print?reviewState=approved&selection=true', {
+        root: false
+      })
+        .respondWithData(() => odata('s1'))
+        .respondWithData(() => xml('s1'))
+        .respondWithData(() => []);
+      const { to } = component.getComponent(RouterLinkStub).props();
+      to.should.eql({
+        path: '/projects/1/forms/f/submissions',
+        query: { reviewState: 'approved' }
+      });
+    });
+
+    it('shows a message if the submissions cannot be retrieved', () =>
+      load('/projects/1/forms/f/print', { root: false })
+        .respondWithProblem()
+        .afterResponses(component => {
+          component.should.alert('danger', 'The Submissions could not be retrieved.');
+          component.get('.empty-table-message').text()
+            .should.equal('There are no Submissions to print.');
+        }));
+  });
+});
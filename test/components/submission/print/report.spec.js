@@ -0,0 +1,103 @@
+import SubmissionDataNode from '../../../../src/components/submission/data/node.vue';
+import SubmissionPrintReport from '../../../../src/components/submission/print/report.vue';
+
+import testData from '../../../data';
+import { mockLogin } from '../../../util/session';
+import { mount } from '../../../util/lifecycle';
+
+const { group, string } = testData.fields;
+
+const mountComponent = (options = {}) => {
+  const submission = testData.extendedSubmissions.last();
+  return mount(SubmissionPrintReport, {
+    propsData: {
+      projectId: '1',
+      xmlFormId: 'f',
+      submission: submission._odata,
+      xml: testData.submissionXml(submission),
+      comments: testData.extendedComments.sorted()
+    },
+    requestData: {
+      form: testData.extendedForms.last(),
+      fields: testData.extendedForms.last()._fields
+    },
+    ...options
+  });
+};
+
+describe('SubmissionPrintReport', () => {
+  beforeEach(() => {
+    mockLogin({ displayName: 'Alice' });
+    testData.extendedForms.createPast(1, {
+      name: 'My Form',
+      fields: [
+        group('/meta'),
+        string('/meta/instanceName'),
+        string('/s1'),
+        string('/s2')
+      ]
+    });
+  });
+
+  it('shows the instance name and form name', () => {
+    testData.extendedSubmissions.createPast(1, {
+      meta: { instanceName: 'My Submission' }
+    });
+    const component = mountComponent();
+    component.get('h1').text().should.equal('My Submission');
+    component.get('.submission-print-report-form').text()
+      .should.equal('My Form');
+  });
+
+  it('shows the details of the submission', () => {
+    testData.extendedSubmissions.createPast(1, {
+      instanceId: 's',
+      reviewState: 'approved',
+      deviceId: 'd'
+    });
+    const component = mountComponent();
+    const dd = component.findAll('.submission-print-report-details dd');
+    dd.at(0).text().should.equal('s');
+    dd.at(1).text().should.equal('Alice');
+    component.get('.submission-print-report-review-state').text()
+      .should.equal('Approved');
+    dd.at(dd.length - 1).text().should.equal('d');
+  });
+
+  it('shows the fields that have a value', () => {
+    testData.extendedSubmissions.createPast(1, { s1: 'foo', s2: null });
+    const component = mountComponent();
+    const nodes = component.findAllComponents(SubmissionDataNode);
+    nodes.length.should.equal(1);
+    nodes.at(0).props().node.field.path.should.equal('/s1');
+    nodes.at(0).props().print.should.be.true();
+  });
+
+  it('shows a message for an encrypted submission', () => {
+    testData.extendedSubmissions.createPast(1, { status: 'notDecrypted' });
+    const component = mountComponent();
+    component.findComponent(SubmissionDataNode).exists().should.be.false();
+    component.get('.submission-print-report-message').text()
+      .should.equal('Data preview is not available due to encryption.');
+  });
+
+  it('shows the comments', () => {
+    testData.extendedSubmissions.createPast(1);
+    testData.extendedComments
+      .createPast(1, { body: 'First' })
+      .createPast(1, { body: 'Second' });
+    const component = mountComponent();
+    const comments = component.findAll('.submission-print-report-comment');
+    comments.length.should.equal(2);
+    comments.at(0).text().should.containEql('Second');
+    comments.at(0).text().should.containEql('Alice');
+  });
+
+  it('shows a message if there are no comments', () => {
+    testData.extendedSubmissions.createPast(1);
+    const component = mountComponent();
+    const comments = component.get('.submission-print-report-comments');
+    comments.get('.submission-print-report-message').text()
+      .should.equal('There are no comments.');
+  });
+});
@@ -0,0 +1,131 @@
+import SubmissionPrivateKey from '../../../src/components/submission/private-key.vue';
+
+import store from '../../../src/store';
+
+import testData from '../../data';
+import { mount } from '../../util/lifecycle';
+import { setFiles } from '../../util/file';
+import { testKeys } from '../../util/encryption';
+import { waitUntil } from '../../util/util';
+
+const mountComponent = (options = {}) => mount(SubmissionPrivateKey, {
+  propsData: { state: true },
+  ...options
+});
+
+const pemFile = (pem) => new File([pem], 'key.pem');
+
+// Chooses a file, enters a passphrase, then submits the form.
+const load = async (modal, pem, passphrase = '') => {
+  await setFiles(modal.get('input[type="file"]'), [pemFile(pem)]);
+  await modal.get('input[type="password"]').setValue(passphrase);
+  await modal.get('form').trigger('submit');
+  await waitUntil(() => !modal.vm.awaitingResponse);
+};
+
+describe('SubmissionPrivateKey', () => {
+  it('shows the name of the file', async () => {
+    const modal = mountComponent();
+    await setFiles(modal.get('input[type="file"]'), [pemFile(testKeys.pkcs8)]);
+    modal.get('#submission-private-key-filename').text().should.equal('key.pem');
+  });
+
+  it('shows an alert if no file has been chosen', async () => {
+    const modal = mountComponent();
+    await modal.get('form').trigger('submit');
+    modal.should.alert('info', 'Please choose a file.');
+  });
+
+  it('loads a private key', async () => {
+    const modal = mountComponent();
+    await load(modal, testKeys.pkcs1);
+    store.state.decryption.privateKeys.length.should.equal(1);
+    modal.emitted().success.should.eql([[]]);
+    modal.should.alert('success');
+  });
+
+  it('loads a key that is protected by a passphrase', async () => {
+    const modal = mountComponent();
+    await load(modal, testKeys.encryptedPkcs8, 'secret');
+    store.state.decryption.privateKeys.length.should.equal(1);
+  });
+
+  it('shows an alert if the passphrase is incorrect', async () => {
+    const modal = mountComponent();
+    await load(modal, testKeys.encryptedPkcs8, 'wrong');
+    store.state.decryption.privateKeys.length.should.equal(0);
+    modal.should.alert('danger', 'The private key could not be loaded. Please check that the file contains an RSA private key and that the passphrase is correct.');
+    should.not.exist(modal.emitted().success);
+  });
+
+  it('shows the number of keys that have been loaded', async () => {
+    const modal = mountComponent();
+    modal.find('#submission-private-key-count').exists().should.be.false();
+    await load(modal, testKeys.pkcs8);
+    const count = modal.get('#submission-private-key-count span');
+    count.text().should.equal('1 private key has been loaded.');
+  });
+
+  it('forgets the keys after the button is clicked', async () => {
+    const modal = mountComponent();
+    await load(modal, testKeys.pkcs8);
+    await modal.get('#submission-private-key-count .btn').trigger('click');
+    store.state.decryption.privateKeys.length.should.equal(0);
+    modal.find('#submission-private-key-count').exists().should.be.false();
+  });
+
+  describe('managed encryption', () => {
+    const mountManaged = (hint = null) => mountComponent({
+      requestData: {
+        keys: testData.standardKeys
+          .createPast(1, {
+            managed: true,
+            hint,
+            encryptedPrivateKey: testKeys.managed
+          })
+          .sorted()
+      }
+    });
+
+    // Enters the passphrase, then submits the form.
+    const loadManaged = async (modal, passphrase) => {
+      await modal.get('input[type="password"]').setValue(passphrase);
+      await modal.get('form').trigger('submit');
+      await waitUntil(() => !modal.vm.awaitingResponse);
+    };
+
+    it('does not show the file input', () => {
+      const modal = mountManaged();
+      modal.find('#submission-private-key-file').exists().should.be.false();
+      modal.find('#submission-private-key-managed').exists().should.be.false();
+    });
+
+    it('shows the hint for the passphrase', () => {
+      const modal = mountManaged('helpful hint');
+      modal.get('#submission-private-key-hint').text().should.equal('Hint: helpful hint');
+    });
+
+    it('loads the key with the passphrase', async () => {
+      const modal = mountManaged();
+      await loadManaged(modal, 'secret');
+      store.state.decryption.privateKeys.length.should.equal(1);
+      modal.emitted().success.should.eql([[]]);
+    });
+
+    it('shows an alert if the passphrase is incorrect', async () => {
+      const modal = mountManaged();
+      await loadManaged(modal, 'wrong');
+      store.state.decryption.privateKeys.length.should.equal(0);
+      modal.should.alert('danger', 'The private key could not be loaded. Please check that the passphrase is correct.');
+    });
+  });
+
+  it('shows a message if the private key of a managed key is not available', () => {
+    const modal = mountComponent({
+      requestData: {
+        keys: testData.standardKeys.createPast(1, { managed: true }).sorted()
+      }
+    });
+    modal.find('#submission-private-key-managed').exists().should.be.true();
+  });
+});
@@ -0,0 +1,111 @@
+import sinon from 'sinon';
+
+import Field from '../../../src/presenters/field';
+import SubmissionQualityRules from '../../../src/components/submission/quality-rules.vue';
+
+import testData from '../../data';
+import { mount } from '../../util/lifecycle';
+import { setFiles } from '../../util/file';
+import { waitUntil } from '../../util/util';
+
+const { int, string } = testData.fields;
+
+const fields = () => [string('/s'), int('/i')].map(field => new Field(field));
+
+const mountComponent = (rules = []) => mount(SubmissionQualityRules, {
+  propsData: { state: true, xmlFormId: 'f', rules, fields: fields() }
+});
+
+// Returns the form for a new rule. The wrapper is not reused after the form is
+// rendered again.
+const newRuleForm = (modal) => modal.get('#submission-quality-rules-new');
+
+const rangeRule = { type: 'range', field: '/i', min: 0, max: 10 };
+const duplicateRule = { type: 'duplicate', fields: ['/s'] };
+
+describe('SubmissionQualityRules', () => {
+  it('lists the rules', () => {
+    const modal = mountComponent([rangeRule, duplicateRule]);
+    const text = modal.findAll('.rule-text').wrappers.map(td => td.text());
+    text.should.eql([
+      'i must be between 0 and 10.',
+      'No two Submissions may have the same s.'
+    ]);
+  });
+
+  it('shows a message if there are no rules', () => {
+    const modal = mountComponent();
+    modal.find('#submission-quality-rules-table').exists().should.be.false();
+    modal.get('#submission-quality-rules-empty').text().should.equal('There are no rules yet.');
+  });
+
+  it('emits an update event after a rule is added', async () => {
+    const modal = mountComponent([duplicateRule]);
+    await newRuleForm(modal).get('select').setValue('range');
+    await newRuleForm(modal).findAll('select').at(1).setValue('/i');
+    await newRuleForm(modal).findAll('input').at(1).setValue('10');
+    await newRuleForm(modal).trigger('submit');
+    modal.emitted().update.should.eql([[
+      [duplicateRule, { type: 'range', field: '/i', min: null, max: 10 }]
+    ]]);
+  });
+
+  it('only offers number fields for a range', async () => {
+    const modal = mountComponent();
+    await newRuleForm(modal).get('select').setValue('range');
+    const options = newRuleForm(modal).findAll('select').at(1).findAll('option');
+    options.wrappers.map(option => option.element.value).should.eql(['', '/i']);
+  });
+
+  it('disables the button if the rule is incomplete', async () => {
+    const modal = mountComponent();
+    await newRuleForm(modal).get('select').setValue('range');
+    await newRuleForm(modal).findAll('select').at(1).setValue('/i');
+    const button = newRuleForm(modal).get('button[type="submit"]');
+    button.attributes().disabled.should.equal('disabled');
+    await newRuleForm(modal).findAll('input').at(0).setValue('1');
+    should.not.exist(button.attributes().disabled);
+  });
+
+  it('shows an error for an invalid regular expression', async () => {
+    const modal = mountComponent();
+    await newRuleForm(modal).get('select').setValue('pattern');
+    await newRuleForm(modal).findAll('select').at(1).setValue('/s');
+    await newRuleForm(modal).get('input').setValue('(');
+    newRuleForm(modal).get('.help-block').text().should.equal('Please enter a valid regular expression.');
+    newRuleForm(modal).get('button[type="submit"]').attributes().disabled.should.equal('disabled');
+  });
+
+  it('emits an update event after a rule is deleted', async () => {
+    const modal = mountComponent([rangeRule, duplicateRule]);
+    await modal.findAll('.delete-button').at(0).trigger('click');
+    modal.emitted().update.should.eql([[[duplicateRule]]]);
+  });
+
+  it('exports the rules as JSON', async () => {
+    const modal = mountComponent([rangeRule]);
+    sinon.replace(modal.vm, 'save', sinon.fake());
+    await modal.get('#submission-quality-rules-export').trigger('click');
+    const [blob, filename] = modal.vm.save.firstCall.args;
+    filename.should.equal('f-quality-rules.json');
+    JSON.parse(await blob.text()).should.eql([rangeRule]);
+  });
+
+  it('imports rules from a JSON file', async () => {
+    const modal = mountComponent([duplicateRule]);
+    const file = new File([JSON.stringify([rangeRule])], 'rules.json');
+    await setFiles(modal.get('input[type="file"]'), [file]);
+    await waitUntil(() => modal.emitted().update != null);
+    modal.emitted().update.should.eql([[[rangeRule]]]);
+    modal.should.alert('success', '1 rule was imported.');
+  });
+
+  it('shows an alert if the file cannot be read', async () => {
+    const modal = mountComponent();
+    const file = new File(['{'], 'rules.json');
+    await setFiles(modal.get('input[type="file"]'), [file]);
+    await waitUntil(() => modal.vm.$store.state.alert.state);
+    modal.should.alert('danger');
+    should.not.exist(modal.emitted().update);
+  });
+});
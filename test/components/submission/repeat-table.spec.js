@@ -0,0 +1,206 @@
+import SubmissionRepeatTable from '../../../src/components/submission/repeat-table.vue';
+
+import Field from '../../../src/presenters/field';
+
+import testData from '../../data';
+import { mockHttp } from '../../util/http';
+import { mockLogin } from '../../util/session';
+
+const { group, repeat, int } = testData.fields;
+const fields = [
+  /* eslint-disable indent */
+  int('/i1'),
+  repeat('/r1'),
+    int('/r1/i2'),
+    group('/r1/g'),
+      int('/r1/g/i3'),
+    repeat('/r1/r2'),
+      int('/r1/r2/i4')
+  /* eslint-enable indent */
+];
+const field = (path) => new Field(fields.find(f => f.path === path));
+const trail = () => [{
+  label: 'My Submission',
+  field: field('/r1'),
+  navigationLink: "Submissions('s')/r1",
+  instanceId: 's'
+}];
+const mountOptions = (options = {}) => ({
+  ...options,
+  propsData: {
+    projectId: '1',
+    xmlFormId: 'f',
+    trail: trail(),
+    ...options.propsData
+  },
+  requestData: { fields, ...options.requestData }
+});
+const rows = () => [
+  {
+    __id: 'r1',
+    i2: 1,
+    g: { i3: 2 },
+    'r2@odata.navigationLink': "Submissions('s')/r1('r1')/r2"
+  },
+  {
+    __id: 'r2',
+    i2: 3,
+    g: { i3: 4 },
+    'r2@odata.navigationLink': "Submissions('s')/r1('r2')/r2"
+  }
+];
+const respondWithRows = (series, count = 2) => series
+  .respondWithData(() => ({ value: rows(), '@odata.count': count }))
+  // There are no instances of r2 for r1 and 5 for r2.
+  .respondWithData(() => ({
+    value: Array.from(new Array(5), () => ({ '__Submissions-r1-id': 'r2' }))
+  }));
+
+describe('SubmissionRepeatTable', () => {
+  beforeEach(mockLogin);
+
+  it('requests the repeat instances', () =>
+    mockHttp()
+      .mount(SubmissionRepeatTable, mountOptions())
+      .beforeEachResponse((_, { url }, i) => {
+        if (i === 0)
+          url.should.equal("/v1/projects/1/forms/f.svc/Submissions('s')/r1?%24top=250&%24skip=0&%24count=true&%24wkt=true");
+        else if (i === 1)
+          url.should.equal('/v1/projects/1/forms/f.svc/Submissions.r1.r2?%24filter=__Submissions-r1-id+eq+%27r1%27+or+__Submissions-r1-id+eq+%27r2%27&%24select=__Submissions-r1-id');
+      })
+      .modify(respondWithRows));
+
+  it('shows the repeat instances', () =>
+    mockHttp()
+      .mount(SubmissionRepeatTable, mountOptions())
+      .modify(respondWithRows)
+      .afterResponses(component => {
+        const headers = component.findAll('th').wrappers.map(th => th.text());
+        headers.should.eql(['i2', 'g-i3', 'r2', 'Row ID']);
+        const text = component.findAll('tbody tr').wrappers.map(tr =>
+          tr.findAll('td').wrappers.map(td => td.text()));
+        text.should.eql([
+          ['1', '2', '0', 'r1'],
+          ['3', '4', '5', 'r2']
+        ]);
+      }));
+
+  it('shows labels', () =>
+    mockHttp()
+      .mount(SubmissionRepeatTable, mountOptions({
+        propsData: { labelLanguage: '' },
+        requestData: {
+          xform: testData.formXml({
+            labels: { '/r1': 'Repeat', '/r1/g/i3': 'Number' }
+          })
+        }
+      }))
+      .modify(respondWithRows)
+      .afterResponses(component => {
+        const headers = component.findAll('th').wrappers.map(th => th.text());
+        headers.should.eql(['i2', 'Number', 'r2', 'Row ID']);
+        component.get('.breadcrumb .active').text().should.equal('Repeat');
+      }));
+
+  it('shows a breadcrumb', () =>
+    mockHttp()
+      .mount(SubmissionRepeatTable, mountOptions())
+      .modify(respondWithRows)
+      .afterResponses(async (component) => {
+        const li = component.findAll('.breadcrumb li');
+        li.wrappers.map(wrapper => wrapper.text()).should.eql([
+          'Submissions',
+          'My Submission',
+          'r1'
+        ]);
+        await li.at(0).get('a').trigger('click');
+        component.emitted()['update:trail'].should.eql([[[]]]);
+      }));
+
+  it('emits an update:trail event after a nested count is clicked', () =>
+    mockHttp()
+      .mount(SubmissionRepeatTable, mountOptions())
+      .modify(respondWithRows)
+      .afterResponses(async (component) => {
+        await component.findAll('.repeat-link').at(1).trigger('click');
+        const [[newTrail]] = component.emitted()['update:trail'];
+        newTrail.length.should.equal(2);
+        const { label, field: repeatField, navigationLink, instanceId } = newTrail[1];
+        label.should.equal('Row 2');
+        repeatField.path.should.equal('/r1/r2');
+        navigationLink.should.equal("Submissions('s')/r1('r2')/r2");
+        instanceId.should.equal('s');
+      }));
+
+  it('shows the repeat instances of a nested repeat group', () =>
+    mockHttp()
+      .mount(SubmissionRepeatTable, mountOptions({
+        propsData: {
+          trail: [...trail(), {
+            label: 'Row 2',
+            field: field('/r1/r2'),
+            navigationLink: "Submissions('s')/r1('r2')/r2",
+            instanceId: 's'
+          }]
+        }
+      }))
+      .respondWithData(() => ({
+        value: [{ __id: 'r3', i4: 5 }],
+        '@odata.count': 1
+      }))
+      .afterResponses(component => {
+        const li = component.findAll('.breadcrumb li');
+        li.wrappers.map(wrapper => wrapper.text()).should.eql([
+          'Submissions',
+          'My Submission',
+          'r1',
+          'Row 2',
+          'r2'
+        ]);
+        const td = component.findAll('td');
+        td.wrappers.map(wrapper => wrapper.text()).should.eql(['5', 'r3']);
+      }));
+
+  describe('load more button', () => {
+    it('shows the button if there are more repeat instances', () =>
+      mockHttp()
+        .mount(SubmissionRepeatTable, mountOptions())
+        .modify(series => respondWithRows(series, 300))
+        .afterResponses(component => {
+          component.find('#submission-repeat-table-load-more').exists()
+            .should.be.true();
+        }));
+
+    it('does not show the button if all instances have been loaded', () =>
+      mockHttp()
+        .mount(SubmissionRepeatTable, mountOptions())
+        .modify(respondWithRows)
+        .afterResponses(component => {
+          component.find('#submission-repeat-table-load-more').exists()
+            .should.be.false();
+        }));
+
+    it('requests more instances after the button is clicked', () =>
+      mockHttp()
+        .mount(SubmissionRepeatTable, mountOptions())
+        .modify(series => respondWithRows(series, 3))
+        .afterResponses(component => {
+          component.findAll('tbody tr').length.should.equal(2);
+        })
+        .request(component =>
+          component.get('#submission-repeat-table-load-more button')
+            .trigger('click'))
+        .beforeEachResponse((_, { url }) => {
+          url.should.equal("/v1/projects/1/forms/f.svc/Submissions('s')/r1?%24top=250&%24skip=2&%24count=true&%24wkt=true");
+        })
+        .respondWithData(() => ({
+          value: [{ __id: 'r3', i2: 5, g: { i3: 6 } }],
+          '@odata.count': 3
+        }))
+        .afterResponses(component => {
+          component.findAll('tbody tr').length.should.equal(3);
+          component.find('#submission-repeat-table-load-more').exists()
+            .should.be.false();
+        }));
+  });
+});
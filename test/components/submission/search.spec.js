@@ -0,0 +1,43 @@
+import SubmissionSearch from '../../../src/components/submission/search.vue';
+
+import { mount } from '../../util/lifecycle';
+
+const mountComponent = (value = '') =>
+  mount(SubmissionSearch, {
+    propsData: { value },
+    attachTo: document.body
+  });
+
+describe('SubmissionSearch', () => {
+  it('sets the value of the input to the prop', () => {
+    const component = mountComponent('foo');
+    component.get('input').element.value.should.equal('foo');
+  });
+
+  it('emits a trimmed search once the input is changed', async () => {
+    const component = mountComponent();
+    const input = component.get('input');
+    input.element.value = ' foo ';
+    await input.trigger('change');
+    component.emitted().input.should.eql([['foo']]);
+  });
+
+  it('does not emit if the search has not changed', async () => {
+    const component = mountComponent('foo');
+    const input = component.get('input');
+    input.element.value = 'foo ';
+    await input.trigger('change');
+    should.not.exist(component.emitted().input);
+  });
+
+  it('clears the search after the clear button is clicked', async () => {
+    const component = mountComponent('foo');
+    await component.get('.close').trigger('click');
+    component.get('input').element.value.should.equal('');
+    component.emitted().input.should.eql([['']]);
+  });
+
+  it('hides the clear button if there is no search', () => {
+    mountComponent().get('.close').should.be.hidden();
+  });
+});
@@ -1,5 +1,7 @@
 import NotFound from '../../../src/components/not-found.vue';
 import PageBack from '../../../src/components/page/back.vue';
+import SubmissionAuditLog from '../../../src/components/submission/audit-log.vue';
+import SubmissionNavigation from '../../../src/components/submission/navigation.vue';
 
 import testData from '../../data';
 import { load } from '../../util/http';
@@ -50,4 +52,190 @@ describe('SubmissionShow', () => {
     });
     component.get('#page-head-title').text().should.equal('s');
   });
+
+  it('links to the print view of the submission', async () => {
+    testData.extendedForms.createPast(1, { xmlFormId: 'a b', submissions: 1 });
+    testData.extendedSubmissions.createPast(1, { instanceId: 's 1' });
+    const app = await load('/projects/1/forms/a%20b/submissions/s%201');
+    const link = app.get('#submission-show-print-link');
+    link.attributes().href.should.equal('/projects/1/forms/a%20b/submissions/s%201/print');
+  });
+
+  it('shows the audit log if the submission has one', () => {
+    testData.extendedForms.createPast(1, {
+      fields: [
+        testData.fields.group('/meta'),
+        testData.fields.binary('/meta/audit')
+      ],
+      submissions: 1
+    });
+    testData.extendedSubmissions.createPast(1, {
+      instanceId: 's',
+      meta: { audit: 'audit.csv' }
+    });
+    return load('/projects/1/forms/f/submissions/s', { root: false })
+      .respondWithData(() => 'event,node,start,end\nform start,,0,')
+      .afterResponses(component => {
+        const auditLog = component.getComponent(SubmissionAuditLog);
+        auditLog.props().filename.should.equal('audit.csv');
+      });
+  });
+
+  it('does not show an audit log if the submission does not have one', async () => {
+    testData.extendedSubmissions.createPast(1, { instanceId: 's' });
+    const component = await load('/projects/1/forms/f/submissions/s', {
+      root: false
+    });
+    component.findComponent(SubmissionAuditLog).exists().should.be.false();
+  });
+
+  describe('stepping through submissions', () => {
+    beforeEach(() => {
+      testData.extendedForms.createPast(1, { submissions: 3 });
+      testData.extendedSubmissions
+        .createPast(1, { instanceId: 's1', reviewState: null })
+        .createPast(1, { instanceId: 's2', reviewState: null })
+        .createPast(1, { instanceId: 's3', reviewState: null });
+    });
+
+    // Loads s2, which is the second submission in the table. Specify `true`
+    // for `root` to inject the router so that the user can navigate.
+    const loadSubmission = (query = 'index=1', root = false) =>
+      load(`/projects/1/forms/f/submissions/s2?${query}`, { root }, {
+        submission: () => testData.submissionOData(1, 1)
+      })
+        // odataFields
+        .respondWithData(() => testData.extendedForms.last()._fields);
+
+    it('requests the neighbors of the submission', () =>
+      loadSubmission('reviewState=null&index=1')
+        .beforeEachResponse((_, { url }, i) => {
+          if (i !== 11) return;
+          const params = new URL(url, window.location.origin).searchParams;
+          params.get('$top').should.equal('27');
+          params.get('$skip').should.equal('0');
+          params.get('$filter').should.equal('(__system/reviewState eq null)');
+        })
+        .respondWithData(testData.submissionOData));
+
+    it('uses the paths of the fields in the OData to filter the neighbors', () => {
+      const condition = { path: '/hh_size', operator: 'eq', value: '3' };
+      const query = `condition=${encodeURIComponent(JSON.stringify(condition))}&index=1`;
+      return load(`/projects/1/forms/f/submissions/s2?${query}`, { root: false }, {
+        submission: () => testData.submissionOData(1, 1),
+        fields: () => [testData.fields.string('/hh-size')]
+      })
+        .beforeEachResponse((_, { url }, i) => {
+          if (i === 10) {
+            url.should.equal('/v1/projects/1/forms/f/fields?odata=true');
+          } else if (i === 11) {
+            const params = new URL(url, window.location.origin).searchParams;
+            params.get('$filter').should.equal("(hh_size eq '3')");
+          }
+        })
+        .respondWithData(() => [testData.fields.string('/hh_size')])
+        .respondWithData(testData.submissionOData);
+    });
+
+    it('does not request the neighbors without an index', async () => {
+      const component = await load('/projects/1/forms/f/submissions/s2', {
+        root: false
+      });
+      component.findComponent(SubmissionNavigation).exists().should.be.false();
+    });
+
+    it('shows the position of the submission', () =>
+      loadSubmission()
+        .respondWithData(testData.submissionOData)
+        .afterResponses(component => {
+          const props = component.getComponent(SubmissionNavigation).props();
+          props.position.should.equal(2);
+          props.count.should.equal(3);
+          props.filtered.should.be.false();
+          props.previous.should.eql({
+            path: '/projects/1/forms/f/submissions/s3',
+            query: { index: '0' }
+          });
+          props.next.should.eql({
+            path: '/projects/1/forms/f/submissions/s1',
+            query: { index: '2' }
+          });
+        }));
+
+    it('renders a back link with the query of the table', () =>
+      loadSubmission('reviewState=null&index=1')
+        .respondWithData(testData.submissionOData)
+        .afterResponses(component => {
+          const { to } = component.getComponent(PageBack).props();
+          to.should.eql({
+            path: '/projects/1/forms/f/submissions',
+            query: { reviewState: 'null' }
+          });
+        }));
+
+    it('shows the next submission after J is pressed', () =>
+      loadSubmission('index=1', true)
+        .respondWithData(testData.submissionOData)
+        .complete()
+        .request(() => {
+          document.dispatchEvent(new KeyboardEvent('keydown', { key: 'j' }));
+        })
+        .beforeAnyResponse(component => {
+          component.vm.$route.path.should.equal('/projects/1/forms/f/submissions/s1');
+          // The submission is shown before the response for it.
+          component.get('#page-head-title').text().should.equal('s1');
+        })
+        .respondFor('/projects/1/forms/f/submissions/s1?index=2', {
+          project: false,
+          submission: () => testData.submissionOData(1, 2),
+          fields: false,
+          xform: false
+        })
+        .respondWithData(testData.submissionOData)
+        .afterResponses(component => {
+          const props = component.getComponent(SubmissionNavigation).props();
+          props.position.should.equal(3);
+          should.not.exist(props.next);
+        }));
+
+    it('approves the submission after A is pressed', () =>
+      loadSubmission()
+        .respondWithData(testData.submissionOData)
+        .complete()
+        .request(() => {
+          document.dispatchEvent(new KeyboardEvent('keydown', { key: 'a' }));
+        })
+        .beforeEachResponse((_, { method, url, data }, i) => {
+          if (i !== 0) return;
+          method.should.equal('PATCH');
+          url.should.equal('/v1/projects/1/forms/f/submissions/s2');
+          data.should.eql({ reviewState: 'approved' });
+        })
+        .respondWithSuccess()
+        .respondFor('/projects/1/forms/f/submissions/s2', {
+          project: false,
+          submission: false,
+          submissionVersion: false,
+          fields: false,
+          submissionXml: false,
+          xform: false,
+          submissionVersions: false
+        })
+        .afterResponses(component => {
+          component.should.alert('success');
+          component.vm.$store.state.request.data.submission.__system.reviewState
+            .should.equal('approved');
+        }));
+
+    it('ignores a shortcut while the user is typing', () =>
+      loadSubmission()
+        .respondWithData(testData.submissionOData)
+        .complete()
+        .testNoRequest(component => {
+          const input = document.createElement('input');
+          component.element.appendChild(input);
+          input.dispatchEvent(new KeyboardEvent('keydown', { key: 'j', bubbles: true }));
+          component.vm.$route.path.should.equal('/projects/1/forms/f/submissions/s2');
+        }));
+  });
 });
@@ -5,13 +5,17 @@ import SubmissionMetadataRow from '../../../src/components/submission/metadata-r
 import SubmissionTable from '../../../src/components/submission/table.vue';
 
 import Field from '../../../src/presenters/field';
+import store from '../../../src/store';
+import { importPrivateKey } from '../../../src/util/decryption';
 
 import testData from '../../data';
+import { encryptSubmission, testKeys } from '../../util/encryption';
+import { mockHttp } from '../../util/http';
 import { mockLogin } from '../../util/session';
 import { mount } from '../../util/lifecycle';
 
-const mountComponent = (mountOptions = {}) => mount(SubmissionTable, {
-  ...mountOptions,
+const mountOptions = (options = {}) => ({
+  ...options,
   propsData: {
     projectId: '1',
     xmlFormId: 'f',
@@ -20,11 +24,17 @@ const mountComponent = (mountOptions = {}) => mount(SubmissionTable, {
     fields: testData.extendedForms.last()._fields
       .map(field => new Field(field)),
     originalCount: testData.extendedSubmissions.size,
-    ...mountOptions.propsData
+    order: { column: 'submissionDate', direction: 'desc' },
+    ...options.propsData
+  },
+  requestData: {
+    project: testData.extendedProjects.last(),
+    ...options.requestData
   },
-  requestData: { project: testData.extendedProjects.last() },
   stubs: { RouterLink: RouterLinkStub }
 });
+const mountComponent = (options = {}) =>
+  mount(SubmissionTable, mountOptions(options));
 
 const headers = (table) => table.findAll('th').wrappers.map(th => th.text());
 
@@ -36,7 +46,7 @@ describe('SubmissionTable', () => {
         propsData: { draft: false }
       });
       const table = component.get('#submission-table-metadata');
-      headers(table).should.eql(['', 'Submitted by', 'Submitted at', 'State and actions']);
+      headers(table).should.eql(['', '', 'Submitted by', 'Submitted at', 'State and actions']);
     });
 
     it('renders the correct headers for a form draft', () => {
@@ -74,6 +84,53 @@ describe('SubmissionTable', () => {
       const table = component.get('#submission-table-data');
       headers(table).should.eql(['g-s', 'Instance ID']);
     });
+
+    describe('labels', () => {
+      beforeEach(() => {
+        testData.extendedForms.createPast(1, {
+          fields: [testData.fields.string('/s1'), testData.fields.string('/s2')],
+          submissions: 1
+        });
+        testData.extendedSubmissions.createPast(1, { s1: 'y', s2: 'foo' });
+      });
+
+      const xform = () => testData.formXml({
+        labels: { '/s1': 'Question 1' },
+        choices: { '/s1': { y: 'Yes', n: 'No' } }
+      });
+
+      it('shows the label of a field', () => {
+        const component = mountComponent({
+          propsData: { labelLanguage: '' },
+          requestData: { xform: xform() }
+        });
+        const th = component.findAll('#submission-table-data th').at(0);
+        th.text().should.equal('Question 1');
+        th.attributes().title.should.equal('Question 1 (s1)');
+        // s2 does not have a label.
+        const table = component.get('#submission-table-data');
+        headers(table).should.eql(['Question 1', 's2', 'Instance ID']);
+      });
+
+      it('shows the label of a choice', () => {
+        const component = mountComponent({
+          propsData: { labelLanguage: '' },
+          requestData: { xform: xform() }
+        });
+        const td = component.findAll('#submission-table-data td');
+        td.at(0).text().should.equal('Yes');
+        td.at(1).text().should.equal('foo');
+      });
+
+      it('shows names if the labelLanguage prop is null', () => {
+        const component = mountComponent({
+          requestData: { xform: xform() }
+        });
+        const table = component.get('#submission-table-data');
+        headers(table).should.eql(['s1', 's2', 'Instance ID']);
+        component.get('#submission-table-data td').text().should.equal('y');
+      });
+    });
   });
 
   it('renders the correct number of rows', () => {
@@ -98,6 +155,57 @@ describe('SubmissionTable', () => {
     rows.at(1).props().rowNumber.should.equal(9);
   });
 
+  it('numbers rows from the first row if not in the default order', () => {
+    testData.extendedForms.createPast(1, { submissions: 10 });
+    testData.extendedSubmissions.createPast(10);
+    const component = mountComponent({
+      propsData: {
+        submissions: testData.submissionOData(2).value,
+        order: { column: 'submitterName', direction: 'asc' }
+      }
+    });
+    const rows = component.findAllComponents(SubmissionMetadataRow);
+    rows.at(0).props().rowNumber.should.equal(1);
+    rows.at(1).props().rowNumber.should.equal(2);
+  });
+
+  describe('sorting', () => {
+    it('indicates the column that the submissions are sorted by', () => {
+      testData.extendedSubmissions.createPast(1);
+      const th = mountComponent().findAll('#submission-table-metadata th');
+      th.at(2).classes('sorted').should.be.false();
+      th.at(3).classes('sorted-desc').should.be.true();
+      th.at(3).attributes()['aria-sort'].should.equal('descending');
+    });
+
+    it('emits an ascending order after a header is clicked', async () => {
+      testData.extendedForms.createPast(1, {
+        fields: [testData.fields.int('/i')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1);
+      const component = mountComponent();
+      await component.get('#submission-table-data .sort-link').trigger('click');
+      component.emitted()['update:order'].should.eql([
+        [{ column: '/i', direction: 'asc' }]
+      ]);
+    });
+
+    it('reverses the order after the header of the sorted column is clicked', async () => {
+      testData.extendedSubmissions.createPast(1);
+      const component = mountComponent({
+        propsData: { order: { column: 'reviewState', direction: 'asc' } }
+      });
+      const links = component.findAll('#submission-table-metadata .sort-link');
+      await links.at(2).trigger('click');
+      await links.at(1).trigger('click');
+      component.emitted()['update:order'].should.eql([
+        [{ column: 'reviewState', direction: 'desc' }],
+        [{ column: 'submissionDate', direction: 'asc' }]
+      ]);
+    });
+  });
+
   describe('canUpdate prop of SubmissionMetadataRow', () => {
     it('passes true if the user can submission.update', () => {
       mockLogin();
@@ -163,4 +271,363 @@ describe('SubmissionTable', () => {
       tbody.classes('submission-table-actions-trigger-hover').should.be.true();
     });
   });
+
+  describe('selection', () => {
+    it('shows a checkbox in each row if the user can submission.update', () => {
+      mockLogin();
+      testData.extendedForms.createPast(1, { submissions: 2 });
+      testData.extendedSubmissions.createPast(2);
+      const component = mountComponent();
+      component.find('#submission-table-select-all').exists().should.be.true();
+      const rows = component.findAllComponents(SubmissionMetadataRow);
+      rows.wrappers.map(row => row.props().selectable).should.eql([true, true]);
+    });
+
+    it('does not show checkboxes if the user cannot submission.update', () => {
+      mockLogin({ role: 'none' });
+      testData.extendedProjects.createPast(1, { role: 'viewer', forms: 1 });
+      testData.extendedSubmissions.createPast(1);
+      const component = mountComponent();
+      component.find('#submission-table-select-all').exists().should.be.false();
+      const row = component.getComponent(SubmissionMetadataRow);
+      row.props().selectable.should.be.false();
+    });
+
+    it('does not show checkboxes for a form draft', () => {
+      testData.extendedForms.createPast(1, { draft: true, submissions: 1 });
+      testData.extendedSubmissions.createPast(1);
+      const component = mountComponent({ propsData: { draft: true } });
+      component.find('#submission-table-select-all').exists().should.be.false();
+    });
+
+    it('passes the correct selected prop to SubmissionMetadataRow', async () => {
+      testData.extendedForms.createPast(1, { submissions: 2 });
+      testData.extendedSubmissions.createPast(2);
+      const { __id } = testData.submissionOData().value[1];
+      const component = mountComponent({
+        propsData: { selected: { [__id]: true } }
+      });
+      const rows = component.findAllComponents(SubmissionMetadataRow);
+      rows.wrappers.map(row => row.props().selected).should.eql([false, true]);
+      await component.setProps({ allSelected: true });
+      rows.wrappers.map(row => row.props().selected).should.eql([true, true]);
+    });
+
+    it('emits a select event after a checkbox is changed', async () => {
+      testData.extendedForms.createPast(1, { submissions: 2 });
+      testData.extendedSubmissions.createPast(2);
+      const component = mountComponent();
+      const checkbox = component.findAll('.select-checkbox').at(1);
+      await checkbox.setChecked();
+      const [submission, selected] = component.emitted().select[0];
+      submission.__id.should.equal(testData.submissionOData().value[1].__id);
+      selected.should.be.true();
+    });
+
+    it('emits a select-all event after the header checkbox is changed', async () => {
+      testData.extendedSubmissions.createPast(2);
+      const component = mountComponent();
+      await component.get('#submission-table-select-all').setChecked();
+      await component.get('#submission-table-select-all').setChecked(false);
+      component.emitted()['select-all'].should.eql([[true], [false]]);
+    });
+
+    it('checks the header checkbox if every row is selected', async () => {
+      testData.extendedSubmissions.createPast(2);
+      const [first, second] = testData.submissionOData().value;
+      const component = mountComponent({
+        propsData: { selected: { [first.__id]: true } }
+      });
+      const checkbox = component.get('#submission-table-select-all').element;
+      checkbox.checked.should.be.false();
+      checkbox.indeterminate.should.be.true();
+      await component.setProps({
+        selected: { [first.__id]: true, [second.__id]: true }
+      });
+      checkbox.checked.should.be.true();
+      checkbox.indeterminate.should.be.false();
+    });
+  });
+
+  describe('repeat groups', () => {
+    beforeEach(() => {
+      testData.extendedForms.createPast(1, {
+        xmlFormId: 'f',
+        fields: [testData.fields.repeat('/r'), testData.fields.int('/r/i')],
+        submissions: 2
+      });
+      testData.extendedSubmissions.createPast(1, {
+        instanceId: 'a',
+        'r@odata.navigationLink': "Submissions('a')/r"
+      });
+      testData.extendedSubmissions.createPast(1, {
+        instanceId: 'b',
+        'r@odata.navigationLink': "Submissions('b')/r"
+      });
+    });
+
+    // There are 2 instances of the repeat group for submission b and 3 for a.
+    const repeatInstances = () => ({
+      value: ['b', 'b', 'a', 'a', 'a'].map(id => ({ '__Submissions-id': id }))
+    });
+
+    it('does not render a sort link for a repeat group', () =>
+      mockHttp()
+        .mount(SubmissionTable, mountOptions())
+        .respondWithData(repeatInstances)
+        .afterResponses(component => {
+          const th = component.get('#submission-table-data th');
+          th.text().should.equal('r');
+          th.find('.sort-link').exists().should.be.false();
+        }));
+
+    it('requests the instances of the repeat group once for every row', () =>
+      mockHttp()
+        .mount(SubmissionTable, mountOptions())
+        .beforeEachResponse((component, { url }) => {
+          url.should.equal('/v1/projects/1/forms/f.svc/Submissions.r?%24filter=__Submissions-id+eq+%27b%27+or+__Submissions-id+eq+%27a%27&%24select=__Submissions-id');
+          const text = component.findAll('.repeat-link').wrappers
+            .map(a => a.text());
+          text.should.eql(['…', '…']);
+        })
+        .respondWithData(repeatInstances)
+        .afterResponses(component => {
+          const text = component.findAll('.repeat-link').wrappers
+            .map(a => a.text());
+          text.should.eql(['2', '3']);
+        }));
+
+    it('emits an open-repeat event after a count is clicked', () =>
+      mockHttp()
+        .mount(SubmissionTable, mountOptions())
+        .respondWithData(repeatInstances)
+        .afterResponses(async (component) => {
+          await component.findAll('.repeat-link').at(1).trigger('click');
+          const [submission, field] = component.emitted()['open-repeat'][0];
+          submission.__id.should.equal(testData.submissionOData().value[1].__id);
+          field.path.should.equal('/r');
+        }));
+  });
+
+  describe('decryption in the browser', () => {
+    beforeEach(() => {
+      mockLogin();
+      testData.extendedForms.createPast(1, {
+        xmlFormId: 'f',
+        fields: [testData.fields.string('/s'), testData.fields.binary('/b')],
+        submissions: 1
+      });
+      testData.extendedSubmissions.createPast(1, {
+        instanceId: 's',
+        status: 'NotDecrypted'
+      });
+    });
+
+    const options = () => mountOptions({
+      requestData: { fields: testData.extendedForms.last()._fields }
+    });
+
+    it('does not decrypt a submission if no key has been loaded', () => {
+      const component = mount(SubmissionTable, options());
+      component.find('.encrypted-data').exists().should.be.true();
+    });
+
+    it('shows the decrypted data after a key has been loaded', async () => {
+      const { envelope, files } = await encryptSubmission({
+        instanceId: 's',
+        xml: '<data id="f"><s>foo</s><b>a.jpg</b></data>'
+      });
+      store.commit('addPrivateKey', await importPrivateKey(testKeys.pkcs8));
+      return mockHttp()
+        .mount(SubmissionTable, options())
+        .beforeEachResponse((_, { url }, i) => {
+          url.should.equal(i === 0
+            ? '/v1/projects/1/forms/f/submissions/s.xml'
+            : '/v1/projects/1/forms/f/submissions/s/attachments/submission.xml.enc');
+        })
+        .respondWithData(() => envelope)
+        .respondWithData(() => files['submission.xml.enc'])
+        .afterResponses({
+          pollWork: (component) => component.vm.decryptedSubmissions.s != null,
+          callback: (component) => {
+            const row = component.getComponent(SubmissionDataRow);
+            row.find('.encrypted-data').exists().should.be.false();
+            const td = row.findAll('td');
+            td.at(0).text().should.equal('foo');
+            const span = td.at(1).get('.binary-link');
+            span.element.tagName.should.equal('SPAN');
+            span.attributes().title.should.equal('File was submitted. Open the Submission to view the decrypted file.');
+          }
+        });
+    });
+
+    it('shows the encryption message if decryption fails', async () => {
+      store.commit('addPrivateKey', await importPrivateKey(testKeys.pkcs8));
+      // The response is not an envelope.
+      return mockHttp()
+        .mount(SubmissionTable, options())
+        .respondWithData(() => '<data id="f"><s>foo</s></data>')
+        .afterResponses({
+          pollWork: (component) => component.vm.decryptedSubmissions.s === false,
+          callback: (component) => {
+            component.find('.encrypted-data').exists().should.be.true();
+          }
+        });
+    });
+  });
+
+  describe('virtualization', () => {
+    afterEach(() => {
+      window.scrollTo(0, 0);
+    });
+
+    const dataIndexes = (component, selector) => component.findAll(selector)
+      .wrappers.map(row => Number.parseInt(row.attributes('data-index'), 10));
+
+    it('renders only the rows near the viewport', () => {
+      testData.extendedForms.createPast(1, { submissions: 200 });
+      testData.extendedSubmissions.createPast(200);
+      const component = mountComponent();
+      const metadataRows = component.findAllComponents(SubmissionMetadataRow);
+      metadataRows.length.should.be.below(200);
+      component.findAllComponents(SubmissionDataRow).length.should.equal(metadataRows.length);
+      metadataRows.at(0).attributes('data-index').should.equal('0');
+      component.findAll('#submission-table-metadata .submission-table-spacer').length.should.equal(1);
+      component.findAll('#submission-table-data .submission-table-spacer').length.should.equal(1);
+    });
+
+    it('renders the same rows in both tables after a scroll', async () => {
+      testData.extendedForms.createPast(1, { submissions: 200 });
+      testData.extendedSubmissions.createPast(200);
+      const component = mountComponent({ attachTo: document.body });
+      window.scrollTo(0, 4000);
+      document.dispatchEvent(new Event('scroll'));
+      await component.vm.$nextTick();
+      const metadataIndexes = dataIndexes(component, '.submission-metadata-row');
+      metadataIndexes[0].should.be.above(0);
+      dataIndexes(component, '#submission-table-data tr[data-index]')
+        .should.eql(metadataIndexes);
+      component.findAll('#submission-table-metadata .submission-table-spacer').length.should.equal(2);
+    });
+
+    it('numbers a row by the index of its submission', async () => {
+      testData.extendedForms.createPast(1, { submissions: 200 });
+      testData.extendedSubmissions.createPast(200);
+      const component = mountComponent({ attachTo: document.body });
+      window.scrollTo(0, 4000);
+      document.dispatchEvent(new Event('scroll'));
+      await component.vm.$nextTick();
+      const row = component.getComponent(SubmissionMetadataRow);
+      const index = Number.parseInt(row.attributes('data-index'), 10);
+      row.props().rowNumber.should.equal(200 - index);
+      row.props().submission.should.equal(component.props().submissions[index]);
+    });
+
+    it('shows actions for the correct row after a scroll', async () => {
+      testData.extendedForms.createPast(1, { submissions: 200 });
+      testData.extendedSubmissions.createPast(200);
+      const component = mountComponent({ attachTo: document.body });
+      window.scrollTo(0, 4000);
+      document.dispatchEvent(new Event('scroll'));
+      await component.vm.$nextTick();
+      const dataRow = component.findAllComponents(SubmissionDataRow).at(1);
+      await dataRow.trigger('mouseover');
+      const metadataRows = component.findAllComponents(SubmissionMetadataRow);
+      metadataRows.at(0).classes('data-hover').should.be.false();
+      metadataRows.at(1).classes('data-hover').should.be.true();
+      metadataRows.at(1).attributes('data-index').should.equal(dataRow.attributes('data-index'));
+    });
+
+    it('emits a review event for the correct submission after a scroll', async () => {
+      mockLogin();
+      testData.extendedForms.createPast(1, { submissions: 200 });
+      testData.extendedSubmissions.createPast(200);
+      const component = mountComponent({ attachTo: document.body });
+      window.scrollTo(0, 4000);
+      document.dispatchEvent(new Event('scroll'));
+      await component.vm.$nextTick();
+      const row = component.getComponent(SubmissionMetadataRow);
+      await row.get('.review-button').trigger('click');
+      const index = Number.parseInt(row.attributes('data-index'), 10);
+      component.emitted().review.should.eql([
+        [component.props().submissions[index]]
+      ]);
+    });
+
+    it('renders spacer rows for the submissions that have not been loaded', () => {
+      testData.extendedForms.createPast(1, { submissions: 10 });
+      testData.extendedSubmissions.createPast(10);
+      const { value } = testData.submissionOData();
+      const chunks = [
+        { skip: 0, submissions: value.slice(0, 2) },
+        { skip: 6, submissions: value.slice(6, 8) }
+      ];
+      const component = mountComponent({
+        propsData: {
+          submissions: [...chunks[0].submissions, ...chunks[1].submissions],
+          chunks
+        }
+      });
+      dataIndexes(component, '.submission-metadata-row')
+        .should.eql([0, 1, 6, 7]);
+      const spacers = component.findAll('#submission-table-metadata .submission-table-spacer td');
+      spacers.length.should.equal(2);
+      const { rowHeight } = component.vm;
+      spacers.at(0).element.style.height.should.equal(`${4 * rowHeight}px`);
+      spacers.at(1).element.style.height.should.equal(`${2 * rowHeight}px`);
+    });
+
+    it('returns true from showsLastRow() only if the last row is rendered', async () => {
+      testData.extendedForms.createPast(1, { submissions: 200 });
+      testData.extendedSubmissions.createPast(200);
+      const component = mountComponent({ attachTo: document.body });
+      component.vm.showsLastRow().should.be.false();
+      window.scrollTo(0, document.body.scrollHeight);
+      document.dispatchEvent(new Event('scroll'));
+      await component.vm.$nextTick();
+      component.vm.showsLastRow().should.be.true();
+    });
+
+    describe('columns', () => {
+      beforeEach(() => {
+        const fields = [];
+        for (let i = 0; i < 50; i += 1)
+          fields.push(testData.fields.string(`/s${i}`));
+        testData.extendedForms.createPast(1, { fields, submissions: 1 });
+        testData.extendedSubmissions.createPast(1);
+      });
+
+      it('renders only the columns near the viewport', () => {
+        const component = mountComponent({ attachTo: document.body });
+        const table = component.get('#submission-table-data');
+        table.classes('submission-table-windowed-columns').should.be.true();
+        const th = table.findAll('th');
+        th.length.should.be.below(50);
+        th.at(0).text().should.equal('s0');
+        th.at(-2).classes('column-spacer').should.be.true();
+        th.at(-1).text().should.equal('Instance ID');
+        const td = component.get('#submission-table-data tbody tr').findAll('td');
+        td.length.should.equal(th.length);
+      });
+
+      it('renders the columns near the viewport after a scroll', async () => {
+        const component = mountComponent({ attachTo: document.body });
+        const container = component.get('.table-container');
+        container.element.scrollLeft = 2000;
+        await container.trigger('scroll');
+        const th = component.findAll('#submission-table-data th');
+        th.at(0).classes('column-spacer').should.be.true();
+        th.at(1).text().should.not.equal('s0');
+      });
+
+      it('does not virtualize a small number of columns', () => {
+        const fields = testData.extendedForms.last()._fields.slice(0, 3)
+          .map(field => new Field(field));
+        const component = mountComponent({ propsData: { fields } });
+        const table = component.get('#submission-table-data');
+        table.classes('submission-table-windowed-columns').should.be.false();
+        headers(table).should.eql(['s0', 's1', 's2', 'Instance ID']);
+      });
+    });
+  });
 });
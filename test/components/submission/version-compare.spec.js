@@ -0,0 +1,80 @@
+import SubmissionVersionCompare from '../../../src/components/submission/version-compare.vue';
+
+import testData from '../../data';
+import { mockHttp } from '../../util/http';
+
+const { repeat, int, string } = testData.fields;
+
+const versions = [
+  { instanceId: 'v1', createdAt: '2021-01-01T00:00:00Z' },
+  { instanceId: 'v2', createdAt: '2021-02-01T00:00:00Z' }
+];
+const mockHttpForComponent = (oldXml, newXml) => {
+  testData.extendedForms.createPast(1, {
+    fields: [string('/s'), int('/i'), repeat('/r'), int('/r/j')]
+  });
+  return mockHttp()
+    .mount(SubmissionVersionCompare, {
+      propsData: {
+        projectId: '1',
+        xmlFormId: 'f',
+        instanceId: 's',
+        versions
+      },
+      requestData: { fields: testData.extendedForms.last()._fields }
+    })
+    .request(modal => modal.setProps({ state: true }))
+    .respondWithData(() => oldXml)
+    .respondWithData(() => newXml);
+};
+
+// Returns the text of each cell of the table.
+const tableText = (modal) => modal.findAll('tbody tr').wrappers
+  .map(tr => tr.findAll('td').wrappers.map(td => td.text()));
+
+describe('SubmissionVersionCompare', () => {
+  it('requests the XML of both versions', () =>
+    mockHttpForComponent('<data id="f"></data>', '<data id="f"></data>')
+      .testRequests([
+        { url: '/v1/projects/1/forms/f/submissions/s/versions/v1.xml' },
+        { url: '/v1/projects/1/forms/f/submissions/s/versions/v2.xml' }
+      ]));
+
+  it('shows the values of both versions side by side', async () => {
+    const modal = await mockHttpForComponent(
+      '<data id="f"><s>foo</s><i>1</i></data>',
+      '<data id="f"><s>bar</s><i>1</i></data>'
+    );
+    tableText(modal).should.eql([['s', 'foo', 'bar'], ['i', '1', '1']]);
+  });
+
+  it('highlights changed values', async () => {
+    const modal = await mockHttpForComponent(
+      '<data id="f"><s>foo</s><i>1</i></data>',
+      '<data id="f"><s>bar</s><i>1</i></data>'
+    );
+    const rows = modal.findAll('tbody tr');
+    rows.at(0).classes().should.containEql('changed');
+    rows.at(1).classes().should.not.containEql('changed');
+  });
+
+  it('shows a repeat instance that exists in only one version', async () => {
+    const modal = await mockHttpForComponent(
+      '<data id="f"><r><j>1</j></r></data>',
+      '<data id="f"><r><j>1</j></r><r><j>2</j></r></data>'
+    );
+    const rows = modal.findAll('tbody tr');
+    rows.length.should.equal(6);
+    rows.at(4).classes().should.containEql('changed');
+    tableText(modal)[4].should.eql(['r 2', '(not present)', '']);
+  });
+
+  it('shows only changes if the checkbox is checked', async () => {
+    const modal = await mockHttpForComponent(
+      '<data id="f"><s>foo</s><i>1</i></data>',
+      '<data id="f"><s>bar</s><i>1</i></data>'
+    );
+    await modal.get('.checkbox input').setChecked();
+    tableText(modal).should.eql([['s', 'foo', 'bar']]);
+  });
+});
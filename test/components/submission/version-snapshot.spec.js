@@ -0,0 +1,45 @@
+import SubmissionDataNode from '../../../src/components/submission/data/node.vue';
+import SubmissionVersionSnapshot from '../../../src/components/submission/version-snapshot.vue';
+
+import testData from '../../data';
+import { mockHttp } from '../../util/http';
+
+const { binary, string } = testData.fields;
+
+const mockHttpForComponent = (xml) => {
+  testData.extendedForms.createPast(1, {
+    fields: [string('/s'), binary('/b')]
+  });
+  return mockHttp()
+    .mount(SubmissionVersionSnapshot, {
+      propsData: {
+        projectId: '1',
+        xmlFormId: 'f',
+        instanceId: 's',
+        version: { instanceId: 'v1', createdAt: '2021-01-01T00:00:00Z' }
+      },
+      requestData: { fields: testData.extendedForms.last()._fields }
+    })
+    .request(modal => modal.setProps({ state: true }))
+    .respondWithData(() => xml);
+};
+
+describe('SubmissionVersionSnapshot', () => {
+  it('requests the XML of the version', () =>
+    mockHttpForComponent('<data id="f"></data>').testRequests([
+      { url: '/v1/projects/1/forms/f/submissions/s/versions/v1.xml' }
+    ]));
+
+  it('shows the data of the version', async () => {
+    const modal = await mockHttpForComponent('<data id="f"><s>foo</s></data>');
+    const nodes = modal.findAllComponents(SubmissionDataNode);
+    nodes.length.should.equal(1);
+    nodes.at(0).get('.submission-data-value').text().should.equal('foo');
+  });
+
+  it('links to the attachments of the version', async () => {
+    const modal = await mockHttpForComponent('<data id="f"><b>a.jpg</b></data>');
+    const { href } = modal.get('.submission-data-value a').attributes();
+    href.should.equal('/v1/projects/1/forms/f/submissions/s/versions/v1/attachments/a.jpg');
+  });
+});
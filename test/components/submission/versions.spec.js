@@ -0,0 +1,76 @@
+import SubmissionVersions from '../../../src/components/submission/versions.vue';
+
+import { mount } from '../../util/lifecycle';
+
+const versions = [
+  {
+    instanceId: 'v3',
+    current: true,
+    submitter: { displayName: 'Alice' },
+    createdAt: '2021-03-01T00:00:00Z'
+  },
+  {
+    instanceId: 'v2',
+    current: false,
+    submitter: { displayName: 'Bob' },
+    createdAt: '2021-02-01T00:00:00Z'
+  },
+  {
+    instanceId: 'v1',
+    current: false,
+    submitter: { displayName: 'Alice' },
+    createdAt: '2021-01-01T00:00:00Z'
+  }
+];
+const mountComponent = () => mount(SubmissionVersions, {
+  requestData: { submissionVersions: versions }
+});
+
+const check = async (component, index) => {
+  const checkbox = component.findAll('input[type="checkbox"]').at(index);
+  checkbox.element.checked = true;
+  await checkbox.trigger('change');
+};
+
+describe('SubmissionVersions', () => {
+  it('shows a row for each version', () => {
+    const rows = mountComponent().findAll('tbody tr');
+    rows.length.should.equal(3);
+    rows.at(0).get('.instance-id').text().should.equal('v3 Current');
+    rows.at(1).get('.instance-id').text().should.equal('v2');
+  });
+
+  it('disables the compare button until two versions are selected', async () => {
+    const component = mountComponent();
+    const button = component.get('#submission-versions-compare-button');
+    button.attributes().disabled.should.equal('disabled');
+    await check(component, 0);
+    button.attributes().disabled.should.equal('disabled');
+    await check(component, 2);
+    should.not.exist(button.attributes().disabled);
+  });
+
+  it('disables the other checkboxes once two versions are selected', async () => {
+    const component = mountComponent();
+    await check(component, 0);
+    await check(component, 1);
+    const checkboxes = component.findAll('input[type="checkbox"]');
+    should.not.exist(checkboxes.at(1).attributes().disabled);
+    checkboxes.at(2).attributes().disabled.should.equal('disabled');
+  });
+
+  it('emits the selected versions from older to newer', async () => {
+    const component = mountComponent();
+    await check(component, 0);
+    await check(component, 2);
+    await component.get('#submission-versions-compare-button').trigger('click');
+    const [compared] = component.emitted().compare[0];
+    compared.map(version => version.instanceId).should.eql(['v1', 'v3']);
+  });
+
+  it('emits a view event', async () => {
+    const component = mountComponent();
+    await component.findAll('.btn-link').at(1).trigger('click');
+    component.emitted().view[0][0].instanceId.should.equal('v2');
+  });
+});
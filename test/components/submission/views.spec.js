@@ -0,0 +1,110 @@
+import SubmissionViews from '../../../src/components/submission/views.vue';
+import SubmissionViewsSave from '../../../src/components/submission/views/save.vue';
+
+import { readSubmissionViews, writeSubmissionViews } from '../../../src/util/submission-views';
+
+import testData from '../../data';
+import { mockLogin } from '../../util/session';
+import { mount } from '../../util/lifecycle';
+
+const userId = () => testData.extendedUsers.first().id;
+const writeViews = (views, defaultView = null) => {
+  writeSubmissionViews(userId(), '1', 'f', { views, defaultView });
+};
+const readViews = () => readSubmissionViews(userId(), '1', 'f');
+
+const mountComponent = (query = {}) => mount(SubmissionViews, {
+  propsData: { projectId: '1', xmlFormId: 'f', query }
+});
+
+const approved = { name: 'Approved', query: { reviewState: ['approved'] } };
+const rejected = { name: 'Rejected', query: { reviewState: ['rejected'] } };
+
+describe('SubmissionViews', () => {
+  beforeEach(mockLogin);
+
+  it('lists the saved views', () => {
+    writeViews([approved, rejected], 'Rejected');
+    const views = mountComponent().findAll('.submission-views-view');
+    views.length.should.equal(2);
+    views.at(0).get('.view-name').text().should.equal('Approved');
+    views.at(1).get('.default-view').text().should.equal('(default)');
+  });
+
+  it('shows the name of the active view', () => {
+    writeViews([approved]);
+    const component = mountComponent({ reviewState: 'approved' });
+    const toggle = component.get('#submission-views-toggle');
+    toggle.text().should.equal('Approved');
+    component.get('.submission-views-view').classes('active').should.be.true();
+  });
+
+  it('emits an apply event after a view is clicked', async () => {
+    writeViews([approved]);
+    const component = mountComponent();
+    await component.get('.submission-views-view a').trigger('click');
+    const { apply } = component.emitted();
+    apply.length.should.equal(1);
+    const [[query]] = apply;
+    Object.keys(query).should.eql(['reviewState']);
+    [...query.reviewState].should.eql(['approved']);
+  });
+
+  it('saves the current view', async () => {
+    const component = mountComponent({ reviewState: ['rejected'] });
+    await component.get('#submission-views-save-button').trigger('click');
+    const modal = component.getComponent(SubmissionViewsSave);
+    modal.props().state.should.be.true();
+    await modal.get('input').setValue('Rejected');
+    await modal.get('input[type="checkbox"]').setChecked();
+    await modal.get('form').trigger('submit');
+    readViews().should.eql({ views: [rejected], defaultView: 'Rejected' });
+    modal.props().state.should.be.false();
+    component.findAll('.submission-views-view').length.should.equal(1);
+  });
+
+  it('replaces a view with the same name', async () => {
+    writeViews([approved]);
+    const component = mountComponent({ reviewState: ['rejected'] });
+    await component.get('#submission-views-save-button').trigger('click');
+    const modal = component.getComponent(SubmissionViewsSave);
+    await modal.get('input').setValue('Approved');
+    modal.get('.help-block').text().should.containEql('will be replaced');
+    await modal.get('form').trigger('submit');
+    readViews().views.should.eql([
+      { name: 'Approved', query: { reviewState: ['rejected'] } }
+    ]);
+  });
+
+  it('renames a view', async () => {
+    writeViews([approved, rejected], 'Approved');
+    const component = mountComponent();
+    await component.get('.submission-views-view .edit-button').trigger('click');
+    const modal = component.getComponent(SubmissionViewsSave);
+    modal.get('input').element.value.should.equal('Approved');
+    modal.get('input[type="checkbox"]').element.checked.should.be.true();
+    await modal.get('input').setValue('Approved only');
+    await modal.get('form').trigger('submit');
+    readViews().should.eql({
+      views: [{ ...approved, name: 'Approved only' }, rejected],
+      defaultView: 'Approved only'
+    });
+  });
+
+  it('does not allow a view to be renamed to the name of another view', async () => {
+    writeViews([approved, rejected]);
+    const component = mountComponent();
+    await component.get('.submission-views-view .edit-button').trigger('click');
+    const modal = component.getComponent(SubmissionViewsSave);
+    await modal.get('input').setValue('Rejected');
+    modal.get('.btn-primary').attributes().disabled.should.equal('disabled');
+  });
+
+  it('deletes a view', async () => {
+    writeViews([approved, rejected], 'Approved');
+    const component = mountComponent();
+    await component.get('.submission-views-view .delete-button').trigger('click');
+    readViews().should.eql({ views: [rejected], defaultView: null });
+    component.findAll('.submission-views-view').length.should.equal(1);
+  });
+});
@@ -20,6 +20,8 @@ export const fields = map(
     time: { type: 'time' },
     dateTime: { type: 'dateTime' },
     geopoint: { type: 'geopoint' },
+    geotrace: { type: 'geotrace' },
+    geoshape: { type: 'geoshape' },
     binary: { type: 'binary', binary: true }
   }
 );
@@ -285,3 +285,31 @@ extendedFormDrafts.publish = (index) => {
     publishedBy: toActor(extendedUsers.first())
   });
 };
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// FORM DEFINITION
+
+/*
+Returns the XML of a form definition. The definition includes a question for
+each field path in `labels`, which maps field paths to labels, and a select
+question for each field path in `choices`, which maps field paths to objects
+that map choice names to labels. The form definition does not have
+translations.
+*/
+export const formXml = ({ labels = {}, choices = {} } = {}) => {
+  const paths = [...new Set([...Object.keys(labels), ...Object.keys(choices)])];
+  const body = paths.map(path => {
+    const label = labels[path] != null ? `<label>${labels[path]}</label>` : '';
+    if (choices[path] == null) return `<input ref="/data${path}">${label}</input>`;
+    const items = Object.entries(choices[path])
+      .map(([name, text]) => `<item><label>${text}</label><value>${name}</value></item>`)
+      .join('');
+    return `<select1 ref="/data${path}">${label}${items}</select1>`;
+  });
+  return `<h:html xmlns="http://www.w3.org/2002/xforms" xmlns:h="http://www.w3.org/1999/xhtml">
+  <h:head><model><instance><data/></instance></model></h:head>
+  <h:body>${body.join('')}</h:body>
+</h:html>`;
+};
@@ -12,10 +12,14 @@ export const standardKeys = dataStore({
     lastCreatedAt,
 
     managed = faker.random.boolean(),
-    hint = managed && faker.random.boolean() ? 'helpful hint' : null
+    hint = managed && faker.random.boolean() ? 'helpful hint' : null,
+    // The encrypted private key of a managed key. See importManagedKey() in
+    // util/decryption.js.
+    encryptedPrivateKey = null
   }) => ({
     id,
     get public() { throw new Error('not implemented'); },
+    private: encryptedPrivateKey,
     managed,
     hint,
     createdAt: inPast ? fakePastDate([lastCreatedAt]) : new Date().toISOString()
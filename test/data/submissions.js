@@ -42,6 +42,10 @@ const odataValue = (field, instanceId) => {
     }
     case 'geopoint':
       return 'POINT (0 90)';
+    case 'geotrace':
+      return 'LINESTRING (0 0 0, 1 1 0)';
+    case 'geoshape':
+      return 'POLYGON ((0 0 0, 1 0 0, 1 1 0, 0 0 0))';
     case 'binary':
       return faker.system.commonFileName('jpg');
     case null:
@@ -150,6 +154,30 @@ export const standardSubmissions = view(
   omit(['submitter'])
 );
 
+const escapeXml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+const xmlElements = (data) => Object.entries(data)
+  .filter(([name]) => !name.startsWith('__') && !name.includes('@'))
+  .map(([name, value]) => {
+    // An array is a repeat group.
+    const values = Array.isArray(value) ? value : [value];
+    return values.map(v => {
+      if (v == null) return `<${name}/>`;
+      const content = typeof v === 'object'
+        ? xmlElements(v)
+        : escapeXml(v.toString());
+      return `<${name}>${content}</${name}>`;
+    }).join('');
+  })
+  .join('');
+
+// Converts the OData of a submission to submission XML. The OData may specify
+// the data of a repeat group as an array.
+export const submissionXml = (submission = extendedSubmissions.last()) =>
+  `<data id="${extendedForms.last().xmlFormId}">${xmlElements(submission._odata)}</data>`;
+
 // Converts submission response objects to OData. Returns all data even for
 // encrypted submissions.
 export const submissionOData = (top = 250, skip = 0) => ({
@@ -65,6 +65,8 @@ afterEach(() => {
 afterEach(() => {
   store.commit('resetAlert');
   store.commit('resetConfig');
+  store.commit('clearPrivateKeys');
+  store.commit('clearPrintSelection');
   store.commit('resetRequests');
   store.commit('clearData');
   store.commit('resetRouterState');
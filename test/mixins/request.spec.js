@@ -76,6 +76,19 @@ describe('mixins/request', () => {
         .afterResponse(component => {
           component.should.alert('danger', 'Message for locale');
         }));
+
+    it('does not show an alert if alert is false', () =>
+      mockHttp()
+        .mount(TestUtilRequest)
+        .request(component => component.vm.request({
+          method: 'GET',
+          url: '/v1/projects/1',
+          alert: false
+        }).catch(noop))
+        .respondWithProblem()
+        .afterResponse(component => {
+          component.should.not.alert();
+        }));
   });
 
   describe('fulfillProblem', () => {
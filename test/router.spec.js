@@ -132,12 +132,15 @@ describe('router', () => {
       '/projects/1/forms/f',
       '/projects/1/forms/f/versions',
       '/projects/1/forms/f/submissions',
+      '/projects/1/forms/f/summary',
       '/projects/1/forms/f/public-links',
       '/projects/1/forms/f/settings',
       '/projects/1/forms/f/draft',
       '/projects/1/forms/f/draft/attachments',
       '/projects/1/forms/f/draft/testing',
       '/projects/1/forms/f/submissions/s',
+      '/projects/1/forms/f/submissions/s/print',
+      '/projects/1/forms/f/print',
       '/users',
       // The redirect should pass through the query string and hash.
       '/users?x=y#z',
@@ -505,6 +508,11 @@ describe('router', () => {
           app.vm.$route.path.should.equal('/projects/1/forms/f/submissions');
         });
 
+        it('does not redirect the user from .../summary', async () => {
+          const app = await load('/projects/1/forms/f/summary');
+          app.vm.$route.path.should.equal('/projects/1/forms/f/summary');
+        });
+
         it('redirects the user from .../public-links', () =>
           load('/projects/1/forms/f/public-links')
             .respondFor('/', { users: false })
@@ -564,6 +572,7 @@ describe('router', () => {
         '/projects/1/forms/f',
         '/projects/1/forms/f/versions',
         '/projects/1/forms/f/submissions',
+        '/projects/1/forms/f/summary',
         '/projects/1/forms/f/public-links',
         '/projects/1/forms/f/settings',
         '/projects/1/forms/f/draft',
@@ -637,6 +646,14 @@ describe('router', () => {
             app.vm.$route.path.should.equal('/');
           }));
 
+      it('redirects the user from .../summary', () =>
+        // The component is destroyed before it requests the submissions.
+        load('/projects/1/forms/f/summary', {}, { summaryChunk: false })
+          .respondFor('/')
+          .afterResponses(app => {
+            app.vm.$route.path.should.equal('/');
+          }));
+
       it('redirects the user from .../public-links', () =>
         load('/projects/1/forms/f/public-links')
           .respondFor('/')
@@ -912,6 +929,11 @@ describe('router', () => {
       document.title.should.equal('Submissions | My Form Name | ODK Central');
     });
 
+    it('shows form name in title for <form url>/summary', async () => {
+      await load('/projects/1/forms/f1/summary');
+      document.title.should.equal('Summary | My Form Name | ODK Central');
+    });
+
     it('shows form name in title for <form url>/public-links', async () => {
       await load('/projects/1/forms/f1/public-links');
       document.title.should.equal('Public Access | My Form Name | ODK Central');
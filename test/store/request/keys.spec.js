@@ -30,7 +30,7 @@ describe('store/modules/request/keys', () => {
         selectablePaths([string('/instanceID'), int('/i')]).should.eql(['/i']);
       });
 
-      it('filters out repeat groups', () => {
+      it('returns a repeat group, but not the fields within it', () => {
         const selectable = selectablePaths([
           /* eslint-disable indent */
           int('/int1'),
@@ -48,14 +48,16 @@ describe('store/modules/request/keys', () => {
         ]);
         selectable.should.eql([
           '/int1',
+          '/repeat1',
           '/int4',
           '/group1/int5',
+          '/group1/repeat3',
           '/group1/int7'
         ]);
       });
 
       it('returns an empty array if there are no selectable fields', () => {
-        selectablePaths([repeat('/r'), int('/r/i')]).length.should.equal(0);
+        selectablePaths([group('/g')]).length.should.equal(0);
       });
     });
   });
@@ -0,0 +1,211 @@
+import { auditLogStatistics, fieldPath, isChange, medianQuestionTimes, parseAuditLog, parseCsv, questionTimes } from '../../src/util/audit-log';
+
+const csv = (rows) => rows.map(row => row.join(',')).join('\n');
+
+describe('util/audit-log', () => {
+  describe('parseCsv()', () => {
+    it('parses rows and columns', () => {
+      parseCsv('a,b\nc,d\n').should.eql([['a', 'b'], ['c', 'd']]);
+    });
+
+    it('parses a row without a final newline', () => {
+      parseCsv('a,b\nc,d').should.eql([['a', 'b'], ['c', 'd']]);
+    });
+
+    it('parses CRLF line endings', () => {
+      parseCsv('a,b\r\nc,d\r\n').should.eql([['a', 'b'], ['c', 'd']]);
+    });
+
+    it('parses quoted values', () => {
+      parseCsv('"a,b","c ""d""","e\nf"').should.eql([
+        ['a,b', 'c "d"', 'e\nf']
+      ]);
+    });
+
+    it('parses empty values', () => {
+      parseCsv('a,,b\n').should.eql([['a', '', 'b']]);
+    });
+  });
+
+  describe('parseAuditLog()', () => {
+    it('parses the events', () => {
+      const { events } = parseAuditLog(csv([
+        ['event', 'node', 'start', 'end'],
+        ['form start', '', '1000', ''],
+        ['question', '/data/q1', '1000', '3000']
+      ]));
+      events.length.should.equal(2);
+      events[0].should.eql({
+        event: 'form start',
+        node: null,
+        start: 1000,
+        end: null,
+        duration: null,
+        latitude: null,
+        longitude: null,
+        accuracy: null,
+        oldValue: null,
+        newValue: null,
+        user: null,
+        changeReason: null,
+        back: false
+      });
+      events[1].node.should.equal('/data/q1');
+      events[1].duration.should.equal(2000);
+    });
+
+    it('returns null if a required column is missing', () => {
+      should.not.exist(parseAuditLog('event,node,start\nform start,,1000'));
+    });
+
+    it('returns null for text that is not a string', () => {
+      should.not.exist(parseAuditLog(null));
+    });
+
+    it('removes a byte order mark', () => {
+      const auditLog = parseAuditLog('\uFEFFevent,node,start,end\njump,,1,2');
+      auditLog.events.length.should.equal(1);
+    });
+
+    it('parses location columns', () => {
+      const auditLog = parseAuditLog(csv([
+        ['event', 'node', 'start', 'end', 'latitude', 'longitude', 'accuracy'],
+        ['question', '/data/q1', '1', '2', '1.5', '2.5', '10'],
+        ['question', '/data/q2', '2', '3', '', '', '']
+      ]));
+      auditLog.hasLocation.should.be.true();
+      auditLog.events[0].latitude.should.equal(1.5);
+      auditLog.events[0].longitude.should.equal(2.5);
+      auditLog.events[0].accuracy.should.equal(10);
+      should.not.exist(auditLog.events[1].latitude);
+    });
+
+    it('parses change tracking columns', () => {
+      const auditLog = parseAuditLog(csv([
+        ['event', 'node', 'start', 'end', 'old-value', 'new-value', 'user', 'change-reason'],
+        ['question', '/data/q1', '1', '2', 'a', 'b', 'alice', 'typo']
+      ]));
+      auditLog.hasChanges.should.be.true();
+      auditLog.hasLocation.should.be.false();
+      auditLog.events[0].should.containEql({
+        oldValue: 'a',
+        newValue: 'b',
+        user: 'alice',
+        changeReason: 'typo'
+      });
+    });
+
+    it('detects back navigation', () => {
+      const { events } = parseAuditLog(csv([
+        ['event', 'node', 'start', 'end'],
+        ['question', '/data/q1', '1', '2'],
+        ['question', '/data/q2', '2', '3'],
+        ['question', '/data/q1', '3', '4'],
+        ['question', '/data/q2', '4', '5']
+      ]));
+      events.map(({ back }) => back).should.eql([false, false, true, false]);
+    });
+
+    it('does not count a resumed form as back navigation', () => {
+      const { events } = parseAuditLog(csv([
+        ['event', 'node', 'start', 'end'],
+        ['question', '/data/q1', '1', '2'],
+        ['question', '/data/q2', '2', '3'],
+        ['form exit', '', '3', ''],
+        ['form resume', '', '10', ''],
+        ['question', '/data/q1', '10', '11']
+      ]));
+      events.some(({ back }) => back).should.be.false();
+    });
+  });
+
+  describe('isChange()', () => {
+    it('returns true if an answer was changed', () => {
+      isChange({ oldValue: 'a', newValue: 'b' }).should.be.true();
+      isChange({ oldValue: 'a', newValue: null }).should.be.true();
+    });
+
+    it('returns false if an answer was first given', () => {
+      isChange({ oldValue: null, newValue: 'a' }).should.be.false();
+    });
+
+    it('returns false if an answer did not change', () => {
+      isChange({ oldValue: 'a', newValue: 'a' }).should.be.false();
+    });
+  });
+
+  describe('fieldPath()', () => {
+    it('removes the root element and repeat positions', () => {
+      fieldPath('/data/r[2]/q').should.equal('/r/q');
+      fieldPath('/data/q').should.equal('/q');
+    });
+  });
+
+  describe('questionTimes()', () => {
+    const auditLog = parseAuditLog(csv([
+      ['event', 'node', 'start', 'end'],
+      ['question', '/data/q1', '0', '1000'],
+      ['question', '/data/r[1]/q2', '1000', '3000'],
+      ['question', '/data/r[2]/q2', '3000', '6000'],
+      ['question', '/data/q1', '6000', '6500'],
+      ['form exit', '', '6500', '']
+    ]));
+
+    it('returns the total time spent on each question', () => {
+      questionTimes(auditLog).should.eql([
+        { node: '/data/q1', duration: 1500 },
+        { node: '/data/r[1]/q2', duration: 2000 },
+        { node: '/data/r[2]/q2', duration: 3000 }
+      ]);
+    });
+
+    it('combines repeat instances', () => {
+      questionTimes(auditLog, true).should.eql([
+        { node: '/q1', duration: 1500 },
+        { node: '/r/q2', duration: 5000 }
+      ]);
+    });
+  });
+
+  describe('auditLogStatistics()', () => {
+    it('returns the correct statistics', () => {
+      const auditLog = parseAuditLog(csv([
+        ['event', 'node', 'start', 'end', 'old-value', 'new-value'],
+        ['form start', '', '1000', '', '', ''],
+        ['question', '/data/q1', '1000', '2000', '', 'a'],
+        ['question', '/data/q2', '2000', '4000', '', 'b'],
+        ['question', '/data/q1', '4000', '5000', 'a', 'c'],
+        ['form exit', '', '5000', '', '', ''],
+        ['form resume', '', '9000', '', '', ''],
+        ['form finalize', '', '10000', '', '', '']
+      ]));
+      auditLogStatistics(auditLog).should.eql({
+        duration: 9000,
+        questionDuration: 4000,
+        sessions: 2,
+        backNavigations: 1,
+        changes: 1
+      });
+    });
+
+    it('returns 0 for the duration if there are no timestamps', () => {
+      const auditLog = parseAuditLog('event,node,start,end\njump,,,');
+      auditLogStatistics(auditLog).duration.should.equal(0);
+    });
+  });
+
+  describe('medianQuestionTimes()', () => {
+    it('returns the median time per question', () => {
+      const auditLogs = [[1000, 2000], [3000, 4000], [5000]].map(durations =>
+        parseAuditLog(csv([
+          ['event', 'node', 'start', 'end'],
+          ...durations.map((duration, i) =>
+            ['question', `/data/q${i + 1}`, '0', duration.toString()])
+        ])));
+      medianQuestionTimes(auditLogs).should.eql([
+        { node: '/q1', median: 3000, count: 3 },
+        { node: '/q2', median: 3000, count: 2 }
+      ]);
+    });
+  });
+});
@@ -1,6 +1,6 @@
 import { DateTime } from 'luxon';
 
-import { formatDate, formatDateTime, formatTime } from '../../src/util/date-time';
+import { formatDate, formatDateTime, formatDuration, formatTime } from '../../src/util/date-time';
 import { setLuxon } from '../util/date-time';
 
 // Array of test cases
@@ -210,4 +210,19 @@ describe('util/date-time', () => {
       formatDateTime(dateTime, true).should.equal('Invalid DateTime');
     });
   });
+
+  describe('formatDuration()', () => {
+    it('returns seconds for a short duration', () => {
+      formatDuration(0).should.equal('0 s');
+      formatDuration(5400).should.equal('5 s');
+    });
+
+    it('returns minutes and seconds', () => {
+      formatDuration(125000).should.equal('2 min 5 s');
+    });
+
+    it('returns hours and minutes for a long duration', () => {
+      formatDuration(3 * 3600000 + 61000).should.equal('3 h 1 min');
+    });
+  });
 });
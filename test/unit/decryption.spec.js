@@ -0,0 +1,219 @@
+import Field from '../../src/presenters/field';
+import { createDecryptor, decryptedFilename, decryptedOData, importManagedKey, importPrivateKey, md5, parseEnvelope } from '../../src/util/decryption';
+
+import testData from '../data';
+import { collectSubmission, encryptSubmission, testKeys } from '../util/encryption';
+
+const { int, decimal, string, geopoint, geotrace, group, repeat } = testData.fields;
+
+const hex = (bytes) => [...bytes]
+  .map(byte => byte.toString(16).padStart(2, '0'))
+  .join('');
+const decode = (bytes) => new TextDecoder().decode(bytes);
+const base64ToBuffer = (base64) =>
+  Uint8Array.from(atob(base64), char => char.charCodeAt(0)).buffer;
+
+describe('util/decryption', () => {
+  describe('md5()', () => {
+    it('returns the correct hash', () => {
+      const encoder = new TextEncoder();
+      hex(md5(encoder.encode(''))).should.equal('d41d8cd98f00b204e9800998ecf8427e');
+      hex(md5(encoder.encode('abc'))).should.equal('900150983cd24fb0d6963f7d28e17f72');
+      hex(md5(encoder.encode('The quick brown fox jumps over the lazy dog')))
+        .should.equal('9e107d9d372bb6826bd81d3542a419d6');
+    });
+
+    it('returns the correct hash for input longer than a block', () => {
+      const bytes = new TextEncoder().encode('a'.repeat(100));
+      hex(md5(bytes)).should.equal('36a92cc94a9e0fa21f625f8bfb007adf');
+    });
+  });
+
+  describe('importPrivateKey()', () => {
+    it('imports a PKCS #1 key', async () => {
+      const key = await importPrivateKey(testKeys.pkcs1);
+      key.type.should.equal('private');
+      key.algorithm.name.should.equal('RSA-OAEP');
+    });
+
+    it('imports a PKCS #8 key', async () => {
+      const key = await importPrivateKey(testKeys.pkcs8);
+      key.type.should.equal('private');
+    });
+
+    it('imports an encrypted PKCS #8 key', async () => {
+      const key = await importPrivateKey(testKeys.encryptedPkcs8, 'secret');
+      key.type.should.equal('private');
+    });
+
+    it('rejects if the passphrase is incorrect', () =>
+      importPrivateKey(testKeys.encryptedPkcs8, 'wrong').should.be.rejected());
+
+    it('rejects if the file is not a PEM private key', async () => {
+      await importPrivateKey('foo').should.be.rejected();
+      await importPrivateKey(testKeys.publicKey).should.be.rejected();
+    });
+  });
+
+  describe('importManagedKey()', () => {
+    it('imports the key with the passphrase', async () => {
+      const key = await importManagedKey(testKeys.managed, 'secret');
+      key.type.should.equal('private');
+      key.algorithm.name.should.equal('RSA-OAEP');
+    });
+
+    it('rejects if the passphrase is incorrect', () =>
+      importManagedKey(testKeys.managed, 'wrong').should.be.rejected());
+  });
+
+  describe('parseEnvelope()', () => {
+    it('returns the properties of the envelope', async () => {
+      const { envelope } = await encryptSubmission({
+        instanceId: 'uuid:1',
+        xml: '<data/>',
+        media: { 'a.jpg': 'a', 'b.jpg': 'b' }
+      });
+      const result = parseEnvelope(envelope);
+      result.instanceId.should.equal('uuid:1');
+      result.encryptedKey.should.be.a.String();
+      result.xmlFile.should.equal('submission.xml.enc');
+      result.media.should.eql(['a.jpg.enc', 'b.jpg.enc']);
+    });
+
+    it('returns null if the XML is not an envelope', () => {
+      should.not.exist(parseEnvelope('<data><s>x</s></data>'));
+    });
+  });
+
+  it('decryptedFilename() removes the .enc extension', () => {
+    decryptedFilename('a.jpg.enc').should.equal('a.jpg');
+    decryptedFilename('a.jpg').should.equal('a.jpg');
+  });
+
+  describe('createDecryptor()', () => {
+    it('decrypts the submission XML and the media files', async () => {
+      const { envelope, files } = await encryptSubmission({
+        instanceId: 'uuid:1',
+        xml: '<data><s>x</s></data>',
+        media: { 'a.jpg': 'a', 'b.jpg': 'b'.repeat(100) }
+      });
+      const privateKey = await importPrivateKey(testKeys.pkcs8);
+      const decryptor = await createDecryptor([privateKey], parseEnvelope(envelope));
+      decode(await decryptor.decryptFile('submission.xml.enc', files['submission.xml.enc']))
+        .should.equal('<data><s>x</s></data>');
+      decode(await decryptor.decryptFile('a.jpg.enc', files['a.jpg.enc']))
+        .should.equal('a');
+      decode(await decryptor.decryptFile('b.jpg.enc', files['b.jpg.enc']))
+        .should.equal('b'.repeat(100));
+    });
+
+    it('decrypts a submission that was encrypted outside the browser', async () => {
+      const { envelope, files } = collectSubmission;
+      const privateKey = await importPrivateKey(testKeys.pkcs1);
+      const decryptor = await createDecryptor([privateKey], parseEnvelope(envelope));
+      const xml = await decryptor.decryptFile(
+        'submission.xml.enc',
+        base64ToBuffer(files['submission.xml.enc'])
+      );
+      decode(xml).should.equal('<data id="f"><s>Collect</s></data>');
+      const photo = await decryptor.decryptFile(
+        'photo.jpg.enc',
+        base64ToBuffer(files['photo.jpg.enc'])
+      );
+      decode(photo).should.equal('photo');
+    });
+
+    it('decrypts a submission using a managed key', async () => {
+      const { envelope, files } = collectSubmission;
+      const privateKey = await importManagedKey(testKeys.managed, 'secret');
+      const decryptor = await createDecryptor([privateKey], parseEnvelope(envelope));
+      const xml = await decryptor.decryptFile(
+        'submission.xml.enc',
+        base64ToBuffer(files['submission.xml.enc'])
+      );
+      decode(xml).should.equal('<data id="f"><s>Collect</s></data>');
+    });
+
+    it('rejects if no key can decrypt the submission', async () => {
+      const { envelope } = await encryptSubmission({
+        instanceId: 'uuid:1',
+        xml: '<data/>'
+      });
+      const { privateKey } = await window.crypto.subtle.generateKey(
+        {
+          name: 'RSA-OAEP',
+          modulusLength: 1024,
+          publicExponent: new Uint8Array([1, 0, 1]),
+          hash: 'SHA-256'
+        },
+        false,
+        ['encrypt', 'decrypt']
+      );
+      await createDecryptor([privateKey], parseEnvelope(envelope))
+        .should.be.rejected();
+    });
+
+    it('tries each key', async () => {
+      const { envelope, files } = await encryptSubmission({
+        instanceId: 'uuid:1',
+        xml: '<data/>'
+      });
+      const { privateKey } = await window.crypto.subtle.generateKey(
+        {
+          name: 'RSA-OAEP',
+          modulusLength: 1024,
+          publicExponent: new Uint8Array([1, 0, 1]),
+          hash: 'SHA-256'
+        },
+        false,
+        ['encrypt', 'decrypt']
+      );
+      const testKey = await importPrivateKey(testKeys.pkcs1);
+      const decryptor = await createDecryptor(
+        [privateKey, testKey],
+        parseEnvelope(envelope)
+      );
+      decode(await decryptor.decryptFile('submission.xml.enc', files['submission.xml.enc']))
+        .should.equal('<data/>');
+    });
+  });
+
+  describe('decryptedOData()', () => {
+    const odata = { __id: 'uuid:1', __system: { status: 'NotDecrypted' } };
+
+    it('returns the values of the fields', () => {
+      const fields = [int('/i'), decimal('/d'), string('/s'), group('/g'), string('/g/s')]
+        .map(field => new Field(field));
+      const xml = '<data><i>1</i><d>2.5</d><s>x</s><g><s>y</s></g></data>';
+      decryptedOData(xml, fields, odata).should.eql({
+        __id: 'uuid:1',
+        __system: { status: 'NotDecrypted', decrypted: true },
+        i: 1,
+        d: 2.5,
+        s: 'x',
+        g: { s: 'y' }
+      });
+    });
+
+    it('returns geo values as WKT', () => {
+      const fields = [geopoint('/p'), geotrace('/t')].map(field => new Field(field));
+      const xml = '<data><p>1 2 3 4</p><t>1 2;3 4</t></data>';
+      const result = decryptedOData(xml, fields, odata);
+      result.p.should.equal('POINT (2 1 3)');
+      result.t.should.equal('LINESTRING (2 1, 4 3)');
+    });
+
+    it('skips empty values and repeat groups', () => {
+      const fields = [string('/s'), repeat('/r'), string('/r/s')]
+        .map(field => new Field(field));
+      const xml = '<data><s></s><r><s>x</s></r></data>';
+      const result = decryptedOData(xml, fields, odata);
+      should.not.exist(result.s);
+      should.not.exist(result.r);
+    });
+
+    it('returns null if the XML cannot be parsed', () => {
+      should.not.exist(decryptedOData('<data>', [], odata));
+    });
+  });
+});
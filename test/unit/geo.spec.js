@@ -0,0 +1,102 @@
+import { clusterPoints, isGeoField, parseOdkGeometry, parseWkt } from '../../src/util/geo';
+
+describe('util/geo', () => {
+  describe('isGeoField()', () => {
+    it('returns true for a geo field', () => {
+      isGeoField({ type: 'geopoint' }).should.be.true();
+      isGeoField({ type: 'geotrace' }).should.be.true();
+      isGeoField({ type: 'geoshape' }).should.be.true();
+    });
+
+    it('returns false for a field of another type', () => {
+      isGeoField({ type: 'string' }).should.be.false();
+    });
+  });
+
+  describe('parseWkt()', () => {
+    it('parses a point', () => {
+      parseWkt('POINT (-122.3 47.6 12.5 5)').should.eql({
+        type: 'Point',
+        coordinates: [-122.3, 47.6]
+      });
+    });
+
+    it('parses a point without altitude', () => {
+      parseWkt('POINT (1 2)').should.eql({ type: 'Point', coordinates: [1, 2] });
+    });
+
+    it('parses a line string', () => {
+      parseWkt('LINESTRING (0 0 0, 1 1 0, 2 0 0)').should.eql({
+        type: 'LineString',
+        coordinates: [[0, 0], [1, 1], [2, 0]]
+      });
+    });
+
+    it('parses a polygon', () => {
+      parseWkt('POLYGON ((0 0 0, 1 0 0, 1 1 0, 0 0 0))').should.eql({
+        type: 'Polygon',
+        coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]]
+      });
+    });
+
+    it('returns null for a value that cannot be parsed', () => {
+      should.not.exist(parseWkt(null));
+      should.not.exist(parseWkt(''));
+      should.not.exist(parseWkt('POINT (x 1)'));
+      should.not.exist(parseWkt('POINT (200 1)'));
+      should.not.exist(parseWkt('LINESTRING (0 0)'));
+      should.not.exist(parseWkt('POLYGON ((0 0, 1 1, 0 0))'));
+      should.not.exist(parseWkt('MULTIPOINT ((0 0), (1 1))'));
+    });
+  });
+
+  describe('parseOdkGeometry()', () => {
+    it('parses a geopoint', () => {
+      parseOdkGeometry('47.6 -122.3 12.5 5', 'geopoint').should.eql({
+        type: 'Point',
+        coordinates: [-122.3, 47.6]
+      });
+    });
+
+    it('parses a geotrace', () => {
+      parseOdkGeometry('1 2 0 0;3 4 0 0;', 'geotrace').should.eql({
+        type: 'LineString',
+        coordinates: [[2, 1], [4, 3]]
+      });
+    });
+
+    it('parses a geoshape', () => {
+      parseOdkGeometry('0 0 0 0;0 1 0 0;1 1 0 0;0 0 0 0', 'geoshape').should.eql({
+        type: 'Polygon',
+        coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]]
+      });
+    });
+
+    it('returns null for an empty value', () => {
+      should.not.exist(parseOdkGeometry('', 'geopoint'));
+    });
+
+    it('returns null for an invalid value', () => {
+      should.not.exist(parseOdkGeometry('a b', 'geopoint'));
+      should.not.exist(parseOdkGeometry('100 0', 'geopoint'));
+      should.not.exist(parseOdkGeometry('1 2 0 0', 'geotrace'));
+    });
+  });
+
+  describe('clusterPoints()', () => {
+    it('groups points in the same cell', () => {
+      const points = [{ x: 10, y: 10 }, { x: 30, y: 50 }, { x: 70, y: 10 }];
+      const clusters = clusterPoints(points, 60);
+      clusters.length.should.equal(2);
+      clusters[0].points.should.eql([points[0], points[1]]);
+      clusters[0].x.should.equal(20);
+      clusters[0].y.should.equal(30);
+      clusters[1].points.should.eql([points[2]]);
+      clusters[1].x.should.equal(70);
+    });
+
+    it('returns an empty array if there are no points', () => {
+      clusterPoints([], 60).should.eql([]);
+    });
+  });
+});
@@ -0,0 +1,32 @@
+import { readLabelLanguage, writeLabelLanguage } from '../../src/util/label-language';
+
+describe('util/label-language', () => {
+  describe('readLabelLanguage()', () => {
+    it('returns undefined if nothing has been stored', () => {
+      should(readLabelLanguage('1', 'f')).be.undefined();
+    });
+
+    it('returns the language that was written', () => {
+      writeLabelLanguage('1', 'f', 'French');
+      readLabelLanguage('1', 'f').should.equal('French');
+    });
+
+    it('returns null if names were chosen', () => {
+      writeLabelLanguage('1', 'f', null);
+      should(readLabelLanguage('1', 'f')).be.null();
+    });
+
+    it('stores the language separately for each form', () => {
+      writeLabelLanguage('1', 'f', 'French');
+      should(readLabelLanguage('2', 'f')).be.undefined();
+      should(readLabelLanguage('1', 'g')).be.undefined();
+    });
+
+    it('returns undefined if what is stored cannot be read', () => {
+      localStorage.setItem('submissionLabels:1:f', '{');
+      should(readLabelLanguage('1', 'f')).be.undefined();
+      localStorage.setItem('submissionLabels:1:f', '1');
+      should(readLabelLanguage('1', 'f')).be.undefined();
+    });
+  });
+});
@@ -0,0 +1,19 @@
+import { mediaType } from '../../src/util/media';
+
+describe('util/media', () => {
+  describe('mediaType()', () => {
+    it('returns the type of a file', () => {
+      mediaType('1619300000000.jpg').should.equal('image');
+      mediaType('photo.JPEG').should.equal('image');
+      mediaType('recording.m4a').should.equal('audio');
+      mediaType('recording.amr').should.equal('audio');
+      mediaType('clip.3gp').should.equal('video');
+      mediaType('clip.mp4').should.equal('video');
+    });
+
+    it('returns null for another type of file', () => {
+      should.not.exist(mediaType('data.csv'));
+      should.not.exist(mediaType('signature'));
+    });
+  });
+});
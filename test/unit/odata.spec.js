@@ -1,4 +1,8 @@
-import { instanceNameOrId } from '../../src/util/odata';
+import { DateTime } from 'luxon';
+
+import Field from '../../src/presenters/field';
+import { entitySet, fieldFilterCondition, fieldFilterOperators, filterConditions, formatValue, instanceNameOrId, isDefaultOrder, matchesSearch, navigationLink, odataFilter, odataOrderBy, odataSearchFilter, odataString, parentKey, searchSegments, sortSubmissions, tableFields } from '../../src/util/odata';
+import { parseXForm } from '../../src/util/xform';
 
 import testData from '../data';
 
@@ -40,4 +44,409 @@ describe('util/odata', () => {
       instanceNameOrId(testData.submissionOData().value[0]).should.equal('s');
     });
   });
+
+  describe('odataString()', () => {
+    it('escapes single quotes', () => {
+      odataString("it's").should.equal("'it''s'");
+    });
+  });
+
+  describe('fieldFilterOperators()', () => {
+    const operators = (field, choices = undefined) =>
+      fieldFilterOperators(new Field(field), choices);
+    const choices = [{ value: 'y', label: 'Yes' }];
+
+    it('returns the operators for a number field', () => {
+      operators(testData.fields.int('/i')).should.eql(['between']);
+      operators(testData.fields.decimal('/d')).should.eql(['between']);
+    });
+
+    it('returns the operators for a date field', () => {
+      operators(testData.fields.date('/d')).should.eql(['dateBetween']);
+      operators(testData.fields.dateTime('/dt')).should.eql(['dateBetween']);
+    });
+
+    it('returns the operators for a string field', () => {
+      operators(testData.fields.string('/s')).should.eql(['contains', 'eq']);
+    });
+
+    it('returns the operators for a select field', () => {
+      operators(testData.fields.string('/s'), choices).should.eql(['in']);
+      operators(testData.fields.selectMultiple('/s'), choices).should.eql(['has']);
+      operators(testData.fields.selectMultiple('/s')).should.eql(['contains']);
+    });
+
+    it('returns an empty array for a field that cannot be filtered', () => {
+      operators(testData.fields.binary('/b')).should.eql([]);
+      operators(testData.fields.geopoint('/g')).should.eql([]);
+    });
+  });
+
+  describe('fieldFilterCondition()', () => {
+    const condition = (field, operator, value) =>
+      fieldFilterCondition(new Field(field), { operator, value });
+
+    it('returns a condition for a range of numbers', () => {
+      const field = testData.fields.int('/g/i');
+      condition(field, 'between', [1, 2]).should.equal('g/i ge 1 and g/i le 2');
+      condition(field, 'between', [1, null]).should.equal('g/i ge 1');
+      condition(field, 'between', [null, 2]).should.equal('g/i le 2');
+      should.not.exist(condition(field, 'between', [null, null]));
+    });
+
+    it('returns a condition for a range of dates', () => {
+      const field = testData.fields.date('/d');
+      condition(field, 'dateBetween', ['2021-01-01', '2021-01-31'])
+        .should.equal('d ge 2021-01-01 and d le 2021-01-31');
+    });
+
+    it('returns a condition for a range of dateTimes', () => {
+      const field = testData.fields.dateTime('/dt');
+      const start = DateTime.fromISO('2021-01-01').toISO();
+      const end = DateTime.fromISO('2021-01-31').endOf('day').toISO();
+      condition(field, 'dateBetween', ['2021-01-01', '2021-01-31'])
+        .should.equal(`dt ge ${start} and dt le ${end}`);
+    });
+
+    it('returns a condition for choices', () => {
+      const field = testData.fields.string('/s');
+      condition(field, 'in', ['a', "b'"])
+        .should.equal("(s eq 'a' or s eq 'b''')");
+      condition(field, 'has', ['a', 'b'])
+        .should.equal("(contains(s,'a') or contains(s,'b'))");
+      should.not.exist(condition(field, 'in', []));
+    });
+
+    it('returns a condition for text', () => {
+      const field = testData.fields.string('/s');
+      condition(field, 'contains', 'abc').should.equal("contains(s,'abc')");
+      condition(field, 'eq', 'abc').should.equal("s eq 'abc'");
+      should.not.exist(condition(field, 'contains', ''));
+    });
+  });
+
+  describe('odataFilter()', () => {
+    const noFilters = {
+      submitterId: '',
+      submissionDate: [],
+      reviewState: [],
+      fieldConditions: [],
+      formVersion: '',
+      edited: null,
+      deviceId: '',
+      missingAttachments: null
+    };
+
+    it('returns null if there are no filters', () => {
+      should.not.exist(odataFilter(noFilters, []));
+    });
+
+    it('combines the conditions', () => {
+      const fields = [new Field(testData.fields.int('/i'))];
+      const filter = odataFilter({
+        ...noFilters,
+        submitterId: '1',
+        reviewState: ['null', "'approved'"],
+        fieldConditions: [{ path: '/i', operator: 'between', value: [1, 2] }]
+      }, fields);
+      filter.should.equal("__system/submitterId eq 1 and (__system/reviewState eq null or __system/reviewState eq 'approved') and (i ge 1 and i le 2)");
+    });
+
+    it('returns conditions for the metadata filters', () => {
+      odataFilter({ ...noFilters, formVersion: "v'1" }, [])
+        .should.equal("__system/formVersion eq 'v''1'");
+      odataFilter({ ...noFilters, edited: true }, [])
+        .should.equal('__system/edits gt 0');
+      odataFilter({ ...noFilters, edited: false }, [])
+        .should.equal('__system/edits eq 0');
+      odataFilter({ ...noFilters, deviceId: 'd' }, [])
+        .should.equal("__system/deviceId eq 'd'");
+      odataFilter({ ...noFilters, missingAttachments: true }, [])
+        .should.equal('__system/attachmentsPresent lt __system/attachmentsExpected');
+      odataFilter({ ...noFilters, missingAttachments: false }, [])
+        .should.equal('__system/attachmentsPresent eq __system/attachmentsExpected');
+    });
+
+    it('ignores a condition for a field that does not exist', () => {
+      const fieldConditions = [{ path: '/i', operator: 'eq', value: 'a' }];
+      should.not.exist(odataFilter({ ...noFilters, fieldConditions }, []));
+      should.not.exist(odataFilter({ ...noFilters, fieldConditions }, null));
+    });
+  });
+
+  describe('filterConditions()', () => {
+    const noFilters = {
+      submitterId: '',
+      submissionDate: [],
+      reviewState: [],
+      fieldConditions: [],
+      formVersion: '',
+      edited: null,
+      deviceId: '',
+      missingAttachments: null
+    };
+
+    it('returns a condition for each filter', () => {
+      const fields = [new Field(testData.fields.int('/i'))];
+      const fieldCondition = { path: '/i', operator: 'between', value: [1, 2] };
+      filterConditions({
+        ...noFilters,
+        submitterId: '1',
+        deviceId: 'd',
+        fieldConditions: [fieldCondition]
+      }, fields).should.eql([
+        { filter: 'submitterId', condition: '__system/submitterId eq 1' },
+        { filter: 'deviceId', condition: "__system/deviceId eq 'd'" },
+        {
+          filter: 'fieldConditions',
+          fieldCondition,
+          condition: '(i ge 1 and i le 2)'
+        }
+      ]);
+    });
+
+    it('returns a single condition for the submission date', () => {
+      const submissionDate = ['2021-01-01', '2021-01-02']
+        .map(date => DateTime.fromISO(date));
+      const conditions = filterConditions({ ...noFilters, submissionDate }, []);
+      conditions.length.should.equal(1);
+      conditions[0].filter.should.equal('submissionDate');
+      conditions[0].condition.should.startWith('__system/submissionDate ge ');
+      conditions[0].condition.should.containEql(' and __system/submissionDate le ');
+    });
+
+    it('returns the same field condition object', () => {
+      const fields = [new Field(testData.fields.int('/i'))];
+      const fieldCondition = { path: '/i', operator: 'eq', value: '1' };
+      const [{ fieldCondition: result }] = filterConditions(
+        { ...noFilters, fieldConditions: [fieldCondition] },
+        fields
+      );
+      result.should.equal(fieldCondition);
+    });
+  });
+
+  describe('isDefaultOrder()', () => {
+    it('returns true for the default order', () => {
+      isDefaultOrder({ column: 'submissionDate', direction: 'desc' }).should.be.true();
+    });
+
+    it('returns false for a different direction', () => {
+      isDefaultOrder({ column: 'submissionDate', direction: 'asc' }).should.be.false();
+    });
+
+    it('returns false for a different column', () => {
+      isDefaultOrder({ column: '/s', direction: 'desc' }).should.be.false();
+    });
+  });
+
+  describe('odataOrderBy()', () => {
+    it('returns the correct value for a field', () => {
+      odataOrderBy({ column: '/g/s', direction: 'asc' })
+        .should.equal('g/s asc,__id asc');
+    });
+
+    it('returns the correct value for a system column', () => {
+      odataOrderBy({ column: 'submitterName', direction: 'desc' })
+        .should.equal('__system/submitterName desc,__id desc');
+    });
+  });
+
+  describe('sortSubmissions()', () => {
+    const submissions = [
+      { __id: 'a', __system: { submitterName: 'Bob' }, g: { i: 10 } },
+      { __id: 'b', __system: { submitterName: 'alice' }, g: { i: null } },
+      { __id: 'c', __system: { submitterName: 'Bob' }, g: { i: 9 } }
+    ];
+    const ids = (sorted) => sorted.map(({ __id }) => __id);
+
+    it('sorts by a field, with missing values last in ascending order', () => {
+      ids(sortSubmissions(submissions, { column: '/g/i', direction: 'asc' }))
+        .should.eql(['c', 'a', 'b']);
+      ids(sortSubmissions(submissions, { column: '/g/i', direction: 'desc' }))
+        .should.eql(['b', 'a', 'c']);
+    });
+
+    it('sorts by a system column, then by instance ID', () => {
+      const order = { column: 'submitterName', direction: 'asc' };
+      ids(sortSubmissions(submissions, order)).should.eql(['b', 'a', 'c']);
+    });
+
+    it('does not change the array', () => {
+      sortSubmissions(submissions, { column: '/g/i', direction: 'asc' });
+      ids(submissions).should.eql(['a', 'b', 'c']);
+    });
+  });
+
+  describe('tableFields()', () => {
+    const { group, repeat, int } = testData.fields;
+    const fields = [
+      /* eslint-disable indent */
+      int('/i1'),
+      repeat('/r1'),
+        int('/r1/i2'),
+        group('/r1/g1'),
+          int('/r1/g1/i3'),
+        repeat('/r1/r2'),
+          int('/r1/r2/i4'),
+        int('/r1/i5'),
+      group('/g2'),
+        int('/g2/i6')
+      /* eslint-enable indent */
+    ].map(field => new Field(field));
+    const tablePaths = (repeatPath = undefined) => {
+      const repeatField = repeatPath != null
+        ? fields.find(({ path }) => path === repeatPath)
+        : undefined;
+      return tableFields(fields, repeatField).map(({ path }) => path);
+    };
+
+    it('returns the fields of the submission', () => {
+      tablePaths().should.eql(['/i1', '/r1', '/g2/i6']);
+    });
+
+    it('returns the fields of a repeat group', () => {
+      tablePaths('/r1').should.eql([
+        '/r1/i2',
+        '/r1/g1/i3',
+        '/r1/r2',
+        '/r1/i5'
+      ]);
+    });
+
+    it('returns the fields of a nested repeat group', () => {
+      tablePaths('/r1/r2').should.eql(['/r1/r2/i4']);
+    });
+  });
+
+  describe('navigationLink()', () => {
+    it('returns the navigation link', () => {
+      const field = new Field(testData.fields.repeat('/r'));
+      const data = { 'r@odata.navigationLink': "Submissions('s')/r" };
+      navigationLink(data, field).should.equal("Submissions('s')/r");
+    });
+
+    it('returns the navigation link of a repeat group in a group', () => {
+      const field = new Field(testData.fields.repeat('/g/r'));
+      const data = { g: { 'r@odata.navigationLink': "Submissions('s')/g/r" } };
+      navigationLink(data, field).should.equal("Submissions('s')/g/r");
+    });
+
+    it('returns null if there is no navigation link', () => {
+      const field = new Field(testData.fields.repeat('/g/r'));
+      should.not.exist(navigationLink({}, field));
+    });
+  });
+
+  describe('entitySet()', () => {
+    it('returns the entity set of the submissions', () => {
+      entitySet(null).should.equal('Submissions');
+    });
+
+    it('returns the entity set of a repeat group', () => {
+      const field = new Field(testData.fields.repeat('/g/r1/r2'));
+      entitySet(field).should.equal('Submissions.g.r1.r2');
+    });
+  });
+
+  describe('parentKey()', () => {
+    it('returns the key of the parent', () => {
+      parentKey('Submissions').should.equal('__Submissions-id');
+      parentKey('Submissions.g.r1').should.equal('__Submissions-g-r1-id');
+    });
+  });
+
+  describe('formatValue()', () => {
+    const { int, decimal, date, string } = testData.fields;
+
+    it('formats a number', () => {
+      formatValue(new Field(int('/i')), 1000).should.equal('1,000');
+      formatValue(new Field(decimal('/d')), 1234.5).should.equal('1,234.5');
+    });
+
+    it('formats a date', () => {
+      formatValue(new Field(date('/d')), '2021-01-31').should.equal('2021/01/31');
+    });
+
+    it('returns a string value as is', () => {
+      formatValue(new Field(string('/s')), 'foo').should.equal('foo');
+    });
+
+    it('returns the label of a choice', () => {
+      const xform = parseXForm(testData.formXml({
+        choices: { '/s': { y: 'Yes' } }
+      }));
+      const field = new Field(string('/s'));
+      formatValue(field, 'y', xform, '').should.equal('Yes');
+      formatValue(field, 'y', xform, null).should.equal('y');
+    });
+  });
+
+  describe('odataSearchFilter()', () => {
+    const { binary, int, string } = testData.fields;
+
+    it('searches the instance ID and the string fields', () => {
+      const fields = [string('/s'), int('/i'), binary('/b'), string('/g/s')]
+        .map(field => new Field(field));
+      odataSearchFilter('Foo', fields, false).should.equal("(contains(tolower(__id),'foo') or contains(tolower(s),'foo') or contains(tolower(g/s),'foo'))");
+    });
+
+    it('searches the instance name', () => {
+      const fields = [new Field(string('/meta/instanceName'))];
+      odataSearchFilter("it's", fields, true).should.equal("(contains(tolower(__id),'it''s') or contains(tolower(meta/instanceName),'it''s'))");
+    });
+  });
+
+  describe('matchesSearch()', () => {
+    const { binary, int, string } = testData.fields;
+    const fields = [string('/s'), int('/i'), binary('/b')]
+      .map(field => new Field(field));
+
+    it('matches the instance ID and the instance name', () => {
+      const submission = { __id: 'uuid:abc', meta: { instanceName: 'My Submission' } };
+      matchesSearch(submission, fields, 'ABC').should.be.true();
+      matchesSearch(submission, fields, 'my sub').should.be.true();
+      matchesSearch(submission, fields, 'xyz').should.be.false();
+    });
+
+    it('matches the formatted value of a field', () => {
+      const submission = { __id: 's', s: 'Foo', i: 1000, b: 'bar.jpg' };
+      matchesSearch(submission, fields, 'foo').should.be.true();
+      matchesSearch(submission, fields, '1,000').should.be.true();
+      matchesSearch(submission, fields, 'bar').should.be.false();
+    });
+
+    it('matches the label of a choice', () => {
+      const xform = parseXForm(testData.formXml({
+        choices: { '/s': { y: 'Yes' } }
+      }));
+      const submission = { __id: 'i', s: 'y' };
+      matchesSearch(submission, fields, 'yes', xform, '').should.be.true();
+      matchesSearch(submission, fields, 'yes', xform, null).should.be.false();
+    });
+
+    it('does not match the data of an encrypted submission', () => {
+      const submission = {
+        __id: 'i',
+        __system: { status: 'notDecrypted' },
+        s: 'foo'
+      };
+      matchesSearch(submission, fields, 'foo').should.be.false();
+    });
+  });
+
+  describe('searchSegments()', () => {
+    it('splits text into matching and non-matching segments', () => {
+      searchSegments('Foo bar foo', 'foo').should.eql([
+        { text: 'Foo', match: true },
+        { text: ' bar ', match: false },
+        { text: 'foo', match: true }
+      ]);
+    });
+
+    it('returns a single segment if there is no match', () => {
+      searchSegments('bar', 'foo').should.eql([{ text: 'bar', match: false }]);
+      searchSegments('bar', '').should.eql([{ text: 'bar', match: false }]);
+    });
+  });
 });
@@ -0,0 +1,241 @@
+import Field from '../../src/presenters/field';
+import { evaluateQualityRules, numberFields, parseQualityRules, readQualityRules, ruleFields, ruleText, writeQualityRules } from '../../src/util/quality-rules';
+
+import testData from '../data';
+
+const { int, decimal, string, selectMultiple, binary, repeat } = testData.fields;
+
+const submission = (id, data, system = {}) => ({
+  __id: id,
+  __system: { status: null, ...system },
+  ...data
+});
+
+// Returns the issues as an object so that they are easier to compare.
+const evaluate = (rules, submissions, fields) => {
+  const result = {};
+  const issues = evaluateQualityRules(rules, submissions, fields);
+  for (const [instanceId, submissionIssues] of issues)
+    result[instanceId] = submissionIssues.map(({ path }) => path);
+  return result;
+};
+
+describe('util/quality-rules', () => {
+  describe('ruleFields()', () => {
+    it('does not return a binary field or a repeat group', () => {
+      const fields = [string('/s'), binary('/b'), repeat('/r'), int('/i')]
+        .map(field => new Field(field));
+      ruleFields(fields).map(field => field.path).should.eql(['/s', '/i']);
+    });
+  });
+
+  describe('numberFields()', () => {
+    it('returns int and decimal fields', () => {
+      const fields = [string('/s'), int('/i'), decimal('/d')]
+        .map(field => new Field(field));
+      numberFields(fields).map(field => field.path).should.eql(['/i', '/d']);
+    });
+  });
+
+  describe('parseQualityRules()', () => {
+    it('returns the rules', () => {
+      const rules = [
+        { type: 'range', field: '/i', min: 0, max: null },
+        { type: 'pattern', field: '/s', pattern: '^[0-9]+$' },
+        { type: 'requiredIf', field: '/s', otherField: '/t', value: 'yes' },
+        { type: 'duplicate', fields: ['/s', '/t'] },
+        { type: 'outlier', field: '/i', threshold: 3 }
+      ];
+      parseQualityRules(JSON.stringify(rules)).should.eql(rules);
+    });
+
+    it('returns null if the JSON is not an array', () => {
+      should.not.exist(parseQualityRules('{'));
+      should.not.exist(parseQualityRules('{}'));
+    });
+
+    it('drops an invalid rule', () => {
+      const rules = parseQualityRules(JSON.stringify([
+        { type: 'range', field: '/i', min: null, max: null },
+        { type: 'pattern', field: '/s', pattern: '(' },
+        { type: 'duplicate', fields: [] },
+        { type: 'outlier', field: '/i', threshold: 0 },
+        { type: 'unknown', field: '/i' },
+        { type: 'range', field: '/i', min: 1, max: 2 }
+      ]));
+      rules.should.eql([{ type: 'range', field: '/i', min: 1, max: 2 }]);
+    });
+
+    it('drops properties that are not part of a rule', () => {
+      const rules = parseQualityRules(JSON.stringify([
+        { type: 'outlier', field: '/i', threshold: 2, x: 1 }
+      ]));
+      rules.should.eql([{ type: 'outlier', field: '/i', threshold: 2 }]);
+    });
+  });
+
+  describe('readQualityRules()', () => {
+    it('returns no rules if nothing has been stored', () => {
+      readQualityRules('1', 'f').should.eql([]);
+    });
+
+    it('returns the rules that were written', () => {
+      const rules = [{ type: 'range', field: '/i', min: 0, max: 10 }];
+      writeQualityRules('1', 'f', rules);
+      readQualityRules('1', 'f').should.eql(rules);
+    });
+
+    it('stores rules separately for each form', () => {
+      writeQualityRules('1', 'f', [{ type: 'duplicate', fields: ['/s'] }]);
+      readQualityRules('2', 'f').length.should.equal(0);
+      readQualityRules('1', 'g').length.should.equal(0);
+    });
+
+    it('returns no rules if what is stored is not JSON', () => {
+      localStorage.setItem('qualityRules:1:f', '[');
+      readQualityRules('1', 'f').length.should.equal(0);
+    });
+  });
+
+  describe('writeQualityRules()', () => {
+    it('removes the item if there are no rules', () => {
+      localStorage.setItem('qualityRules:1:f', '[]');
+      writeQualityRules('1', 'f', []);
+      should.not.exist(localStorage.getItem('qualityRules:1:f'));
+    });
+  });
+
+  describe('evaluateQualityRules()', () => {
+    it('checks a range', () => {
+      const fields = [new Field(int('/i'))];
+      const submissions = [
+        submission('a', { i: -1 }),
+        submission('b', { i: 5 }),
+        submission('c', { i: 11 }),
+        submission('d', {})
+      ];
+      const rules = [{ type: 'range', field: '/i', min: 0, max: 10 }];
+      evaluate(rules, submissions, fields).should.eql({
+        a: ['/i'],
+        c: ['/i']
+      });
+    });
+
+    it('checks a range without a minimum', () => {
+      const fields = [new Field(int('/i'))];
+      const submissions = [submission('a', { i: -100 }), submission('b', { i: 11 })];
+      const rules = [{ type: 'range', field: '/i', min: null, max: 10 }];
+      evaluate(rules, submissions, fields).should.eql({ b: ['/i'] });
+    });
+
+    it('checks a pattern', () => {
+      const fields = [new Field(string('/g1/s'))];
+      const submissions = [
+        submission('a', { g1: { s: '123' } }),
+        submission('b', { g1: { s: '12a' } }),
+        submission('c', { g1: { s: '' } })
+      ];
+      const rules = [{ type: 'pattern', field: '/g1/s', pattern: '^[0-9]+$' }];
+      evaluate(rules, submissions, fields).should.eql({ b: ['/g1/s'] });
+    });
+
+    it('checks that a field is required if another field has a value', () => {
+      const fields = [new Field(string('/s')), new Field(string('/t'))];
+      const submissions = [
+        submission('a', { t: 'yes' }),
+        submission('b', { s: 'x', t: 'yes' }),
+        submission('c', { t: 'no' }),
+        submission('d', { s: '', t: 'yes' })
+      ];
+      const rules = [
+        { type: 'requiredIf', field: '/s', otherField: '/t', value: 'yes' }
+      ];
+      evaluate(rules, submissions, fields).should.eql({
+        a: ['/s'],
+        d: ['/s']
+      });
+    });
+
+    it('checks a choice of a select_multiple field', () => {
+      const fields = [new Field(string('/s')), new Field(selectMultiple('/sm'))];
+      const submissions = [
+        submission('a', { sm: 'x y' }),
+        submission('b', { sm: 'xy' })
+      ];
+      const rules = [
+        { type: 'requiredIf', field: '/s', otherField: '/sm', value: 'y' }
+      ];
+      evaluate(rules, submissions, fields).should.eql({ a: ['/s'] });
+    });
+
+    it('detects duplicates', () => {
+      const fields = [new Field(string('/s')), new Field(int('/i'))];
+      const submissions = [
+        submission('a', { s: 'x', i: 1 }),
+        submission('b', { s: 'x', i: 2 }),
+        submission('c', { s: 'x', i: 1 }),
+        submission('d', { s: 'x' }),
+        submission('e', { s: 'x' })
+      ];
+      const rules = [{ type: 'duplicate', fields: ['/s', '/i'] }];
+      evaluate(rules, submissions, fields).should.eql({
+        a: ['/s', '/i'],
+        c: ['/s', '/i']
+      });
+    });
+
+    it('detects outliers', () => {
+      const fields = [new Field(decimal('/d'))];
+      const values = [10, 11, 9, 10, 10, 11, 9, 10, 100];
+      const submissions = values.map((d, i) => submission(`s${i}`, { d }));
+      const rules = [{ type: 'outlier', field: '/d', threshold: 2 }];
+      evaluate(rules, submissions, fields).should.eql({ s8: ['/d'] });
+    });
+
+    it('does not detect outliers if every value is the same', () => {
+      const fields = [new Field(int('/i'))];
+      const submissions = [1, 2, 3].map(i => submission(`s${i}`, { i: 1 }));
+      const rules = [{ type: 'outlier', field: '/i', threshold: 1 }];
+      evaluate(rules, submissions, fields).should.eql({});
+    });
+
+    it('does not check an encrypted submission', () => {
+      const fields = [new Field(int('/i'))];
+      const submissions = [
+        submission('a', {}, { status: 'notDecrypted' }),
+        submission('b', { i: 20 }, { status: 'notDecrypted', decrypted: true })
+      ];
+      const rules = [{ type: 'range', field: '/i', min: 0, max: 10 }];
+      evaluate(rules, submissions, fields).should.eql({ b: ['/i'] });
+    });
+
+    it('does not check a rule for a field that does not exist', () => {
+      const fields = [new Field(int('/i'))];
+      const rules = [{ type: 'range', field: '/x', min: 0, max: 10 }];
+      evaluate(rules, [submission('a', { x: 20 })], fields).should.eql({});
+    });
+  });
+
+  describe('ruleText()', () => {
+    it('describes a range', () => {
+      const fields = [new Field(int('/g1/i'))];
+      const text = ruleText(
+        { type: 'range', field: '/g1/i', min: 0, max: 1000 },
+        fields
+      );
+      text.should.equal('g1-i must be between 0 and 1,000.');
+    });
+
+    it('describes a range with only a minimum', () => {
+      const fields = [new Field(int('/i'))];
+      ruleText({ type: 'range', field: '/i', min: 1, max: null }, fields)
+        .should.equal('i must be at least 1.');
+    });
+
+    it('describes a duplicate rule', () => {
+      const fields = [new Field(string('/s')), new Field(int('/i'))];
+      ruleText({ type: 'duplicate', fields: ['/s', '/i'] }, fields)
+        .should.equal('No two Submissions may have the same s, i.');
+    });
+  });
+});
@@ -207,6 +207,25 @@ describe('util/request', () => {
       });
     });
 
+    describe('odataSubtable', () => {
+      it('returns the correct path for a form', () => {
+        const path = apiPaths.odataSubtable(1, 'a b', false, "Submissions('c')/r");
+        path.should.equal("/v1/projects/1/forms/a%20b.svc/Submissions('c')/r");
+      });
+
+      it('returns the correct path for a form draft', () => {
+        const path = apiPaths.odataSubtable(1, 'a b', true, "Submissions('c')/r");
+        path.should.equal("/v1/projects/1/forms/a%20b/draft.svc/Submissions('c')/r");
+      });
+
+      it('returns a query string', () => {
+        const path = apiPaths.odataSubtable(1, 'a b', false, "Submissions('c')/r", {
+          $count: true
+        });
+        path.should.equal("/v1/projects/1/forms/a%20b.svc/Submissions('c')/r?%24count=true");
+      });
+    });
+
     describe('submissionKeys', () => {
       it('returns the correct path for a form', () => {
         const path = apiPaths.submissionKeys(1, 'a b');
@@ -236,6 +255,11 @@ describe('util/request', () => {
       path.should.equal('/v1/projects/1/forms/a%20b/submissions/c%20d');
     });
 
+    it('submissionXml', () => {
+      const path = apiPaths.submissionXml(1, 'a b', 'c d');
+      path.should.equal('/v1/projects/1/forms/a%20b/submissions/c%20d.xml');
+    });
+
     it('odataSubmission', () => {
       const path = apiPaths.odataSubmission(1, 'a b', "'c d'");
       path.should.equal("/v1/projects/1/forms/a%20b.svc/Submissions('''c%20d''')");
@@ -273,11 +297,21 @@ describe('util/request', () => {
       path.should.equal('/v1/projects/1/forms/a%20b/submissions/c%20d/comments');
     });
 
+    it('submissionVersions', () => {
+      const path = apiPaths.submissionVersions(1, 'a b', 'c d');
+      path.should.equal('/v1/projects/1/forms/a%20b/submissions/c%20d/versions');
+    });
+
     it('submissionVersion', () => {
       const path = apiPaths.submissionVersion(1, 'a b', 'c d', 'e f');
       path.should.equal('/v1/projects/1/forms/a%20b/submissions/c%20d/versions/e%20f');
     });
 
+    it('submissionVersionXml', () => {
+      const path = apiPaths.submissionVersionXml(1, 'a b', 'c d', 'e f');
+      path.should.equal('/v1/projects/1/forms/a%20b/submissions/c%20d/versions/e%20f.xml');
+    });
+
     it('publicLinks', () => {
       const path = apiPaths.publicLinks(1, 'a b');
       path.should.equal('/v1/projects/1/forms/a%20b/public-links');
@@ -0,0 +1,264 @@
+import Field from '../../src/presenters/field';
+import { compareSubmissionData, editSubmissionXml, isEditableField, isEmptyNode, newInstanceId, parseSubmissionData, valueError } from '../../src/util/submission-data';
+
+import testData from '../data';
+
+const { group, repeat, int, decimal, string, selectMultiple, date, time, dateTime, geopoint, binary } = testData.fields;
+
+// Returns a simplified version of the nodes that is easier to compare.
+const simplify = (nodes) => nodes.map(node => {
+  if (node.instances != null)
+    return [node.field.path, node.instances.map(simplify)];
+  if (node.children != null) return [node.field.path, simplify(node.children)];
+  return [node.field.path, node.value];
+});
+
+describe('util/submission-data', () => {
+  describe('parseSubmissionData()', () => {
+    const fields = [
+      /* eslint-disable indent */
+      int('/i'),
+      group('/g'),
+        string('/g/s'),
+      repeat('/r'),
+        int('/r/j'),
+        repeat('/r/r2'),
+          string('/r/r2/t')
+      /* eslint-enable indent */
+    ].map(field => new Field(field));
+
+    it('returns a tree of the data', () => {
+      const xml = `<data id="f">
+        <i>1</i>
+        <g><s>foo</s></g>
+        <r><j>2</j><r2><t>bar</t></r2><r2><t>baz</t></r2></r>
+        <r><j>3</j></r>
+      </data>`;
+      simplify(parseSubmissionData(xml, fields)).should.eql([
+        ['/i', '1'],
+        ['/g', [['/g/s', 'foo']]],
+        ['/r', [
+          [['/r/j', '2'], ['/r/r2', [[['/r/r2/t', 'bar']], [['/r/r2/t', 'baz']]]]],
+          [['/r/j', '3'], ['/r/r2', []]]
+        ]]
+      ]);
+    });
+
+    it('returns null for a field without an element', () => {
+      const nodes = parseSubmissionData('<data id="f"><i>1</i></data>', fields);
+      simplify(nodes).should.eql([
+        ['/i', '1'],
+        ['/g', [['/g/s', null]]],
+        ['/r', []]
+      ]);
+    });
+
+    it('ignores an element without a field', () => {
+      const xml = '<data id="f"><x>1</x><i>2</i></data>';
+      simplify(parseSubmissionData(xml, [fields[0]])).should.eql([['/i', '2']]);
+    });
+
+    it('returns null if the XML cannot be parsed', () => {
+      should.not.exist(parseSubmissionData('<data>', fields));
+    });
+
+    it('returns the location of the element of each field', () => {
+      const xml = `<data id="f">
+        <i>1</i>
+        <g><s>foo</s></g>
+        <r><j>2</j></r>
+        <r><j>3</j><r2><t>bar</t></r2></r>
+      </data>`;
+      const nodes = parseSubmissionData(xml, fields);
+      nodes[0].location.should.eql([['i', 0]]);
+      nodes[1].children[0].location.should.eql([['g', 0], ['s', 0]]);
+      const instance = nodes[2].instances[1];
+      instance[0].location.should.eql([['r', 1], ['j', 0]]);
+      instance[1].instances[0][0].location.should.eql([
+        ['r', 1],
+        ['r2', 0],
+        ['t', 0]
+      ]);
+    });
+  });
+
+  describe('isEmptyNode()', () => {
+    const field = new Field(string('/s'));
+
+    it('returns true for a field without a value', () => {
+      isEmptyNode({ field, value: null }).should.be.true();
+      isEmptyNode({ field, value: ' ' }).should.be.true();
+    });
+
+    it('returns false for a field with a value', () => {
+      isEmptyNode({ field, value: 'foo' }).should.be.false();
+    });
+
+    it('returns true for a group whose fields are empty', () => {
+      isEmptyNode({ field, children: [{ field, value: '' }] }).should.be.true();
+      isEmptyNode({ field, children: [{ field, value: 'foo' }] })
+        .should.be.false();
+    });
+
+    it('returns true for a repeat group whose instances are empty', () => {
+      isEmptyNode({ field, instances: [] }).should.be.true();
+      isEmptyNode({ field, instances: [[{ field, value: '' }]] })
+        .should.be.true();
+      isEmptyNode({ field, instances: [[{ field, value: 'foo' }]] })
+        .should.be.false();
+    });
+  });
+
+  describe('compareSubmissionData()', () => {
+    const fields = [
+      /* eslint-disable indent */
+      int('/i'),
+      group('/g'),
+        string('/g/s'),
+      repeat('/r'),
+        int('/r/j')
+      /* eslint-enable indent */
+    ].map(field => new Field(field));
+    const compare = (xml1, xml2) => compareSubmissionData(
+      parseSubmissionData(xml1, fields),
+      parseSubmissionData(xml2, fields)
+    )
+      .map(({ field, depth, changed, ...row }) =>
+        [field.path, depth, changed, row]);
+
+    it('returns a row for each field', () => {
+      const xml = '<data id="f"><i>1</i><g><s>foo</s></g><r><j>2</j></r></data>';
+      compare(xml, xml).should.eql([
+        ['/i', 0, false, { old: '1', new: '1' }],
+        ['/g', 0, false, {}],
+        ['/g/s', 1, false, { old: 'foo', new: 'foo' }],
+        ['/r', 0, false, { instance: 0, old: true, new: true }],
+        ['/r/j', 1, false, { old: '2', new: '2' }]
+      ]);
+    });
+
+    it('marks a changed value and the group that contains it', () => {
+      compare(
+        '<data id="f"><i>1</i><g><s>foo</s></g></data>',
+        '<data id="f"><i>1</i><g><s>bar</s></g></data>'
+      ).should.eql([
+        ['/i', 0, false, { old: '1', new: '1' }],
+        ['/g', 0, true, {}],
+        ['/g/s', 1, true, { old: 'foo', new: 'bar' }]
+      ]);
+    });
+
+    it('does not mark an empty value that is missing in the other version', () => {
+      const rows = compare(
+        '<data id="f"><i></i></data>',
+        '<data id="f"></data>'
+      );
+      rows[0].should.eql(['/i', 0, false, { old: '', new: null }]);
+    });
+
+    it('marks a repeat instance that exists in only one version', () => {
+      compare(
+        '<data id="f"><r><j>1</j></r></data>',
+        '<data id="f"><r><j>1</j></r><r><j>2</j></r></data>'
+      ).slice(3).should.eql([
+        ['/r', 0, false, { instance: 0, old: true, new: true }],
+        ['/r/j', 1, false, { old: '1', new: '1' }],
+        ['/r', 0, true, { instance: 1, old: false, new: true }],
+        ['/r/j', 1, true, { old: null, new: '2' }]
+      ]);
+    });
+  });
+
+  describe('isEditableField()', () => {
+    it('returns true for a field whose value can be typed', () => {
+      for (const field of [string('/s'), int('/i'), decimal('/d'), date('/d')])
+        isEditableField(new Field(field)).should.be.true();
+    });
+
+    it('returns false for a binary field', () => {
+      isEditableField(new Field(binary('/b'))).should.be.false();
+    });
+
+    it('returns false for a geo field', () => {
+      isEditableField(new Field(geopoint('/g'))).should.be.false();
+    });
+  });
+
+  describe('valueError()', () => {
+    const error = (field, value, choices = null) =>
+      valueError(new Field(field), value, choices);
+
+    it('allows an empty value', () => {
+      should.not.exist(error(int('/i'), ''));
+    });
+
+    it('checks a number', () => {
+      should.not.exist(error(int('/i'), '-12'));
+      error(int('/i'), '1.5').should.equal('int');
+      should.not.exist(error(decimal('/d'), '1.5'));
+      error(decimal('/d'), '1.5.2').should.equal('decimal');
+    });
+
+    it('checks a date or time', () => {
+      should.not.exist(error(date('/d'), '2021-01-31'));
+      error(date('/d'), '2021-02-31').should.equal('date');
+      should.not.exist(error(time('/t'), '13:45:00.000+02:00'));
+      error(time('/t'), '1:45 PM').should.equal('time');
+      should.not.exist(error(dateTime('/dt'), '2021-06-15T13:45:00.000+02:00'));
+      error(dateTime('/dt'), '2021-06-15').should.equal('dateTime');
+    });
+
+    it('checks the choices of a select field', () => {
+      const choices = [{ value: 'a', label: null }, { value: 'b', label: null }];
+      should.not.exist(error(string('/s'), 'a', choices));
+      error(string('/s'), 'c', choices).should.equal('choice');
+      should.not.exist(error(selectMultiple('/s'), 'a b', choices));
+      error(selectMultiple('/s'), 'a c', choices).should.equal('choice');
+      should.not.exist(error(string('/s'), 'c'));
+    });
+  });
+
+  describe('newInstanceId()', () => {
+    it('returns a random UUID', () => {
+      const instanceId = newInstanceId();
+      instanceId.should.match(/^uuid:[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      newInstanceId().should.not.equal(instanceId);
+    });
+  });
+
+  describe('editSubmissionXml()', () => {
+    const parse = (xml) => new DOMParser().parseFromString(xml, 'text/xml');
+    const text = (doc, name) => doc.getElementsByTagName(name)[0].textContent;
+
+    it('changes the value and the instance ID', () => {
+      const xml = '<data id="f"><meta><instanceID>uuid:1</instanceID></meta><r><s>a</s></r><r><s>b</s></r></data>';
+      const doc = parse(editSubmissionXml(xml, [['r', 1], ['s', 0]], 'c', 'uuid:2'));
+      Array.from(doc.getElementsByTagName('s'), s => s.textContent)
+        .should.eql(['a', 'c']);
+      text(doc, 'instanceID').should.equal('uuid:2');
+      text(doc, 'deprecatedID').should.equal('uuid:1');
+    });
+
+    it('replaces an existing deprecatedID', () => {
+      const xml = '<data id="f"><meta><instanceID>uuid:2</instanceID><deprecatedID>uuid:1</deprecatedID></meta><s>a</s></data>';
+      const doc = parse(editSubmissionXml(xml, [['s', 0]], 'b', 'uuid:3'));
+      doc.getElementsByTagName('deprecatedID').length.should.equal(1);
+      text(doc, 'deprecatedID').should.equal('uuid:2');
+    });
+
+    it('uses the namespace of the meta element', () => {
+      const xml = '<data xmlns:orx="http://openrosa.org/xforms" id="f"><orx:meta><orx:instanceID>uuid:1</orx:instanceID></orx:meta><s>a</s></data>';
+      const result = editSubmissionXml(xml, [['s', 0]], 'b', 'uuid:2');
+      result.should.containEql('<orx:deprecatedID>uuid:1</orx:deprecatedID>');
+    });
+
+    it('returns null if the element does not exist', () => {
+      const xml = '<data id="f"><meta><instanceID>uuid:1</instanceID></meta></data>';
+      should.not.exist(editSubmissionXml(xml, [['s', 0]], 'b', 'uuid:2'));
+    });
+
+    it('returns null if there is no instance ID', () => {
+      should.not.exist(editSubmissionXml('<data id="f"><s>a</s></data>', [['s', 0]], 'b', 'uuid:2'));
+    });
+  });
+});
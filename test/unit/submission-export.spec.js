@@ -0,0 +1,331 @@
+import Field from '../../src/presenters/field';
+import { createExportWriter, createGeoExportWriter, exportFeature, exportHeaders, exportRow, geoExportTables } from '../../src/util/submission-export';
+import { parseXForm } from '../../src/util/xform';
+
+import testData from '../data';
+
+const { int, repeat, group, string, binary, geopoint, selectMultiple } = testData.fields;
+
+const options = (overrides = undefined) => ({
+  projectId: '1',
+  xmlFormId: 'f',
+  draft: false,
+  raw: false,
+  xform: null,
+  labelLanguage: null,
+  columns: [],
+  ...overrides
+});
+
+const submission = (overrides = undefined) => ({
+  __id: 's',
+  __system: {
+    submitterName: 'Alice',
+    submissionDate: '2021-01-31T12:34:56.000Z',
+    reviewState: null,
+    attachmentsPresent: 0,
+    attachmentsExpected: 0,
+    formVersion: 'v1',
+    edits: 1000,
+    deviceId: 'd',
+    status: null
+  },
+  i: 1000,
+  s: 'y',
+  ...overrides
+});
+
+describe('util/submission-export', () => {
+  describe('exportHeaders()', () => {
+    const fields = [int('/i'), repeat('/r'), string('/g/s')]
+      .map(field => new Field(field));
+
+    it('returns the headers of the table', () => {
+      exportHeaders(fields, options()).should.eql([
+        'Submitted by',
+        'Submitted at',
+        'Review State',
+        'i',
+        'g-s',
+        'Instance ID'
+      ]);
+    });
+
+    it('does not include the submitter or review state for a draft', () => {
+      exportHeaders(fields, options({ draft: true })).should.eql([
+        'Submitted at',
+        'i',
+        'g-s',
+        'Instance ID'
+      ]);
+    });
+
+    it('includes the metadata columns that are shown', () => {
+      const columns = ['formVersion', 'edits', 'deviceId', 'attachments'];
+      exportHeaders(fields, options({ columns })).slice(0, 7).should.eql([
+        'Submitted by',
+        'Submitted at',
+        'Form Version',
+        'Edits',
+        'Device ID',
+        'Attachments',
+        'Review State'
+      ]);
+    });
+
+    it('returns labels if a label language is specified', () => {
+      const xform = parseXForm(testData.formXml({
+        labels: { '/g/s': 'Question' }
+      }));
+      const headers = exportHeaders(fields, options({ xform, labelLanguage: '' }));
+      headers.slice(3, 5).should.eql(['i', 'Question']);
+      const raw = exportHeaders(fields, options({ xform, labelLanguage: '', raw: true }));
+      raw.slice(3, 5).should.eql(['i', 'g-s']);
+    });
+  });
+
+  describe('exportRow()', () => {
+    const fields = [int('/i'), string('/s'), binary('/b'), repeat('/r')]
+      .map(field => new Field(field));
+
+    it('returns formatted values', () => {
+      const row = exportRow(
+        submission({ b: 'a b.jpg' }),
+        fields,
+        options()
+      );
+      row[0].should.equal('Alice');
+      row[1].should.match(/^2021\/01\/31 /);
+      row.slice(2).should.eql([
+        'Received',
+        '1,000',
+        'y',
+        `${window.location.origin}/v1/projects/1/forms/f/submissions/s/attachments/a%20b.jpg`,
+        's'
+      ]);
+    });
+
+    it('returns raw values', () => {
+      const row = exportRow(
+        submission({ b: 'a b.jpg' }),
+        fields,
+        options({ raw: true })
+      );
+      row.should.eql([
+        'Alice',
+        '2021-01-31T12:34:56.000Z',
+        null,
+        1000,
+        'y',
+        'a b.jpg',
+        's'
+      ]);
+    });
+
+    it('returns the values of the metadata columns', () => {
+      const { __system } = submission();
+      const data = submission({
+        __system: { ...__system, attachmentsPresent: 1, attachmentsExpected: 2 }
+      });
+      const columns = ['formVersion', 'edits', 'deviceId', 'attachments'];
+      exportRow(data, fields, options({ columns })).slice(2, 6)
+        .should.eql(['v1', '1,000', 'd', '1 of 2']);
+      exportRow(data, fields, options({ columns, raw: true })).slice(2, 6)
+        .should.eql(['v1', 1000, 'd', '1/2']);
+    });
+
+    it('returns choice labels', () => {
+      const xform = parseXForm(testData.formXml({
+        choices: { '/s': { y: 'Yes' } }
+      }));
+      const row = exportRow(
+        submission(),
+        fields,
+        options({ xform, labelLanguage: '' })
+      );
+      row[4].should.equal('Yes');
+    });
+
+    it('returns the review state', () => {
+      const { __system } = submission();
+      const approved = submission({ __system: { ...__system, reviewState: 'approved' } });
+      exportRow(approved, fields, options())[2].should.equal('Approved');
+      const missingMedia = submission({
+        __system: { ...__system, attachmentsExpected: 1 }
+      });
+      exportRow(missingMedia, fields, options())[2].should.equal('Missing media');
+    });
+
+    it('returns null for the fields of an encrypted submission', () => {
+      const { __system } = submission();
+      const encrypted = submission({
+        __system: { ...__system, status: 'notDecrypted' }
+      });
+      exportRow(encrypted, fields, options()).slice(3, 6)
+        .should.eql([null, null, null]);
+    });
+
+    it('does not return the submitter or review state for a draft', () => {
+      exportRow(submission(), fields, options({ draft: true, raw: true }))
+        .should.eql(['2021-01-31T12:34:56.000Z', 1000, 'y', null, 's']);
+    });
+  });
+
+  describe('createExportWriter()', () => {
+    it('writes a CSV file', async () => {
+      const writer = createExportWriter('csv');
+      writer.extension.should.equal('csv');
+      writer.writeRows([['a', 'b,c'], ['d"e', null]]);
+      writer.writeRows([[1, 'f\ng']]);
+      const bytes = new Uint8Array(await writer.blob().arrayBuffer());
+      new TextDecoder('utf-8', { ignoreBOM: true }).decode(bytes)
+        .should.equal('\uFEFFa,"b,c"\r\n"d""e",\r\n1,"f\ng"\r\n');
+    });
+
+    it('writes an XLSX file', async () => {
+      const writer = createExportWriter('xlsx');
+      writer.extension.should.equal('xlsx');
+      writer.writeRows([['a & b', 1, null]]);
+      const blob = writer.blob();
+      blob.type.should.equal('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      // A ZIP file starts with a local file header.
+      const view = new DataView(await blob.arrayBuffer());
+      view.getUint32(0, true).should.equal(0x04034b50);
+    });
+  });
+
+  describe('geoExportTables()', () => {
+    const fields = [
+      /* eslint-disable indent */
+      geopoint('/p'),
+      group('/g'),
+        repeat('/g/r'),
+          geopoint('/g/r/p'),
+          repeat('/g/r/r2'),
+            geopoint('/g/r/r2/p')
+      /* eslint-enable indent */
+    ].map(field => new Field(field));
+
+    it('returns only the submissions for a field outside a repeat group', () => {
+      geoExportTables(fields, fields[0]).should.eql([
+        { repeat: null, entitySet: 'Submissions', parentKey: null }
+      ]);
+    });
+
+    it('returns the tables for a field in a nested repeat group', () => {
+      const tables = geoExportTables(fields, fields[5]);
+      tables.map(({ entitySet, parentKey }) => [entitySet, parentKey]).should.eql([
+        ['Submissions', null],
+        ['Submissions.g.r', '__Submissions-id'],
+        ['Submissions.g.r.r2', '__Submissions-g-r-id']
+      ]);
+      tables[2].repeat.should.equal(fields[4]);
+    });
+  });
+
+  describe('exportFeature()', () => {
+    it('returns a feature for a submission', () => {
+      const fields = [geopoint('/g/p'), string('/s'), selectMultiple('/m')]
+        .map(field => new Field(field));
+      const data = submission({
+        g: { p: 'POINT (-122.3 47.6 12.5)' },
+        s: 'foo',
+        m: 'a b'
+      });
+      const table = { repeat: null, parentKey: null };
+      exportFeature(data, fields[0], table, fields.slice(1)).should.eql({
+        type: 'Feature',
+        id: 's',
+        geometry: { type: 'Point', coordinates: [-122.3, 47.6] },
+        properties: { __id: 's', s: 'foo', m: ['a', 'b'] }
+      });
+    });
+
+    it('returns a feature for a repeat instance', () => {
+      const fields = [repeat('/r'), geopoint('/r/p'), int('/r/i')]
+        .map(field => new Field(field));
+      const data = {
+        __id: 'r1',
+        '__Submissions-id': 's',
+        p: 'POINT (1 2)',
+        i: 3
+      };
+      const table = { repeat: fields[0], parentKey: '__Submissions-id' };
+      exportFeature(data, fields[1], table, [fields[2]]).should.eql({
+        type: 'Feature',
+        id: 'r1',
+        geometry: { type: 'Point', coordinates: [1, 2] },
+        properties: { __id: 'r1', '__Submissions-id': 's', i: 3 }
+      });
+    });
+
+    it('returns a null geometry if there is no value', () => {
+      const field = new Field(geopoint('/p'));
+      const table = { repeat: null, parentKey: null };
+      should.not.exist(exportFeature(submission(), field, table, []).geometry);
+    });
+
+    it('returns null values for an encrypted submission', () => {
+      const fields = [geopoint('/p'), string('/s')].map(field => new Field(field));
+      const data = submission({ p: 'POINT (1 2)' });
+      data.__system.status = 'notDecrypted';
+      const table = { repeat: null, parentKey: null };
+      const feature = exportFeature(data, fields[0], table, [fields[1]]);
+      should.not.exist(feature.geometry);
+      feature.properties.should.eql({ __id: 's', s: null });
+    });
+  });
+
+  describe('createGeoExportWriter()', () => {
+    const point = {
+      type: 'Feature',
+      id: 's1',
+      geometry: { type: 'Point', coordinates: [1, 2] },
+      properties: { __id: 's1', m: ['a', 'b'], n: null }
+    };
+    const polygon = {
+      type: 'Feature',
+      id: 's2',
+      geometry: {
+        type: 'Polygon',
+        coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]]
+      },
+      properties: { __id: 's2', s: 'x & y' }
+    };
+
+    it('writes a GeoJSON file', async () => {
+      const writer = createGeoExportWriter('geojson', 'f');
+      writer.extension.should.equal('geojson');
+      writer.writeFeatures([point]);
+      writer.writeFeatures([]);
+      writer.writeFeatures([polygon]);
+      const json = JSON.parse(await writer.blob().text());
+      json.should.eql({ type: 'FeatureCollection', features: [point, polygon] });
+    });
+
+    it('writes an empty GeoJSON file', async () => {
+      const writer = createGeoExportWriter('geojson', 'f');
+      JSON.parse(await writer.blob().text()).features.should.eql([]);
+    });
+
+    it('writes a KML file', async () => {
+      const writer = createGeoExportWriter('kml', 'a & b');
+      writer.extension.should.equal('kml');
+      writer.writeFeatures([point, polygon]);
+      const doc = new DOMParser().parseFromString(
+        await writer.blob().text(),
+        'text/xml'
+      );
+      doc.querySelector('Document > name').textContent.should.equal('a & b');
+      const placemarks = doc.querySelectorAll('Placemark');
+      placemarks.length.should.equal(2);
+      placemarks[0].querySelector('Point coordinates').textContent
+        .should.equal('1,2');
+      const data = placemarks[0].querySelectorAll('Data');
+      [...data].map(element => [element.getAttribute('name'), element.textContent])
+        .should.eql([['__id', 's1'], ['m', 'a b']]);
+      placemarks[1].querySelector('Polygon outerBoundaryIs coordinates')
+        .textContent.should.equal('0,0 1,0 1,1 0,0');
+    });
+  });
+});
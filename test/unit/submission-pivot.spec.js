@@ -0,0 +1,155 @@
+import Field from '../../src/presenters/field';
+import { aggregateFields, cellValue, dimensionKeys, pivotFields, pivotTable } from '../../src/util/submission-pivot';
+
+import testData from '../data';
+
+const { int, decimal, string, selectMultiple, dateTime, geopoint, binary, repeat } = testData.fields;
+
+const submission = (data, system = {}) => ({
+  __id: data.__id != null ? data.__id : 's',
+  __system: { status: null, reviewState: null, ...system },
+  ...data
+});
+
+describe('util/submission-pivot', () => {
+  describe('pivotFields()', () => {
+    it('does not return a geo field, a binary field, or a repeat group', () => {
+      const fields = [
+        string('/s'),
+        geopoint('/g'),
+        binary('/b'),
+        repeat('/r'),
+        int('/i')
+      ].map(field => new Field(field));
+      pivotFields(fields).map(field => field.path).should.eql(['/s', '/i']);
+    });
+  });
+
+  describe('aggregateFields()', () => {
+    it('returns int and decimal fields', () => {
+      const fields = [string('/s'), int('/i'), decimal('/d')]
+        .map(field => new Field(field));
+      aggregateFields(fields).map(field => field.path).should.eql(['/i', '/d']);
+    });
+  });
+
+  describe('dimensionKeys()', () => {
+    it('returns the value of a metadata property', () => {
+      const keys = dimensionKeys(
+        submission({}, { deviceId: 'd1' }),
+        { metadata: 'deviceId' }
+      );
+      keys.should.eql(['d1']);
+    });
+
+    it('returns null for a missing value', () => {
+      const field = new Field(string('/s'));
+      dimensionKeys(submission({ s: '' }), { field }).should.eql([null]);
+      dimensionKeys(submission({}), { field }).should.eql([null]);
+      dimensionKeys(submission({}), { metadata: 'reviewState' })
+        .should.eql([null]);
+    });
+
+    it('returns null for an encrypted submission', () => {
+      const field = new Field(string('/s'));
+      const encrypted = submission({ s: 'x' }, { status: 'notDecrypted' });
+      dimensionKeys(encrypted, { field }).should.eql([null]);
+    });
+
+    it('returns each choice of a select_multiple field once', () => {
+      const field = new Field(selectMultiple('/sm'));
+      dimensionKeys(submission({ sm: 'a b a' }), { field })
+        .should.eql(['a', 'b']);
+    });
+
+    it('returns the date of a dateTime value', () => {
+      const field = new Field(dateTime('/dt'));
+      dimensionKeys(submission({ dt: '2021-01-01T23:00:00.000-05:00' }), { field })
+        .should.eql(['2021-01-01']);
+    });
+  });
+
+  describe('pivotTable()', () => {
+    const s = new Field(string('/s'));
+    const sm = new Field(selectMultiple('/sm'));
+    const i = new Field(int('/i'));
+    const submissions = [
+      submission({ __id: 'a', s: 'x', sm: 'p q', i: 1 }, { reviewState: 'approved' }),
+      submission({ __id: 'b', s: 'y', sm: 'p', i: 2 }),
+      submission({ __id: 'c', s: 'x', sm: null, i: null }, { reviewState: 'approved' }),
+      submission({ __id: 'd', s: null, sm: 'q', i: 4 })
+    ];
+    const ids = (cell) => cell.submissions.map(({ __id }) => __id);
+
+    it('sorts the keys, with missing values last', () => {
+      const pivot = pivotTable(submissions, { field: s }, { field: sm }, { type: 'count' });
+      pivot.rows.should.eql(['x', 'y', null]);
+      pivot.columns.should.eql(['p', 'q', null]);
+    });
+
+    it('sorts numbers numerically', () => {
+      const pivot = pivotTable(
+        [10, 9, 100].map(value => submission({ i: value })),
+        { field: i },
+        { metadata: 'reviewState' },
+        { type: 'count' }
+      );
+      pivot.rows.should.eql([9, 10, 100]);
+    });
+
+    it('groups the submissions into cells', () => {
+      const pivot = pivotTable(submissions, { field: s }, { field: sm }, { type: 'count' });
+      ids(pivot.cells.get('x').get('p')).should.eql(['a']);
+      ids(pivot.cells.get('x').get('q')).should.eql(['a']);
+      ids(pivot.cells.get('x').get(null)).should.eql(['c']);
+      pivot.cells.get('y').has('q').should.be.false();
+    });
+
+    it('includes a submission in each total once', () => {
+      const pivot = pivotTable(submissions, { field: s }, { field: sm }, { type: 'count' });
+      ids(pivot.rowTotals.get('x')).should.eql(['a', 'c']);
+      ids(pivot.columnTotals.get('p')).should.eql(['a', 'b']);
+      ids(pivot.total).should.eql(['a', 'b', 'c', 'd']);
+    });
+
+    it('aggregates the values of a number field', () => {
+      const pivot = pivotTable(
+        submissions,
+        { field: s },
+        { metadata: 'reviewState' },
+        { type: 'mean', field: i }
+      );
+      const cell = pivot.cells.get('x').get('approved');
+      cell.sum.should.equal(1);
+      cell.numbers.should.equal(1);
+      pivot.total.sum.should.equal(7);
+      pivot.total.numbers.should.equal(3);
+    });
+  });
+
+  describe('cellValue()', () => {
+    const cell = { submissions: [{}, {}, {}], sum: 9, numbers: 2 };
+
+    it('returns the count', () => {
+      cellValue(cell, { type: 'count' }).should.equal(3);
+    });
+
+    it('returns the sum', () => {
+      cellValue(cell, { type: 'sum' }).should.equal(9);
+    });
+
+    it('returns the mean of the values', () => {
+      cellValue(cell, { type: 'mean' }).should.equal(4.5);
+    });
+
+    it('returns null for the mean if there are no values', () => {
+      should.not.exist(cellValue({ ...cell, numbers: 0 }, { type: 'mean' }));
+      should.not.exist(cellValue(undefined, { type: 'mean' }));
+    });
+
+    it('returns 0 for a cell that does not exist', () => {
+      cellValue(undefined, { type: 'count' }).should.equal(0);
+      cellValue(undefined, { type: 'sum' }).should.equal(0);
+    });
+  });
+});
@@ -0,0 +1,217 @@
+import { DateTime } from 'luxon';
+
+import Field from '../../src/presenters/field';
+import { dropStaleFields, parseSubmissionQuery, queriesAreEqual, submissionQuery } from '../../src/util/submission-query';
+
+import testData from '../data';
+
+const defaultState = () => ({
+  filters: {
+    submitterId: '',
+    submissionDate: [],
+    reviewState: [],
+    fieldConditions: [],
+    formVersion: '',
+    edited: null,
+    deviceId: '',
+    missingAttachments: null
+  },
+  fields: null,
+  order: { column: 'submissionDate', direction: 'desc' },
+  columns: []
+});
+
+describe('util/submission-query', () => {
+  describe('parseSubmissionQuery()', () => {
+    it('returns the default state for an empty query', () => {
+      parseSubmissionQuery({}).should.eql(defaultState());
+    });
+
+    it('parses the filters', () => {
+      const { filters } = parseSubmissionQuery({
+        submitterId: '1',
+        start: '2021-01-01',
+        end: '2021-01-31',
+        reviewState: ['null', 'hasIssues'],
+        condition: '{"path":"/i","operator":"between","value":[1,null]}'
+      });
+      filters.submitterId.should.equal('1');
+      filters.submissionDate.map(dateTime => dateTime.toISODate())
+        .should.eql(['2021-01-01', '2021-01-31']);
+      filters.reviewState.should.eql(['null', "'hasIssues'"]);
+      filters.fieldConditions.should.eql([
+        { path: '/i', operator: 'between', value: [1, null] }
+      ]);
+    });
+
+    it('parses the metadata filters', () => {
+      const { filters } = parseSubmissionQuery({
+        formVersion: 'v1',
+        edited: 'true',
+        deviceId: 'd',
+        missingAttachments: 'false'
+      });
+      filters.formVersion.should.equal('v1');
+      filters.edited.should.be.true();
+      filters.deviceId.should.equal('d');
+      filters.missingAttachments.should.be.false();
+    });
+
+    it('parses the metadata columns in the order in which they are shown', () => {
+      parseSubmissionQuery({ columns: ['deviceId', 'x', 'formVersion'] })
+        .columns.should.eql(['formVersion', 'deviceId']);
+    });
+
+    it('parses the fields and the order', () => {
+      const { fields, order } = parseSubmissionQuery({
+        fields: ['/s1', '/s2'],
+        sort: '/s1 asc'
+      });
+      fields.should.eql(['/s1', '/s2']);
+      order.should.eql({ column: '/s1', direction: 'asc' });
+    });
+
+    it('parses an empty fields parameter as no fields', () => {
+      parseSubmissionQuery({ fields: '' }).fields.should.eql([]);
+    });
+
+    it('ignores invalid parameters', () => {
+      parseSubmissionQuery({
+        submitterId: 'x',
+        start: '2021-02-01',
+        end: '2021-01-01',
+        reviewState: 'x',
+        condition: ['{', '{"path":"/i","operator":"x","value":1}'],
+        edited: 'x',
+        missingAttachments: '1',
+        sort: 'instanceId asc',
+        columns: 'x'
+      }).should.eql(defaultState());
+    });
+  });
+
+  describe('submissionQuery()', () => {
+    it('returns an empty query for the default state', () => {
+      submissionQuery(defaultState()).should.eql({});
+    });
+
+    it('returns the correct query', () => {
+      const state = defaultState();
+      state.filters.submitterId = '1';
+      state.filters.submissionDate = [
+        DateTime.fromISO('2021-01-01'),
+        DateTime.fromISO('2021-01-31')
+      ];
+      state.filters.reviewState = ["'approved'"];
+      state.filters.fieldConditions = [
+        { path: '/s', operator: 'eq', value: 'x' }
+      ];
+      state.filters.formVersion = 'v1';
+      state.filters.edited = false;
+      state.filters.deviceId = 'd';
+      state.filters.missingAttachments = true;
+      state.fields = [];
+      state.order = { column: 'reviewState', direction: 'asc' };
+      state.columns = ['edits', 'attachments'];
+      submissionQuery(state).should.eql({
+        submitterId: '1',
+        start: '2021-01-01',
+        end: '2021-01-31',
+        reviewState: ['approved'],
+        condition: ['{"path":"/s","operator":"eq","value":"x"}'],
+        formVersion: 'v1',
+        edited: 'false',
+        deviceId: 'd',
+        missingAttachments: 'true',
+        fields: '',
+        sort: 'reviewState asc',
+        columns: ['edits', 'attachments']
+      });
+    });
+
+    it('returns a query that is parsed as the same state', () => {
+      const state = defaultState();
+      state.filters.reviewState = ['null'];
+      state.filters.edited = true;
+      state.filters.missingAttachments = false;
+      state.fields = ['/s'];
+      state.order = { column: '/s', direction: 'desc' };
+      state.columns = ['deviceId'];
+      parseSubmissionQuery(submissionQuery(state)).should.eql(state);
+    });
+  });
+
+  describe('dropStaleFields()', () => {
+    const fields = [
+      testData.fields.int('/i'),
+      testData.fields.string('/s'),
+      testData.fields.repeat('/r')
+    ].map(field => new Field(field));
+
+    it('removes a field that does not exist', () => {
+      const state = defaultState();
+      state.fields = ['/s', '/x'];
+      dropStaleFields(state, fields).fields.should.eql(['/s']);
+    });
+
+    it('selects the default fields if none of the fields exists', () => {
+      const state = defaultState();
+      state.fields = ['/x'];
+      should.not.exist(dropStaleFields(state, fields).fields);
+    });
+
+    it('removes a condition for a field that does not exist', () => {
+      const state = defaultState();
+      state.filters.fieldConditions = [
+        { path: '/x', operator: 'eq', value: 'x' },
+        { path: '/s', operator: 'in', value: ['y'] }
+      ];
+      dropStaleFields(state, fields).filters.fieldConditions.should.eql([
+        { path: '/s', operator: 'in', value: ['y'] }
+      ]);
+    });
+
+    it('removes a condition that is not allowed for its field', () => {
+      const state = defaultState();
+      state.filters.fieldConditions = [
+        { path: '/i', operator: 'eq', value: 'x' }
+      ];
+      dropStaleFields(state, fields).filters.fieldConditions.should.eql([]);
+    });
+
+    it('returns the default order if the field does not exist', () => {
+      const state = defaultState();
+      state.order = { column: '/x', direction: 'asc' };
+      dropStaleFields(state, fields).order.should.eql({
+        column: 'submissionDate',
+        direction: 'desc'
+      });
+    });
+
+    it('keeps the metadata columns', () => {
+      const state = defaultState();
+      state.columns = ['formVersion'];
+      dropStaleFields(state, fields).columns.should.eql(['formVersion']);
+    });
+
+    it('returns the default order if the field is a repeat group', () => {
+      const state = defaultState();
+      state.order = { column: '/r', direction: 'asc' };
+      dropStaleFields(state, fields).order.should.eql({
+        column: 'submissionDate',
+        direction: 'desc'
+      });
+    });
+  });
+
+  describe('queriesAreEqual()', () => {
+    it('treats a string the same as an array with one element', () => {
+      queriesAreEqual({ reviewState: 'null' }, { reviewState: ['null'] })
+        .should.be.true();
+    });
+
+    it('returns false for different queries', () => {
+      queriesAreEqual({ reviewState: 'null' }, {}).should.be.false();
+    });
+  });
+});
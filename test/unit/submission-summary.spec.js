@@ -0,0 +1,207 @@
+import Field from '../../src/presenters/field';
+import { addToSummary, choiceFrequencies, createSummary, histogram, numberStatistics, summaryKind, summaryResults, timeline } from '../../src/util/submission-summary';
+import { parseXForm } from '../../src/util/xform';
+
+import testData from '../data';
+
+const { int, decimal, string, selectMultiple, date, dateTime, geopoint } = testData.fields;
+
+const submission = (data, status = null) => ({
+  __id: 's',
+  __system: { status },
+  ...data
+});
+
+describe('util/submission-summary', () => {
+  describe('summaryKind()', () => {
+    const xform = parseXForm(testData.formXml({
+      choices: { '/s1': { a: 'A' } }
+    }));
+
+    it('returns the correct kind for each field', () => {
+      summaryKind(new Field(int('/i')), xform).should.equal('number');
+      summaryKind(new Field(decimal('/d')), xform).should.equal('number');
+      summaryKind(new Field(date('/d')), xform).should.equal('date');
+      summaryKind(new Field(dateTime('/dt')), xform).should.equal('date');
+      summaryKind(new Field(selectMultiple('/sm')), xform).should.equal('choice');
+      summaryKind(new Field(string('/s1')), xform).should.equal('choice');
+      summaryKind(new Field(string('/s2')), xform).should.equal('other');
+      summaryKind(new Field(geopoint('/g')), xform).should.equal('other');
+    });
+
+    it('returns other for a string field if there is no form definition', () => {
+      summaryKind(new Field(string('/s1')), null).should.equal('other');
+    });
+  });
+
+  describe('addToSummary()', () => {
+    it('counts missing values', () => {
+      const summary = createSummary([new Field(string('/s'))], null);
+      addToSummary(summary, [
+        submission({ s: 'x' }),
+        submission({ s: null }),
+        submission({ s: '' }),
+        submission({})
+      ]);
+      summary.count.should.equal(4);
+      summary.fields[0].missing.should.equal(3);
+    });
+
+    it('counts the values of an encrypted submission as missing', () => {
+      const summary = createSummary([new Field(int('/i'))], null);
+      addToSummary(summary, [submission({}, 'NotDecrypted')]);
+      summary.fields[0].missing.should.equal(1);
+      summary.fields[0].values.should.eql([]);
+    });
+
+    it('counts each choice of a select_multiple field once', () => {
+      const summary = createSummary([new Field(selectMultiple('/sm'))], null);
+      addToSummary(summary, [
+        submission({ sm: 'a b a' }),
+        submission({ sm: 'b' })
+      ]);
+      [...summary.fields[0].counts].should.eql([['a', 1], ['b', 2]]);
+    });
+
+    it('counts the date of a dateTime field', () => {
+      const summary = createSummary([new Field(dateTime('/dt'))], null);
+      addToSummary(summary, [
+        submission({ dt: '2021-01-01T23:00:00.000-05:00' }),
+        submission({ dt: '2021-01-01T01:00:00.000Z' })
+      ]);
+      [...summary.fields[0].counts].should.eql([['2021-01-01', 2]]);
+    });
+
+    it('reads the value of a field in a group', () => {
+      const summary = createSummary([new Field(int('/g/i'))], null);
+      addToSummary(summary, [submission({ g: { i: 1 } })]);
+      summary.fields[0].values.should.eql([1]);
+    });
+  });
+
+  describe('choiceFrequencies()', () => {
+    it('sorts choices from most to least common', () => {
+      const counts = new Map([['a', 1], ['c', 2], ['b', 2]]);
+      choiceFrequencies({ counts }).should.eql([
+        { name: 'b', count: 2 },
+        { name: 'c', count: 2 },
+        { name: 'a', count: 1 }
+      ]);
+    });
+  });
+
+  describe('numberStatistics()', () => {
+    it('returns the statistics of an odd number of values', () => {
+      numberStatistics([3, 1, 2]).should.eql({
+        min: 1,
+        max: 3,
+        mean: 2,
+        median: 2
+      });
+    });
+
+    it('returns the median of an even number of values', () => {
+      numberStatistics([4, 1, 2, 3]).median.should.equal(2.5);
+    });
+
+    it('returns null if there are no values', () => {
+      should.not.exist(numberStatistics([]));
+    });
+  });
+
+  describe('histogram()', () => {
+    it('returns a bin for each integer if there are few integers', () => {
+      histogram([1, 3, 3], true).should.eql([
+        { start: 1, end: 2, count: 1 },
+        { start: 2, end: 3, count: 0 },
+        { start: 3, end: 4, count: 2 }
+      ]);
+    });
+
+    it('returns a single bin if every value is the same', () => {
+      histogram([1.5, 1.5]).should.eql([{ start: 1.5, end: 1.5, count: 2 }]);
+    });
+
+    it('returns bins of equal width', () => {
+      const bins = histogram([0, 1, 2, 3, 4, 5, 6, 7]);
+      bins.length.should.equal(4);
+      bins.map(({ start }) => start).should.eql([0, 1.75, 3.5, 5.25]);
+      bins.map(({ count }) => count).should.eql([2, 2, 2, 2]);
+    });
+
+    it('uses the number of values if there are many integers', () => {
+      const values = [];
+      for (let i = 0; i < 2000000; i += 1000) values.push(i);
+      histogram(values, true).length.should.equal(12);
+      histogram([0, 100], true).length.should.equal(2);
+    });
+
+    it('returns an empty array if there are no values', () => {
+      histogram([]).should.eql([]);
+    });
+  });
+
+  describe('timeline()', () => {
+    it('returns days, including days without a value', () => {
+      const counts = new Map([['2021-01-03', 2], ['2021-01-01', 1]]);
+      const { unit, periods } = timeline({ counts });
+      unit.should.equal('day');
+      periods.map(({ start, count }) => [start.toISODate(), count]).should.eql([
+        ['2021-01-01', 1],
+        ['2021-01-02', 0],
+        ['2021-01-03', 2]
+      ]);
+    });
+
+    it('returns months if the dates are far apart', () => {
+      const counts = new Map([
+        ['2021-01-15', 1],
+        ['2021-01-20', 1],
+        ['2021-04-01', 1]
+      ]);
+      const { unit, periods } = timeline({ counts });
+      unit.should.equal('month');
+      periods.map(({ start, count }) => [start.toISODate(), count]).should.eql([
+        ['2021-01-01', 2],
+        ['2021-02-01', 0],
+        ['2021-03-01', 0],
+        ['2021-04-01', 1]
+      ]);
+    });
+
+    it('returns years if the dates are very far apart', () => {
+      const counts = new Map([['2010-06-01', 1], ['2021-01-01', 1]]);
+      const { unit, periods } = timeline({ counts });
+      unit.should.equal('year');
+      periods.length.should.equal(12);
+    });
+
+    it('ignores a date that cannot be parsed', () => {
+      const counts = new Map([['2021-01-01', 1], ['foo', 1]]);
+      timeline({ counts }).periods.length.should.equal(1);
+    });
+  });
+
+  describe('summaryResults()', () => {
+    it('returns the results for each field', () => {
+      const fields = [int('/i'), selectMultiple('/sm'), date('/d'), string('/s')]
+        .map(field => new Field(field));
+      const summary = createSummary(fields, null);
+      addToSummary(summary, [
+        submission({ i: 1, sm: 'a', d: '2021-01-01', s: 'x' }),
+        submission({ i: 2 })
+      ]);
+      const results = summaryResults(summary);
+      results.map(({ kind, missing }) => [kind, missing]).should.eql([
+        ['number', 0],
+        ['choice', 1],
+        ['date', 1],
+        ['other', 1]
+      ]);
+      results[0].statistics.mean.should.equal(1.5);
+      results[0].histogram.length.should.equal(2);
+      results[1].frequencies.should.eql([{ name: 'a', count: 1 }]);
+      results[2].timeline.periods.length.should.equal(1);
+    });
+  });
+});
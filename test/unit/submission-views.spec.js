@@ -0,0 +1,74 @@
+import { defaultViewQuery, readSubmissionViews, writeSubmissionViews } from '../../src/util/submission-views';
+
+describe('util/submission-views', () => {
+  describe('readSubmissionViews()', () => {
+    it('returns no views if nothing has been stored', () => {
+      readSubmissionViews(1, '1', 'f').should.eql({
+        views: [],
+        defaultView: null
+      });
+    });
+
+    it('returns the views that were written', () => {
+      const views = [{ name: 'Approved', query: { reviewState: ['approved'] } }];
+      writeSubmissionViews(1, '1', 'f', { views, defaultView: 'Approved' });
+      readSubmissionViews(1, '1', 'f').should.eql({
+        views,
+        defaultView: 'Approved'
+      });
+    });
+
+    it('stores views separately for each user and each form', () => {
+      const views = [{ name: 'Approved', query: { reviewState: ['approved'] } }];
+      writeSubmissionViews(1, '1', 'f', { views, defaultView: null });
+      readSubmissionViews(2, '1', 'f').views.length.should.equal(0);
+      readSubmissionViews(1, '2', 'f').views.length.should.equal(0);
+      readSubmissionViews(1, '1', 'g').views.length.should.equal(0);
+    });
+
+    it('returns no views if what is stored is not JSON', () => {
+      localStorage.setItem('submissionViews:1:1:f', '{');
+      readSubmissionViews(1, '1', 'f').views.length.should.equal(0);
+    });
+
+    it('ignores an invalid view', () => {
+      localStorage.setItem('submissionViews:1:1:f', JSON.stringify({
+        views: [{ name: '', query: {} }, { name: 'x', query: [] }, { name: 'y', query: {} }],
+        defaultView: 'x'
+      }));
+      readSubmissionViews(1, '1', 'f').should.eql({
+        views: [{ name: 'y', query: {} }],
+        defaultView: null
+      });
+    });
+  });
+
+  describe('writeSubmissionViews()', () => {
+    it('removes the item if there are no views', () => {
+      localStorage.setItem('submissionViews:1:1:f', '{}');
+      writeSubmissionViews(1, '1', 'f', { views: [], defaultView: null });
+      should.not.exist(localStorage.getItem('submissionViews:1:1:f'));
+    });
+  });
+
+  describe('defaultViewQuery()', () => {
+    it('returns the query of the default view', () => {
+      writeSubmissionViews(1, '1', 'f', {
+        views: [
+          { name: 'x', query: { reviewState: ['approved'] } },
+          { name: 'y', query: { reviewState: ['rejected'] } }
+        ],
+        defaultView: 'y'
+      });
+      defaultViewQuery(1, '1', 'f').should.eql({ reviewState: ['rejected'] });
+    });
+
+    it('returns null if there is no default view', () => {
+      writeSubmissionViews(1, '1', 'f', {
+        views: [{ name: 'x', query: {} }],
+        defaultView: null
+      });
+      should.not.exist(defaultViewQuery(1, '1', 'f'));
+    });
+  });
+});
@@ -0,0 +1,267 @@
+import Field from '../../src/presenters/field';
+import { choiceText, fieldLabel, labelLanguage, labelText, parseXForm } from '../../src/util/xform';
+
+import testData from '../data';
+
+const xform = ({ model = '', body = '' }) => `<?xml version="1.0"?>
+<h:html xmlns="http://www.w3.org/2002/xforms" xmlns:h="http://www.w3.org/1999/xhtml" xmlns:jr="http://openrosa.org/javarosa">
+  <h:head>
+    <h:title>Form</h:title>
+    <model>
+      <instance>
+        <data id="f">
+          <g><s1/></g>
+          <s2/>
+        </data>
+      </instance>
+      ${model}
+    </model>
+  </h:head>
+  <h:body>${body}</h:body>
+</h:html>`;
+
+describe('util/xform', () => {
+  describe('parseXForm()', () => {
+    it('returns choices for inline items', () => {
+      const { choices } = parseXForm(xform({
+        body: `<select1 ref="/data/s2">
+          <label>S2</label>
+          <item><label>Yes</label><value>y</value></item>
+          <item><label>No</label><value>n</value></item>
+        </select1>`
+      }));
+      choices.get('/s2').should.eql([
+        { value: 'y', label: { '': 'Yes' } },
+        { value: 'n', label: { '': 'No' } }
+      ]);
+    });
+
+    it('returns choices for an itemset', () => {
+      const { choices } = parseXForm(xform({
+        model: `<instance id="yn">
+          <root>
+            <item><name>y</name><label>Yes</label></item>
+            <item><name>n</name><label>No</label></item>
+          </root>
+        </instance>`,
+        body: `<select ref="/data/s2">
+          <itemset nodeset="instance('yn')/root/item">
+            <value ref="name"/><label ref="label"/>
+          </itemset>
+        </select>`
+      }));
+      choices.get('/s2').should.eql([
+        { value: 'y', label: { '': 'Yes' } },
+        { value: 'n', label: { '': 'No' } }
+      ]);
+    });
+
+    it('uses the default itext translation', () => {
+      const { choices } = parseXForm(xform({
+        model: `<itext>
+          <translation lang="French">
+            <text id="yes"><value>Oui</value></text>
+          </translation>
+          <translation lang="English" default="true()">
+            <text id="yes"><value form="image">yes.jpg</value><value>Yes</value></text>
+          </translation>
+        </itext>
+        <instance id="yn">
+          <root><item><itextId>yes</itextId><name>y</name></item></root>
+        </instance>`,
+        body: `<select1 ref="/data/s2">
+          <itemset nodeset="instance('yn')/root/item">
+            <value ref="name"/><label ref="jr:itext(itextId)"/>
+          </itemset>
+        </select1>`
+      }));
+      choices.get('/s2').should.eql([{
+        value: 'y',
+        label: { French: 'Oui', English: 'Yes' }
+      }]);
+    });
+
+    it('resolves a ref relative to a group', () => {
+      const { choices } = parseXForm(xform({
+        body: `<group ref="/data/g">
+          <select1 ref="s1"><item><label>A</label><value>a</value></item></select1>
+        </group>`
+      }));
+      choices.get('/g/s1').should.eql([{ value: 'a', label: { '': 'A' } }]);
+    });
+
+    it('removes duplicate choices', () => {
+      const { choices } = parseXForm(xform({
+        model: `<instance id="cities">
+          <root>
+            <item><name>a</name><label>A</label><state>x</state></item>
+            <item><name>a</name><label>A</label><state>y</state></item>
+          </root>
+        </instance>`,
+        body: `<select1 ref="/data/s2">
+          <itemset nodeset="instance('cities')/root/item[state= /data/s1 ]">
+            <value ref="name"/><label ref="label"/>
+          </itemset>
+        </select1>`
+      }));
+      choices.get('/s2').should.eql([{ value: 'a', label: { '': 'A' } }]);
+    });
+
+    it('returns no choices if the XML cannot be parsed', () => {
+      parseXForm('<x').choices.size.should.equal(0);
+    });
+
+    it('returns the labels of questions and groups', () => {
+      const { labels } = parseXForm(xform({
+        body: `<group ref="/data/g">
+          <label>Group</label>
+          <input ref="s1"><label>Question 1</label></input>
+        </group>
+        <select1 ref="/data/s2"><label>Question 2</label></select1>`
+      }));
+      labels.get('/g').should.eql({ '': 'Group' });
+      labels.get('/g/s1').should.eql({ '': 'Question 1' });
+      labels.get('/s2').should.eql({ '': 'Question 2' });
+    });
+
+    it('returns the label of a repeat group from its parent group', () => {
+      const { labels } = parseXForm(xform({
+        body: `<group ref="/data/g">
+          <label>Repeat</label>
+          <repeat nodeset="/data/g"><input ref="s1"/></repeat>
+        </group>`
+      }));
+      labels.get('/g').should.eql({ '': 'Repeat' });
+      labels.has('/g/s1').should.be.false();
+    });
+
+    it('returns the languages and translated labels', () => {
+      const result = parseXForm(xform({
+        model: `<itext>
+          <translation lang="English" default="true()">
+            <text id="s1"><value>Name</value></text>
+            <text id="s2"><value>Age</value></text>
+          </translation>
+          <translation lang="French">
+            <text id="s1"><value>Nom</value></text>
+          </translation>
+        </itext>`,
+        body: `<input ref="/data/g/s1"><label ref="jr:itext('s1')"/></input>
+        <input ref="/data/s2"><label ref="jr:itext('s2')"/></input>`
+      }));
+      result.languages.should.eql(['English', 'French']);
+      result.defaultLanguage.should.equal('English');
+      result.labels.get('/g/s1').should.eql({ English: 'Name', French: 'Nom' });
+      // The French translation falls back to the default translation.
+      result.labels.get('/s2').should.eql({ English: 'Age', French: 'Age' });
+    });
+
+    it('uses the first translation if none is the default', () => {
+      const { defaultLanguage } = parseXForm(xform({
+        model: `<itext>
+          <translation lang="French"/>
+          <translation lang="English"/>
+        </itext>`
+      }));
+      defaultLanguage.should.equal('French');
+    });
+
+    it('also returns a label for the OData path of a field', () => {
+      const { labels } = parseXForm(`<h:html xmlns="http://www.w3.org/2002/xforms" xmlns:h="http://www.w3.org/1999/xhtml">
+        <h:head>
+          <model><instance><data id="f"><my-group><a.b/></my-group></data></instance></model>
+        </h:head>
+        <h:body>
+          <group ref="/data/my-group">
+            <input ref="/data/my-group/a.b"><label>Question</label></input>
+          </group>
+        </h:body>
+      </h:html>`);
+      labels.get('/my-group/a.b').should.eql({ '': 'Question' });
+      labels.get('/my_group/a_b').should.eql({ '': 'Question' });
+    });
+  });
+
+  describe('labelText()', () => {
+    it('returns the text in the specified language', () => {
+      labelText({ English: 'Name', French: 'Nom' }, 'French').should.equal('Nom');
+    });
+
+    it('returns the text of a label that is not translated', () => {
+      labelText({ '': 'Name' }, 'French').should.equal('Name');
+    });
+
+    it('returns null if there is no label', () => {
+      should.not.exist(labelText(null, 'French'));
+      should.not.exist(labelText({ English: 'Name' }, 'French'));
+    });
+  });
+
+  describe('labelLanguage()', () => {
+    const result = { languages: ['English', 'French'], defaultLanguage: 'English' };
+
+    it('returns the selected language', () => {
+      labelLanguage(result, 'French').should.equal('French');
+    });
+
+    it('returns the default language if no language is selected', () => {
+      labelLanguage(result, undefined).should.equal('English');
+    });
+
+    it('returns the default language if the language does not exist', () => {
+      labelLanguage(result, 'Spanish').should.equal('English');
+    });
+
+    it('returns null if names are selected', () => {
+      should.not.exist(labelLanguage(result, null));
+    });
+
+    it('returns null if the form definition is not available', () => {
+      should.not.exist(labelLanguage(null, 'French'));
+    });
+  });
+
+  describe('fieldLabel()', () => {
+    const result = { labels: new Map().set('/s', { '': 'Question' }) };
+
+    it('returns the label of the field', () => {
+      fieldLabel(result, '/s', '').should.equal('Question');
+    });
+
+    it('returns null if the field does not have a label', () => {
+      should.not.exist(fieldLabel(result, '/t', ''));
+    });
+
+    it('returns null if the language is null', () => {
+      should.not.exist(fieldLabel(result, '/s', null));
+    });
+  });
+
+  describe('choiceText()', () => {
+    const choices = [
+      { value: 'y', label: { English: 'Yes', French: 'Oui' } },
+      { value: 'n', label: { English: 'No', French: 'Non' } }
+    ];
+    const result = { choices: new Map().set('/s', choices) };
+
+    it('returns the label of the choice', () => {
+      const field = new Field(testData.fields.string('/s'));
+      choiceText(result, field, 'n', 'French').should.equal('Non');
+    });
+
+    it('returns the labels of multiple choices', () => {
+      const field = new Field(testData.fields.selectMultiple('/s'));
+      choiceText(result, field, 'y n x', 'English').should.equal('Yes, No, x');
+    });
+
+    it('returns null if the field does not have choices', () => {
+      const field = new Field(testData.fields.string('/t'));
+      should.not.exist(choiceText(result, field, 'y', 'English'));
+    });
+
+    it('returns null if the language is null', () => {
+      const field = new Field(testData.fields.string('/s'));
+      should.not.exist(choiceText(result, field, 'y', null));
+    });
+  });
+});
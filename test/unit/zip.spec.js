@@ -0,0 +1,78 @@
+import crc32 from 'pako/lib/zlib/crc32';
+import { inflateRaw } from 'pako/lib/inflate';
+
+import { createZip } from '../../src/util/zip';
+
+// Returns the entries of a ZIP file as an array of objects.
+const readZip = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  const end = bytes.length - 22;
+  view.getUint32(end, true).should.equal(0x06054b50);
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const entries = [];
+  const decoder = new TextDecoder();
+  for (let i = 0; i < count; i += 1) {
+    view.getUint32(offset, true).should.equal(0x02014b50);
+    const crc = view.getUint32(offset + 16, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    view.getUint32(localOffset, true).should.equal(0x04034b50);
+    const dataOffset = localOffset + 30 + view.getUint16(localOffset + 26, true);
+    const compressed = bytes.subarray(dataOffset, dataOffset + compressedSize);
+    const data = inflateRaw(compressed);
+    entries.push({ name, crc, size, data });
+    offset += 46 + nameLength;
+  }
+  return entries;
+};
+
+describe('util/zip', () => {
+  it('returns a ZIP file with an entry for each file', async () => {
+    const zip = createZip();
+    zip.startFile('a.txt');
+    zip.write('foo');
+    zip.endFile();
+    zip.startFile('dir/b.txt');
+    zip.endFile();
+    const entries = await readZip(zip.blob());
+    entries.map(({ name }) => name).should.eql(['a.txt', 'dir/b.txt']);
+  });
+
+  it('compresses the content of a file that is written in parts', async () => {
+    const zip = createZip();
+    zip.startFile('a.txt');
+    const text = 'foo,bar,baz\r\n'.repeat(5000);
+    zip.write(text);
+    zip.write('café');
+    zip.endFile();
+    const blob = zip.blob();
+    blob.size.should.be.below(text.length);
+    const [entry] = await readZip(blob);
+    const expected = new TextEncoder().encode(`${text}café`);
+    entry.size.should.equal(expected.length);
+    new TextDecoder().decode(entry.data).should.equal(`${text}café`);
+    // eslint-disable-next-line no-bitwise
+    entry.crc.should.equal(crc32(0, expected, expected.length, 0) >>> 0);
+  });
+
+  it('encodes a file name as UTF-8', async () => {
+    const zip = createZip();
+    zip.startFile('é.txt');
+    zip.endFile();
+    const [entry] = await readZip(zip.blob());
+    entry.name.should.equal('é.txt');
+  });
+
+  it('throws if a file has not been ended', () => {
+    const zip = createZip();
+    zip.startFile('a.txt');
+    (() => zip.startFile('b.txt')).should.throw();
+    (() => zip.blob()).should.throw();
+  });
+});
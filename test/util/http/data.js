@@ -19,6 +19,7 @@ const defaults = {
   form: () => testData.extendedForms.last(),
   fields: () => testData.extendedForms.last()._fields,
   formVersions: () => testData.extendedFormVersions.published(),
+  xform: () => testData.formXml(),
   formDraft: () => (testData.extendedFormVersions.last().publishedAt == null
     ? testData.extendedFormDrafts.last()
     : mockResponse.problem(404.1)),
@@ -26,6 +27,7 @@ const defaults = {
     ? testData.standardFormAttachments.sorted()
     : mockResponse.problem(404.1)),
   odataChunk: testData.submissionOData,
+  summaryChunk: testData.submissionOData,
   keys: () => testData.standardKeys.sorted(),
   submitters: () => testData.extendedFieldKeys
     .sorted()
@@ -37,6 +39,8 @@ const defaults = {
   comments: () => testData.extendedComments.sorted(),
   diffs: () => ({}),
   submissionVersion: () => ({}),
+  submissionVersions: () => [],
+  submissionXml: () => testData.submissionXml(),
   publicLinks: () => testData.standardPublicLinks.sorted(),
   fieldKeys: () => testData.extendedFieldKeys.sorted(),
 
@@ -82,13 +86,17 @@ const mapsByComponent = {
   FormShow: mapKeys(['project', 'form', 'formDraft', 'attachments']),
   FormOverview: new Map(),
   FormVersionList: mapKeys(['formVersions']),
-  FormSubmissions: mapKeys(['keys', 'fields', 'odataChunk', 'submitters']),
+  FormSubmissions: mapKeys(['keys', 'fields', 'odataChunk', 'submitters', 'xform']),
+  FormSummary: mapKeys(['fields', 'submitters', 'xform', 'summaryChunk']),
   PublicLinkList: mapKeys(['publicLinks']),
   FormSettings: new Map(),
   FormDraftStatus: mapKeys(['formVersions']),
   FormAttachmentList: new Map(),
-  FormDraftTesting: mapKeys(['keys', 'fields', 'odataChunk']),
-  SubmissionShow: mapKeys(['project', 'submission', 'submissionVersion', 'fields', 'audits', 'comments', 'diffs']),
+  FormDraftTesting: mapKeys(['keys', 'fields', 'odataChunk', 'xform']),
+  SubmissionShow: mapKeys(['project', 'submission', 'submissionVersion', 'fields', 'submissionXml', 'xform', 'submissionVersions', 'audits', 'comments', 'diffs']),
+  // SubmissionPrint then requests each submission: see the tests of the
+  // component.
+  SubmissionPrint: mapKeys(['project', 'form', 'fields', 'xform']),
 
   UserHome: new Map(),
   UserList: mapKeys(['users', 'actors']),
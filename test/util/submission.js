@@ -49,5 +49,6 @@ export const loadSubmissionList = (mountOptions = {}) => {
         .sort((fieldKey1, fieldKey2) =>
           fieldKey1.displayName.localeCompare(fieldKey2.displayName))
         .map(testData.toActor));
-    });
+    })
+    .respondWithData(() => testData.formXml());
 };